@@ -1,7 +1,13 @@
 const Appointment = require('../models/Appointment');
 const Doctor = require('../models/Doctor');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
 const ErrorResponse = require('../utils/errorResponse');
+const { scheduleAppointmentReminders, cancelAppointmentReminders } = require('../utils/reminders');
+const { releaseSlot, moveReservation } = require('../utils/slotReservation');
+const { validateSlot } = require('../utils/availability');
+const { refundCancelledAppointment } = require('../utils/cancellationPolicy');
+const { getOfflinePaymentError, recordCashPayment, createPaymentLink } = require('../utils/payment');
 
 // ============================================================================
 // @desc    Get all appointments (with filters, search, pagination)
@@ -139,11 +145,21 @@ exports.cancelAppointment = async (req, res, next) => {
         appointment.adminNotes = `Force cancelled by admin: ${req.user.fullName}`;
         await appointment.save();
 
+        await cancelAppointmentReminders(appointment._id);
+        await releaseSlot(appointment._id);
+
+        const refund = await refundCancelledAppointment({
+            appointment,
+            cancelledBy: 'admin',
+            reason: `Appointment cancelled by admin: ${appointment.cancellationReason}`,
+            refundedBy: req.user._id,
+        });
+
         if (req.user.logAction) {
             await req.user.logAction('cancel_appointment', `Cancelled appointment ${appointment._id}`);
         }
 
-        res.status(200).json({ success: true, message: 'Appointment cancelled successfully', data: { appointment } });
+        res.status(200).json({ success: true, message: 'Appointment cancelled successfully', data: { appointment, refund } });
     } catch (err) {
         next(err);
     }
@@ -163,12 +179,35 @@ exports.rescheduleAppointment = async (req, res, next) => {
             return next(new ErrorResponse(`Cannot reschedule a ${appointment.status} appointment`, 400));
         }
 
+        const check = await validateSlot({
+            doctor: appointment.doctor,
+            date: appointmentDate,
+            timeSlot: timeSlot || appointment.timeSlot,
+            excludeAppointmentId: appointment._id,
+            consultationType: appointment.consultationType,
+            clinicId: appointment.clinic?.clinicId,
+            patientId: appointment.patient,
+        });
+        if (!check.valid) return next(new ErrorResponse(check.message, check.statusCode, check.code));
+
+        const slot = { start: check.slot.start, end: check.slot.end };
+        const lock = await moveReservation({
+            appointment,
+            newDate: appointmentDate,
+            newTimeSlot: slot,
+            maxPerSlot: check.availability.slotConfig?.maxAppointmentsPerSlot || 1,
+        });
+        if (!lock) return next(new ErrorResponse('The selected time slot is already booked', 409, 'SLOT_FULL'));
+
         appointment.appointmentDate = new Date(appointmentDate);
-        if (timeSlot) appointment.timeSlot = timeSlot;
-        appointment.status = 'rescheduled';
+        appointment.timeSlot = slot;
+        // Keep a status the booking flow recognises; only an unconfirmed request stays pending
+        if (appointment.status !== 'pending') appointment.status = 'confirmed';
         appointment.adminNotes = `Rescheduled by admin: ${req.user.fullName}`;
         await appointment.save();
 
+        await scheduleAppointmentReminders(appointment);
+
         if (req.user.logAction) {
             await req.user.logAction('reschedule_appointment', `Rescheduled appointment ${appointment._id}`);
         }
@@ -207,3 +246,95 @@ exports.assignAlternateDoctor = async (req, res, next) => {
         next(err);
     }
 };
+
+// Offline payment actions are recorded in the admin audit trail
+const auditOfflinePayment = (req, action, description, payment) => AuditLog.create({
+    admin: req.user._id,
+    adminName: req.user.fullName,
+    adminRole: req.user.adminRole,
+    action,
+    description,
+    module: 'payments',
+    targetId: payment._id,
+    targetModel: 'Payment',
+    ipAddress: req.ip || req.connection?.remoteAddress || '',
+    userAgent: req.headers['user-agent'] || '',
+    newData: { appointment: payment.appointment, amount: payment.amount, status: payment.status },
+});
+
+// ============================================================================
+// @desc    Record a cash payment collected at the clinic for an offline visit
+// @route   POST /api/admin/appointments/:id/cash-payment
+// ============================================================================
+exports.markCashPayment = async (req, res, next) => {
+    try {
+        const { receiptNumber, notes } = req.body;
+
+        const appointment = await Appointment.findById(req.params.id);
+        if (!appointment) return next(new ErrorResponse('Appointment not found', 404));
+
+        const blocker = await getOfflinePaymentError(appointment);
+        if (blocker) return next(new ErrorResponse(blocker, 400));
+
+        const payment = await recordCashPayment({
+            appointment,
+            receiptNumber,
+            notes,
+            recordedBy: {
+                id: req.user._id,
+                model: 'Admin',
+                name: req.user.fullName,
+                ipAddress: req.ip || '',
+            },
+        });
+        if (!payment) return next(new ErrorResponse('This appointment has already been paid', 409));
+
+        await auditOfflinePayment(req, 'record_cash_payment', `Cash payment of ₹${payment.amount} recorded for appointment ${appointment._id}`, payment);
+
+        res.status(201).json({ success: true, message: 'Cash payment recorded', data: { payment } });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Send the patient a payment link (or UPI collect link) for an offline visit
+// @route   POST /api/admin/appointments/:id/payment-link
+// ============================================================================
+exports.sendPaymentLink = async (req, res, next) => {
+    try {
+        const { upi = false, expiresInMinutes } = req.body;
+
+        const appointment = await Appointment.findById(req.params.id)
+            .populate('patient', 'fullName email mobileNumber');
+        if (!appointment) return next(new ErrorResponse('Appointment not found', 404));
+
+        const blocker = await getOfflinePaymentError(appointment);
+        if (blocker) return next(new ErrorResponse(blocker, 400));
+
+        const result = await createPaymentLink({
+            appointment,
+            upi,
+            ...(expiresInMinutes && { expiresInMinutes: Number(expiresInMinutes) }),
+            createdBy: {
+                id: req.user._id,
+                model: 'Admin',
+                name: req.user.fullName,
+                ipAddress: req.ip || '',
+            },
+        });
+        if (!result.success) return next(new ErrorResponse(result.error || 'Failed to create payment link', 502));
+
+        if (!result.reused) {
+            await auditOfflinePayment(req, 'send_payment_link', `${upi ? 'UPI' : 'Payment'} link for ₹${result.payment.amount} sent for appointment ${appointment._id}`, result.payment);
+        }
+
+        res.status(result.reused ? 200 : 201).json({
+            success: true,
+            message: result.reused ? 'A payment link is already active for this appointment' : 'Payment link sent',
+            data: { paymentId: result.payment._id, paymentLink: result.payment.paymentLink },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
@@ -1,5 +1,6 @@
 const SystemSettings = require('../models/SystemSettings');
 const Doctor = require('../models/Doctor');
+const Coupon = require('../models/Coupon');
 const ErrorResponse = require('../utils/errorResponse');
 
 // ============================================================================
@@ -11,8 +12,9 @@ exports.getCommissionSettings = async (req, res, next) => {
         const globalCommission = await SystemSettings.getSetting('global_commission_percentage', 15);
         const minConsultationFee = await SystemSettings.getSetting('min_consultation_fee', 100);
         const onlinePaymentFee = await SystemSettings.getSetting('online_payment_fee_percentage', 2);
+        const gstPercentage = await SystemSettings.getSetting('gst_percentage', 18);
         const discountRules = await SystemSettings.getSetting('discount_rules', []);
-        const activeCoupons = await SystemSettings.getSetting('active_coupons', []);
+        const activeCoupons = await Coupon.find({ isActive: true }).sort({ createdAt: -1 }).lean();
 
         // Doctor-specific overrides
         const doctorOverrides = await Doctor.find(
@@ -26,6 +28,7 @@ exports.getCommissionSettings = async (req, res, next) => {
                 globalCommission,
                 minConsultationFee,
                 onlinePaymentFee,
+                gstPercentage,
                 discountRules,
                 activeCoupons,
                 doctorOverrides,
@@ -126,15 +129,131 @@ exports.updateOnlinePaymentFee = async (req, res, next) => {
 };
 
 // ============================================================================
-// @desc    Manage discount/coupon rules
-// @route   PUT /api/admin/commission/coupons
+// @desc    Update GST charged on the platform commission
+// @route   PUT /api/admin/commission/gst
 // ============================================================================
-exports.updateCoupons = async (req, res, next) => {
+exports.updateGstPercentage = async (req, res, next) => {
     try {
-        const { coupons } = req.body;
-        await SystemSettings.setSetting('active_coupons', coupons || [], 'commission', 'Active coupon codes', req.user._id);
+        const { percentage } = req.body;
+        if (percentage === undefined || percentage < 0 || percentage > 100) {
+            return next(new ErrorResponse('GST must be between 0-100%', 400));
+        }
+
+        await SystemSettings.setSetting('gst_percentage', percentage, 'commission', 'GST % charged on the platform commission', req.user._id);
+
+        res.status(200).json({ success: true, message: `GST set to ${percentage}%` });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// Coupons
+// ============================================================================
+const COUPON_FIELDS = [
+    'code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'absorbedBy',
+    'validFrom', 'validUntil', 'usageLimit', 'perUserLimit', 'doctors', 'specializations',
+    'firstConsultationOnly', 'isActive',
+];
+
+// Cross-field checks the schema validators cannot express
+const checkCouponRules = (coupon) => {
+    if (coupon.discountType === 'percentage' && coupon.discountValue > 100) {
+        return 'Percentage discount cannot exceed 100%';
+    }
+    if (coupon.validFrom && coupon.validUntil && coupon.validFrom >= coupon.validUntil) {
+        return 'Coupon must start before it expires';
+    }
+    return null;
+};
+
+// ============================================================================
+// @desc    List coupons
+// @route   GET /api/admin/commission/coupons?active=true
+// ============================================================================
+exports.getCoupons = async (req, res, next) => {
+    try {
+        const filter = {};
+        if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+        const coupons = await Coupon.find(filter)
+            .populate('doctors', 'fullName')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.status(200).json({ success: true, data: { coupons } });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Create a coupon
+// @route   POST /api/admin/commission/coupons
+// ============================================================================
+exports.createCoupon = async (req, res, next) => {
+    try {
+        const fields = {};
+        COUPON_FIELDS.forEach((f) => { if (req.body[f] !== undefined) fields[f] = req.body[f]; });
+
+        const coupon = new Coupon({ ...fields, createdBy: req.user._id });
+        const ruleError = checkCouponRules(coupon);
+        if (ruleError) return next(new ErrorResponse(ruleError, 400));
+
+        await coupon.save();
+
+        if (req.user.logAction) {
+            await req.user.logAction('create_coupon', `Coupon ${coupon.code} created`);
+        }
+
+        res.status(201).json({ success: true, message: 'Coupon created', data: { coupon } });
+    } catch (err) {
+        if (err.code === 11000) return next(new ErrorResponse('A coupon with this code already exists', 400));
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Update a coupon
+// @route   PUT /api/admin/commission/coupons/:couponId
+// ============================================================================
+exports.updateCoupon = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findById(req.params.couponId);
+        if (!coupon) return next(new ErrorResponse('Coupon not found', 404));
+
+        COUPON_FIELDS.forEach((f) => { if (req.body[f] !== undefined) coupon[f] = req.body[f]; });
+
+        const ruleError = checkCouponRules(coupon);
+        if (ruleError) return next(new ErrorResponse(ruleError, 400));
+
+        await coupon.save();
+
+        if (req.user.logAction) {
+            await req.user.logAction('update_coupon', `Coupon ${coupon.code} updated`);
+        }
+
+        res.status(200).json({ success: true, message: 'Coupon updated', data: { coupon } });
+    } catch (err) {
+        if (err.code === 11000) return next(new ErrorResponse('A coupon with this code already exists', 400));
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Deactivate a coupon (kept for payment history)
+// @route   DELETE /api/admin/commission/coupons/:couponId
+// ============================================================================
+exports.deactivateCoupon = async (req, res, next) => {
+    try {
+        const coupon = await Coupon.findByIdAndUpdate(req.params.couponId, { isActive: false }, { new: true });
+        if (!coupon) return next(new ErrorResponse('Coupon not found', 404));
+
+        if (req.user.logAction) {
+            await req.user.logAction('deactivate_coupon', `Coupon ${coupon.code} deactivated`);
+        }
 
-        res.status(200).json({ success: true, message: 'Coupons updated' });
+        res.status(200).json({ success: true, message: 'Coupon deactivated' });
     } catch (err) {
         next(err);
     }
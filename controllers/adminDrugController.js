@@ -0,0 +1,91 @@
+const Drug = require('../models/Drug');
+const ErrorResponse = require('../utils/errorResponse');
+const { importDrugCsv } = require('../utils/drugs');
+
+// ============================================================================
+// @desc    Import or update drugs from a CSV file
+// @route   POST /api/admin/drugs/import (multipart "file")
+// ============================================================================
+exports.importDrugs = async (req, res, next) => {
+    try {
+        const result = await importDrugCsv(req.file.buffer);
+
+        if (req.user.logAction) {
+            await req.user.logAction('import_drugs', `Imported drug catalogue ${req.file.originalname}: ${result.created} new, ${result.updated} updated`);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `${result.created} drugs added, ${result.updated} updated, ${result.skippedRows.length} rows skipped`,
+            data: result,
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    List the drug catalogue
+// @route   GET /api/admin/drugs?search=&drugClass=&isActive=
+// ============================================================================
+exports.getDrugs = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, search, drugClass, isActive } = req.query;
+
+        const filter = {};
+        if (search) filter.searchNames = { $regex: search, $options: 'i' };
+        if (drugClass) filter.drugClass = drugClass.toLowerCase();
+        if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [drugs, total] = await Promise.all([
+            Drug.find(filter)
+                .select('-searchNames')
+                .sort({ genericName: 1, strength: 1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Drug.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                drugs,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalDrugs: total,
+                    limit: parseInt(limit),
+                    hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+                    hasPrev: parseInt(page) > 1,
+                },
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Edit a drug (names, class, interactions) or withdraw it
+// @route   PUT /api/admin/drugs/:id
+// ============================================================================
+exports.updateDrug = async (req, res, next) => {
+    try {
+        const drug = await Drug.findById(req.params.id);
+        if (!drug) return next(new ErrorResponse('Drug not found', 404));
+
+        ['genericName', 'brandNames', 'strength', 'form', 'drugClass', 'interactions', 'isActive'].forEach((field) => {
+            if (req.body[field] !== undefined) drug[field] = req.body[field];
+        });
+        await drug.save();
+
+        if (req.user.logAction) {
+            await req.user.logAction('update_drug', `Updated drug ${drug.genericName} ${drug.strength}`.trim());
+        }
+
+        res.status(200).json({ success: true, data: { drug } });
+    } catch (err) {
+        next(err);
+    }
+};
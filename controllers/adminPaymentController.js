@@ -1,6 +1,19 @@
 const Payment = require('../models/Payment');
 const Appointment = require('../models/Appointment');
+const Payout = require('../models/Payout');
+const WebhookEvent = require('../models/WebhookEvent');
+const Invoice = require('../models/Invoice');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const ReconciliationItem = require('../models/ReconciliationItem');
 const ErrorResponse = require('../utils/errorResponse');
+const {
+    runPayoutCycle, createPayoutRun, startPayout, completePayout, failPayout, refreshEarningsSummary,
+} = require('../utils/payouts');
+const { replayWebhookEvent } = require('../utils/webhooks');
+const { issueInvoice, queueCreditNote, sendInvoicePdf } = require('../utils/invoices');
+const { importSettlementFile, queueReconciliation } = require('../utils/reconciliation');
+const { processRefund: refundPayment } = require('../utils/payment');
+const { getNoShowAmounts } = require('../utils/noShow');
 
 // ============================================================================
 // @desc    Get all payments (with filters, pagination)
@@ -184,23 +197,34 @@ exports.processRefund = async (req, res, next) => {
         const payment = await Payment.findById(req.params.id);
         if (!payment) return next(new ErrorResponse('Payment not found', 404));
         if (payment.status !== 'completed') return next(new ErrorResponse('Only completed payments can be refunded', 400));
-        if (type === 'partial' && (!amount || amount <= 0 || amount >= payment.amount)) {
+        if (payment.noShow?.reviewReason && !payment.noShow.reviewedAt) {
+            return next(new ErrorResponse('Resolve the no-show review before refunding this payment', 400));
+        }
+
+        // A no-show keeps its fee: a "full" refund is the refundable share
+        const maxRefund = payment.noShow?.markedAt ? payment.noShow.refundableAmount : payment.amount;
+        if (type === 'partial' && (!amount || amount <= 0 || amount >= payment.amount || amount > maxRefund)) {
             return next(new ErrorResponse('Invalid refund amount', 400));
         }
 
-        const refundAmount = type === 'full' ? payment.amount : amount;
+        const refundAmount = type === 'full' ? maxRefund : amount;
+        if (refundAmount <= 0) return next(new ErrorResponse('Nothing on this payment is refundable', 400));
+
+        const refundType = refundAmount >= payment.amount ? 'full' : 'partial';
         payment.refund = {
             amount: refundAmount,
             reason: reason || '',
             refundedAt: new Date(),
             refundedBy: req.user._id,
-            type,
+            type: refundType,
         };
-        payment.status = type === 'full' ? 'refunded' : 'partially_refunded';
+        payment.status = refundType === 'full' ? 'refunded' : 'partially_refunded';
         await payment.save();
+        await refreshEarningsSummary(payment.doctor);
+        await queueCreditNote(payment);
 
         if (req.user.logAction) {
-            await req.user.logAction('process_refund', `${type} refund of ₹${refundAmount} for payment ${payment._id}`);
+            await req.user.logAction('process_refund', `${refundType} refund of ₹${refundAmount} for payment ${payment._id}`);
         }
 
         res.status(200).json({ success: true, message: 'Refund processed', data: { payment } });
@@ -209,6 +233,111 @@ exports.processRefund = async (req, res, next) => {
     }
 };
 
+// ============================================================================
+// @desc    No-show payments waiting for a decision on the fee (online consultations
+//          where the doctor was absent or nobody joined)
+// @route   GET /api/admin/payments/no-show-reviews?status=pending|reviewed
+// ============================================================================
+exports.getNoShowReviews = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status = 'pending' } = req.query;
+
+        const filter = {
+            'noShow.reviewReason': { $ne: '' },
+            'noShow.reviewedAt': status === 'reviewed' ? { $ne: null } : null,
+        };
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [total, payments] = await Promise.all([
+            Payment.countDocuments(filter),
+            Payment.find(filter)
+                .populate('patient', 'fullName email')
+                .populate('doctor', 'fullName email')
+                .populate('appointment', 'appointmentDate timeSlot consultationType status videoSession')
+                .sort({ 'noShow.markedAt': -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                payments,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    total,
+                },
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Decide a no-show review: charge the policy fee or waive it, then refund the rest
+// @route   PUT /api/admin/payments/:id/no-show-review
+// @body    { chargeFee: boolean }
+// ============================================================================
+exports.reviewNoShow = async (req, res, next) => {
+    try {
+        const { chargeFee } = req.body;
+        if (typeof chargeFee !== 'boolean') {
+            return next(new ErrorResponse('chargeFee must be true or false', 400));
+        }
+
+        const payment = await Payment.findById(req.params.id);
+        if (!payment) return next(new ErrorResponse('Payment not found', 404));
+        if (!payment.noShow?.reviewReason) {
+            return next(new ErrorResponse('This payment is not waiting for a no-show review', 400));
+        }
+
+        const amounts = getNoShowAmounts(payment, chargeFee ? payment.noShow.feePercentage : 0);
+        const reviewed = await Payment.findOneAndUpdate(
+            { _id: payment._id, 'noShow.reviewedAt': null },
+            {
+                $set: {
+                    'noShow.feeAmount': amounts.feeAmount,
+                    'noShow.refundableAmount': amounts.refundableAmount,
+                    'noShow.reviewedAt': new Date(),
+                    'noShow.reviewedBy': req.user._id,
+                },
+            },
+            { new: true }
+        );
+        if (!reviewed) return next(new ErrorResponse('This no-show has already been reviewed', 409));
+
+        if (req.user.logAction) {
+            await req.user.logAction(
+                'review_no_show',
+                `${chargeFee ? 'Charged' : 'Waived'} no-show fee of ₹${amounts.feeAmount} for payment ${payment._id}`
+            );
+        }
+
+        let refund = null;
+        if (reviewed.status === 'completed' && amounts.refundableAmount > 0) {
+            refund = await refundPayment({
+                paymentId: reviewed._id,
+                amount: amounts.refundableAmount,
+                reason: chargeFee ? 'Missed consultation, refund net of the no-show fee' : 'Missed consultation, no-show fee waived',
+                refundedBy: req.user._id,
+            });
+            if (!refund.success) {
+                return next(new ErrorResponse(`Review saved, but the refund failed: ${refund.message || refund.error}`, 502));
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: refund ? 'No-show reviewed and refund issued' : 'No-show reviewed',
+            data: { payment: refund?.payment || reviewed },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
 // ============================================================================
 // @desc    Process doctor payout
 // @route   PUT /api/admin/payments/:id/payout
@@ -219,6 +348,9 @@ exports.processPayout = async (req, res, next) => {
         const payment = await Payment.findById(req.params.id);
         if (!payment) return next(new ErrorResponse('Payment not found', 404));
         if (payment.status !== 'completed') return next(new ErrorResponse('Payment not completed', 400));
+        if (payment.payout?.payoutId || payment.payout?.status === 'completed') {
+            return next(new ErrorResponse('Payment is already part of a payout', 400));
+        }
 
         payment.payout = {
             status: 'completed',
@@ -228,6 +360,7 @@ exports.processPayout = async (req, res, next) => {
             bankReference: bankReference || '',
         };
         await payment.save();
+        await refreshEarningsSummary(payment.doctor);
 
         if (req.user.logAction) {
             await req.user.logAction('process_payout', `Doctor payout of ₹${payment.payout.amount} for payment ${payment._id}`);
@@ -238,3 +371,465 @@ exports.processPayout = async (req, res, next) => {
         next(err);
     }
 };
+
+// ============================================================================
+// @desc    Run payouts now (all doctors whose cycle closed, or one doctor immediately)
+// @route   POST /api/admin/payments/payout-runs
+// ============================================================================
+exports.runPayouts = async (req, res, next) => {
+    try {
+        const { doctorId } = req.body;
+
+        if (!doctorId) {
+            const { created } = await runPayoutCycle();
+            return res.status(200).json({ success: true, message: `${created} payout(s) created`, data: { created } });
+        }
+
+        const payout = await createPayoutRun({ doctorId, cycle: 'manual', periodEnd: new Date() });
+        if (!payout) return next(new ErrorResponse('Nothing is payable to this doctor right now', 400));
+
+        if (req.user.logAction) {
+            await req.user.logAction('create_payout', `Manual payout of ₹${payout.statement.netAmount} for doctor ${doctorId}`);
+        }
+
+        res.status(201).json({ success: true, message: 'Payout created', data: { payout } });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    List payout runs
+// @route   GET /api/admin/payments/payout-runs
+// ============================================================================
+exports.getPayoutRuns = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 10, status, doctorId } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (doctorId) filter.doctor = doctorId;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [payouts, total, stats] = await Promise.all([
+            Payout.find(filter)
+                .select('-lines')
+                .populate('doctor', 'fullName email mobileNumber')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Payout.countDocuments(filter),
+            Payout.aggregate([
+                { $group: { _id: '$status', total: { $sum: '$statement.netAmount' }, count: { $sum: 1 } } },
+            ]),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                payouts,
+                stats,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalPayouts: total,
+                    limit: parseInt(limit),
+                    hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+                    hasPrev: parseInt(page) > 1,
+                },
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Get a payout run with its settlement statement
+// @route   GET /api/admin/payments/payout-runs/:payoutId
+// ============================================================================
+exports.getPayoutRun = async (req, res, next) => {
+    try {
+        const payout = await Payout.findById(req.params.payoutId)
+            .populate('doctor', 'fullName email mobileNumber payoutCycle')
+            .populate('lines.appointment', 'appointmentDate timeSlot consultationType status')
+            .populate('processedBy', 'fullName');
+        if (!payout) return next(new ErrorResponse('Payout not found', 404));
+
+        res.status(200).json({ success: true, data: { payout } });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Move a payout along: process (pending -> processing), complete or fail
+// @route   PUT /api/admin/payments/payout-runs/:payoutId/:action
+// ============================================================================
+exports.updatePayoutRun = async (req, res, next) => {
+    try {
+        const { payoutId, action } = req.params;
+        const { transactionId, bankReference, reason } = req.body;
+
+        const existing = await Payout.findById(payoutId).select('status');
+        if (!existing) return next(new ErrorResponse('Payout not found', 404));
+
+        let payout;
+        if (action === 'process') {
+            payout = await startPayout(payoutId, req.user._id);
+        } else if (action === 'complete') {
+            payout = await completePayout(payoutId, { transactionId, bankReference, adminId: req.user._id });
+        } else if (action === 'fail') {
+            payout = await failPayout(payoutId, reason, req.user._id);
+        } else {
+            return next(new ErrorResponse('Action must be process, complete or fail', 400));
+        }
+
+        if (!payout) return next(new ErrorResponse(`Cannot ${action} a ${existing.status} payout`, 400));
+
+        if (req.user.logAction) {
+            await req.user.logAction('update_payout', `Payout ${payout._id} is now ${payout.status}`);
+        }
+
+        res.status(200).json({ success: true, message: `Payout ${payout.status}`, data: { payout } });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    List gateway webhook events
+// @route   GET /api/admin/payments/webhooks?status=failed&event=refund.failed
+// ============================================================================
+exports.getWebhookEvents = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status, event, entityId } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (event) filter.event = event;
+        if (entityId) filter.entityId = entityId;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [events, total, stats] = await Promise.all([
+            WebhookEvent.find(filter)
+                .select('-payload')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            WebhookEvent.countDocuments(filter),
+            WebhookEvent.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                events,
+                stats,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalEvents: total,
+                    limit: parseInt(limit),
+                    hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+                    hasPrev: parseInt(page) > 1,
+                },
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Replay a failed webhook event
+// @route   POST /api/admin/payments/webhooks/:eventId/replay
+// ============================================================================
+exports.replayWebhook = async (req, res, next) => {
+    try {
+        const existing = await WebhookEvent.findById(req.params.eventId).select('status event');
+        if (!existing) return next(new ErrorResponse('Webhook event not found', 404));
+        if (!['failed', 'received'].includes(existing.status)) {
+            return next(new ErrorResponse(`Cannot replay a ${existing.status} event`, 400));
+        }
+
+        const webhookEvent = await replayWebhookEvent(existing._id, req.user._id);
+        if (!webhookEvent) return next(new ErrorResponse('Event is already being processed', 409));
+
+        if (req.user.logAction) {
+            await req.user.logAction('replay_webhook', `Replayed ${existing.event} webhook ${existing._id}: ${webhookEvent.status}`);
+        }
+
+        res.status(200).json({
+            success: webhookEvent.status !== 'failed',
+            message: webhookEvent.status === 'failed' ? `Replay failed: ${webhookEvent.lastError}` : 'Webhook replayed',
+            data: { event: webhookEvent },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    List invoices and credit notes
+// @route   GET /api/admin/payments/invoices?type=credit_note&financialYear=2026-27
+// ============================================================================
+exports.getInvoices = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, type, status, financialYear, doctorId, patientId, search } = req.query;
+
+        const filter = {};
+        if (type) filter.type = type;
+        if (status) filter.status = status;
+        if (financialYear) filter.financialYear = financialYear;
+        if (doctorId) filter.doctor = doctorId;
+        if (patientId) filter.patient = patientId;
+        if (search) filter.number = { $regex: search, $options: 'i' };
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [invoices, total] = await Promise.all([
+            Invoice.find(filter)
+                .populate('patient', 'fullName email')
+                .populate('doctor', 'fullName email')
+                .sort({ issuedAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            Invoice.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                invoices,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalInvoices: total,
+                    limit: parseInt(limit),
+                    hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+                    hasPrev: parseInt(page) > 1,
+                },
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Download an invoice or credit note as PDF
+// @route   GET /api/admin/payments/invoices/:invoiceId/download
+// ============================================================================
+exports.downloadInvoice = async (req, res, next) => {
+    try {
+        const invoice = await Invoice.findById(req.params.invoiceId);
+        if (!invoice) return next(new ErrorResponse('Invoice not found', 404));
+
+        await sendInvoicePdf(res, invoice);
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Issue the invoice for a payment now (if the background job failed)
+// @route   POST /api/admin/payments/:id/invoice
+// ============================================================================
+exports.issuePaymentInvoice = async (req, res, next) => {
+    try {
+        const payment = await Payment.findById(req.params.id);
+        if (!payment) return next(new ErrorResponse('Payment not found', 404));
+        if (!['completed', 'partially_refunded', 'refunded'].includes(payment.status)) {
+            return next(new ErrorResponse(`Cannot invoice a ${payment.status} payment`, 400));
+        }
+
+        const invoice = await issueInvoice(payment._id);
+
+        if (req.user.logAction) {
+            await req.user.logAction('issue_invoice', `Invoice ${invoice.number} for payment ${payment._id}`);
+        }
+
+        res.status(200).json({ success: true, data: { invoice } });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Import a Razorpay settlement report and reconcile it
+// @route   POST /api/admin/payments/reconciliation/import (multipart "file"; amountUnit=paise if amounts are in paise)
+// ============================================================================
+exports.importSettlement = async (req, res, next) => {
+    try {
+        const run = await importSettlementFile({
+            buffer: req.file.buffer,
+            fileName: req.file.originalname,
+            adminId: req.user._id,
+            amountsInPaise: req.body.amountUnit === 'paise',
+        });
+
+        if (req.user.logAction) {
+            await req.user.logAction('import_settlement', `Imported settlement file ${run.fileName} (${run.rowCount} rows)`);
+        }
+
+        res.status(202).json({
+            success: true,
+            message: 'Settlement file imported; reconciliation is running',
+            data: { run },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Re-run the internal reconciliation checks now
+// @route   POST /api/admin/payments/reconciliation/run
+// ============================================================================
+exports.runReconciliationNow = async (req, res, next) => {
+    try {
+        const run = await queueReconciliation({ source: 'manual', adminId: req.user._id });
+
+        res.status(202).json({ success: true, message: 'Reconciliation queued', data: { run } });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Reconciliation runs with a summary of open mismatches
+// @route   GET /api/admin/payments/reconciliation
+// ============================================================================
+exports.getReconciliationRuns = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, source, status } = req.query;
+
+        const filter = {};
+        if (source) filter.source = source;
+        if (status) filter.status = status;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [runs, total, openItems] = await Promise.all([
+            ReconciliationRun.find(filter)
+                .select('-skippedRows')
+                .populate('triggeredBy', 'fullName email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            ReconciliationRun.countDocuments(filter),
+            ReconciliationItem.aggregate([
+                { $match: { status: 'open' } },
+                {
+                    $group: {
+                        _id: { type: '$type', severity: '$severity' },
+                        count: { $sum: 1 },
+                        difference: { $sum: { $ifNull: ['$difference', 0] } },
+                    },
+                },
+                { $sort: { '_id.severity': 1, count: -1 } },
+            ]),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                runs,
+                openItems,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalRuns: total,
+                    limit: parseInt(limit),
+                    hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+                    hasPrev: parseInt(page) > 1,
+                },
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Reconciliation report: a run and the mismatches it flagged
+// @route   GET /api/admin/payments/reconciliation/:runId?type=amount_mismatch&status=open&severity=critical
+// ============================================================================
+exports.getReconciliationReport = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 50, type, status, severity } = req.query;
+
+        const run = await ReconciliationRun.findById(req.params.runId).populate('triggeredBy', 'fullName email');
+        if (!run) return next(new ErrorResponse('Reconciliation run not found', 404));
+
+        const filter = { run: run._id };
+        if (type) filter.type = type;
+        if (status) filter.status = status;
+        if (severity) filter.severity = severity;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+        const [items, total] = await Promise.all([
+            ReconciliationItem.find(filter)
+                .populate('payment', 'amount status gatewayPaymentId gatewayOrderId paidAt invoiceNumber')
+                .populate('doctor', 'fullName email')
+                .populate('reviewedBy', 'fullName email')
+                .sort({ severity: 1, createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit)),
+            ReconciliationItem.countDocuments(filter),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                run,
+                items,
+                pagination: {
+                    currentPage: parseInt(page),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                    totalItems: total,
+                    limit: parseInt(limit),
+                    hasNext: parseInt(page) < Math.ceil(total / parseInt(limit)),
+                    hasPrev: parseInt(page) > 1,
+                },
+            },
+        });
+    } catch (err) {
+        next(err);
+    }
+};
+
+// ============================================================================
+// @desc    Resolve or ignore a reconciliation mismatch
+// @route   PUT /api/admin/payments/reconciliation/items/:itemId  { status: resolved|ignored, note }
+// ============================================================================
+exports.reviewReconciliationItem = async (req, res, next) => {
+    try {
+        const { status, note = '' } = req.body;
+        if (!['resolved', 'ignored'].includes(status)) {
+            return next(new ErrorResponse('Status must be resolved or ignored', 400));
+        }
+        if (!note.trim()) {
+            return next(new ErrorResponse('Please add a note explaining the decision', 400));
+        }
+
+        const item = await ReconciliationItem.findById(req.params.itemId);
+        if (!item) return next(new ErrorResponse('Reconciliation item not found', 404));
+        if (item.status !== 'open') {
+            return next(new ErrorResponse(`Item is already ${item.status}`, 400));
+        }
+
+        item.status = status;
+        item.note = note.trim();
+        item.reviewedBy = req.user._id;
+        item.reviewedAt = new Date();
+        await item.save();
+
+        if (req.user.logAction) {
+            await req.user.logAction('review_reconciliation', `Marked ${item.type} ${item.key} as ${status}: ${item.note}`);
+        }
+
+        res.status(200).json({ success: true, data: { item } });
+    } catch (err) {
+        next(err);
+    }
+};
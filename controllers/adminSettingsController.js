@@ -112,7 +112,20 @@ exports.initializeDefaults = async (req, res, next) => {
             { key: 'global_commission_percentage', value: 15, category: 'commission', description: 'Global platform commission %' },
             { key: 'min_consultation_fee', value: 100, category: 'commission', description: 'Minimum consultation fee in INR' },
             { key: 'online_payment_fee_percentage', value: 2, category: 'commission', description: 'Online payment processing fee %' },
+            { key: 'gst_percentage', value: 18, category: 'commission', description: 'GST % charged on the platform commission' },
+            { key: 'platform_legal_name', value: 'Medi Slot', category: 'payment', description: 'Legal name printed on invoices' },
+            { key: 'platform_gstin', value: '', category: 'payment', description: 'Platform GSTIN printed on invoices' },
+            { key: 'platform_address', value: '', category: 'payment', description: 'Registered address printed on invoices' },
+            { key: 'platform_state', value: '', category: 'payment', description: 'State of registration (decides CGST + SGST vs IGST)' },
+            { key: 'invoice_prefix', value: 'MS', category: 'payment', description: 'Invoice number prefix' },
+            { key: 'credit_note_prefix', value: 'MSCN', category: 'payment', description: 'Credit note number prefix' },
             { key: 'max_cancellation_window_hours', value: 4, category: 'consultation', description: 'Hours before appointment to allow free cancellation' },
+            { key: 'cancellation_partial_refund_hours', value: 1, category: 'consultation', description: 'Hours before appointment down to which a patient cancellation gets a partial refund' },
+            { key: 'cancellation_partial_refund_percentage', value: 50, category: 'consultation', description: 'Share of the payment refunded for late patient cancellations' },
+            { key: 'no_show_grace_period_minutes', value: 15, category: 'consultation', description: 'Minutes after slot end before a confirmed appointment is marked no-show' },
+            { key: 'no_show_fee_percentage', value: 0, category: 'consultation', description: 'Share of the consultation fee retained on patient no-show (0 disables)' },
+            { key: 'slot_hold_minutes', value: 15, category: 'consultation', description: 'Minutes a slot is held while the patient completes payment' },
+            { key: 'waitlist_claim_minutes', value: 30, category: 'consultation', description: 'Minutes a waitlisted patient has to claim a freed slot' },
             { key: 'default_slot_duration_minutes', value: 30, category: 'consultation', description: 'Default appointment slot duration' },
             { key: 'video_session_timeout_minutes', value: 30, category: 'consultation', description: 'Video consultation auto-timeout' },
             { key: 'enable_online_consultations', value: true, category: 'general', description: 'Enable/disable online consultations globally' },
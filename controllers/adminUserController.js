@@ -1,4 +1,7 @@
 const User = require('../models/User');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const { creditWallet, debitWallet } = require('../utils/wallet');
 const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 
@@ -336,6 +339,114 @@ const getUserStats = async (req, res) => {
     }
 };
 
+// ---------------------------------------------------------------------------
+// @desc    Get a user's wallet and recent ledger transactions
+// @route   GET /api/admin/users/:id/wallet
+// @access  Private (Admin - users.view)
+// ---------------------------------------------------------------------------
+const getUserWallet = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const user = await User.findById(req.params.id).select('fullName email').lean();
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        const query = { user: user._id };
+        const [wallet, transactions, total] = await Promise.all([
+            Wallet.findOne({ user: user._id }).lean(),
+            WalletTransaction.find(query)
+                .sort({ createdAt: -1 })
+                .skip((parseInt(page) - 1) * parseInt(limit))
+                .limit(parseInt(limit))
+                .lean(),
+            WalletTransaction.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                user,
+                wallet: wallet || { balance: 0, currency: 'INR', lifetimeCredits: 0, lifetimeDebits: 0, isActive: true },
+                transactions,
+                pagination: {
+                    total,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                },
+            },
+        });
+    } catch (error) {
+        console.error('Get user wallet error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch wallet.' });
+    }
+};
+
+// ---------------------------------------------------------------------------
+// @desc    Grant promotional credit, or correct a wallet balance
+// @route   POST /api/admin/users/:id/wallet/adjust
+// @body    { type: 'promotional' | 'adjustment', direction: 'credit' | 'debit', amount, description, reference }
+// @access  Private (Admin - users.edit)
+// ---------------------------------------------------------------------------
+const adjustUserWallet = async (req, res) => {
+    try {
+        const { type = 'promotional', direction = 'credit', amount, description, reference } = req.body;
+
+        if (!['promotional', 'adjustment'].includes(type)) {
+            return res.status(400).json({ success: false, message: 'Type must be "promotional" or "adjustment".' });
+        }
+        if (!['credit', 'debit'].includes(direction) || (type === 'promotional' && direction !== 'credit')) {
+            return res.status(400).json({ success: false, message: 'Promotional entries can only credit the wallet.' });
+        }
+        if (!amount || Number(amount) <= 0) {
+            return res.status(400).json({ success: false, message: 'A positive amount is required.' });
+        }
+        if (!description || !description.trim()) {
+            return res.status(400).json({ success: false, message: 'Description is required.' });
+        }
+
+        const user = await User.findById(req.params.id).select('fullName email');
+        if (!user) {
+            return res.status(404).json({ success: false, message: 'User not found.' });
+        }
+
+        const post = direction === 'credit' ? creditWallet : debitWallet;
+        const result = await post({
+            userId: user._id,
+            category: type,
+            amount: Number(amount),
+            // A client-supplied reference makes retries of the same grant safe
+            idempotencyKey: `${type}:${user._id}:${reference || crypto.randomUUID()}`,
+            description: description.trim(),
+            createdBy: req.user._id,
+            createdByModel: 'Admin',
+        });
+
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.message || 'Wallet update failed.' });
+        }
+
+        if (req.user.logAction) {
+            await req.user.logAction(
+                'wallet_adjusted',
+                `${direction === 'credit' ? 'Credited' : 'Debited'} ₹${result.transaction.amount} (${type}) for ${user.fullName} (${user.email})`,
+                req.ip
+            );
+        }
+
+        res.status(result.duplicate ? 200 : 201).json({
+            success: true,
+            message: result.duplicate ? 'Already applied.' : 'Wallet updated.',
+            data: { transaction: result.transaction, balance: result.transaction.balanceAfter },
+        });
+    } catch (error) {
+        console.error('Adjust user wallet error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update wallet.' });
+    }
+};
+
 module.exports = {
     getAllUsers,
     getUserById,
@@ -344,4 +455,6 @@ module.exports = {
     resetUserPassword,
     deleteUser,
     getUserStats,
+    getUserWallet,
+    adjustUserWallet,
 };
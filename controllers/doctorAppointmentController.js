@@ -2,6 +2,11 @@ const Appointment = require('../models/Appointment');
 const Payment = require('../models/Payment');
 const Notification = require('../models/Notification');
 const Doctor = require('../models/Doctor');
+const { scheduleAppointmentReminders, cancelAppointmentReminders } = require('../utils/reminders');
+const { releaseSlot, moveReservation } = require('../utils/slotReservation');
+const { validateSlot } = require('../utils/availability');
+const { refundCancelledAppointment } = require('../utils/cancellationPolicy');
+const { getOfflinePaymentError, recordCashPayment, createPaymentLink } = require('../utils/payment');
 
 /**
  * @desc    Get appointments list with filters
@@ -199,6 +204,8 @@ const acceptAppointment = async (req, res) => {
         appointment.status = 'confirmed';
         await appointment.save();
 
+        await scheduleAppointmentReminders(appointment);
+
         // Send notification to patient
         await Notification.create({
             recipient: appointment.patient._id,
@@ -261,6 +268,8 @@ const rejectAppointment = async (req, res) => {
         appointment.cancelledAt = new Date();
         await appointment.save();
 
+        await releaseSlot(appointment._id);
+
         // Send notification to patient
         await Notification.create({
             recipient: appointment.patient._id,
@@ -275,25 +284,17 @@ const rejectAppointment = async (req, res) => {
             },
         });
 
-        // Handle refund if payment was made
-        if (appointment.payment) {
-            const payment = await Payment.findById(appointment.payment);
-            if (payment && payment.status === 'completed') {
-                payment.refund = {
-                    amount: payment.amount,
-                    reason: `Appointment rejected by doctor: ${reason.trim()}`,
-                    refundedAt: new Date(),
-                    type: 'full',
-                };
-                payment.status = 'refunded';
-                await payment.save();
-            }
-        }
+        // Doctor-side cancellations are always refunded in full
+        const refund = await refundCancelledAppointment({
+            appointment,
+            cancelledBy: 'doctor',
+            reason: `Appointment rejected by doctor: ${reason.trim()}`,
+        });
 
         res.status(200).json({
             success: true,
             message: 'Appointment rejected.',
-            data: { appointment },
+            data: { appointment, refund },
         });
     } catch (error) {
         console.error('Reject appointment error:', error);
@@ -337,6 +338,9 @@ const cancelAppointment = async (req, res) => {
         appointment.cancelledAt = new Date();
         await appointment.save();
 
+        await cancelAppointmentReminders(appointment._id);
+        await releaseSlot(appointment._id);
+
         // Update doctor's cancellation rate
         const totalAppointments = await Appointment.countDocuments({ doctor: req.user._id });
         const cancelledByDoctor = await Appointment.countDocuments({
@@ -363,25 +367,17 @@ const cancelAppointment = async (req, res) => {
             },
         });
 
-        // Handle refund
-        if (appointment.payment) {
-            const payment = await Payment.findById(appointment.payment);
-            if (payment && payment.status === 'completed') {
-                payment.refund = {
-                    amount: payment.amount,
-                    reason: `Appointment cancelled by doctor: ${reason.trim()}`,
-                    refundedAt: new Date(),
-                    type: 'full',
-                };
-                payment.status = 'refunded';
-                await payment.save();
-            }
-        }
+        // Doctor-side cancellations are always refunded in full
+        const refund = await refundCancelledAppointment({
+            appointment,
+            cancelledBy: 'doctor',
+            reason: `Appointment cancelled by doctor: ${reason.trim()}`,
+        });
 
         res.status(200).json({
             success: true,
             message: 'Appointment cancelled.',
-            data: { appointment },
+            data: { appointment, refund },
         });
     } catch (error) {
         console.error('Cancel appointment error:', error);
@@ -428,26 +424,40 @@ const rescheduleAppointment = async (req, res) => {
             return res.status(400).json({
                 success: false,
                 message: 'Cannot reschedule to a past date.',
+                code: 'PAST_DATE',
             });
         }
 
-        // Check if the new slot is available
-        const nextDay = new Date(rescheduledDate);
-        nextDay.setDate(nextDay.getDate() + 1);
-
-        const conflicting = await Appointment.findOne({
+        // Check the new slot against the doctor's availability and existing bookings
+        const check = await validateSlot({
             doctor: req.user._id,
-            appointmentDate: { $gte: rescheduledDate, $lt: nextDay },
-            'timeSlot.start': newTimeSlot.start,
-            'timeSlot.end': newTimeSlot.end,
-            status: { $in: ['pending', 'confirmed', 'ongoing'] },
-            _id: { $ne: appointmentId },
+            date: rescheduledDate,
+            timeSlot: newTimeSlot,
+            excludeAppointmentId: appointment._id,
+            consultationType: appointment.consultationType,
+            clinicId: appointment.clinic?.clinicId,
+            patientId: appointment.patient,
         });
 
-        if (conflicting) {
-            return res.status(400).json({
+        if (!check.valid) {
+            return res.status(check.statusCode).json({
+                success: false,
+                message: check.message,
+                code: check.code,
+            });
+        }
+
+        const lock = await moveReservation({
+            appointment,
+            newDate: rescheduledDate,
+            newTimeSlot,
+            maxPerSlot: req.user.slotConfig?.maxAppointmentsPerSlot || 1,
+        });
+        if (!lock) {
+            return res.status(409).json({
                 success: false,
                 message: 'The selected time slot is already booked.',
+                code: 'SLOT_FULL',
             });
         }
 
@@ -461,6 +471,8 @@ const rescheduleAppointment = async (req, res) => {
         appointment.rescheduledFrom = appointment._id;
         await appointment.save();
 
+        await scheduleAppointmentReminders(appointment);
+
         // Send notification to patient
         await Notification.create({
             recipient: appointment.patient._id,
@@ -569,6 +581,7 @@ const startConsultation = async (req, res) => {
         appointment.status = 'ongoing';
         appointment.videoSession.sessionId = sessionId;
         appointment.videoSession.startedAt = new Date();
+        appointment.videoSession.doctorJoinedAt = appointment.videoSession.doctorJoinedAt || appointment.videoSession.startedAt;
         await appointment.save();
 
         // Notify patient
@@ -644,6 +657,101 @@ const endConsultation = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Record a cash payment collected at the clinic for an offline visit
+ * @route   POST /api/doctor/appointments/:appointmentId/cash-payment
+ * @access  Private (Doctor)
+ */
+const markCashPayment = async (req, res) => {
+    try {
+        const { receiptNumber, notes } = req.body;
+
+        const appointment = await Appointment.findOne({ _id: req.params.appointmentId, doctor: req.user._id });
+        if (!appointment) {
+            return res.status(404).json({ success: false, message: 'Appointment not found.' });
+        }
+
+        const blocker = await getOfflinePaymentError(appointment);
+        if (blocker) {
+            return res.status(400).json({ success: false, message: blocker });
+        }
+
+        const payment = await recordCashPayment({
+            appointment,
+            receiptNumber,
+            notes,
+            recordedBy: {
+                id: req.user._id,
+                model: 'Doctor',
+                name: req.user.fullName,
+                ipAddress: req.ip || '',
+            },
+        });
+        if (!payment) {
+            return res.status(409).json({ success: false, message: 'This appointment has already been paid.' });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Cash payment of ₹${payment.amount} recorded.`,
+            data: { payment },
+        });
+    } catch (error) {
+        console.error('Record cash payment error:', error);
+        res.status(500).json({ success: false, message: 'Failed to record cash payment.' });
+    }
+};
+
+/**
+ * @desc    Send the patient a payment link (or UPI collect link) for an offline visit
+ * @route   POST /api/doctor/appointments/:appointmentId/payment-link
+ * @access  Private (Doctor)
+ */
+const sendPaymentLink = async (req, res) => {
+    try {
+        const { upi = false, expiresInMinutes } = req.body;
+
+        const appointment = await Appointment.findOne({ _id: req.params.appointmentId, doctor: req.user._id })
+            .populate('patient', 'fullName email mobileNumber');
+        if (!appointment) {
+            return res.status(404).json({ success: false, message: 'Appointment not found.' });
+        }
+
+        const blocker = await getOfflinePaymentError(appointment);
+        if (blocker) {
+            return res.status(400).json({ success: false, message: blocker });
+        }
+
+        const result = await createPaymentLink({
+            appointment,
+            upi,
+            ...(expiresInMinutes && { expiresInMinutes: Number(expiresInMinutes) }),
+            createdBy: {
+                id: req.user._id,
+                model: 'Doctor',
+                name: req.user.fullName,
+                ipAddress: req.ip || '',
+            },
+        });
+
+        if (!result.success) {
+            return res.status(502).json({ success: false, message: result.error || 'Failed to create payment link.' });
+        }
+
+        res.status(result.reused ? 200 : 201).json({
+            success: true,
+            message: result.reused ? 'A payment link is already active for this appointment.' : 'Payment link sent to the patient.',
+            data: {
+                paymentId: result.payment._id,
+                paymentLink: result.payment.paymentLink,
+            },
+        });
+    } catch (error) {
+        console.error('Send payment link error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create payment link.' });
+    }
+};
+
 module.exports = {
     getAppointments,
     getAppointmentDetails,
@@ -654,4 +762,6 @@ module.exports = {
     completeAppointment,
     startConsultation,
     endConsultation,
+    markCashPayment,
+    sendPaymentLink,
 };
\ No newline at end of file
@@ -2,6 +2,7 @@ const crypto = require('crypto');
 const Doctor = require('../models/Doctor');
 const { generateTokenPair } = require('../utils/generateToken');
 const { sendVerificationEmail, sendPasswordResetEmail } = require('../utils/sendEmail');
+const { getFeeSettings, getClinicFeeError } = require('../utils/fees');
 
 const registerDoctor = async (req, res) => {
     try {
@@ -208,6 +209,15 @@ const updateDoctorProfile = async (req, res) => {
         const allowed = ['fullName', 'profilePhoto', 'aboutDoctor', 'qualifications', 'languagesSpoken', 'specializations', 'consultationFees', 'clinics', 'diseasesTreated', 'proceduresOffered', 'showPhoneNumber', 'isOnlineConsultationEnabled', 'isInstantConsultationEnabled', 'maxDailyAppointments', 'slotConfig', 'weeklySchedule', 'bankDetails', 'payoutCycle', 'notificationPreferences'];
         const updates = {};
         allowed.forEach(f => { if (req.body[f] !== undefined) updates[f] = req.body[f]; });
+        // Fees written here must respect the same platform minimum as PUT /profile/fees and the clinic routes
+        if (updates.consultationFees || updates.clinics) {
+            const { minConsultationFee } = await getFeeSettings();
+            const fees = updates.consultationFees || {};
+            const lowFee = ['online', 'offline'].find(t => fees[t] !== undefined && !(Number(fees[t]) >= minConsultationFee));
+            if (lowFee) return res.status(400).json({ success: false, message: `${lowFee === 'online' ? 'Online' : 'Offline'} fee cannot be below the minimum consultation fee of ₹${minConsultationFee}.` });
+            const clinicError = (Array.isArray(updates.clinics) ? updates.clinics : []).map(c => getClinicFeeError(c?.consultationFee, minConsultationFee)).find(Boolean);
+            if (clinicError) return res.status(400).json({ success: false, message: clinicError });
+        }
         const doctor = await Doctor.findByIdAndUpdate(req.user._id, updates, { new: true, runValidators: true });
         if (!doctor) return res.status(404).json({ success: false, message: 'Not found.' });
         res.status(200).json({ success: true, message: 'Profile updated!', data: { doctor: doctor.toSafeObject() } });
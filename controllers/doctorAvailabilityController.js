@@ -1,5 +1,8 @@
 const Doctor = require('../models/Doctor');
-const Appointment = require('../models/Appointment');
+const { cancelDisplacedAppointments } = require('../utils/appointmentCancellation');
+const {
+    getAvailabilityForDate, findScheduleConflicts, blockAppliesOn, AVAILABILITY_FIELDS, AVAILABILITY_CODES,
+} = require('../utils/availability');
 
 /**
  * @desc    Get current availability settings
@@ -9,7 +12,7 @@ const Appointment = require('../models/Appointment');
 const getAvailability = async (req, res) => {
     try {
         const doctor = await Doctor.findById(req.user._id)
-            .select('weeklySchedule customDateOverrides holidays slotConfig')
+            .select('weeklySchedule onlineSchedule clinics customDateOverrides holidays availabilityRules blockedSlots slotConfig')
             .lean();
 
         if (!doctor) {
@@ -20,8 +23,19 @@ const getAvailability = async (req, res) => {
             success: true,
             data: {
                 weeklySchedule: doctor.weeklySchedule,
+                onlineSchedule: doctor.onlineSchedule,
+                clinicSchedules: (doctor.clinics || []).map((clinic) => ({
+                    clinicId: clinic._id,
+                    clinicName: clinic.clinicName,
+                    isActive: clinic.isActive,
+                    workingDays: clinic.workingDays,
+                    workingHours: clinic.workingHours,
+                    weeklySchedule: clinic.weeklySchedule,
+                })),
                 customDateOverrides: doctor.customDateOverrides,
                 holidays: doctor.holidays,
+                availabilityRules: doctor.availabilityRules,
+                blockedSlots: doctor.blockedSlots,
                 slotConfig: doctor.slotConfig,
             },
         });
@@ -32,89 +46,83 @@ const getAvailability = async (req, res) => {
 };
 
 /**
- * @desc    Update weekly schedule
- * @route   PUT /api/doctor/availability/weekly-schedule
- * @access  Private (Doctor)
+ * Validate a weekly schedule payload ({ monday: { isAvailable, slots, breakTimes }, ... })
+ * @returns {{ error: string } | { days: Object }} Normalized day schedules keyed by day name
  */
-const updateWeeklySchedule = async (req, res) => {
-    try {
-        const { weeklySchedule } = req.body;
+const parseWeeklySchedule = (weeklySchedule) => {
+    if (!weeklySchedule || typeof weeklySchedule !== 'object') {
+        return { error: 'Weekly schedule data is required.' };
+    }
 
-        if (!weeklySchedule || typeof weeklySchedule !== 'object') {
-            return res.status(400).json({
-                success: false,
-                message: 'Weekly schedule data is required.',
-            });
-        }
+    const validDays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+    const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/;
+    const days = {};
 
-        const validDays = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
-        const updates = {};
+    for (const day of validDays) {
+        if (weeklySchedule[day] !== undefined) {
+            const dayData = weeklySchedule[day];
 
-        for (const day of validDays) {
-            if (weeklySchedule[day] !== undefined) {
-                const dayData = weeklySchedule[day];
-
-                // Validate slots format
-                if (dayData.slots && Array.isArray(dayData.slots)) {
-                    for (const slot of dayData.slots) {
-                        if (!slot.start || !slot.end) {
-                            return res.status(400).json({
-                                success: false,
-                                message: `Invalid slot format for ${day}. Each slot must have "start" and "end" times.`,
-                            });
-                        }
-                        // Validate time format (HH:MM)
-                        const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/;
-                        if (!timeRegex.test(slot.start) || !timeRegex.test(slot.end)) {
-                            return res.status(400).json({
-                                success: false,
-                                message: `Invalid time format for ${day}. Use HH:MM format (e.g., "09:00").`,
-                            });
-                        }
-                        // Validate start < end
-                        if (slot.start >= slot.end) {
-                            return res.status(400).json({
-                                success: false,
-                                message: `Start time must be before end time for ${day}.`,
-                            });
-                        }
+            // Validate slots format
+            if (dayData.slots && Array.isArray(dayData.slots)) {
+                for (const slot of dayData.slots) {
+                    if (!slot.start || !slot.end) {
+                        return { error: `Invalid slot format for ${day}. Each slot must have "start" and "end" times.` };
+                    }
+                    // Validate time format (HH:MM)
+                    if (!timeRegex.test(slot.start) || !timeRegex.test(slot.end)) {
+                        return { error: `Invalid time format for ${day}. Use HH:MM format (e.g., "09:00").` };
+                    }
+                    // Validate start < end
+                    if (slot.start >= slot.end) {
+                        return { error: `Start time must be before end time for ${day}.` };
                     }
                 }
+            }
 
-                // Validate break times format
-                if (dayData.breakTimes && Array.isArray(dayData.breakTimes)) {
-                    for (const brk of dayData.breakTimes) {
-                        if (!brk.start || !brk.end) {
-                            return res.status(400).json({
-                                success: false,
-                                message: `Invalid break time format for ${day}.`,
-                            });
-                        }
-                        const timeRegex = /^([01]\d|2[0-3]):([0-5]\d)$/;
-                        if (!timeRegex.test(brk.start) || !timeRegex.test(brk.end)) {
-                            return res.status(400).json({
-                                success: false,
-                                message: `Invalid break time format for ${day}. Use HH:MM format.`,
-                            });
-                        }
+            // Validate break times format
+            if (dayData.breakTimes && Array.isArray(dayData.breakTimes)) {
+                for (const brk of dayData.breakTimes) {
+                    if (!brk.start || !brk.end) {
+                        return { error: `Invalid break time format for ${day}.` };
+                    }
+                    if (!timeRegex.test(brk.start) || !timeRegex.test(brk.end)) {
+                        return { error: `Invalid break time format for ${day}. Use HH:MM format.` };
                     }
                 }
-
-                updates[`weeklySchedule.${day}`] = {
-                    isAvailable: dayData.isAvailable !== undefined ? dayData.isAvailable : true,
-                    slots: dayData.slots || [],
-                    breakTimes: dayData.breakTimes || [],
-                };
             }
+
+            days[day] = {
+                isAvailable: dayData.isAvailable !== undefined ? dayData.isAvailable : true,
+                slots: dayData.slots || [],
+                breakTimes: dayData.breakTimes || [],
+            };
         }
+    }
 
-        if (Object.keys(updates).length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'No valid day schedules provided.',
-            });
+    if (Object.keys(days).length === 0) {
+        return { error: 'No valid day schedules provided.' };
+    }
+
+    return { days };
+};
+
+/**
+ * @desc    Update weekly schedule
+ * @route   PUT /api/doctor/availability/weekly-schedule
+ * @access  Private (Doctor)
+ */
+const updateWeeklySchedule = async (req, res) => {
+    try {
+        const parsed = parseWeeklySchedule(req.body.weeklySchedule);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
         }
 
+        const updates = {};
+        Object.entries(parsed.days).forEach(([day, dayData]) => {
+            updates[`weeklySchedule.${day}`] = dayData;
+        });
+
         const doctor = await Doctor.findByIdAndUpdate(
             req.user._id,
             { $set: updates },
@@ -132,6 +140,83 @@ const updateWeeklySchedule = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Update online consultation schedule
+ * @route   PUT /api/doctor/availability/online-schedule
+ * @access  Private (Doctor)
+ */
+const updateOnlineSchedule = async (req, res) => {
+    try {
+        const parsed = parseWeeklySchedule(req.body.weeklySchedule);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        const updates = {};
+        Object.entries(parsed.days).forEach(([day, dayData]) => {
+            updates[`onlineSchedule.${day}`] = dayData;
+        });
+
+        const doctor = await Doctor.findByIdAndUpdate(
+            req.user._id,
+            { $set: updates },
+            { new: true }
+        ).select('onlineSchedule');
+
+        res.status(200).json({
+            success: true,
+            message: 'Online schedule updated successfully.',
+            data: { onlineSchedule: doctor.onlineSchedule },
+        });
+    } catch (error) {
+        console.error('Update online schedule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update online schedule.' });
+    }
+};
+
+/**
+ * @desc    Update weekly schedule for one clinic
+ * @route   PUT /api/doctor/availability/clinics/:clinicId/schedule
+ * @access  Private (Doctor)
+ */
+const updateClinicSchedule = async (req, res) => {
+    try {
+        const parsed = parseWeeklySchedule(req.body.weeklySchedule);
+        if (parsed.error) {
+            return res.status(400).json({ success: false, message: parsed.error });
+        }
+
+        const doctor = await Doctor.findById(req.user._id).select('clinics');
+        if (!doctor) {
+            return res.status(404).json({ success: false, message: 'Doctor not found.' });
+        }
+
+        const clinic = doctor.clinics.id(req.params.clinicId);
+        if (!clinic) {
+            return res.status(404).json({ success: false, message: 'Clinic not found.' });
+        }
+
+        Object.entries(parsed.days).forEach(([day, dayData]) => {
+            clinic.weeklySchedule[day] = dayData;
+        });
+
+        await doctor.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Clinic schedule updated successfully.',
+            data: {
+                clinicId: clinic._id,
+                clinicName: clinic.clinicName,
+                weeklySchedule: clinic.weeklySchedule,
+            },
+        });
+    } catch (error) {
+        console.error('Update clinic schedule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update clinic schedule.' });
+    }
+};
+
 /**
  * @desc    Update slot configuration
  * @route   PUT /api/doctor/availability/slot-config
@@ -197,62 +282,283 @@ const updateSlotConfig = async (req, res) => {
     }
 };
 /**
-
- * @desc    Add custom date override
- * @route   POST /api/doctor/availability/custom-date
- * @access  Private (Doctor)
+ * Schedule change builders
+ * Each validates a request body against the doctor's current availability and
+ * returns { error } or { entry, range } where range bounds the dates the change
+ * can affect. Shared by the save endpoints and the conflict preview.
  */
-const addCustomDateOverride = async (req, res) => {
-    try {
-        const { date, isAvailable, reason, slots } = req.body;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_RANGE_DAYS = 365;
+
+const parseDay = (value) => {
+    if (!value) return null;
+    const day = new Date(value);
+    day.setHours(0, 0, 0, 0);
+    return Number.isNaN(day.getTime()) ? null : day;
+};
 
-        if (!date) {
-            return res.status(400).json({ success: false, message: 'Date is required.' });
+const startOfToday = () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+};
+
+const validateTimeRanges = (ranges, label) => {
+    for (const range of ranges || []) {
+        if (!range.start || !range.end || !TIME_REGEX.test(range.start) || !TIME_REGEX.test(range.end)) {
+            return `Invalid ${label} format. Use HH:MM format (e.g., "09:00").`;
+        }
+        if (range.start >= range.end) {
+            return `Start time must be before end time for ${label}.`;
         }
+    }
+    return null;
+};
 
-        const overrideDate = new Date(date);
-        overrideDate.setHours(0, 0, 0, 0);
+// Resolve { date | startDate, endDate } into a validated, future day range
+const parseDateRange = (body, noun) => {
+    const start = parseDay(body.startDate || body.date);
+    if (!start) return { error: 'Date is required.' };
+    if (start < startOfToday()) return { error: `Cannot add ${noun} for past dates.` };
 
-        // Cannot set overrides for past dates
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        if (overrideDate < today) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot set overrides for past dates.',
-            });
-        }
+    if (!body.endDate) return { start, end: null };
 
-        // Check if override already exists for this date
-        const doctor = await Doctor.findById(req.user._id).select('customDateOverrides');
-        const existingIndex = doctor.customDateOverrides.findIndex(
-            (o) => new Date(o.date).toDateString() === overrideDate.toDateString()
-        );
-
-        if (existingIndex !== -1) {
-            // Update existing override
-            doctor.customDateOverrides[existingIndex] = {
-                date: overrideDate,
-                isAvailable: isAvailable !== undefined ? isAvailable : false,
-                reason: reason || '',
-                slots: slots || [],
-            };
-        } else {
-            // Add new override
-            doctor.customDateOverrides.push({
-                date: overrideDate,
-                isAvailable: isAvailable !== undefined ? isAvailable : false,
-                reason: reason || '',
-                slots: slots || [],
-            });
+    const end = parseDay(body.endDate);
+    if (!end || end < start) return { error: 'End date must be on or after the start date.' };
+    if ((end - start) / (24 * 60 * 60 * 1000) >= MAX_RANGE_DAYS) {
+        return { error: `A date range cannot exceed ${MAX_RANGE_DAYS} days.` };
+    }
+    return { start, end: end > start ? end : null };
+};
+
+const rangesOverlap = (a, b) =>
+    a.date <= new Date(b.endDate || b.date) && new Date(a.endDate || a.date) >= b.date;
+
+const buildHoliday = (body, doctor) => {
+    const { start, end, error } = parseDateRange(body, 'holidays');
+    if (error) return { error };
+
+    const entry = { date: start, endDate: end, reason: body.reason || 'Holiday' };
+    if ((doctor.holidays || []).some((h) => rangesOverlap(entry, h))) {
+        return { error: 'Holiday already exists for this date.' };
+    }
+
+    return { entry, range: { from: start, to: end || start } };
+};
+
+const buildDateOverride = (body) => {
+    const { start, end, error } = parseDateRange(body, 'overrides');
+    if (error) return { error };
+
+    const isAvailable = body.isAvailable !== undefined ? body.isAvailable : false;
+    const slotError = validateTimeRanges(body.slots, 'override slots');
+    if (slotError) return { error: slotError };
+    if (isAvailable && (!body.slots || body.slots.length === 0)) {
+        return { error: 'Slots are required when marking a date as available.' };
+    }
+
+    return {
+        entry: {
+            date: start,
+            endDate: end,
+            isAvailable,
+            reason: body.reason || '',
+            slots: body.slots || [],
+        },
+        range: { from: start, to: end || start },
+    };
+};
+
+const buildAvailabilityRule = (body, doctor) => {
+    const dayOfWeek = typeof body.dayOfWeek === 'string'
+        ? ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].indexOf(body.dayOfWeek.toLowerCase())
+        : body.dayOfWeek;
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+        return { error: 'dayOfWeek must be a day name or a number from 0 (Sunday) to 6 (Saturday).' };
+    }
+
+    const weeksOfMonth = body.weeksOfMonth || [];
+    if (!Array.isArray(weeksOfMonth) || weeksOfMonth.some((w) => ![1, 2, 3, 4, 5, -1].includes(w))) {
+        return { error: 'weeksOfMonth must contain week numbers 1-5, or -1 for the last week.' };
+    }
+
+    const isAvailable = body.isAvailable !== undefined ? body.isAvailable : false;
+    const slotError = validateTimeRanges(body.slots, 'rule slots');
+    if (slotError) return { error: slotError };
+    if (isAvailable && (!body.slots || body.slots.length === 0)) {
+        return { error: 'Slots are required for a rule that changes working hours.' };
+    }
+
+    if (body.clinicId && !(doctor.clinics || []).some((c) => c._id.toString() === body.clinicId.toString())) {
+        return { error: 'Clinic not found.' };
+    }
+
+    const startDate = body.startDate ? parseDay(body.startDate) : null;
+    const endDate = body.endDate ? parseDay(body.endDate) : null;
+    if ((body.startDate && !startDate) || (body.endDate && !endDate) || (startDate && endDate && endDate < startDate)) {
+        return { error: 'Invalid rule date range.' };
+    }
+    if (endDate && endDate < startOfToday()) {
+        return { error: 'Cannot add rules that end in the past.' };
+    }
+
+    return {
+        entry: {
+            dayOfWeek,
+            weeksOfMonth,
+            isAvailable,
+            slots: isAvailable ? body.slots : [],
+            clinicId: body.clinicId || null,
+            startDate,
+            endDate,
+            reason: body.reason || '',
+        },
+        range: { from: startDate, to: endDate },
+    };
+};
+
+const buildBlockedSlot = (body, doctor) => {
+    const { date, start, end, reason, recurrence = 'none', until } = body;
+
+    if (!date || !start || !end) {
+        return { error: 'Date, start, end, and block status are required.' };
+    }
+
+    if (!TIME_REGEX.test(start) || !TIME_REGEX.test(end) || start >= end) {
+        return { error: 'Invalid time range. Use HH:MM format with start before end.' };
+    }
+
+    if (!['none', 'daily', 'weekly'].includes(recurrence)) {
+        return { error: 'Recurrence must be none, daily, or weekly.' };
+    }
+
+    const slotDate = parseDay(date);
+    if (!slotDate || slotDate < startOfToday()) {
+        return { error: 'Cannot block slots for past dates.' };
+    }
+
+    let untilDate = null;
+    if (recurrence !== 'none' && until) {
+        untilDate = parseDay(until);
+        if (!untilDate || untilDate < slotDate) {
+            return { error: 'Recurrence end date must be on or after the start date.' };
         }
+    }
 
-        await doctor.save();
+    const duplicate = (doctor.blockedSlots || []).some(
+        (b) => b.start === start && b.end === end && b.recurrence === recurrence
+            && new Date(b.date).toDateString() === slotDate.toDateString()
+    );
+    if (duplicate) {
+        return { error: 'This slot is already blocked.' };
+    }
+
+    return {
+        entry: {
+            date: slotDate,
+            start,
+            end,
+            reason: reason || '',
+            recurrence,
+            until: untilDate,
+            skipDates: [],
+        },
+        range: { from: slotDate, to: recurrence === 'none' ? slotDate : untilDate },
+    };
+};
+
+const SCHEDULE_CHANGES = {
+    holiday: {
+        field: 'holidays',
+        build: buildHoliday,
+        cancellationReason: (entry) => `Doctor on leave: ${entry.reason}`,
+    },
+    'custom-date': {
+        field: 'customDateOverrides',
+        build: buildDateOverride,
+        cancellationReason: (entry) => `Doctor unavailable: ${entry.reason || 'Schedule change'}`,
+        // An override for exactly the same dates replaces the existing one
+        replaces: (existing, entry) => new Date(existing.date).toDateString() === entry.date.toDateString()
+            && (existing.endDate ? new Date(existing.endDate).toDateString() : null)
+                === (entry.endDate ? entry.endDate.toDateString() : null),
+    },
+    rule: {
+        field: 'availabilityRules',
+        build: buildAvailabilityRule,
+        cancellationReason: (entry) => `Doctor unavailable: ${entry.reason || 'Schedule change'}`,
+    },
+    block: {
+        field: 'blockedSlots',
+        build: buildBlockedSlot,
+        cancellationReason: (entry) => entry.reason || 'Slot blocked by doctor',
+    },
+};
+
+// Doctor availability with one change applied (pure, for conflict detection)
+const applyScheduleChange = (doctor, type, entry) => {
+    const { field, replaces } = SCHEDULE_CHANGES[type];
+    const kept = (doctor[field] || []).filter((existing) => !replaces || !replaces(existing, entry));
+    return { ...doctor, [field]: [...kept, entry] };
+};
+
+/**
+ * Validate and save a schedule change, then cancel (and refund) the
+ * appointments it displaces
+ * @returns {{ error?: string, doctor?: Object, entry?: Object, replaced?: boolean, outcome?: Object }}
+ */
+const saveScheduleChange = async (doctorId, type, body) => {
+    const { field, build, replaces, cancellationReason } = SCHEDULE_CHANGES[type];
+
+    const doctor = await Doctor.findById(doctorId).select(AVAILABILITY_FIELDS);
+    if (!doctor) return { error: 'Doctor not found.', statusCode: 404 };
+
+    const current = doctor.toObject();
+    const built = build(body, current);
+    if (built.error) return { error: built.error, statusCode: 400 };
+
+    const conflicts = await findScheduleConflicts(current, applyScheduleChange(current, type, built.entry), built.range);
+
+    const existingIndex = replaces ? doctor[field].findIndex((existing) => replaces(existing, built.entry)) : -1;
+    if (existingIndex !== -1) {
+        doctor[field][existingIndex] = built.entry;
+    } else {
+        doctor[field].push(built.entry);
+    }
+    if (type === 'holiday') {
+        doctor.holidays.sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+    await doctor.save();
+
+    const saved = existingIndex !== -1 ? doctor[field][existingIndex] : doctor[field][doctor[field].length - 1];
+    const outcome = await cancelDisplacedAppointments({
+        appointmentIds: conflicts.map((a) => a._id),
+        reason: cancellationReason(built.entry),
+        cancelledBy: 'doctor',
+    });
+
+    return { doctor, entry: saved, replaced: existingIndex !== -1, outcome };
+};
+
+/**
+ * @desc    Add custom date override (single date or date range)
+ * @route   POST /api/doctor/availability/custom-date
+ * @access  Private (Doctor)
+ */
+const addCustomDateOverride = async (req, res) => {
+    try {
+        const result = await saveScheduleChange(req.user._id, 'custom-date', req.body);
+        if (result.error) {
+            return res.status(result.statusCode).json({ success: false, message: result.error });
+        }
 
         res.status(201).json({
             success: true,
-            message: existingIndex !== -1 ? 'Date override updated.' : 'Date override added.',
-            data: { customDateOverrides: doctor.customDateOverrides },
+            message: result.replaced ? 'Date override updated.' : 'Date override added.',
+            data: {
+                customDateOverrides: result.doctor.customDateOverrides,
+                cancelledAppointments: result.outcome.cancelled,
+                refundedAppointments: result.outcome.refunded,
+            },
         });
     } catch (error) {
         console.error('Add custom date override error:', error);
@@ -287,79 +593,24 @@ const removeCustomDateOverride = async (req, res) => {
 };
 
 /**
- * @desc    Add holiday / leave
+ * @desc    Add holiday / leave (single date or date range)
  * @route   POST /api/doctor/availability/holidays
  * @access  Private (Doctor)
  */
 const addHoliday = async (req, res) => {
     try {
-        const { date, reason } = req.body;
-
-        if (!date) {
-            return res.status(400).json({ success: false, message: 'Date is required.' });
-        }
-
-        const holidayDate = new Date(date);
-        holidayDate.setHours(0, 0, 0, 0);
-
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-        if (holidayDate < today) {
-            return res.status(400).json({
-                success: false,
-                message: 'Cannot add holidays for past dates.',
-            });
+        const result = await saveScheduleChange(req.user._id, 'holiday', req.body);
+        if (result.error) {
+            return res.status(result.statusCode).json({ success: false, message: result.error });
         }
 
-        // Check for duplicate
-        const doctor = await Doctor.findById(req.user._id).select('holidays');
-        const exists = doctor.holidays.some(
-            (h) => new Date(h.date).toDateString() === holidayDate.toDateString()
-        );
-
-        if (exists) {
-            return res.status(400).json({
-                success: false,
-                message: 'Holiday already exists for this date.',
-            });
-        }
-
-        doctor.holidays.push({
-            date: holidayDate,
-            reason: reason || 'Holiday',
-        });
-
-        // Sort holidays by date
-        doctor.holidays.sort((a, b) => new Date(a.date) - new Date(b.date));
-
-        await doctor.save();
-
-        // Cancel any pending/confirmed appointments on this date
-        const nextDay = new Date(holidayDate);
-        nextDay.setDate(nextDay.getDate() + 1);
-
-        const affectedAppointments = await Appointment.updateMany(
-            {
-                doctor: req.user._id,
-                appointmentDate: { $gte: holidayDate, $lt: nextDay },
-                status: { $in: ['pending', 'confirmed'] },
-            },
-            {
-                $set: {
-                    status: 'cancelled',
-                    cancellationReason: `Doctor on leave: ${reason || 'Holiday'}`,
-                    cancelledBy: 'doctor',
-                    cancelledAt: new Date(),
-                },
-            }
-        );
-
         res.status(201).json({
             success: true,
             message: 'Holiday added successfully.',
             data: {
-                holidays: doctor.holidays,
-                cancelledAppointments: affectedAppointments.modifiedCount,
+                holidays: result.doctor.holidays,
+                cancelledAppointments: result.outcome.cancelled,
+                refundedAppointments: result.outcome.refunded,
             },
         });
     } catch (error) {
@@ -395,196 +646,143 @@ const removeHoliday = async (req, res) => {
 };
 
 /**
- * @desc    Get available slots for a specific date
- * @route   GET /api/doctor/availability/slots/:date
- * @access  Private (Doctor) / Public (for booking)
+ * @desc    Add recurring availability rule (e.g. every 2nd Saturday off)
+ * @route   POST /api/doctor/availability/rules
+ * @access  Private (Doctor)
  */
-const getAvailableSlots = async (req, res) => {
+const addAvailabilityRule = async (req, res) => {
     try {
-        const { date } = req.params;
-        const doctorId = req.params.doctorId || req.user._id;
+        const result = await saveScheduleChange(req.user._id, 'rule', req.body);
+        if (result.error) {
+            return res.status(result.statusCode).json({ success: false, message: result.error });
+        }
 
-        const requestedDate = new Date(date);
-        requestedDate.setHours(0, 0, 0, 0);
+        res.status(201).json({
+            success: true,
+            message: 'Availability rule added.',
+            data: {
+                rule: result.entry,
+                availabilityRules: result.doctor.availabilityRules,
+                cancelledAppointments: result.outcome.cancelled,
+                refundedAppointments: result.outcome.refunded,
+            },
+        });
+    } catch (error) {
+        console.error('Add availability rule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add availability rule.' });
+    }
+};
+
+/**
+ * @desc    Remove recurring availability rule
+ * @route   DELETE /api/doctor/availability/rules/:ruleId
+ * @access  Private (Doctor)
+ */
+const removeAvailabilityRule = async (req, res) => {
+    try {
+        const { ruleId } = req.params;
+
+        const doctor = await Doctor.findByIdAndUpdate(
+            req.user._id,
+            { $pull: { availabilityRules: { _id: ruleId } } },
+            { new: true }
+        ).select('availabilityRules');
 
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        res.status(200).json({
+            success: true,
+            message: 'Availability rule removed.',
+            data: { availabilityRules: doctor.availabilityRules },
+        });
+    } catch (error) {
+        console.error('Remove availability rule error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove availability rule.' });
+    }
+};
 
-        if (requestedDate < today) {
+/**
+ * @desc    Preview which appointments a schedule change would cancel, without saving it
+ * @route   POST /api/doctor/availability/preview
+ * @access  Private (Doctor)
+ *
+ * Body: { type: 'holiday' | 'custom-date' | 'rule' | 'block', ...same fields as the save endpoint }
+ */
+const previewScheduleChange = async (req, res) => {
+    try {
+        const { type } = req.body;
+        if (!SCHEDULE_CHANGES[type]) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot view slots for past dates.',
+                message: `Type must be one of: ${Object.keys(SCHEDULE_CHANGES).join(', ')}.`,
             });
         }
 
-        const doctor = await Doctor.findById(doctorId)
-            .select('weeklySchedule customDateOverrides holidays slotConfig maxDailyAppointments')
-            .lean();
-
+        const doctor = await Doctor.findById(req.user._id).select(AVAILABILITY_FIELDS).lean();
         if (!doctor) {
             return res.status(404).json({ success: false, message: 'Doctor not found.' });
         }
 
-        // Check if it's a holiday
-        const isHoliday = doctor.holidays.some(
-            (h) => new Date(h.date).toDateString() === requestedDate.toDateString()
-        );
-
-        if (isHoliday) {
-            return res.status(200).json({
-                success: true,
-                data: {
-                    date: requestedDate,
-                    isAvailable: false,
-                    reason: 'Holiday',
-                    slots: [],
-                },
-            });
+        const built = SCHEDULE_CHANGES[type].build(req.body, doctor);
+        if (built.error) {
+            return res.status(400).json({ success: false, message: built.error });
         }
 
-        // Check for custom date override
-        const customOverride = doctor.customDateOverrides.find(
-            (o) => new Date(o.date).toDateString() === requestedDate.toDateString()
-        );
-
-        let daySchedule;
-        if (customOverride) {
-            if (!customOverride.isAvailable) {
-                return res.status(200).json({
-                    success: true,
-                    data: {
-                        date: requestedDate,
-                        isAvailable: false,
-                        reason: customOverride.reason || 'Unavailable',
-                        slots: [],
-                    },
-                });
-            }
-            daySchedule = { isAvailable: true, slots: customOverride.slots, breakTimes: [] };
-        } else {
-            // Get weekly schedule for this day
-            const dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-            const dayName = dayNames[requestedDate.getDay()];
-            daySchedule = doctor.weeklySchedule[dayName];
-        }
+        const conflicts = await findScheduleConflicts(doctor, applyScheduleChange(doctor, type, built.entry), built.range);
 
-        if (!daySchedule || !daySchedule.isAvailable || !daySchedule.slots || daySchedule.slots.length === 0) {
-            return res.status(200).json({
-                success: true,
-                data: {
-                    date: requestedDate,
-                    isAvailable: false,
-                    reason: 'Not available on this day',
-                    slots: [],
-                },
-            });
-        }
+        res.status(200).json({
+            success: true,
+            data: {
+                type,
+                change: built.entry,
+                totalConflicts: conflicts.length,
+                conflicts: conflicts.map((a) => ({
+                    appointmentId: a._id,
+                    appointmentDate: a.appointmentDate,
+                    timeSlot: a.timeSlot,
+                    status: a.status,
+                    consultationType: a.consultationType,
+                    clinicName: a.clinic?.clinicName || '',
+                    patient: a.patient ? { _id: a.patient._id, fullName: a.patient.fullName } : null,
+                })),
+            },
+        });
+    } catch (error) {
+        console.error('Preview schedule change error:', error);
+        res.status(500).json({ success: false, message: 'Failed to preview schedule change.' });
+    }
+};
 
-        // Generate individual time slots based on slot config
-        const { slotDuration, bufferTime } = doctor.slotConfig;
-        const generatedSlots = [];
-
-        for (const timeRange of daySchedule.slots) {
-            const [startHour, startMin] = timeRange.start.split(':').map(Number);
-            const [endHour, endMin] = timeRange.end.split(':').map(Number);
-
-            let currentMinutes = startHour * 60 + startMin;
-            const endMinutes = endHour * 60 + endMin;
-
-            while (currentMinutes + slotDuration <= endMinutes) {
-                const slotStart = `${Math.floor(currentMinutes / 60).toString().padStart(2, '0')}:${(currentMinutes % 60).toString().padStart(2, '0')}`;
-                const slotEndMin = currentMinutes + slotDuration;
-                const slotEnd = `${Math.floor(slotEndMin / 60).toString().padStart(2, '0')}:${(slotEndMin % 60).toString().padStart(2, '0')}`;
-
-                // Check if slot falls within break time
-                let isBreak = false;
-                if (daySchedule.breakTimes) {
-                    for (const brk of daySchedule.breakTimes) {
-                        const [bStartH, bStartM] = brk.start.split(':').map(Number);
-                        const [bEndH, bEndM] = brk.end.split(':').map(Number);
-                        const breakStart = bStartH * 60 + bStartM;
-                        const breakEnd = bEndH * 60 + bEndM;
-
-                        if (currentMinutes < breakEnd && slotEndMin > breakStart) {
-                            isBreak = true;
-                            break;
-                        }
-                    }
-                }
+/**
+ * @desc    Get available slots for a specific date
+ * @route   GET /api/doctor/availability/slots/:date?consultationType=offline&clinicId=...
+ * @access  Private (Doctor) / Public (for booking)
+ */
+const getAvailableSlots = async (req, res) => {
+    try {
+        const { date } = req.params;
+        const { consultationType, clinicId } = req.query;
+        const doctorId = req.params.doctorId || req.user._id;
 
-                if (!isBreak) {
-                    generatedSlots.push({
-                        start: slotStart,
-                        end: slotEnd,
-                        isAvailable: true,
-                    });
-                }
+        const availability = await getAvailabilityForDate(doctorId, date, { consultationType, clinicId });
 
-                currentMinutes = slotEndMin + bufferTime;
-            }
+        if (availability.code === AVAILABILITY_CODES.DOCTOR_NOT_FOUND) {
+            return res.status(404).json({ success: false, message: 'Doctor not found.' });
         }
 
-        // Check existing bookings for this date
-        const nextDay = new Date(requestedDate);
-        nextDay.setDate(nextDay.getDate() + 1);
-
-        const existingBookings = await Appointment.find({
-            doctor: doctorId,
-            appointmentDate: { $gte: requestedDate, $lt: nextDay },
-            status: { $in: ['pending', 'confirmed', 'ongoing'] },
-        })
-            .select('timeSlot')
-            .lean();
-
-        // Mark booked slots as unavailable
-        const maxPerSlot = doctor.slotConfig.maxAppointmentsPerSlot || 1;
-
-        for (const slot of generatedSlots) {
-            const bookingsForSlot = existingBookings.filter(
-                (b) => b.timeSlot.start === slot.start && b.timeSlot.end === slot.end
-            );
-            if (bookingsForSlot.length >= maxPerSlot) {
-                slot.isAvailable = false;
-                slot.bookedCount = bookingsForSlot.length;
-            } else {
-                slot.bookedCount = bookingsForSlot.length;
-                slot.remainingSlots = maxPerSlot - bookingsForSlot.length;
-            }
+        if (availability.code === AVAILABILITY_CODES.CLINIC_NOT_FOUND) {
+            return res.status(404).json({ success: false, message: 'Clinic not found.', code: availability.code });
         }
 
-        // If today, filter out past time slots
-        if (requestedDate.toDateString() === today.toDateString()) {
-            const now = new Date();
-            const currentTimeMinutes = now.getHours() * 60 + now.getMinutes();
-
-            for (const slot of generatedSlots) {
-                const [slotH, slotM] = slot.start.split(':').map(Number);
-                if (slotH * 60 + slotM <= currentTimeMinutes) {
-                    slot.isAvailable = false;
-                    slot.isPast = true;
-                }
-            }
+        if (availability.code === AVAILABILITY_CODES.PAST_DATE || availability.code === AVAILABILITY_CODES.INVALID_DATE) {
+            return res.status(400).json({
+                success: false,
+                message: availability.code === AVAILABILITY_CODES.PAST_DATE
+                    ? 'Cannot view slots for past dates.'
+                    : 'Invalid date.',
+                code: availability.code,
+            });
         }
 
-        // Check daily appointment limit
-        const totalBookedToday = existingBookings.length;
-        const dailyLimitReached = totalBookedToday >= doctor.maxDailyAppointments;
-
-        res.status(200).json({
-            success: true,
-            data: {
-                date: requestedDate,
-                isAvailable: true,
-                slotConfig: doctor.slotConfig,
-                totalSlots: generatedSlots.length,
-                availableSlots: generatedSlots.filter((s) => s.isAvailable).length,
-                bookedSlots: generatedSlots.filter((s) => !s.isAvailable && !s.isPast).length,
-                dailyLimitReached,
-                totalBookedToday,
-                maxDailyAppointments: doctor.maxDailyAppointments,
-                slots: generatedSlots,
-            },
-        });
+        res.status(200).json({ success: true, data: availability });
     } catch (error) {
         console.error('Get available slots error:', error);
         res.status(500).json({ success: false, message: 'Failed to generate available slots.' });
@@ -592,15 +790,19 @@ const getAvailableSlots = async (req, res) => {
 };
 
 /**
- * @desc    Manually block/unblock a specific slot
+ * @desc    Block a time range (optionally recurring) or unblock it again
  * @route   PUT /api/doctor/availability/block-slot
  * @access  Private (Doctor)
+ *
+ * Block:   { date, start, end, block: true, reason?, recurrence?: 'none'|'daily'|'weekly', until? }
+ * Unblock: { blockId, block: false } removes a whole block (series);
+ *          { date, start, end, block: false } unblocks that date only
  */
 const toggleSlotBlock = async (req, res) => {
     try {
-        const { date, start, end, block, reason } = req.body;
+        const { date, start, end, block, blockId } = req.body;
 
-        if (!date || !start || !end || block === undefined) {
+        if (block === undefined || (!blockId && (!date || !start || !end))) {
             return res.status(400).json({
                 success: false,
                 message: 'Date, start, end, and block status are required.',
@@ -610,48 +812,60 @@ const toggleSlotBlock = async (req, res) => {
         const slotDate = new Date(date);
         slotDate.setHours(0, 0, 0, 0);
 
-        const doctor = await Doctor.findById(req.user._id).select('customDateOverrides weeklySchedule');
-
-        // Find or create custom date override for this date
-        let override = doctor.customDateOverrides.find(
-            (o) => new Date(o.date).toDateString() === slotDate.toDateString()
-        );
-
-        if (block) {
-            // To block a slot, we add a custom override that marks specific slots as unavailable
-            // For simplicity, we'll cancel any existing appointment in this slot
-            const nextDay = new Date(slotDate);
-            nextDay.setDate(nextDay.getDate() + 1);
-
-            const affectedAppointments = await Appointment.updateMany(
-                {
-                    doctor: req.user._id,
-                    appointmentDate: { $gte: slotDate, $lt: nextDay },
-                    'timeSlot.start': start,
-                    'timeSlot.end': end,
-                    status: { $in: ['pending', 'confirmed'] },
-                },
-                {
-                    $set: {
-                        status: 'cancelled',
-                        cancellationReason: reason || 'Slot blocked by doctor',
-                        cancelledBy: 'doctor',
-                        cancelledAt: new Date(),
-                    },
+        if (!block) {
+            const doctor = await Doctor.findById(req.user._id).select('blockedSlots');
+            if (!doctor) {
+                return res.status(404).json({ success: false, message: 'Doctor not found.' });
+            }
+
+            if (blockId) {
+                const existing = doctor.blockedSlots.id(blockId);
+                if (!existing) {
+                    return res.status(404).json({ success: false, message: 'Blocked slot not found.' });
+                }
+                existing.deleteOne();
+            } else {
+                const matching = doctor.blockedSlots.filter(
+                    (b) => b.start === start && b.end === end && blockAppliesOn(b, slotDate)
+                );
+                if (matching.length === 0) {
+                    return res.status(404).json({ success: false, message: 'No block found for this slot.' });
                 }
-            );
+                // One-off blocks are removed; recurring blocks only skip this date
+                matching.forEach((b) => {
+                    if (b.recurrence === 'none') {
+                        b.deleteOne();
+                    } else {
+                        b.skipDates.push(slotDate);
+                    }
+                });
+            }
 
-            res.status(200).json({
-                success: true,
-                message: `Slot ${start}-${end} blocked on ${slotDate.toDateString()}.`,
-                data: { cancelledAppointments: affectedAppointments.modifiedCount },
-            });
-        } else {
-            res.status(200).json({
+            await doctor.save();
+
+            return res.status(200).json({
                 success: true,
-                message: `Slot ${start}-${end} unblocked on ${slotDate.toDateString()}.`,
+                message: blockId ? 'Blocked slot removed.' : `Slot ${start}-${end} unblocked on ${slotDate.toDateString()}.`,
+                data: { blockedSlots: doctor.blockedSlots },
             });
         }
+
+        const result = await saveScheduleChange(req.user._id, 'block', req.body);
+        if (result.error) {
+            return res.status(result.statusCode).json({ success: false, message: result.error });
+        }
+
+        const blockedSlot = result.entry;
+        res.status(200).json({
+            success: true,
+            message: `Slot ${start}-${end} blocked from ${slotDate.toDateString()}${blockedSlot.recurrence !== 'none' ? ` (${blockedSlot.recurrence})` : ''}.`,
+            data: {
+                blockedSlot,
+                cancelledAppointments: result.outcome.cancelled,
+                refundedAppointments: result.outcome.refunded,
+                failedRefunds: result.outcome.refundFailed,
+            },
+        });
     } catch (error) {
         console.error('Toggle slot block error:', error);
         res.status(500).json({ success: false, message: 'Failed to toggle slot block.' });
@@ -661,11 +875,16 @@ const toggleSlotBlock = async (req, res) => {
 module.exports = {
     getAvailability,
     updateWeeklySchedule,
+    updateOnlineSchedule,
+    updateClinicSchedule,
     updateSlotConfig,
     addCustomDateOverride,
     removeCustomDateOverride,
     addHoliday,
     removeHoliday,
+    addAvailabilityRule,
+    removeAvailabilityRule,
+    previewScheduleChange,
     getAvailableSlots,
     toggleSlotBlock,
 };
\ No newline at end of file
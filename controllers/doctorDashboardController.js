@@ -3,6 +3,7 @@ const Payment = require('../models/Payment');
 const Review = require('../models/Review');
 const Notification = require('../models/Notification');
 const Doctor = require('../models/Doctor');
+const { resolveDaySchedule, AVAILABILITY_FIELDS } = require('../utils/availability');
 
 /**
  * @desc    Get doctor dashboard overview
@@ -298,15 +299,54 @@ const getTodaySchedule = async (req, res) => {
         const tomorrow = new Date(today);
         tomorrow.setDate(tomorrow.getDate() + 1);
 
-        const appointments = await Appointment.find({
-            doctor: doctorId,
-            appointmentDate: { $gte: today, $lt: tomorrow },
-            status: { $in: ['confirmed', 'ongoing', 'completed', 'pending'] },
-        })
-            .populate('patient', 'fullName email mobileNumber profilePhoto gender dateOfBirth')
-            .populate('payment', 'status amount')
-            .sort({ 'timeSlot.start': 1 })
-            .lean();
+        const [appointments, doctor] = await Promise.all([
+            Appointment.find({
+                doctor: doctorId,
+                appointmentDate: { $gte: today, $lt: tomorrow },
+                status: { $in: ['confirmed', 'ongoing', 'completed', 'pending'] },
+            })
+                .populate('patient', 'fullName email mobileNumber profilePhoto gender dateOfBirth')
+                .populate('payment', 'status amount')
+                .sort({ 'timeSlot.start': 1 })
+                .lean(),
+            Doctor.findById(doctorId).select(`${AVAILABILITY_FIELDS} isOnlineConsultationEnabled`).lean(),
+        ]);
+
+        // Where the doctor consults today (online and each clinic), with that location's hours and bookings
+        const describeDay = (context) => {
+            const resolved = resolveDaySchedule(doctor, today, context);
+            if (!resolved.isAvailable) return { isAvailable: false, reason: resolved.reason, hours: [], breakTimes: [] };
+            return {
+                isAvailable: true,
+                hours: resolved.daySchedule.slots.map(({ start, end }) => ({ start, end })),
+                breakTimes: (resolved.daySchedule.breakTimes || []).map(({ start, end }) => ({ start, end })),
+            };
+        };
+
+        const locations = [];
+        if (doctor) {
+            if (doctor.isOnlineConsultationEnabled !== false) {
+                locations.push({
+                    consultationType: 'online',
+                    ...describeDay({ consultationType: 'online' }),
+                    appointments: appointments.filter((a) => a.consultationType === 'online'),
+                });
+            }
+
+            (doctor.clinics || [])
+                .filter((clinic) => clinic.isActive !== false)
+                .forEach((clinic) => {
+                    locations.push({
+                        consultationType: 'offline',
+                        clinicId: clinic._id,
+                        clinicName: clinic.clinicName,
+                        ...describeDay({ consultationType: 'offline', clinicId: clinic._id }),
+                        appointments: appointments.filter(
+                            (a) => a.consultationType === 'offline' && a.clinic?.clinicId?.toString() === clinic._id.toString()
+                        ),
+                    });
+                });
+        }
 
         // Group by status
         const grouped = {
@@ -322,6 +362,7 @@ const getTodaySchedule = async (req, res) => {
                 total: appointments.length,
                 appointments,
                 grouped,
+                locations: locations.filter((l) => l.isAvailable || l.appointments.length > 0),
             },
         });
     } catch (error) {
@@ -0,0 +1,30 @@
+const { searchDrugs } = require('../utils/drugs');
+
+/**
+ * @desc    Autocomplete medicines from the drug catalogue
+ * @route   GET /api/doctor/drugs/search?q=amox&limit=10
+ * @access  Private (Doctor)
+ */
+const searchDrugCatalogue = async (req, res) => {
+    try {
+        const { q = '', limit = 10 } = req.query;
+
+        if (q.trim().length < 2) {
+            return res.status(400).json({ success: false, message: 'Type at least 2 characters to search.' });
+        }
+
+        const drugs = await searchDrugs(q, limit);
+
+        res.status(200).json({
+            success: true,
+            data: { drugs },
+        });
+    } catch (error) {
+        console.error('Search drugs error:', error);
+        res.status(500).json({ success: false, message: 'Failed to search drugs.' });
+    }
+};
+
+module.exports = {
+    searchDrugCatalogue,
+};
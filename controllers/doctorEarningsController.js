@@ -1,6 +1,9 @@
 const Payment = require('../models/Payment');
 const Doctor = require('../models/Doctor');
+const Payout = require('../models/Payout');
+const Invoice = require('../models/Invoice');
 const mongoose = require('mongoose');
+const { sendInvoicePdf } = require('../utils/invoices');
 
 /**
  * @desc    Get earnings dashboard
@@ -312,8 +315,140 @@ const getPayoutHistory = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Get settlement statements (one per payout run)
+ * @route   GET /api/doctor/earnings/statements
+ * @access  Private (Doctor)
+ */
+const getPayoutStatements = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+
+        const query = { doctor: req.user._id };
+        if (status) query.status = status;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [statements, total] = await Promise.all([
+            Payout.find(query)
+                .select('-lines -processedBy')
+                .sort({ periodEnd: -1, createdAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Payout.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                statements,
+                pagination: {
+                    total,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                },
+            },
+        });
+    } catch (error) {
+        console.error('Get payout statements error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch payout statements.' });
+    }
+};
+
+/**
+ * @desc    Get one settlement statement with its line items
+ * @route   GET /api/doctor/earnings/statements/:payoutId
+ * @access  Private (Doctor)
+ */
+const getPayoutStatement = async (req, res) => {
+    try {
+        const statement = await Payout.findOne({ _id: req.params.payoutId, doctor: req.user._id })
+            .select('-processedBy')
+            .populate('lines.appointment', 'appointmentDate timeSlot consultationType status')
+            .lean();
+
+        if (!statement) {
+            return res.status(404).json({ success: false, message: 'Statement not found.' });
+        }
+
+        res.status(200).json({ success: true, data: { statement } });
+    } catch (error) {
+        console.error('Get payout statement error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch payout statement.' });
+    }
+};
+
+/**
+ * @desc    Get invoices and credit notes for the doctor's consultations
+ * @route   GET /api/doctor/earnings/invoices
+ * @access  Private (Doctor)
+ */
+const getInvoices = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, type, financialYear } = req.query;
+
+        const query = { doctor: req.user._id };
+        if (type) query.type = type;
+        if (financialYear) query.financialYear = financialYear;
+
+        const skip = (parseInt(page) - 1) * parseInt(limit);
+
+        const [invoices, total] = await Promise.all([
+            Invoice.find(query)
+                .select('type number financialYear status issuedAt payment appointment billedTo.name amounts originalInvoice')
+                .sort({ issuedAt: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Invoice.countDocuments(query),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                invoices,
+                pagination: {
+                    total,
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    totalPages: Math.ceil(total / parseInt(limit)),
+                },
+            },
+        });
+    } catch (error) {
+        console.error('Get invoices error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch invoices.' });
+    }
+};
+
+/**
+ * @desc    Download an invoice or credit note as PDF
+ * @route   GET /api/doctor/earnings/invoices/:invoiceId/download
+ * @access  Private (Doctor)
+ */
+const downloadInvoice = async (req, res) => {
+    try {
+        const invoice = await Invoice.findOne({ _id: req.params.invoiceId, doctor: req.user._id });
+
+        if (!invoice) {
+            return res.status(404).json({ success: false, message: 'Invoice not found.' });
+        }
+
+        await sendInvoicePdf(res, invoice);
+    } catch (error) {
+        console.error('Download invoice error:', error);
+        res.status(500).json({ success: false, message: 'Failed to download invoice.' });
+    }
+};
+
 module.exports = {
     getEarningsDashboard,
     getTransactions,
     getPayoutHistory,
+    getPayoutStatements,
+    getPayoutStatement,
+    getInvoices,
+    downloadInvoice,
 };
\ No newline at end of file
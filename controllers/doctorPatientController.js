@@ -183,7 +183,7 @@ const getPatientProfile = async (req, res) => {
 
         // Get patient basic info
         const patient = await User.findById(patientId)
-            .select('fullName email mobileNumber profilePhoto gender dateOfBirth address')
+            .select('fullName email mobileNumber profilePhoto gender dateOfBirth address allergies')
             .lean();
 
         if (!patient) {
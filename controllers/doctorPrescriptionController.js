@@ -1,14 +1,33 @@
+const mongoose = require('mongoose');
 const Prescription = require('../models/Prescription');
 const Appointment = require('../models/Appointment');
-const Notification = require('../models/Notification');
+const PrescriptionTemplate = require('../models/PrescriptionTemplate');
+const { sendNotification } = require('../utils/notifications');
+const { generatePrescriptionPdf, getVerificationUrl, sendPrescriptionPdf } = require('../utils/prescriptions');
+const { checkPrescriptionSafety } = require('../utils/drugs');
+const { validateSchedule, createDoseSchedule } = require('../utils/medicationSchedule');
 
 /**
- * @desc    Create a new prescription
+ * @desc    Create a new prescription (optionally from a template via templateId)
  * @route   POST /api/doctor/prescriptions
  * @access  Private (Doctor)
  */
 const createPrescription = async (req, res) => {
     try {
+        const { templateId } = req.body;
+
+        let template = null;
+        if (templateId) {
+            if (!mongoose.isValidObjectId(templateId)) {
+                return res.status(400).json({ success: false, message: 'Invalid template ID.' });
+            }
+            template = await PrescriptionTemplate.findOne({ _id: templateId, doctor: req.user._id });
+            if (!template) {
+                return res.status(404).json({ success: false, message: 'Prescription template not found.' });
+            }
+        }
+
+        // Per-patient edits: any field sent in the body replaces the template's value for it
         const {
             appointmentId,
             diagnosis,
@@ -19,7 +38,7 @@ const createPrescription = async (req, res) => {
             lifestyleRecommendations,
             vitals,
             followUp,
-        } = req.body;
+        } = { ...template?.toPrescriptionFields(), ...req.body };
 
         // Validate required fields
         if (!appointmentId) {
@@ -41,6 +60,10 @@ const createPrescription = async (req, res) => {
                     message: `Medicine #${i + 1}: name, dosage, frequency, and duration are required.`,
                 });
             }
+            const scheduleError = validateSchedule(med.schedule);
+            if (scheduleError) {
+                return res.status(400).json({ success: false, message: `Medicine #${i + 1}: ${scheduleError}.` });
+            }
         }
 
         // Verify appointment belongs to this doctor
@@ -70,11 +93,15 @@ const createPrescription = async (req, res) => {
             });
         }
 
+        // Interactions, duplicate therapy and allergies are flagged for the doctor, not blocked
+        const safetyWarnings = await checkPrescriptionSafety({ medicines, patientId: appointment.patient._id });
+
         // Create prescription
         const prescription = await Prescription.create({
             appointment: appointmentId,
             doctor: req.user._id,
             patient: appointment.patient._id,
+            template: template?._id || null,
             diagnosis: {
                 primary: diagnosis.primary.trim(),
                 secondary: diagnosis.secondary || [],
@@ -89,6 +116,8 @@ const createPrescription = async (req, res) => {
                 timing: med.timing || 'after_meal',
                 route: med.route || 'oral',
                 instructions: med.instructions || '',
+                drug: med.drug || null,
+                schedule: med.schedule || {},
             })),
             labTests: (labTests || []).map((test) => ({
                 testName: test.testName.trim(),
@@ -101,6 +130,7 @@ const createPrescription = async (req, res) => {
             lifestyleRecommendations: lifestyleRecommendations || '',
             vitals: vitals || {},
             followUp: followUp || { required: false },
+            safetyWarnings,
             status: 'draft',
         });
 
@@ -109,10 +139,17 @@ const createPrescription = async (req, res) => {
         if (diagnosis.primary) appointment.diagnosis = diagnosis.primary;
         await appointment.save();
 
+        if (template) {
+            await PrescriptionTemplate.updateOne(
+                { _id: template._id },
+                { $inc: { usageCount: 1 }, $set: { lastUsedAt: new Date() } }
+            );
+        }
+
         res.status(201).json({
             success: true,
             message: 'Prescription created successfully.',
-            data: { prescription },
+            data: { prescription, safetyWarnings },
         });
     } catch (error) {
         console.error('Create prescription error:', error);
@@ -150,6 +187,15 @@ const updatePrescription = async (req, res) => {
             'dietaryInstructions', 'lifestyleRecommendations', 'vitals', 'followUp',
         ];
 
+        if (Array.isArray(req.body.medicines)) {
+            for (let i = 0; i < req.body.medicines.length; i++) {
+                const scheduleError = validateSchedule(req.body.medicines[i].schedule);
+                if (scheduleError) {
+                    return res.status(400).json({ success: false, message: `Medicine #${i + 1}: ${scheduleError}.` });
+                }
+            }
+        }
+
         allowedFields.forEach((field) => {
             if (req.body[field] !== undefined) {
                 prescription[field] = req.body[field];
@@ -163,12 +209,18 @@ const updatePrescription = async (req, res) => {
             changes: `Updated: ${Object.keys(req.body).filter((k) => allowedFields.includes(k)).join(', ')}`,
         });
 
+        // Re-check on every save; the patient's allergies may have changed since
+        prescription.safetyWarnings = await checkPrescriptionSafety({
+            medicines: prescription.medicines,
+            patientId: prescription.patient,
+        });
+
         await prescription.save();
 
         res.status(200).json({
             success: true,
             message: 'Prescription updated successfully.',
-            data: { prescription },
+            data: { prescription, safetyWarnings: prescription.safetyWarnings },
         });
     } catch (error) {
         console.error('Update prescription error:', error);
@@ -188,7 +240,7 @@ const sendPrescription = async (req, res) => {
         const prescription = await Prescription.findOne({
             _id: prescriptionId,
             doctor: req.user._id,
-        }).populate('patient', 'fullName email fcmToken');
+        }).populate('patient', 'fullName email fcmToken preferences');
 
         if (!prescription) {
             return res.status(404).json({ success: false, message: 'Prescription not found.' });
@@ -213,18 +265,48 @@ const sendPrescription = async (req, res) => {
         prescription.sentAt = new Date();
         await prescription.save();
 
+        // Dose reminders are a convenience; a failure here must not block sending
+        try {
+            await createDoseSchedule(prescription);
+        } catch (scheduleError) {
+            console.error('Medication schedule error:', scheduleError);
+        }
+
+        // The patient still gets the prescription in-app if the PDF cannot be rendered
+        let pdf = null;
+        try {
+            pdf = await generatePrescriptionPdf(prescription._id);
+        } catch (pdfError) {
+            console.error('Prescription PDF error:', pdfError);
+        }
+
         // Send notification to patient
-        await Notification.create({
-            recipient: prescription.patient._id,
+        await sendNotification({
+            recipientId: prescription.patient._id,
             recipientModel: 'User',
+            type: 'custom',
             title: 'Prescription Available',
             message: `Dr. ${req.user.fullName} has sent you a prescription (${prescription.prescriptionNumber}). View it in your appointments.`,
-            type: 'custom',
             data: {
                 prescriptionId: prescription._id,
                 prescriptionNumber: prescription.prescriptionNumber,
                 appointmentId: prescription.appointment,
             },
+            emailTemplate: {
+                template: 'prescriptionReady',
+                vars: {
+                    patientName: prescription.patient.fullName,
+                    doctorName: req.user.fullName,
+                    diagnosis: prescription.diagnosis.primary,
+                    prescriptionNumber: prescription.prescriptionNumber,
+                    // No PDF means no QR code (and possibly no signing secret) to point at
+                    verificationUrl: pdf ? getVerificationUrl(prescription) : '',
+                },
+            },
+            attachments: pdf
+                ? [{ filename: `${prescription.prescriptionNumber}.pdf`, content: pdf, contentType: 'application/pdf' }]
+                : undefined,
+            recipient: prescription.patient,
         });
 
         res.status(200).json({
@@ -269,6 +351,29 @@ const getPrescription = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Download a prescription as PDF
+ * @route   GET /api/doctor/prescriptions/:prescriptionId/download
+ * @access  Private (Doctor)
+ */
+const downloadPrescription = async (req, res) => {
+    try {
+        const prescription = await Prescription.findOne({
+            _id: req.params.prescriptionId,
+            doctor: req.user._id,
+        });
+
+        if (!prescription) {
+            return res.status(404).json({ success: false, message: 'Prescription not found.' });
+        }
+
+        await sendPrescriptionPdf(res, prescription);
+    } catch (error) {
+        console.error('Download prescription error:', error);
+        res.status(500).json({ success: false, message: 'Failed to generate prescription PDF.' });
+    }
+};
+
 /**
  * @desc    Get all prescriptions (with filters)
  * @route   GET /api/doctor/prescriptions
@@ -428,6 +533,7 @@ module.exports = {
     updatePrescription,
     sendPrescription,
     getPrescription,
+    downloadPrescription,
     getPrescriptions,
     getPatientPrescriptions,
     deletePrescription,
@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+const PrescriptionTemplate = require('../models/PrescriptionTemplate');
+const Prescription = require('../models/Prescription');
+const { validateSchedule } = require('../utils/medicationSchedule');
+
+const TEMPLATE_FIELDS = [
+    'name', 'description', 'isFavorite', 'diagnosis', 'medicines', 'labTests',
+    'advice', 'dietaryInstructions', 'lifestyleRecommendations',
+];
+
+/**
+ * Check a template's medicines and lab tests
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRegimen = ({ medicines = [], labTests = [] }) => {
+    if (!Array.isArray(medicines) || !Array.isArray(labTests)) return 'Medicines and lab tests must be lists.';
+    // Prescriptions need a medicine, so a template without one could never be applied
+    if (medicines.length === 0) return 'A template needs at least one medicine.';
+
+    for (let i = 0; i < medicines.length; i++) {
+        const med = medicines[i];
+        if (!med.name || !med.dosage || !med.frequency || !med.duration) {
+            return `Medicine #${i + 1}: name, dosage, frequency, and duration are required.`;
+        }
+        const scheduleError = validateSchedule(med.schedule);
+        if (scheduleError) return `Medicine #${i + 1}: ${scheduleError}.`;
+    }
+    for (let i = 0; i < labTests.length; i++) {
+        if (!labTests[i].testName) return `Lab test #${i + 1}: test name is required.`;
+    }
+    return null;
+};
+
+// A start date belongs to one patient's course, never to a template
+const withoutStartDates = (medicines = []) => medicines.map((med) => ({
+    ...med,
+    schedule: { ...(med.schedule || {}), startDate: null },
+}));
+
+const invalidIdResponse = (res) => res.status(400).json({ success: false, message: 'Invalid template ID.' });
+
+const duplicateNameResponse = (res) => res.status(409).json({
+    success: false,
+    message: 'You already have a template with this name.',
+});
+
+/**
+ * @desc    Get my prescription templates (favourites first, then most used)
+ * @route   GET /api/doctor/prescription-templates?search=fever&favorites=true
+ * @access  Private (Doctor)
+ */
+const getTemplates = async (req, res) => {
+    try {
+        const { search, favorites } = req.query;
+
+        const query = { doctor: req.user._id };
+        if (favorites === 'true') query.isFavorite = true;
+        if (search) {
+            const pattern = search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            query.$or = [
+                { name: { $regex: pattern, $options: 'i' } },
+                { 'diagnosis.primary': { $regex: pattern, $options: 'i' } },
+            ];
+        }
+
+        const templates = await PrescriptionTemplate.find(query)
+            .sort({ isFavorite: -1, usageCount: -1, name: 1 })
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            data: { templates },
+        });
+    } catch (error) {
+        console.error('Get prescription templates error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch prescription templates.' });
+    }
+};
+
+/**
+ * @desc    Get a prescription template
+ * @route   GET /api/doctor/prescription-templates/:templateId
+ * @access  Private (Doctor)
+ */
+const getTemplate = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.templateId)) return invalidIdResponse(res);
+
+        const template = await PrescriptionTemplate.findOne({
+            _id: req.params.templateId,
+            doctor: req.user._id,
+        }).lean();
+
+        if (!template) {
+            return res.status(404).json({ success: false, message: 'Prescription template not found.' });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: { template },
+        });
+    } catch (error) {
+        console.error('Get prescription template error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch prescription template.' });
+    }
+};
+
+/**
+ * @desc    Create a prescription template, from scratch or by saving one of my prescriptions
+ * @route   POST /api/doctor/prescription-templates
+ * @body    { name, description?, isFavorite?, prescriptionId? | diagnosis?, medicines, labTests?, advice?, dietaryInstructions?, lifestyleRecommendations? }
+ * @access  Private (Doctor)
+ */
+const createTemplate = async (req, res) => {
+    try {
+        const { prescriptionId } = req.body;
+
+        let fields = {};
+        TEMPLATE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) fields[field] = req.body[field];
+        });
+
+        if (prescriptionId) {
+            if (!mongoose.isValidObjectId(prescriptionId)) {
+                return res.status(400).json({ success: false, message: 'Invalid prescription ID.' });
+            }
+            const prescription = await Prescription.findOne({
+                _id: prescriptionId,
+                doctor: req.user._id,
+            }).lean();
+
+            if (!prescription) {
+                return res.status(404).json({ success: false, message: 'Prescription not found.' });
+            }
+
+            // The prescription supplies the regimen; anything in the body still wins
+            fields = {
+                diagnosis: {
+                    primary: prescription.diagnosis.primary,
+                    secondary: prescription.diagnosis.secondary,
+                    icdCodes: prescription.diagnosis.icdCodes,
+                },
+                medicines: prescription.medicines.map(({ _id, ...med }) => med),
+                labTests: prescription.labTests.map(({ _id, ...test }) => test),
+                advice: prescription.advice,
+                dietaryInstructions: prescription.dietaryInstructions,
+                lifestyleRecommendations: prescription.lifestyleRecommendations,
+                ...fields,
+            };
+        }
+
+        if (!fields.name || !String(fields.name).trim()) {
+            return res.status(400).json({ success: false, message: 'Template name is required.' });
+        }
+
+        const regimenError = validateRegimen(fields);
+        if (regimenError) {
+            return res.status(400).json({ success: false, message: regimenError });
+        }
+
+        const template = await PrescriptionTemplate.create({
+            ...fields,
+            medicines: withoutStartDates(fields.medicines),
+            doctor: req.user._id,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Prescription template created.',
+            data: { template },
+        });
+    } catch (error) {
+        if (error.code === 11000) return duplicateNameResponse(res);
+        console.error('Create prescription template error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create prescription template.' });
+    }
+};
+
+/**
+ * @desc    Update a prescription template
+ * @route   PUT /api/doctor/prescription-templates/:templateId
+ * @access  Private (Doctor)
+ */
+const updateTemplate = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.templateId)) return invalidIdResponse(res);
+
+        const template = await PrescriptionTemplate.findOne({
+            _id: req.params.templateId,
+            doctor: req.user._id,
+        });
+
+        if (!template) {
+            return res.status(404).json({ success: false, message: 'Prescription template not found.' });
+        }
+
+        if (req.body.name !== undefined && !String(req.body.name).trim()) {
+            return res.status(400).json({ success: false, message: 'Template name is required.' });
+        }
+
+        const regimenError = validateRegimen({
+            medicines: req.body.medicines !== undefined ? req.body.medicines : template.medicines,
+            labTests: req.body.labTests !== undefined ? req.body.labTests : template.labTests,
+        });
+        if (regimenError) {
+            return res.status(400).json({ success: false, message: regimenError });
+        }
+
+        TEMPLATE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) {
+                template[field] = field === 'medicines' ? withoutStartDates(req.body.medicines) : req.body[field];
+            }
+        });
+
+        await template.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Prescription template updated.',
+            data: { template },
+        });
+    } catch (error) {
+        if (error.code === 11000) return duplicateNameResponse(res);
+        console.error('Update prescription template error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update prescription template.' });
+    }
+};
+
+/**
+ * @desc    Mark or unmark a template as a favourite
+ * @route   PUT /api/doctor/prescription-templates/:templateId/favorite
+ * @access  Private (Doctor)
+ */
+const toggleFavorite = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.templateId)) return invalidIdResponse(res);
+
+        const template = await PrescriptionTemplate.findOne({
+            _id: req.params.templateId,
+            doctor: req.user._id,
+        });
+
+        if (!template) {
+            return res.status(404).json({ success: false, message: 'Prescription template not found.' });
+        }
+
+        template.isFavorite = typeof req.body.isFavorite === 'boolean' ? req.body.isFavorite : !template.isFavorite;
+        await template.save();
+
+        res.status(200).json({
+            success: true,
+            message: template.isFavorite ? 'Added to favourites.' : 'Removed from favourites.',
+            data: { template },
+        });
+    } catch (error) {
+        console.error('Toggle template favourite error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update favourite.' });
+    }
+};
+
+/**
+ * @desc    Delete a prescription template (prescriptions made from it are unaffected)
+ * @route   DELETE /api/doctor/prescription-templates/:templateId
+ * @access  Private (Doctor)
+ */
+const deleteTemplate = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.templateId)) return invalidIdResponse(res);
+
+        const template = await PrescriptionTemplate.findOneAndDelete({
+            _id: req.params.templateId,
+            doctor: req.user._id,
+        });
+
+        if (!template) {
+            return res.status(404).json({ success: false, message: 'Prescription template not found.' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Prescription template deleted.',
+        });
+    } catch (error) {
+        console.error('Delete prescription template error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete prescription template.' });
+    }
+};
+
+module.exports = {
+    getTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    toggleFavorite,
+    deleteTemplate,
+};
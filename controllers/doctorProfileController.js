@@ -1,5 +1,10 @@
 const Doctor = require('../models/Doctor');
 const mongoose = require('mongoose');
+const { getCancellationPolicy } = require('../utils/cancellationPolicy');
+const { getFeeSettings, getClinicFeeError } = require('../utils/fees');
+
+// 2-digit state code, PAN, entity number, 'Z', checksum
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
 
 /**
  * @desc    Get doctor's full profile
@@ -110,17 +115,25 @@ const updateConsultationFees = async (req, res) => {
             });
         }
 
+        const { minConsultationFee } = await getFeeSettings();
+
         const updates = {};
         if (online !== undefined) {
             if (typeof online !== 'number' || online < 0) {
                 return res.status(400).json({ success: false, message: 'Online fee must be a non-negative number.' });
             }
+            if (online < minConsultationFee) {
+                return res.status(400).json({ success: false, message: `Online fee cannot be below the minimum consultation fee of ₹${minConsultationFee}.` });
+            }
             updates['consultationFees.online'] = online;
         }
         if (offline !== undefined) {
             if (typeof offline !== 'number' || offline < 0) {
                 return res.status(400).json({ success: false, message: 'Offline fee must be a non-negative number.' });
             }
+            if (offline < minConsultationFee) {
+                return res.status(400).json({ success: false, message: `Offline fee cannot be below the minimum consultation fee of ₹${minConsultationFee}.` });
+            }
             updates['consultationFees.offline'] = offline;
         }
 
@@ -163,6 +176,12 @@ const addClinic = async (req, res) => {
             });
         }
 
+        const { minConsultationFee } = await getFeeSettings();
+        const feeError = getClinicFeeError(consultationFee, minConsultationFee);
+        if (feeError) {
+            return res.status(400).json({ success: false, message: feeError });
+        }
+
         const newClinic = {
             clinicName: clinicName.trim(),
             address: {
@@ -227,6 +246,14 @@ const updateClinic = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Clinic not found.' });
         }
 
+        if (req.body.consultationFee !== undefined) {
+            const { minConsultationFee } = await getFeeSettings();
+            const feeError = getClinicFeeError(req.body.consultationFee, minConsultationFee);
+            if (feeError) {
+                return res.status(400).json({ success: false, message: feeError });
+            }
+        }
+
         // Update allowed fields
         const allowedFields = [
             'clinicName', 'address', 'coordinates', 'consultationFee',
@@ -435,33 +462,106 @@ const updateConsultationSettings = async (req, res) => {
 };
 
 /**
- * @desc    Update bank details for payouts
+ * @desc    Set a custom cancellation refund policy (or revert to the platform policy)
+ * @route   PUT /api/doctor/profile/cancellation-policy
+ * @access  Private (Doctor)
+ */
+const updateCancellationPolicy = async (req, res) => {
+    try {
+        const { isCustom, fullRefundHours, partialRefundHours, partialRefundPercentage } = req.body;
+
+        if (typeof isCustom !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'isCustom (true/false) is required.',
+            });
+        }
+
+        const policy = { isCustom, fullRefundHours: null, partialRefundHours: null, partialRefundPercentage: null };
+
+        if (isCustom) {
+            const hours = [fullRefundHours, partialRefundHours];
+            if (hours.some((h) => typeof h !== 'number' || h < 0 || h > 168)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Refund windows must be between 0 and 168 hours.',
+                });
+            }
+            if (partialRefundHours > fullRefundHours) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Partial refund window cannot start before the full refund window ends.',
+                });
+            }
+            if (typeof partialRefundPercentage !== 'number' || partialRefundPercentage < 0 || partialRefundPercentage > 100) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Partial refund percentage must be between 0 and 100.',
+                });
+            }
+
+            Object.assign(policy, { fullRefundHours, partialRefundHours, partialRefundPercentage });
+        }
+
+        const doctor = await Doctor.findByIdAndUpdate(
+            req.user._id,
+            { $set: { cancellationPolicy: policy } },
+            { new: true, runValidators: true }
+        ).select('cancellationPolicy');
+
+        res.status(200).json({
+            success: true,
+            message: isCustom ? 'Cancellation policy updated successfully.' : 'Cancellation policy reset to the platform default.',
+            data: {
+                cancellationPolicy: doctor.cancellationPolicy,
+                effectivePolicy: await getCancellationPolicy(doctor),
+            },
+        });
+    } catch (error) {
+        console.error('Update cancellation policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update cancellation policy.',
+        });
+    }
+};
+
+/**
+ * @desc    Update bank details for payouts (and GSTIN for invoices)
  * @route   PUT /api/doctor/profile/bank-details
  * @access  Private (Doctor)
  */
 const updateBankDetails = async (req, res) => {
     try {
-        const { accountHolderName, bankName, accountNumber, ifscCode, upiId } = req.body;
+        const { accountHolderName, bankName, accountNumber, ifscCode, upiId, gstin } = req.body;
 
-        if (!accountHolderName && !bankName && !accountNumber && !ifscCode && !upiId) {
+        if (!accountHolderName && !bankName && !accountNumber && !ifscCode && !upiId && gstin === undefined) {
             return res.status(400).json({
                 success: false,
                 message: 'Please provide at least one bank detail field.',
             });
         }
 
+        if (gstin && !GSTIN_PATTERN.test(gstin.trim().toUpperCase())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid 15-character GSTIN.',
+            });
+        }
+
         const updates = {};
         if (accountHolderName !== undefined) updates['bankDetails.accountHolderName'] = accountHolderName.trim();
         if (bankName !== undefined) updates['bankDetails.bankName'] = bankName.trim();
         if (accountNumber !== undefined) updates['bankDetails.accountNumber'] = accountNumber.trim();
         if (ifscCode !== undefined) updates['bankDetails.ifscCode'] = ifscCode.trim().toUpperCase();
         if (upiId !== undefined) updates['bankDetails.upiId'] = upiId.trim();
+        if (gstin !== undefined) updates.gstin = (gstin || '').trim().toUpperCase();
 
         const doctor = await Doctor.findByIdAndUpdate(
             req.user._id,
             { $set: updates },
             { new: true }
-        ).select('bankDetails payoutCycle');
+        ).select('bankDetails payoutCycle gstin');
 
         res.status(200).json({
             success: true,
@@ -469,6 +569,7 @@ const updateBankDetails = async (req, res) => {
             data: {
                 bankDetails: doctor.bankDetails,
                 payoutCycle: doctor.payoutCycle,
+                gstin: doctor.gstin,
             },
         });
     } catch (error) {
@@ -526,6 +627,7 @@ module.exports = {
     getClinics,
     updatePrivacyControls,
     updateConsultationSettings,
+    updateCancellationPolicy,
     updateBankDetails,
     updatePayoutCycle,
 };
\ No newline at end of file
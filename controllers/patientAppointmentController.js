@@ -1,7 +1,14 @@
+const mongoose = require('mongoose');
 const Appointment = require('../models/Appointment');
 const Doctor = require('../models/Doctor');
 const Notification = require('../models/Notification');
 const Payment = require('../models/Payment');
+const { scheduleAppointmentReminders, cancelAppointmentReminders } = require('../utils/reminders');
+const { reserveSlot, releaseSlot, moveReservation } = require('../utils/slotReservation');
+const { validateSlot, findActiveClinic, AVAILABILITY_CODES } = require('../utils/availability');
+const { claimOffer, completeClaim } = require('../utils/waitlist');
+const { getCancellationPolicy, computeRefund, refundCancelledAppointment } = require('../utils/cancellationPolicy');
+const { calculateFees } = require('../utils/fees');
 
 // @desc    Book appointment
 // @route   POST /api/patient/appointments
@@ -11,47 +18,111 @@ exports.bookAppointment = async (req, res, next) => {
         const {
             doctor: doctorId, appointmentDate, timeSlot, consultationType,
             symptoms, patientNotes, reports, patientName, patientAge, patientGender,
-            clinicId,
+            clinicId, waitlistId,
         } = req.body;
 
         // Validate doctor
         const doctor = await Doctor.findOne({ _id: doctorId, verificationStatus: 'approved', isActive: true });
         if (!doctor) return res.status(404).json({ success: false, message: 'Doctor not found or not available' });
 
-        // Check slot availability
-        const existingBookings = await Appointment.countDocuments({
-            doctor: doctorId,
-            appointmentDate: new Date(appointmentDate),
-            'timeSlot.start': timeSlot.start,
-            status: { $in: ['pending', 'confirmed', 'in-progress'] },
+        // In-clinic consultations are booked against a specific clinic's schedule
+        const isOffline = consultationType !== 'online';
+        const activeClinics = doctor.clinics.filter((c) => c.isActive !== false);
+        if (isOffline && !clinicId && activeClinics.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select a clinic for an in-clinic consultation',
+                code: AVAILABILITY_CODES.CLINIC_REQUIRED,
+            });
+        }
+        const clinic = isOffline && clinicId ? findActiveClinic(doctor, clinicId) : null;
+
+        // Check the slot against the doctor's real availability
+        const check = await validateSlot({
+            doctor: doctor.toObject(),
+            date: appointmentDate,
+            timeSlot,
+            consultationType,
+            clinicId: isOffline ? clinicId : null,
+            patientId,
         });
+        if (!check.valid) {
+            return res.status(check.statusCode).json({ success: false, message: check.message, code: check.code });
+        }
 
         const maxPerSlot = doctor.slotConfig?.maxAppointmentsPerSlot || 1;
-        if (existingBookings >= maxPerSlot) {
-            return res.status(400).json({ success: false, message: 'This slot is no longer available' });
-        }
+        const slot = { start: check.slot.start, end: check.slot.end };
 
         // Calculate fees
         const fee = consultationType === 'online'
             ? doctor.consultationFees?.online || 0
-            : doctor.consultationFees?.offline || 0;
-        const platformCommission = Math.round(fee * 0.02 * 100) / 100; // 2%
-        const doctorEarning = fee - platformCommission;
-
-        const appointment = await Appointment.create({
-            patient: patientId,
-            doctor: doctorId,
-            appointmentDate: new Date(appointmentDate),
-            timeSlot,
-            consultationType,
-            symptoms,
-            patientNotes,
-            reports: reports || [],
-            patientDetails: { name: patientName, age: patientAge, gender: patientGender },
-            clinic: clinicId || null,
-            fees: { consultationFee: fee, platformCommission, doctorEarning },
-            status: 'pending',
-        });
+            : clinic?.consultationFee || doctor.consultationFees?.offline || 0;
+        const fees = await calculateFees({ amount: fee, doctor, online: consultationType === 'online' });
+
+        // Claim a seat atomically; online consultations are only held until payment completes
+        const hold = consultationType === 'online' && fee > 0;
+        let appointmentId;
+        let claim = null;
+
+        if (waitlistId) {
+            // A waitlist offer already holds this seat for the patient
+            claim = await claimOffer({ waitlistId, patientId, doctorId, date: appointmentDate, timeSlot: slot, hold });
+            if (!claim) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'This waitlist offer has expired or does not match the selected slot',
+                    code: 'WAITLIST_OFFER_UNAVAILABLE',
+                });
+            }
+            appointmentId = claim.offer.appointmentId;
+        } else {
+            appointmentId = new mongoose.Types.ObjectId();
+            const lock = await reserveSlot({
+                doctorId,
+                date: appointmentDate,
+                timeSlot: slot,
+                maxPerSlot,
+                appointmentId,
+                patientId,
+                hold,
+            });
+            if (!lock) {
+                return res.status(409).json({ success: false, message: 'This slot is no longer available', code: 'SLOT_FULL' });
+            }
+        }
+
+        let appointment;
+        try {
+            appointment = await Appointment.create({
+                _id: appointmentId,
+                patient: patientId,
+                doctor: doctorId,
+                appointmentDate: new Date(appointmentDate),
+                timeSlot: slot,
+                consultationType,
+                symptoms,
+                patientNotes,
+                reports: reports || [],
+                patientDetails: { name: patientName, age: patientAge, gender: patientGender },
+                clinic: clinic
+                    ? {
+                        clinicId: clinic._id,
+                        clinicName: clinic.clinicName,
+                        address: [clinic.address?.street, clinic.address?.city, clinic.address?.state, clinic.address?.zipCode]
+                            .filter(Boolean)
+                            .join(', '),
+                    }
+                    : undefined,
+                consultationFee: fee,
+                fees,
+                status: 'pending',
+            });
+        } catch (error) {
+            await releaseSlot(appointmentId);
+            throw error;
+        }
+
+        if (claim) await completeClaim(claim._id, appointment._id);
 
         // Notify doctor
         await Notification.create({
@@ -129,8 +200,40 @@ exports.getAppointmentDetails = async (req, res, next) => {
     }
 };
 
+// @desc    Preview the refund a cancellation would get under the current policy
+// @route   GET /api/patient/appointments/:appointmentId/cancellation-preview
+exports.getCancellationPreview = async (req, res, next) => {
+    try {
+        const appointment = await Appointment.findOne({
+            _id: req.params.appointmentId,
+            patient: req.user._id,
+            status: { $in: ['pending', 'confirmed'] },
+        }).lean();
+
+        if (!appointment) return res.status(404).json({ success: false, message: 'Appointment not found or cannot be cancelled' });
+
+        const [payment, policy] = await Promise.all([
+            appointment.payment ? Payment.findById(appointment.payment).lean() : null,
+            getCancellationPolicy(appointment.doctor),
+        ]);
+
+        const { source, ...thresholds } = policy;
+        res.status(200).json({
+            success: true,
+            data: {
+                refund: computeRefund({ appointment, payment, cancelledBy: 'patient', policy }),
+                policy: thresholds,
+                policySource: source,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 // @desc    Cancel appointment
 // @route   PUT /api/patient/appointments/:appointmentId/cancel
+// @body    { reason, refundTo: 'source' | 'wallet' }
 exports.cancelAppointment = async (req, res, next) => {
     try {
         const appointment = await Appointment.findOne({
@@ -147,33 +250,36 @@ exports.cancelAppointment = async (req, res, next) => {
         appointment.cancelledAt = new Date();
         await appointment.save();
 
-        // Auto refund if paid
-        if (appointment.paymentStatus === 'paid') {
-            appointment.paymentStatus = 'refunded';
-            await appointment.save();
-            // Create refund record
-            await Payment.create({
-                appointment: appointment._id,
-                patient: req.user._id,
-                doctor: appointment.doctor,
-                amount: appointment.fees?.consultationFee || 0,
-                type: 'refund',
-                status: 'completed',
-                refundReason: 'Patient cancellation',
-            });
-        }
+        await cancelAppointmentReminders(appointment._id);
+        await releaseSlot(appointment._id);
+
+        // Refund according to the doctor's (or platform) cancellation policy
+        const refund = await refundCancelledAppointment({
+            appointment,
+            cancelledBy: 'patient',
+            reason: `Patient cancellation: ${appointment.cancellationReason}`,
+            toWallet: req.body.refundTo === 'wallet',
+        });
 
         // Notify doctor
         await Notification.create({
             recipient: appointment.doctor,
             recipientModel: 'Doctor',
-            type: 'cancellation',
+            type: 'appointment_cancelled',
             title: 'Appointment Cancelled',
             message: `${req.user.fullName} has cancelled their appointment`,
             data: { appointmentId: appointment._id },
         });
 
-        res.status(200).json({ success: true, message: 'Appointment cancelled successfully' });
+        res.status(200).json({
+            success: true,
+            message: refund.refunded
+                ? refund.toWallet
+                    ? `Appointment cancelled. ₹${refund.amount} has been credited to your wallet.`
+                    : `Appointment cancelled. A refund of ₹${refund.amount} has been initiated.`
+                : 'Appointment cancelled successfully',
+            data: { refund },
+        });
     } catch (error) {
         next(error);
     }
@@ -192,26 +298,37 @@ exports.rescheduleAppointment = async (req, res, next) => {
 
         if (!appointment) return res.status(404).json({ success: false, message: 'Appointment not found or cannot be rescheduled' });
 
-        // Check new slot availability
-        const existingBookings = await Appointment.countDocuments({
+        // Check new slot against the doctor's real availability
+        const check = await validateSlot({
             doctor: appointment.doctor,
-            appointmentDate: new Date(newDate),
-            'timeSlot.start': newTimeSlot.start,
-            status: { $in: ['pending', 'confirmed', 'in-progress'] },
-            _id: { $ne: appointment._id },
+            date: newDate,
+            timeSlot: newTimeSlot,
+            excludeAppointmentId: appointment._id,
+            consultationType: appointment.consultationType,
+            clinicId: appointment.clinic?.clinicId,
+            patientId: req.user._id,
         });
+        if (!check.valid) {
+            return res.status(check.statusCode).json({ success: false, message: check.message, code: check.code });
+        }
 
-        if (existingBookings > 0) {
-            return res.status(400).json({ success: false, message: 'Selected slot is not available' });
+        const maxPerSlot = check.availability.slotConfig?.maxAppointmentsPerSlot || 1;
+        const slot = { start: check.slot.start, end: check.slot.end };
+        const lock = await moveReservation({ appointment, newDate, newTimeSlot: slot, maxPerSlot });
+        if (!lock) {
+            return res.status(409).json({ success: false, message: 'Selected slot is not available', code: 'SLOT_FULL' });
         }
 
         appointment.appointmentDate = new Date(newDate);
-        appointment.timeSlot = newTimeSlot;
+        appointment.timeSlot = slot;
         appointment.status = 'pending'; // Needs doctor re-confirmation
         appointment.rescheduledBy = 'patient';
         appointment.rescheduledAt = new Date();
         await appointment.save();
 
+        // Status is back to pending, so this drops reminders until the doctor re-confirms
+        await scheduleAppointmentReminders(appointment);
+
         // Notify doctor
         await Notification.create({
             recipient: appointment.doctor,
@@ -236,16 +353,24 @@ exports.joinConsultation = async (req, res, next) => {
             _id: req.params.appointmentId,
             patient: req.user._id,
             consultationType: 'online',
-            status: { $in: ['confirmed', 'in-progress'] },
+            status: { $in: ['confirmed', 'ongoing'] },
         });
 
         if (!appointment) return res.status(404).json({ success: false, message: 'Consultation not found or not available to join' });
 
+        // Turning up counts even if the doctor never starts the call (see utils/noShow)
+        if (!appointment.videoSession?.patientJoinedAt) {
+            await Appointment.updateOne(
+                { _id: appointment._id, 'videoSession.patientJoinedAt': null },
+                { $set: { 'videoSession.patientJoinedAt': new Date() } }
+            );
+        }
+
         res.status(200).json({
             success: true,
             data: {
                 appointmentId: appointment._id,
-                sessionId: appointment.consultation?.sessionId || appointment._id,
+                sessionId: appointment.videoSession?.sessionId || appointment._id,
                 doctorId: appointment.doctor,
             },
         });
@@ -0,0 +1,56 @@
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const { evaluateCoupon } = require('../utils/coupons');
+
+// @desc    Check a coupon and preview the discounted price
+// @route   POST /api/patient/coupons/validate
+// @body    { code, appointmentId } or { code, doctor, consultationType, clinicId }
+exports.validateCoupon = async (req, res, next) => {
+    try {
+        const { code, appointmentId, doctor: doctorId, consultationType = 'online', clinicId } = req.body;
+        if (!code) return res.status(400).json({ success: false, message: 'Coupon code is required' });
+
+        let doctor;
+        let amount;
+        if (appointmentId) {
+            const appointment = await Appointment.findOne({ _id: appointmentId, patient: req.user._id })
+                .populate('doctor', 'fullName specializations');
+            if (!appointment) return res.status(404).json({ success: false, message: 'Appointment not found' });
+
+            doctor = appointment.doctor;
+            amount = appointment.consultationFee;
+        } else {
+            if (!doctorId) return res.status(400).json({ success: false, message: 'Appointment or doctor is required' });
+
+            doctor = await Doctor.findOne({ _id: doctorId, verificationStatus: 'approved', isActive: true })
+                .select('fullName specializations consultationFees clinics')
+                .lean();
+            if (!doctor) return res.status(404).json({ success: false, message: 'Doctor not found or not available' });
+
+            const clinic = consultationType !== 'online' && clinicId
+                ? doctor.clinics.find((c) => c._id.toString() === clinicId.toString())
+                : null;
+            amount = consultationType === 'online'
+                ? doctor.consultationFees?.online || 0
+                : clinic?.consultationFee || doctor.consultationFees?.offline || 0;
+        }
+
+        const check = await evaluateCoupon({ code, patientId: req.user._id, doctor, amount, appointmentId });
+        if (!check.valid) {
+            return res.status(check.statusCode).json({ success: false, message: check.message, code: check.code });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                code: check.coupon.code,
+                description: check.coupon.description,
+                consultationFee: amount,
+                discount: check.discount,
+                payable: check.payable,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,6 +1,13 @@
 const Doctor = require('../models/Doctor');
 const Review = require('../models/Review');
-const Appointment = require('../models/Appointment');
+const {
+    getAvailabilityForDate, getAvailabilityForRange, findNextAvailableSlots, findActiveClinic, toMinutes,
+    AVAILABILITY_FIELDS, AVAILABILITY_CODES, DAY_NAMES,
+} = require('../utils/availability');
+
+const MAX_CALENDAR_DAYS = 60;
+const NEXT_SLOT_HORIZON_DAYS = 14;
+const AVAILABILITY_BATCH_SIZE = 200;
 
 // @desc    Search doctors with filters
 // @route   GET /api/patient/doctors/search
@@ -12,6 +19,9 @@ exports.searchDoctors = async (req, res, next) => {
             sortBy, page = 1, limit = 20,
         } = req.query;
 
+        // Real availability needs each doctor's next free slot, computed in memory
+        const needsNextSlot = availability === 'today' || availability === 'next' || sortBy === 'earliest';
+
         const filter = {
             verificationStatus: 'approved',
             isActive: true,
@@ -33,15 +43,11 @@ exports.searchDoctors = async (req, res, next) => {
         }
 
         if (city) {
-            filter.$or = filter.$or || [];
-            filter.$or.push(
-                { 'clinics.city': { $regex: city, $options: 'i' } },
-                { 'address.city': { $regex: city, $options: 'i' } }
-            );
+            filter['clinics.address.city'] = { $regex: city, $options: 'i' };
         }
 
         if (consultationType === 'online') {
-            filter['consultationSettings.onlineConsultation'] = true;
+            filter.isOnlineConsultationEnabled = true;
         }
 
         if (minFee || maxFee) {
@@ -66,12 +72,6 @@ exports.searchDoctors = async (req, res, next) => {
             filter.averageRating = { $gte: parseFloat(minRating) };
         }
 
-        // Availability filter
-        if (availability === 'today') {
-            const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][new Date().getDay()];
-            filter[`weeklySchedule.${dayOfWeek}.isAvailable`] = true;
-        }
-
         // Sort
         let sort = {};
         switch (sortBy) {
@@ -84,10 +84,74 @@ exports.searchDoctors = async (req, res, next) => {
         }
 
         const skip = (parseInt(page) - 1) * parseInt(limit);
+        const listFields = 'fullName specializations profilePhoto yearsOfExperience consultationFees averageRating totalReviews languagesSpoken clinics gender consultationSettings weeklySchedule qualifications';
+
+        if (needsNextSlot) {
+            // Every matching doctor is checked (in batches), so ranking, total and pages cover the same set
+            let matched = [];
+            for (let batchSkip = 0; ; batchSkip += AVAILABILITY_BATCH_SIZE) {
+                const candidates = await Doctor.find(filter)
+                    .select(`${listFields} ${AVAILABILITY_FIELDS} isOnlineConsultationEnabled`)
+                    .sort({ ...sort, _id: 1 })
+                    .skip(batchSkip)
+                    .limit(AVAILABILITY_BATCH_SIZE)
+                    .lean();
+                if (!candidates.length) break;
+
+                const nextSlots = await findNextAvailableSlots(candidates, {
+                    days: NEXT_SLOT_HORIZON_DAYS,
+                    consultationType,
+                    city,
+                });
+
+                matched.push(...candidates
+                    .map(({
+                        onlineSchedule, customDateOverrides, holidays, availabilityRules, blockedSlots, slotConfig, maxDailyAppointments, ...doc
+                    }) => ({
+                        ...doc,
+                        nextAvailable: nextSlots[doc._id.toString()],
+                    }))
+                    .filter((doc) => doc.nextAvailable.earliest));
+
+                if (candidates.length < AVAILABILITY_BATCH_SIZE) break;
+            }
+
+            const todayKey = new Date().toDateString();
+
+            if (availability === 'today') {
+                matched = matched.filter((doc) => doc.nextAvailable.earliest.date.toDateString() === todayKey);
+            }
+
+            if (sortBy === 'earliest') {
+                const slotTime = ({ date, start }) => date.getTime() + toMinutes(start) * 60 * 1000;
+                matched.sort((a, b) => slotTime(a.nextAvailable.earliest) - slotTime(b.nextAvailable.earliest));
+            }
+
+            const pageDoctors = matched.slice(skip, skip + parseInt(limit)).map((doc) => ({
+                ...doc,
+                isAvailableToday: doc.nextAvailable.earliest.date.toDateString() === todayKey,
+                onlineConsultationEnabled: doc.isOnlineConsultationEnabled !== false,
+            }));
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    doctors: pageDoctors,
+                    pagination: {
+                        page: parseInt(page),
+                        limit: parseInt(limit),
+                        total: matched.length,
+                        totalPages: Math.ceil(matched.length / parseInt(limit)),
+                    },
+                    searchHorizonDays: NEXT_SLOT_HORIZON_DAYS,
+                },
+            });
+        }
+
         const total = await Doctor.countDocuments(filter);
 
         const doctors = await Doctor.find(filter)
-            .select('fullName specializations profilePhoto yearsOfExperience consultationFees averageRating totalReviews languagesSpoken clinics gender consultationSettings weeklySchedule qualifications')
+            .select(listFields)
             .sort(sort)
             .skip(skip)
             .limit(parseInt(limit))
@@ -169,101 +233,61 @@ exports.getDoctorProfile = async (req, res, next) => {
 };
 
 // @desc    Get doctor available slots for a date
-// @route   GET /api/patient/doctors/:doctorId/slots/:date
+// @route   GET /api/patient/doctors/:doctorId/slots/:date?consultationType=offline&clinicId=...
 exports.getDoctorSlots = async (req, res, next) => {
     try {
         const { doctorId, date } = req.params;
+        const { consultationType, clinicId } = req.query;
 
         const doctor = await Doctor.findOne({
             _id: doctorId,
             verificationStatus: 'approved',
             isActive: true,
-        }).lean();
+        })
+            .select(`fullName consultationFees ${AVAILABILITY_FIELDS}`)
+            .lean();
 
         if (!doctor) {
             return res.status(404).json({ success: false, message: 'Doctor not found' });
         }
 
-        const requestedDate = new Date(date);
-        const dayOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'][requestedDate.getDay()];
-        const schedule = doctor.weeklySchedule?.[dayOfWeek];
-
-        if (!schedule || !schedule.isAvailable) {
-            return res.status(200).json({ success: true, data: { slots: [], message: 'Doctor not available on this day' } });
-        }
-
-        // Check holidays
-        const isHoliday = doctor.holidays?.some(h => {
-            const hDate = new Date(h.date);
-            return hDate.toDateString() === requestedDate.toDateString();
+        const availability = await getAvailabilityForDate(doctor, date, {
+            consultationType,
+            clinicId,
+            patientId: req.user._id,
         });
+        const maxPerSlot = doctor.slotConfig?.maxAppointmentsPerSlot || 1;
 
-        if (isHoliday) {
-            return res.status(200).json({ success: true, data: { slots: [], message: 'Doctor is on holiday' } });
+        if (availability.code === AVAILABILITY_CODES.CLINIC_NOT_FOUND) {
+            return res.status(404).json({ success: false, message: 'Clinic not found', code: availability.code });
         }
 
-        // Generate slots
-        const slotDuration = doctor.slotConfig?.slotDuration || 15;
-        const bufferTime = doctor.slotConfig?.bufferTime || 5;
-        const maxPerSlot = doctor.slotConfig?.maxAppointmentsPerSlot || 1;
-        const slots = [];
-
-        for (const timeRange of (schedule.slots || [])) {
-            let [startH, startM] = timeRange.start.split(':').map(Number);
-            const [endH, endM] = timeRange.end.split(':').map(Number);
-            const endMinutes = endH * 60 + endM;
-
-            while (startH * 60 + startM + slotDuration <= endMinutes) {
-                const slotStart = `${String(startH).padStart(2, '0')}:${String(startM).padStart(2, '0')}`;
-                const slotEndMin = startH * 60 + startM + slotDuration;
-                const slotEnd = `${String(Math.floor(slotEndMin / 60)).padStart(2, '0')}:${String(slotEndMin % 60).padStart(2, '0')}`;
-
-                // Check if in break time
-                const isBreak = (schedule.breakTimes || []).some(bt => {
-                    const [bsH, bsM] = bt.start.split(':').map(Number);
-                    const [beH, beM] = bt.end.split(':').map(Number);
-                    const slotStartMin = startH * 60 + startM;
-                    return slotStartMin >= bsH * 60 + bsM && slotStartMin < beH * 60 + beM;
-                });
-
-                if (!isBreak) {
-                    // Check existing bookings
-                    const bookingCount = await Appointment.countDocuments({
-                        doctor: doctorId,
-                        appointmentDate: {
-                            $gte: new Date(requestedDate.setHours(0, 0, 0, 0)),
-                            $lt: new Date(requestedDate.setHours(23, 59, 59, 999)),
-                        },
-                        'timeSlot.start': slotStart,
-                        status: { $in: ['pending', 'confirmed', 'in-progress'] },
-                    });
-
-                    // Check blocked slots
-                    const isBlocked = doctor.blockedSlots?.some(bs =>
-                        new Date(bs.date).toDateString() === requestedDate.toDateString() && bs.start === slotStart
-                    );
-
-                    slots.push({
-                        start: slotStart,
-                        end: slotEnd,
-                        isAvailable: !isBlocked && bookingCount < maxPerSlot,
-                        bookingCount,
-                        maxPerSlot,
-                    });
-                }
-
-                startM += slotDuration + bufferTime;
-                if (startM >= 60) { startH += Math.floor(startM / 60); startM = startM % 60; }
-            }
+        if (!availability.isAvailable) {
+            return res.status(200).json({
+                success: true,
+                data: { slots: [], message: availability.reason, code: availability.code },
+            });
         }
 
+        const slots = availability.slots.map((slot) => ({
+            start: slot.start,
+            end: slot.end,
+            isAvailable: slot.isAvailable && !availability.dailyLimitReached,
+            bookingCount: slot.bookedCount,
+            maxPerSlot,
+            ...(slot.isPast && { isPast: true }),
+        }));
+
         res.status(200).json({
             success: true,
             data: {
                 date,
-                dayOfWeek,
+                dayOfWeek: DAY_NAMES[new Date(date).getDay()],
+                consultationType: consultationType || null,
+                clinicId: clinicId || null,
                 slots,
-                slotDuration,
+                slotDuration: doctor.slotConfig?.slotDuration || 15,
+                dailyLimitReached: availability.dailyLimitReached,
                 doctor: {
                     _id: doctor._id,
                     fullName: doctor.fullName,
@@ -274,4 +298,73 @@ exports.getDoctorSlots = async (req, res, next) => {
     } catch (error) {
         next(error);
     }
-};
\ No newline at end of file
+};
+
+// @desc    Get per-day availability summary for a date range (calendar view)
+// @route   GET /api/patient/doctors/:doctorId/availability?from=YYYY-MM-DD&days=30&consultationType=offline&clinicId=...
+exports.getDoctorAvailabilityCalendar = async (req, res, next) => {
+    try {
+        const { doctorId } = req.params;
+        const { from, to, consultationType, clinicId } = req.query;
+
+        const startDate = from ? new Date(from) : new Date();
+        startDate.setHours(0, 0, 0, 0);
+        if (Number.isNaN(startDate.getTime())) {
+            return res.status(400).json({ success: false, message: 'Invalid start date' });
+        }
+
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        if (startDate < today) {
+            return res.status(400).json({ success: false, message: 'Cannot view availability for past dates' });
+        }
+
+        let days = parseInt(req.query.days) || 30;
+        if (to) {
+            const endDate = new Date(to);
+            endDate.setHours(0, 0, 0, 0);
+            if (Number.isNaN(endDate.getTime()) || endDate < startDate) {
+                return res.status(400).json({ success: false, message: 'Invalid end date' });
+            }
+            days = Math.round((endDate - startDate) / (24 * 60 * 60 * 1000)) + 1;
+        }
+
+        if (days < 1 || days > MAX_CALENDAR_DAYS) {
+            return res.status(400).json({ success: false, message: `Range must be between 1 and ${MAX_CALENDAR_DAYS} days` });
+        }
+
+        const doctor = await Doctor.findOne({
+            _id: doctorId,
+            verificationStatus: 'approved',
+            isActive: true,
+        })
+            .select(AVAILABILITY_FIELDS)
+            .lean();
+
+        if (!doctor) {
+            return res.status(404).json({ success: false, message: 'Doctor not found' });
+        }
+
+        if (clinicId && consultationType !== 'online' && !findActiveClinic(doctor, clinicId)) {
+            return res.status(404).json({ success: false, message: 'Clinic not found', code: AVAILABILITY_CODES.CLINIC_NOT_FOUND });
+        }
+
+        const calendar = await getAvailabilityForRange(doctor, startDate, days, {
+            consultationType,
+            clinicId,
+            patientId: req.user._id,
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                from: startDate,
+                days,
+                slotDuration: doctor.slotConfig?.slotDuration || 15,
+                calendar,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,42 @@
+const Invoice = require('../models/Invoice');
+const { sendInvoicePdf } = require('../utils/invoices');
+
+// @desc    Get my invoices and credit notes
+// @route   GET /api/patient/invoices
+exports.getInvoices = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 10, type } = req.query;
+        const query = { patient: req.user._id };
+        if (type) query.type = type;
+
+        const total = await Invoice.countDocuments(query);
+        const invoices = await Invoice.find(query)
+            .select('type number status issuedAt payment appointment practitioner.name consultationType appointmentDate amounts.amountPaid originalInvoice')
+            .sort({ issuedAt: -1 })
+            .skip((parseInt(page) - 1) * parseInt(limit))
+            .limit(parseInt(limit));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                invoices,
+                pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / parseInt(limit)) },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Download an invoice or credit note as PDF
+// @route   GET /api/patient/invoices/:invoiceId/download
+exports.downloadInvoice = async (req, res, next) => {
+    try {
+        const invoice = await Invoice.findOne({ _id: req.params.invoiceId, patient: req.user._id });
+        if (!invoice) return res.status(404).json({ success: false, message: 'Invoice not found' });
+
+        await sendInvoicePdf(res, invoice);
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,78 @@
+const MedicationDose = require('../models/MedicationDose');
+
+// Doses can be logged a little ahead of time (taken early), not days ahead
+const EARLY_LOG_WINDOW_MS = 2 * 60 * 60 * 1000;
+const LOG_STATUSES = ['taken', 'missed', 'skipped'];
+
+// @desc    Get my medication schedule (doses in a date range, default today)
+// @route   GET /api/patient/medications/schedule?from=2026-10-19&to=2026-10-25&prescriptionId=
+exports.getMedicationSchedule = async (req, res, next) => {
+    try {
+        const { from, to, prescriptionId, status } = req.query;
+
+        const start = from ? new Date(from) : new Date();
+        start.setHours(0, 0, 0, 0);
+        const end = to ? new Date(to) : new Date(start);
+        end.setHours(23, 59, 59, 999);
+
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+            return res.status(400).json({ success: false, message: 'Invalid date range' });
+        }
+        if (end - start > 31 * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({ success: false, message: 'Date range cannot exceed 31 days' });
+        }
+
+        const query = { patient: req.user._id, scheduledAt: { $gte: start, $lte: end } };
+        if (prescriptionId) query.prescription = prescriptionId;
+        if (status) query.status = status;
+
+        const doses = await MedicationDose.find(query)
+            .select('prescription medicine medicineName dose instructions scheduledAt status takenAt loggedAt note')
+            .populate('prescription', 'prescriptionNumber doctor')
+            .sort({ scheduledAt: 1 })
+            .lean();
+
+        const summary = { total: doses.length, taken: 0, missed: 0, skipped: 0, pending: 0 };
+        doses.forEach((dose) => { summary[dose.status] += 1; });
+
+        res.status(200).json({
+            success: true,
+            data: { from: start, to: end, doses, summary },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Log a dose as taken, missed or skipped
+// @route   PUT /api/patient/medications/doses/:doseId
+exports.logDose = async (req, res, next) => {
+    try {
+        const { status, takenAt, note } = req.body;
+        if (!LOG_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `Status must be one of: ${LOG_STATUSES.join(', ')}` });
+        }
+
+        const dose = await MedicationDose.findOne({ _id: req.params.doseId, patient: req.user._id });
+        if (!dose) return res.status(404).json({ success: false, message: 'Dose not found' });
+
+        if (dose.scheduledAt.getTime() - Date.now() > EARLY_LOG_WINDOW_MS) {
+            return res.status(400).json({ success: false, message: 'This dose is not due yet' });
+        }
+
+        const takenTime = status === 'taken' ? (takenAt ? new Date(takenAt) : new Date()) : null;
+        if (takenTime && (Number.isNaN(takenTime.getTime()) || takenTime > new Date())) {
+            return res.status(400).json({ success: false, message: 'Invalid time taken' });
+        }
+
+        dose.status = status;
+        dose.takenAt = takenTime;
+        dose.loggedAt = new Date();
+        if (note !== undefined) dose.note = note;
+        await dose.save();
+
+        res.status(200).json({ success: true, message: 'Dose logged', data: { dose } });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,4 +1,5 @@
 const Prescription = require('../models/Prescription');
+const { sendPrescriptionPdf } = require('../utils/prescriptions');
 
 // @desc    Get patient prescriptions
 // @route   GET /api/patient/prescriptions
@@ -56,3 +57,21 @@ exports.getPrescription = async (req, res, next) => {
         next(error);
     }
 };
+
+// @desc    Download a prescription as PDF
+// @route   GET /api/patient/prescriptions/:prescriptionId/download
+exports.downloadPrescription = async (req, res, next) => {
+    try {
+        const prescription = await Prescription.findOne({
+            _id: req.params.prescriptionId,
+            patient: req.user._id,
+            status: { $in: ['sent', 'viewed'] },
+        });
+
+        if (!prescription) return res.status(404).json({ success: false, message: 'Prescription not found' });
+
+        await sendPrescriptionPdf(res, prescription);
+    } catch (error) {
+        next(error);
+    }
+};
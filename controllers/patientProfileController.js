@@ -56,6 +56,33 @@ exports.removeFamilyMember = async (req, res, next) => {
     } catch (error) { next(error); }
 };
 
+// @desc    Record an allergy
+// @route   POST /api/patient/profile/allergies
+exports.addAllergy = async (req, res, next) => {
+    try {
+        const { substance, reaction, severity } = req.body;
+        if (!substance) return res.status(400).json({ success: false, message: 'Substance is required' });
+
+        const user = await User.findById(req.user._id);
+        user.allergies.push({ substance: substance.trim(), reaction: reaction || '', severity: severity || 'moderate' });
+        await user.save();
+
+        res.status(201).json({ success: true, message: 'Allergy added', data: { allergies: user.allergies } });
+    } catch (error) { next(error); }
+};
+
+// @desc    Remove an allergy
+// @route   DELETE /api/patient/profile/allergies/:allergyId
+exports.removeAllergy = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id);
+        user.allergies = user.allergies.filter(a => a._id.toString() !== req.params.allergyId);
+        await user.save();
+
+        res.status(200).json({ success: true, message: 'Allergy removed', data: { allergies: user.allergies } });
+    } catch (error) { next(error); }
+};
+
 // @desc    Upload medical record
 // @route   POST /api/patient/profile/medical-records
 exports.uploadMedicalRecord = async (req, res, next) => {
@@ -87,7 +114,7 @@ exports.deleteMedicalRecord = async (req, res, next) => {
 // @route   PUT /api/patient/profile/preferences
 exports.updatePreferences = async (req, res, next) => {
     try {
-        const { language, notificationsEnabled, emailNotifications, smsNotifications, pushNotifications, reminderTimeBefore } = req.body;
+        const { language, notificationsEnabled, emailNotifications, smsNotifications, pushNotifications, reminderTimeBefore, medicationReminders } = req.body;
         const update = {};
         if (language) update['preferences.language'] = language;
         if (typeof notificationsEnabled === 'boolean') update['preferences.notificationsEnabled'] = notificationsEnabled;
@@ -95,6 +122,7 @@ exports.updatePreferences = async (req, res, next) => {
         if (typeof smsNotifications === 'boolean') update['preferences.smsNotifications'] = smsNotifications;
         if (typeof pushNotifications === 'boolean') update['preferences.pushNotifications'] = pushNotifications;
         if (reminderTimeBefore) update['preferences.reminderTimeBefore'] = reminderTimeBefore;
+        if (typeof medicationReminders === 'boolean') update['preferences.medicationReminders'] = medicationReminders;
 
         const user = await User.findByIdAndUpdate(req.user._id, update, { new: true })
             .select('-password -refreshToken');
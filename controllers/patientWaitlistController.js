@@ -0,0 +1,148 @@
+const Doctor = require('../models/Doctor');
+const Waitlist = require('../models/Waitlist');
+const { releaseSlot } = require('../utils/slotReservation');
+const { fitsTimeWindow } = require('../utils/waitlist');
+const { getAvailabilityForDate, AVAILABILITY_FIELDS, AVAILABILITY_CODES } = require('../utils/availability');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Place in the queue among patients still waiting for the same doctor/date
+const getQueuePosition = async (entry) => {
+    return Waitlist.countDocuments({
+        doctor: entry.doctor._id || entry.doctor,
+        date: entry.date,
+        status: 'waiting',
+        createdAt: { $lte: entry.createdAt },
+    });
+};
+
+// @desc    Join the waitlist for a fully booked doctor/date (optionally a time window)
+// @route   POST /api/patient/waitlist
+exports.joinWaitlist = async (req, res, next) => {
+    try {
+        const patientId = req.user._id;
+        const { doctor: doctorId, date, timeWindow, consultationType = 'online', clinicId } = req.body;
+
+        if (!doctorId || !date) {
+            return res.status(400).json({ success: false, message: 'Doctor and date are required' });
+        }
+
+        if (!['online', 'offline'].includes(consultationType)) {
+            return res.status(400).json({ success: false, message: 'Consultation type must be online or offline' });
+        }
+
+        const requestedWindow = { start: timeWindow?.start || '', end: timeWindow?.end || '' };
+        if ((requestedWindow.start || requestedWindow.end)
+            && (!TIME_REGEX.test(requestedWindow.start) || !TIME_REGEX.test(requestedWindow.end) || requestedWindow.start >= requestedWindow.end)) {
+            return res.status(400).json({ success: false, message: 'Time window must have HH:MM start and end, with start before end' });
+        }
+
+        const doctor = await Doctor.findOne({ _id: doctorId, verificationStatus: 'approved', isActive: true })
+            .select(`fullName ${AVAILABILITY_FIELDS}`)
+            .lean();
+        if (!doctor) return res.status(404).json({ success: false, message: 'Doctor not found or not available' });
+
+        const isOffline = consultationType === 'offline';
+        if (isOffline && !clinicId && (doctor.clinics || []).some((c) => c.isActive !== false)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please select a clinic for an in-clinic consultation',
+                code: AVAILABILITY_CODES.CLINIC_REQUIRED,
+            });
+        }
+
+        const availability = await getAvailabilityForDate(doctor, date, {
+            consultationType,
+            clinicId: isOffline ? clinicId : null,
+            patientId: req.user._id,
+        });
+
+        // A waitlist only makes sense for a working day that is booked out
+        if (!availability.isAvailable) {
+            return res.status(availability.code === AVAILABILITY_CODES.CLINIC_NOT_FOUND ? 404 : 400).json({
+                success: false,
+                message: `Cannot join the waitlist: ${availability.reason}`,
+                code: availability.code,
+            });
+        }
+
+        const hasFreeSlot = !availability.dailyLimitReached
+            && availability.slots.some((slot) => slot.isAvailable && fitsTimeWindow({ timeWindow: requestedWindow }, slot));
+        if (hasFreeSlot) {
+            return res.status(400).json({
+                success: false,
+                message: 'Slots are still available for this date, please book directly',
+                code: 'SLOTS_AVAILABLE',
+            });
+        }
+
+        const existing = await Waitlist.findOne({
+            patient: patientId,
+            doctor: doctorId,
+            date: availability.date,
+            status: { $in: ['waiting', 'offered'] },
+        });
+        if (existing) {
+            return res.status(400).json({ success: false, message: 'You are already on the waitlist for this date' });
+        }
+
+        const entry = await Waitlist.create({
+            patient: patientId,
+            doctor: doctorId,
+            date: availability.date,
+            timeWindow: requestedWindow,
+            consultationType,
+            clinicId: isOffline ? clinicId || null : null,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Added to the waitlist. We will notify you when a slot opens up.',
+            data: { entry, position: await getQueuePosition(entry) },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get my waitlist entries (active by default)
+// @route   GET /api/patient/waitlist?status=waiting,offered
+exports.getMyWaitlist = async (req, res, next) => {
+    try {
+        const statuses = req.query.status ? req.query.status.split(',') : ['waiting', 'offered'];
+
+        const entries = await Waitlist.find({ patient: req.user._id, status: { $in: statuses } })
+            .populate('doctor', 'fullName specializations profilePhoto')
+            .sort({ date: 1, createdAt: 1 })
+            .lean();
+
+        const enriched = await Promise.all(entries.map(async (entry) => ({
+            ...entry,
+            ...(entry.status === 'waiting' && { position: await getQueuePosition(entry) }),
+        })));
+
+        res.status(200).json({ success: true, data: { entries: enriched } });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Leave the waitlist (declines any open offer)
+// @route   DELETE /api/patient/waitlist/:waitlistId
+exports.leaveWaitlist = async (req, res, next) => {
+    try {
+        const entry = await Waitlist.findOneAndUpdate(
+            { _id: req.params.waitlistId, patient: req.user._id, status: { $in: ['waiting', 'offered'] } },
+            { $set: { status: 'cancelled' } }
+        );
+
+        if (!entry) return res.status(404).json({ success: false, message: 'Waitlist entry not found' });
+
+        // Pass a declined offer on to the next patient in line
+        if (entry.status === 'offered') await releaseSlot(entry.offer.appointmentId);
+
+        res.status(200).json({ success: true, message: 'Removed from the waitlist' });
+    } catch (error) {
+        next(error);
+    }
+};
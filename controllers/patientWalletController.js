@@ -0,0 +1,52 @@
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+
+// @desc    Get my wallet balance
+// @route   GET /api/patient/wallet
+exports.getWallet = async (req, res, next) => {
+    try {
+        const wallet = await Wallet.findOne({ user: req.user._id }).lean();
+
+        res.status(200).json({
+            success: true,
+            data: {
+                balance: wallet?.balance || 0,
+                currency: wallet?.currency || 'INR',
+                lifetimeCredits: wallet?.lifetimeCredits || 0,
+                lifetimeDebits: wallet?.lifetimeDebits || 0,
+                isActive: wallet ? wallet.isActive : true,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get my wallet transaction history
+// @route   GET /api/patient/wallet/transactions?direction=credit&category=refund
+exports.getWalletTransactions = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, direction, category } = req.query;
+        const query = { user: req.user._id, status: 'posted' };
+        if (direction) query.direction = direction;
+        if (category) query.category = category;
+
+        const total = await WalletTransaction.countDocuments(query);
+        const transactions = await WalletTransaction.find(query)
+            .select('direction category amount balanceAfter description payment appointment createdAt')
+            .populate('appointment', 'appointmentDate timeSlot doctor')
+            .sort({ createdAt: -1 })
+            .skip((parseInt(page) - 1) * parseInt(limit))
+            .limit(parseInt(limit));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                transactions,
+                pagination: { page: parseInt(page), limit: parseInt(limit), total, totalPages: Math.ceil(total / parseInt(limit)) },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -3,21 +3,25 @@
  * Handles payment creation, verification, webhooks, and refunds
  */
 
-const { createOrder, processPaymentSuccess, processRefund, getRazorpay } = require('../utils/payment');
+const { createOrder, processPaymentSuccess, processRefund } = require('../utils/payment');
+const { receiveWebhookEvent } = require('../utils/webhooks');
+const { getGateway, isGateway } = require('../utils/gateways');
+const { refreshHold } = require('../utils/slotReservation');
+const { evaluateCoupon } = require('../utils/coupons');
 const Payment = require('../models/Payment');
 const Appointment = require('../models/Appointment');
-const crypto = require('crypto');
 
 /**
  * @desc    Create payment order for an appointment
  * @route   POST /api/payments/create-order
+ * @body    { appointmentId, couponCode, useWallet }
  * @access  Private (Patient)
  */
 const createPaymentOrder = async (req, res) => {
     try {
-        const { appointmentId } = req.body;
+        const { appointmentId, couponCode, useWallet = false } = req.body;
 
-        const appointment = await Appointment.findById(appointmentId).populate('doctor', 'name');
+        const appointment = await Appointment.findById(appointmentId).populate('doctor', 'fullName specializations');
         if (!appointment) {
             return res.status(404).json({ success: false, message: 'Appointment not found' });
         }
@@ -26,21 +30,82 @@ const createPaymentOrder = async (req, res) => {
             return res.status(403).json({ success: false, message: 'Not authorized' });
         }
 
+        if (!['pending', 'confirmed'].includes(appointment.status)) {
+            return res.status(400).json({ success: false, message: `Cannot pay for a ${appointment.status} appointment` });
+        }
+
+        // Paid already, online or in cash at the clinic
+        const alreadyPaid = await Payment.exists({
+            appointment: appointment._id,
+            status: { $in: ['completed', 'partially_refunded'] },
+        });
+        if (alreadyPaid) {
+            return res.status(409).json({ success: false, message: 'This appointment has already been paid' });
+        }
+
+        let coupon = null;
+        if (couponCode) {
+            const check = await evaluateCoupon({
+                code: couponCode,
+                patientId: req.user._id,
+                doctor: appointment.doctor,
+                amount: appointment.consultationFee,
+                appointmentId: appointment._id,
+            });
+            if (!check.valid) {
+                return res.status(check.statusCode).json({ success: false, message: check.message, code: check.code });
+            }
+            coupon = {
+                couponId: check.coupon._id,
+                code: check.coupon.code,
+                discount: check.discount,
+                absorbedBy: check.coupon.absorbedBy,
+                perUserLimit: check.coupon.perUserLimit,
+            };
+        }
+
+        // Give the patient a fresh hold window for checkout; a swept hold means the seat is gone
+        const held = await refreshHold(appointment._id);
+        if (!held) {
+            return res.status(409).json({
+                success: false,
+                message: 'Your hold on this slot has expired. Please book the slot again.',
+                code: 'HOLD_EXPIRED',
+            });
+        }
+
         const result = await createOrder({
             amount: appointment.consultationFee,
             appointmentId: appointment._id,
             patientId: req.user._id,
             doctorId: appointment.doctor._id || appointment.doctor,
+            coupon,
+            useWallet: useWallet === true || useWallet === 'true',
         });
 
         if (!result.success) {
-            return res.status(500).json({ success: false, message: result.error });
+            return res.status(result.statusCode || 500).json({ success: false, message: result.error, code: result.code });
+        }
+
+        // Wallet covered everything: no checkout needed
+        if (result.paid) {
+            return res.status(200).json({
+                success: true,
+                paid: true,
+                payment: result.payment,
+                breakdown: result.breakdown,
+                walletAmount: result.walletAmount,
+            });
         }
 
         res.status(200).json({
             success: true,
+            gateway: result.gateway,
             order: result.order,
-            key: process.env.RAZORPAY_KEY_ID,
+            breakdown: result.breakdown,
+            walletAmount: result.walletAmount,
+            gatewayAmount: result.gatewayAmount,
+            key: result.key,
         });
     } catch (error) {
         console.error('Create order error:', error);
@@ -49,23 +114,27 @@ const createPaymentOrder = async (req, res) => {
 };
 
 /**
- * @desc    Verify payment after Razorpay checkout
+ * @desc    Verify payment after checkout
  * @route   POST /api/payments/verify
+ * @body    Razorpay: { razorpay_order_id, razorpay_payment_id, razorpay_signature }
+ *          Stripe:   { paymentIntentId }
+ *          Fake:     { orderId, paymentId, signature }
  * @access  Private (Patient)
  */
 const verifyPaymentHandler = async (req, res) => {
     try {
-        const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+        const orderId = req.body.orderId || req.body.razorpay_order_id || req.body.paymentIntentId || req.body.payment_intent;
 
-        if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+        if (!orderId) {
             return res.status(400).json({ success: false, message: 'Missing payment details' });
         }
 
-        const result = await processPaymentSuccess({
-            razorpay_order_id,
-            razorpay_payment_id,
-            razorpay_signature,
-        });
+        const owned = await Payment.exists({ gatewayOrderId: orderId, patient: req.user._id });
+        if (!owned) {
+            return res.status(404).json({ success: false, message: 'Payment record not found' });
+        }
+
+        const result = await processPaymentSuccess(orderId, req.body);
 
         if (!result.success) {
             return res.status(400).json({ success: false, message: result.message || result.error });
@@ -116,73 +185,46 @@ const verifyPaymentHandler = async (req, res) => {
 };
 
 /**
- * @desc    Razorpay webhook handler
- * @route   POST /api/payments/webhook
- * @access  Public (Razorpay server)
+ * @desc    Gateway webhook handler
+ * @route   POST /api/payments/webhook (Razorpay) | POST /api/payments/webhook/:gateway
+ * @access  Public (gateway servers)
  */
-const razorpayWebhook = async (req, res) => {
+const paymentWebhook = async (req, res) => {
     try {
-        const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-
-        // Verify webhook signature
-        if (webhookSecret) {
-            const signature = req.headers['x-razorpay-signature'];
-            const expectedSignature = crypto
-                .createHmac('sha256', webhookSecret)
-                .update(JSON.stringify(req.body))
-                .digest('hex');
-
-            if (signature !== expectedSignature) {
-                return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
-            }
+        const gatewayName = req.params.gateway || 'razorpay';
+        // The fake gateway only takes events where its checkout is enabled (never production)
+        if (!isGateway(gatewayName) || (gatewayName === 'fake' && !getGateway('fake').isEnabled())) {
+            return res.status(404).json({ success: false, message: 'Unknown payment gateway' });
         }
 
-        const { event, payload } = req.body;
-
-        switch (event) {
-            case 'payment.captured': {
-                const paymentEntity = payload.payment.entity;
-                const payment = await Payment.findOne({ gatewayOrderId: paymentEntity.order_id });
-                if (payment && payment.status === 'pending') {
-                    payment.status = 'completed';
-                    payment.gatewayPaymentId = paymentEntity.id;
-                    payment.paymentMethod = paymentEntity.method || 'other';
-                    payment.paidAt = new Date();
-                    payment.transactionId = paymentEntity.id;
-                    await payment.save();
-
-                    await Appointment.findByIdAndUpdate(payment.appointment, { payment: payment._id });
-                }
-                break;
-            }
+        // Signatures are checked over the exact bytes the gateway signed
+        const rawBody = req.rawBody || (Buffer.isBuffer(req.body) ? req.body : null);
+        if (!rawBody) {
+            return res.status(400).json({ success: false, message: 'Missing webhook body' });
+        }
 
-            case 'payment.failed': {
-                const failedPayment = payload.payment.entity;
-                const payment = await Payment.findOne({ gatewayOrderId: failedPayment.order_id });
-                if (payment) {
-                    payment.status = 'failed';
-                    payment.failureReason = failedPayment.error_description || 'Payment failed';
-                    await payment.save();
-                }
-                break;
-            }
+        const parsed = getGateway(gatewayName).parseWebhook(rawBody, req.headers);
+        if (!parsed.valid) {
+            return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+        }
+        if (!parsed.event) {
+            return res.status(400).json({ success: false, message: 'Missing event' });
+        }
 
-            case 'refund.processed': {
-                const refundEntity = payload.refund.entity;
-                const payment = await Payment.findOne({ gatewayPaymentId: refundEntity.payment_id });
-                if (payment) {
-                    payment.refund.transactionId = refundEntity.id;
-                    payment.refund.refundedAt = new Date();
-                    await payment.save();
-                }
-                break;
-            }
+        const { webhookEvent, duplicate } = await receiveWebhookEvent({
+            gateway: gatewayName,
+            eventId: parsed.eventId,
+            event: parsed.event,
+            payload: parsed.payload,
+            signature: parsed.signature,
+        });
 
-            default:
-                console.log(`Unhandled webhook event: ${event}`);
+        // Let the gateway retry deliveries we could not apply
+        if (webhookEvent.status === 'failed') {
+            return res.status(500).json({ success: false });
         }
 
-        res.status(200).json({ success: true });
+        res.status(200).json({ success: true, duplicate });
     } catch (error) {
         console.error('Webhook error:', error);
         res.status(500).json({ success: false });
@@ -207,7 +249,7 @@ const requestRefund = async (req, res) => {
         });
 
         if (!result.success) {
-            return res.status(400).json({ success: false, message: result.message || result.error });
+            return res.status(result.statusCode || 400).json({ success: false, message: result.message || result.error });
         }
 
         res.status(200).json({ success: true, message: 'Refund processed', payment: result.payment });
@@ -240,10 +282,37 @@ const getPaymentDetails = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Simulate checkout on the fake gateway (development / testing only)
+ * @route   POST /api/payments/fake/checkout
+ * @body    { orderId, succeed = true, method = 'card' }
+ * @access  Private (Patient)
+ */
+const fakeCheckout = async (req, res) => {
+    try {
+        if (!getGateway('fake').isEnabled()) {
+            return res.status(404).json({ success: false, message: 'Not found' });
+        }
+
+        const { orderId, succeed = true, method = 'card' } = req.body;
+        const payment = await Payment.findOne({ gatewayOrderId: orderId, patient: req.user._id, paymentGateway: 'fake' });
+        if (!payment) {
+            return res.status(404).json({ success: false, message: 'Payment record not found' });
+        }
+
+        const result = getGateway('fake').simulateCheckout(orderId, { succeed, method });
+        res.status(200).json({ success: true, data: result });
+    } catch (error) {
+        console.error('Fake checkout error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
 module.exports = {
     createPaymentOrder,
     verifyPaymentHandler,
-    razorpayWebhook,
+    paymentWebhook,
+    fakeCheckout,
     requestRefund,
     getPaymentDetails,
 };
@@ -0,0 +1,162 @@
+const Prescription = require('../models/Prescription');
+const { isValidVerificationToken } = require('../utils/prescriptions');
+
+const VERIFY_FAILED = 'Prescription could not be verified';
+
+/**
+ * A sent prescription matching the number, only if the QR token is genuine
+ */
+const findVerifiedPrescription = async (prescriptionNumber, token) => {
+    const prescription = await Prescription.findOne({
+        prescriptionNumber,
+        status: { $in: ['sent', 'viewed'] },
+    })
+        .select('prescriptionNumber doctor patient medicines sentAt createdAt validUntil dispensing')
+        .populate('doctor', 'title fullName medicalRegistrationNumber')
+        .populate('patient', 'fullName');
+
+    // Same answer for unknown numbers and bad tokens so numbers cannot be probed
+    if (!prescription || !isValidVerificationToken(prescription, token)) return null;
+    return prescription;
+};
+
+/**
+ * What a pharmacy is shown: enough to dispense, nothing clinical beyond the medicines
+ */
+const toPublicView = (prescription) => {
+    const dispensed = new Set(prescription.dispensing.dispensedMedicines.map((id) => id.toString()));
+    const initials = (prescription.patient?.fullName || '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((part) => `${part[0].toUpperCase()}.`)
+        .join(' ');
+
+    return {
+        prescriptionNumber: prescription.prescriptionNumber,
+        issuedAt: prescription.sentAt || prescription.createdAt,
+        validUntil: prescription.validUntil,
+        isExpired: prescription.isExpired,
+        doctor: {
+            name: `${prescription.doctor?.title || 'Dr.'} ${prescription.doctor?.fullName || ''}`.trim(),
+            registrationNumber: prescription.doctor?.medicalRegistrationNumber || '',
+        },
+        patientInitials: initials,
+        medicines: prescription.medicines.map((medicine) => ({
+            _id: medicine._id,
+            name: medicine.name,
+            dosage: medicine.dosage,
+            frequency: medicine.frequency,
+            duration: medicine.duration,
+            route: medicine.route,
+            dispensed: dispensed.has(medicine._id.toString()),
+        })),
+        dispensing: {
+            status: prescription.dispensing.status,
+            lastDispensedAt: prescription.dispensing.lastDispensedAt,
+            pharmacies: prescription.dispensing.records.map((record) => ({
+                pharmacyName: record.pharmacyName,
+                dispensedAt: record.dispensedAt,
+                medicineCount: record.medicines.length,
+            })),
+        },
+    };
+};
+
+// @desc    Check a prescription's QR code is genuine (public, for pharmacies)
+// @route   GET /api/prescriptions/verify/:prescriptionNumber?token=
+exports.verifyPrescription = async (req, res, next) => {
+    try {
+        const prescription = await findVerifiedPrescription(req.params.prescriptionNumber, req.query.token);
+        if (!prescription) return res.status(404).json({ success: false, message: VERIFY_FAILED });
+
+        res.status(200).json({ success: true, data: toPublicView(prescription) });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Record medicines handed over by a pharmacy so the prescription cannot be reused
+// @route   POST /api/prescriptions/verify/:prescriptionNumber/dispense
+// @body    { token, pharmacyName, pharmacistName?, licenseNumber?, medicineIds? (default: all remaining), notes? }
+exports.dispensePrescription = async (req, res, next) => {
+    try {
+        const { token, pharmacyName, pharmacistName = '', licenseNumber = '', medicineIds, notes = '' } = req.body;
+
+        if (typeof pharmacyName !== 'string' || !pharmacyName.trim()) {
+            return res.status(400).json({ success: false, message: 'Pharmacy name is required' });
+        }
+
+        const prescription = await findVerifiedPrescription(req.params.prescriptionNumber, token);
+        if (!prescription) return res.status(404).json({ success: false, message: VERIFY_FAILED });
+
+        if (prescription.isExpired) {
+            return res.status(400).json({ success: false, message: 'Prescription has expired and cannot be dispensed' });
+        }
+        if (prescription.dispensing.status === 'full') {
+            return res.status(409).json({ success: false, message: 'Prescription has already been fully dispensed' });
+        }
+
+        const alreadyDispensed = prescription.dispensing.dispensedMedicines.map((id) => id.toString());
+        const remaining = prescription.medicines
+            .map((medicine) => medicine._id.toString())
+            .filter((id) => !alreadyDispensed.includes(id));
+
+        const requested = Array.isArray(medicineIds) && medicineIds.length
+            ? [...new Set(medicineIds.map(String))]
+            : remaining;
+
+        const unknown = requested.filter((id) => !prescription.medicines.some((m) => m._id.toString() === id));
+        if (unknown.length) {
+            return res.status(400).json({ success: false, message: 'Some medicines are not on this prescription', data: { medicineIds: unknown } });
+        }
+        const repeated = requested.filter((id) => alreadyDispensed.includes(id));
+        if (repeated.length) {
+            return res.status(409).json({ success: false, message: 'Some medicines have already been dispensed', data: { medicineIds: repeated } });
+        }
+
+        const isFull = alreadyDispensed.length + requested.length === prescription.medicines.length;
+        const now = new Date();
+
+        // Matching on what we read means a concurrent dispense makes this one fail rather than double up
+        // (prescriptions sent before dispensing was tracked have no array yet)
+        const unchanged = { 'dispensing.dispensedMedicines': { $size: alreadyDispensed.length } };
+        const updated = await Prescription.findOneAndUpdate(
+            {
+                _id: prescription._id,
+                $or: alreadyDispensed.length
+                    ? [unchanged]
+                    : [unchanged, { 'dispensing.dispensedMedicines': { $exists: false } }],
+            },
+            {
+                $addToSet: { 'dispensing.dispensedMedicines': { $each: requested } },
+                $push: {
+                    'dispensing.records': {
+                        pharmacyName: pharmacyName.trim(),
+                        pharmacistName: String(pharmacistName).trim(),
+                        licenseNumber: String(licenseNumber).trim(),
+                        medicines: requested,
+                        notes: String(notes),
+                        ipAddress: req.ip,
+                        dispensedAt: now,
+                    },
+                },
+                $set: { 'dispensing.status': isFull ? 'full' : 'partial', 'dispensing.lastDispensedAt': now },
+            },
+            { new: true, runValidators: true }
+        )
+            .populate('doctor', 'title fullName medicalRegistrationNumber')
+            .populate('patient', 'fullName');
+
+        if (!updated) {
+            return res.status(409).json({ success: false, message: 'Prescription was dispensed elsewhere just now; please verify again' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: isFull ? 'Prescription fully dispensed' : 'Medicines recorded as dispensed',
+            data: toPublicView(updated),
+        });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -0,0 +1,33 @@
+const multer = require('multer');
+
+const MAX_CSV_BYTES = 5 * 1024 * 1024;
+
+const csvUploader = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_CSV_BYTES, files: 1 },
+    fileFilter: (req, file, cb) => {
+        const isCsv = /\.csv$/i.test(file.originalname)
+            || ['text/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+        cb(isCsv ? null : new Error('Only CSV files are allowed'), isCsv);
+    },
+}).single('file');
+
+/**
+ * Accept a single CSV upload in the "file" field (kept in memory as req.file.buffer)
+ */
+const uploadCsv = (req, res, next) => {
+    csvUploader(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({
+                success: false,
+                message: err.code === 'LIMIT_FILE_SIZE' ? 'File is too large (max 5 MB)' : err.message,
+            });
+        }
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'Please attach a CSV file in the "file" field' });
+        }
+        next();
+    });
+};
+
+module.exports = { uploadCsv };
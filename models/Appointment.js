@@ -47,13 +47,17 @@ const appointmentSchema = new mongoose.Schema(
         },
         cancelledBy: {
             type: String,
-            enum: ['patient', 'doctor', 'admin', ''],
+            enum: ['patient', 'doctor', 'admin', 'system', ''],
             default: '',
         },
         cancelledAt: {
             type: Date,
             default: null,
         },
+        noShowAt: {
+            type: Date,
+            default: null,
+        },
         rescheduledFrom: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Appointment',
@@ -95,6 +99,9 @@ const appointmentSchema = new mongoose.Schema(
             sessionId: { type: String, default: '' },
             startedAt: { type: Date, default: null },
             endedAt: { type: Date, default: null },
+            // First time each side turned up for the call (decides who missed it)
+            doctorJoinedAt: { type: Date, default: null },
+            patientJoinedAt: { type: Date, default: null },
             duration: { type: Number, default: 0 }, // minutes
         },
 
@@ -111,6 +118,15 @@ const appointmentSchema = new mongoose.Schema(
             required: [true, 'Consultation fee is required'],
             min: 0,
         },
+        // Fee split quoted at booking (the Payment keeps the charged snapshot)
+        fees: {
+            consultationFee: { type: Number, default: 0 },
+            platformCommission: { type: Number, default: 0 },
+            commissionPercentage: { type: Number, default: 0 },
+            onlinePaymentFee: { type: Number, default: 0 },
+            tax: { type: Number, default: 0 },
+            doctorEarning: { type: Number, default: 0 },
+        },
 
         // -----------------------------------------------------------------------
         // Clinic (for offline)
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: [true, 'Coupon code is required'],
+            unique: true,
+            trim: true,
+            uppercase: true,
+            maxlength: 30,
+        },
+        description: {
+            type: String,
+            default: '',
+            maxlength: 300,
+        },
+
+        // -----------------------------------------------------------------------
+        // Discount
+        // -----------------------------------------------------------------------
+        discountType: {
+            type: String,
+            enum: ['percentage', 'flat'],
+            required: [true, 'Discount type is required'],
+        },
+        discountValue: {
+            type: Number,
+            required: [true, 'Discount value is required'],
+            min: 0,
+        },
+        maxDiscount: {
+            type: Number,
+            default: null, // cap for percentage coupons; null = no cap
+            min: 0,
+        },
+        absorbedBy: {
+            type: String,
+            enum: ['platform', 'doctor'],
+            default: 'platform', // whose share the discount comes out of
+        },
+
+        // -----------------------------------------------------------------------
+        // Validity & Limits
+        // -----------------------------------------------------------------------
+        validFrom: {
+            type: Date,
+            default: null,
+        },
+        validUntil: {
+            type: Date,
+            default: null,
+        },
+        usageLimit: {
+            type: Number,
+            default: null, // total redemptions; null = unlimited
+            min: 1,
+        },
+        perUserLimit: {
+            type: Number,
+            default: 1,
+            min: 1,
+        },
+        usedCount: {
+            type: Number,
+            default: 0, // completed redemptions plus uses held by open checkouts
+        },
+
+        // -----------------------------------------------------------------------
+        // Scope (empty = every doctor / specialization)
+        // -----------------------------------------------------------------------
+        doctors: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Doctor',
+            },
+        ],
+        specializations: {
+            type: [String],
+            default: [],
+        },
+        firstConsultationOnly: {
+            type: Boolean,
+            default: false,
+        },
+
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
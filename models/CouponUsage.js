@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One document per coupon and patient: uses held by open checkouts plus completed ones
+const couponUsageSchema = new mongoose.Schema(
+    {
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon',
+            required: true,
+        },
+        patient: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        count: {
+            type: Number,
+            default: 0,
+            min: 0,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Also what makes the per-user limit atomic (see reserveCouponUse in utils/coupons)
+couponUsageSchema.index({ coupon: 1, patient: 1 }, { unique: true });
+
+const CouponUsage = mongoose.model('CouponUsage', couponUsageSchema);
+
+module.exports = CouponUsage;
@@ -2,6 +2,24 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 
+// Weekly schedule shape shared by clinic-scoped and online schedules.
+// A schedule with no slots on any day counts as "not configured".
+const dayScheduleDefinition = () => ({
+    isAvailable: { type: Boolean, default: true },
+    slots: [{ start: String, end: String }],
+    breakTimes: [{ start: String, end: String }],
+});
+
+const weeklyScheduleDefinition = () => ({
+    monday: dayScheduleDefinition(),
+    tuesday: dayScheduleDefinition(),
+    wednesday: dayScheduleDefinition(),
+    thursday: dayScheduleDefinition(),
+    friday: dayScheduleDefinition(),
+    saturday: dayScheduleDefinition(),
+    sunday: dayScheduleDefinition(),
+});
+
 const doctorSchema = new mongoose.Schema(
     {
         // -----------------------------------------------------------------------
@@ -139,6 +157,8 @@ const doctorSchema = new mongoose.Schema(
                     start: { type: String, default: '09:00' },
                     end: { type: String, default: '18:00' },
                 },
+                // Days and hours the doctor consults at this clinic (falls back to workingDays/workingHours)
+                weeklySchedule: weeklyScheduleDefinition(),
                 isActive: { type: Boolean, default: true },
                 _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
             },
@@ -235,6 +255,13 @@ const doctorSchema = new mongoose.Schema(
             type: Number,
             default: 30,
         },
+        // Patient cancellation refunds; unset fields follow the platform policy
+        cancellationPolicy: {
+            isCustom: { type: Boolean, default: false },
+            fullRefundHours: { type: Number, default: null }, // full refund when cancelled at least this early
+            partialRefundHours: { type: Number, default: null }, // partial refund down to this many hours before
+            partialRefundPercentage: { type: Number, default: null, min: 0, max: 100 },
+        },
 
         // -----------------------------------------------------------------------
         // Privacy Controls
@@ -293,9 +320,12 @@ const doctorSchema = new mongoose.Schema(
                 breakTimes: [{ start: String, end: String }],
             },
         },
+        // Online consultation hours (falls back to weeklySchedule when not configured)
+        onlineSchedule: weeklyScheduleDefinition(),
         customDateOverrides: [
             {
                 date: { type: Date, required: true },
+                endDate: { type: Date, default: null }, // last date of a multi-day override, single day when null
                 isAvailable: { type: Boolean, default: false },
                 reason: { type: String, default: '' },
                 slots: [{ start: String, end: String }],
@@ -304,9 +334,34 @@ const doctorSchema = new mongoose.Schema(
         holidays: [
             {
                 date: { type: Date, required: true },
+                endDate: { type: Date, default: null }, // last day of a leave range, single day when null
                 reason: { type: String, default: 'Holiday' },
             },
         ],
+        // Recurring exceptions, e.g. "every 2nd Saturday off" or "first Monday only 14:00-18:00"
+        availabilityRules: [
+            {
+                dayOfWeek: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+                weeksOfMonth: [{ type: Number, enum: [1, 2, 3, 4, 5, -1] }], // -1 = last; empty = every week
+                isAvailable: { type: Boolean, default: false },
+                slots: [{ start: String, end: String }], // replaces the day's hours when available
+                clinicId: { type: mongoose.Schema.Types.ObjectId, default: null }, // null = every clinic and online
+                startDate: { type: Date, default: null },
+                endDate: { type: Date, default: null },
+                reason: { type: String, default: '' },
+            },
+        ],
+        blockedSlots: [
+            {
+                date: { type: Date, required: true }, // first (or only) blocked date
+                start: { type: String, required: true }, // "13:00"
+                end: { type: String, required: true }, // "14:00"
+                reason: { type: String, default: '' },
+                recurrence: { type: String, enum: ['none', 'daily', 'weekly'], default: 'none' },
+                until: { type: Date, default: null }, // last date of a recurring block, open-ended when null
+                skipDates: [{ type: Date }], // occurrences of a recurring block that were unblocked
+            },
+        ],
 
         // -----------------------------------------------------------------------
         // Ratings & Reviews Summary
@@ -342,6 +397,12 @@ const doctorSchema = new mongoose.Schema(
             enum: ['weekly', 'monthly'],
             default: 'weekly',
         },
+        gstin: {
+            type: String,
+            default: '', // printed on invoices when the doctor is GST-registered
+            uppercase: true,
+            trim: true,
+        },
 
         // -----------------------------------------------------------------------
         // Commission
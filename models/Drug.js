@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const interactionSchema = new mongoose.Schema(
+    {
+        // Generic name or drug class this drug interacts with (lowercase)
+        with: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true,
+        },
+        severity: {
+            type: String,
+            enum: ['minor', 'moderate', 'major'],
+            default: 'moderate',
+        },
+        description: {
+            type: String,
+            default: '',
+            maxlength: 500,
+        },
+    },
+    { _id: false }
+);
+
+const drugSchema = new mongoose.Schema(
+    {
+        // -----------------------------------------------------------------------
+        // Identity
+        // -----------------------------------------------------------------------
+        genericName: {
+            type: String,
+            required: [true, 'Generic name is required'],
+            trim: true,
+            maxlength: [200, 'Generic name cannot exceed 200 characters'],
+        },
+        brandNames: {
+            type: [String],
+            default: [],
+        },
+        strength: {
+            type: String,
+            default: '',
+            trim: true, // e.g. "500 mg", "5 mg/5 ml"
+        },
+        form: {
+            type: String,
+            enum: ['tablet', 'capsule', 'syrup', 'suspension', 'injection', 'cream', 'ointment', 'gel', 'drops', 'inhaler', 'powder', 'other'],
+            default: 'other',
+        },
+        // Therapeutic class used for duplicate-therapy and class-level allergy checks, e.g. "nsaid"
+        drugClass: {
+            type: String,
+            default: '',
+            trim: true,
+            lowercase: true,
+        },
+        interactions: {
+            type: [interactionSchema],
+            default: [],
+        },
+
+        // Lowercase generic and brand names for autocomplete and name matching
+        searchNames: {
+            type: [String],
+            default: [],
+        },
+
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+drugSchema.index({ genericName: 1, strength: 1, form: 1 }, { unique: true });
+drugSchema.index({ searchNames: 1 });
+drugSchema.index({ drugClass: 1 });
+
+drugSchema.pre('save', function (next) {
+    this.searchNames = [...new Set([this.genericName, ...this.brandNames].map((name) => name.trim().toLowerCase()).filter(Boolean))];
+    next();
+});
+
+const Drug = mongoose.model('Drug', drugSchema);
+
+module.exports = Drug;
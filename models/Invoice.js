@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+
+const invoiceSchema = new mongoose.Schema(
+    {
+        // -----------------------------------------------------------------------
+        // Document Identity (sequential per type and Indian financial year)
+        // -----------------------------------------------------------------------
+        type: {
+            type: String,
+            enum: ['invoice', 'credit_note'],
+            required: true,
+        },
+        number: {
+            type: String,
+            required: true,
+            unique: true, // e.g. MS/26-27/00042
+        },
+        financialYear: {
+            type: String,
+            required: true, // e.g. 2026-27 (April to March)
+        },
+        sequence: {
+            type: Number,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['issued', 'cancelled'],
+            default: 'issued', // cancelled documents keep their number so the series has no gaps
+        },
+        issuedAt: {
+            type: Date,
+            default: Date.now,
+        },
+
+        // -----------------------------------------------------------------------
+        // References
+        // -----------------------------------------------------------------------
+        payment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment',
+            required: true,
+        },
+        appointment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Appointment',
+            default: null,
+        },
+        patient: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        doctor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Doctor',
+            required: true,
+        },
+        originalInvoice: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Invoice',
+            default: null, // credit notes: the invoice being credited
+        },
+        refundReference: {
+            type: String,
+            default: '', // credit notes: refund transaction the note was issued for
+        },
+        reason: {
+            type: String,
+            default: '',
+        },
+
+        // -----------------------------------------------------------------------
+        // Parties (snapshot at issue time)
+        // -----------------------------------------------------------------------
+        seller: {
+            name: { type: String, default: '' },
+            gstin: { type: String, default: '' },
+            address: { type: String, default: '' },
+            state: { type: String, default: '' },
+        },
+        billedTo: {
+            name: { type: String, default: '' },
+            email: { type: String, default: '' },
+            phone: { type: String, default: '' },
+            address: { type: String, default: '' },
+            state: { type: String, default: '' },
+        },
+        practitioner: {
+            name: { type: String, default: '' },
+            registrationNumber: { type: String, default: '' },
+            gstin: { type: String, default: '' },
+        },
+        clinic: {
+            name: { type: String, default: '' },
+            address: { type: String, default: '' },
+        },
+        consultationType: {
+            type: String,
+            default: '',
+        },
+        appointmentDate: {
+            type: Date,
+            default: null,
+        },
+
+        // -----------------------------------------------------------------------
+        // Amounts (INR; credit notes hold the credited amounts)
+        // -----------------------------------------------------------------------
+        placeOfSupply: {
+            type: String,
+            default: '',
+        },
+        interState: {
+            type: Boolean,
+            default: false, // IGST instead of CGST + SGST
+        },
+        amounts: {
+            consultationFee: { type: Number, default: 0 },
+            discount: { type: Number, default: 0 },
+            amountPaid: { type: Number, default: 0 },
+            commission: { type: Number, default: 0 }, // taxable value of the platform's service
+            processingFee: { type: Number, default: 0 },
+            gstPercentage: { type: Number, default: 0 },
+            cgst: { type: Number, default: 0 },
+            sgst: { type: Number, default: 0 },
+            igst: { type: Number, default: 0 },
+            totalTax: { type: Number, default: 0 },
+        },
+
+        // -----------------------------------------------------------------------
+        // Rendered PDF
+        // -----------------------------------------------------------------------
+        pdfPath: {
+            type: String,
+            default: '',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+invoiceSchema.index({ type: 1, financialYear: 1, sequence: 1 }, { unique: true });
+// One invoice per payment; credit notes are one per refund
+invoiceSchema.index({ payment: 1 }, { unique: true, partialFilterExpression: { type: 'invoice' } });
+invoiceSchema.index({ patient: 1, issuedAt: -1 });
+invoiceSchema.index({ doctor: 1, issuedAt: -1 });
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+module.exports = Invoice;
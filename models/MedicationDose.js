@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+// One scheduled dose of a prescribed medicine, generated when the prescription is sent
+const medicationDoseSchema = new mongoose.Schema(
+    {
+        prescription: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Prescription',
+            required: true,
+        },
+        patient: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        medicine: {
+            type: mongoose.Schema.Types.ObjectId, // Prescription.medicines[]._id
+            required: true,
+        },
+        medicineName: {
+            type: String,
+            required: true,
+        },
+        dose: {
+            type: String,
+            default: '', // e.g. "1 tablet"; taper steps change it
+        },
+        instructions: {
+            type: String,
+            default: '',
+        },
+        scheduledAt: {
+            type: Date,
+            required: true,
+        },
+
+        // -----------------------------------------------------------------------
+        // Patient Log
+        // -----------------------------------------------------------------------
+        status: {
+            type: String,
+            enum: ['pending', 'taken', 'missed', 'skipped'],
+            default: 'pending',
+        },
+        takenAt: {
+            type: Date,
+            default: null,
+        },
+        loggedAt: {
+            type: Date,
+            default: null,
+        },
+        note: {
+            type: String,
+            default: '',
+            maxlength: 300,
+        },
+
+        reminderSentAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+medicationDoseSchema.index({ prescription: 1, medicine: 1, scheduledAt: 1 }, { unique: true });
+medicationDoseSchema.index({ patient: 1, scheduledAt: 1 });
+medicationDoseSchema.index({ status: 1, reminderSentAt: 1, scheduledAt: 1 });
+
+const MedicationDose = mongoose.model('MedicationDose', medicationDoseSchema);
+
+module.exports = MedicationDose;
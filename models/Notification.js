@@ -38,7 +38,8 @@ const notificationSchema = new mongoose.Schema(
         type: {
             type: String,
             enum: [
-                'appointment_reminder', 'appointment_confirmed', 'appointment_cancelled',
+                'appointment_reminder', 'appointment_confirmed', 'appointment_cancelled', 'appointment_no_show',
+                'waitlist_offer',
                 'payment_received', 'payment_failed', 'payout_completed',
                 'doctor_approved', 'doctor_rejected', 'account_blocked',
                 'review_received', 'system_update', 'promotion',
@@ -40,7 +40,7 @@ const paymentSchema = new mongoose.Schema(
         },
         paymentGateway: {
             type: String,
-            enum: ['razorpay', 'stripe', 'paytm', 'cash', 'manual', 'other'],
+            enum: ['razorpay', 'stripe', 'paytm', 'fake', 'wallet', 'cash', 'manual', 'other'],
             default: 'other',
         },
 
@@ -80,6 +80,21 @@ const paymentSchema = new mongoose.Schema(
             type: String,
             default: '',
         },
+        // Captured when the appointment could no longer take it: its hold had
+        // expired, or another checkout had already paid for it
+        lateCapture: {
+            detectedAt: { type: Date, default: null },
+            reason: {
+                type: String,
+                enum: ['hold_expired', 'already_paid', ''],
+                default: '',
+            },
+            outcome: {
+                type: String,
+                enum: ['rebooked', 'refunded', 'refund_failed', ''],
+                default: '',
+            },
+        },
 
         // -----------------------------------------------------------------------
         // Commission Breakdown
@@ -88,9 +103,79 @@ const paymentSchema = new mongoose.Schema(
             consultationFee: { type: Number, default: 0 },
             platformCommission: { type: Number, default: 0 },
             commissionPercentage: { type: Number, default: 0 },
-            onlinePaymentFee: { type: Number, default: 0 }, // 2% processing
+            onlinePaymentFee: { type: Number, default: 0 }, // gateway processing
+            onlinePaymentFeePercentage: { type: Number, default: 0 },
             doctorEarning: { type: Number, default: 0 },
-            tax: { type: Number, default: 0 },
+            tax: { type: Number, default: 0 }, // GST on the platform commission
+            taxPercentage: { type: Number, default: 0 },
+            discount: { type: Number, default: 0 }, // coupon discount off consultationFee
+            discountAbsorbedBy: {
+                type: String,
+                enum: ['platform', 'doctor', ''],
+                default: '',
+            },
+        },
+
+        // -----------------------------------------------------------------------
+        // Payment Link (offline visits paid remotely)
+        // -----------------------------------------------------------------------
+        paymentLink: {
+            id: { type: String, default: '' },
+            shortUrl: { type: String, default: '' },
+            upi: { type: Boolean, default: false }, // UPI collect link
+            status: {
+                type: String,
+                enum: ['created', 'paid', 'expired', 'cancelled', ''],
+                default: '',
+            },
+            expiresAt: { type: Date, default: null },
+        },
+
+        // -----------------------------------------------------------------------
+        // Offline Payment Audit (who recorded the cash or sent the link)
+        // -----------------------------------------------------------------------
+        offline: {
+            recordedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                refPath: 'offline.recordedByModel',
+                default: null,
+            },
+            recordedByModel: {
+                type: String,
+                enum: ['Doctor', 'Admin', ''],
+                default: '',
+            },
+            recordedByName: { type: String, default: '' },
+            receiptNumber: { type: String, default: '' },
+            notes: { type: String, default: '' },
+            ipAddress: { type: String, default: '' },
+            recordedAt: { type: Date, default: null },
+        },
+
+        // -----------------------------------------------------------------------
+        // Coupon
+        // -----------------------------------------------------------------------
+        coupon: {
+            couponId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Coupon',
+                default: null,
+            },
+            code: { type: String, default: '' },
+            reserved: { type: Boolean, default: false }, // holds one use of the coupon's limits
+        },
+
+        // -----------------------------------------------------------------------
+        // Wallet share (amount includes it; the gateway is charged the rest)
+        // -----------------------------------------------------------------------
+        wallet: {
+            amount: { type: Number, default: 0 },
+            transaction: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'WalletTransaction',
+                default: null,
+            },
+            released: { type: Boolean, default: false }, // given back because checkout did not complete
         },
 
         // -----------------------------------------------------------------------
@@ -111,6 +196,57 @@ const paymentSchema = new mongoose.Schema(
                 enum: ['full', 'partial', ''],
                 default: '',
             },
+            status: {
+                type: String,
+                enum: ['pending', 'processed', 'failed', ''],
+                default: '', // gateway confirmation via refund.* webhooks
+            },
+            failureReason: { type: String, default: '' },
+            destination: {
+                type: String,
+                enum: ['source', 'wallet', 'split', ''],
+                default: '', // split: wallet share to the wallet, the rest to the gateway
+            },
+            walletAmount: { type: Number, default: 0 },
+        },
+
+        // -----------------------------------------------------------------------
+        // Dispute / Chargeback
+        // -----------------------------------------------------------------------
+        dispute: {
+            id: { type: String, default: '' },
+            status: {
+                type: String,
+                enum: ['open', 'under_review', 'action_required', 'won', 'lost', 'closed', ''],
+                default: '',
+            },
+            amount: { type: Number, default: 0 },
+            reason: { type: String, default: '' },
+            openedAt: { type: Date, default: null },
+            resolvedAt: { type: Date, default: null },
+        },
+
+        // -----------------------------------------------------------------------
+        // No-show fee (policy snapshot at the time the appointment was marked)
+        // -----------------------------------------------------------------------
+        noShow: {
+            markedAt: { type: Date, default: null },
+            feePercentage: { type: Number, default: 0 },
+            feeAmount: { type: Number, default: 0 },
+            refundableAmount: { type: Number, default: 0 },
+            // Online consultation where it is unclear who missed it: the fee is not
+            // charged unless an admin decides so
+            reviewReason: {
+                type: String,
+                enum: ['doctor_absent', 'no_one_joined', ''],
+                default: '',
+            },
+            reviewedAt: { type: Date, default: null },
+            reviewedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Admin',
+                default: null,
+            },
         },
 
         // -----------------------------------------------------------------------
@@ -126,6 +262,12 @@ const paymentSchema = new mongoose.Schema(
             processedAt: { type: Date, default: null },
             transactionId: { type: String, default: '' },
             bankReference: { type: String, default: '' },
+            payoutId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Payout',
+                default: null, // batch payout run that settled this payment
+            },
+            refundClawedBack: { type: Number, default: 0 }, // doctor's refund share already deducted (at settlement or clawed back later)
         },
 
         // -----------------------------------------------------------------------
@@ -154,7 +296,11 @@ paymentSchema.index({ doctor: 1 });
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ createdAt: -1 });
 paymentSchema.index({ transactionId: 1 });
+paymentSchema.index({ 'paymentLink.id': 1 });
 paymentSchema.index({ 'payout.status': 1 });
+paymentSchema.index({ doctor: 1, 'payout.payoutId': 1 });
+paymentSchema.index({ 'coupon.couponId': 1, patient: 1 });
+paymentSchema.index({ 'noShow.reviewReason': 1, 'noShow.reviewedAt': 1 });
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
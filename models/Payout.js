@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const payoutLineSchema = new mongoose.Schema(
+    {
+        payment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment',
+            required: true,
+        },
+        appointment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Appointment',
+            default: null,
+        },
+        // earning = settled in this run; clawback = refund issued after an earlier payout
+        type: {
+            type: String,
+            enum: ['earning', 'clawback'],
+            default: 'earning',
+        },
+        paidAt: { type: Date, default: null },
+        amount: { type: Number, default: 0 }, // what the patient paid
+        earning: { type: Number, default: 0 }, // breakdown.doctorEarning
+        refundDeduction: { type: Number, default: 0 }, // doctor's share of refunds
+        net: { type: Number, default: 0 },
+    },
+    { _id: false }
+);
+
+const payoutSchema = new mongoose.Schema(
+    {
+        doctor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Doctor',
+            required: true,
+        },
+
+        // -----------------------------------------------------------------------
+        // Settlement Period
+        // -----------------------------------------------------------------------
+        cycle: {
+            type: String,
+            enum: ['weekly', 'monthly', 'manual'],
+            required: true,
+        },
+        periodStart: {
+            type: Date,
+            required: true,
+        },
+        periodEnd: {
+            type: Date,
+            required: true, // exclusive; payments paid before this are settled
+        },
+
+        // -----------------------------------------------------------------------
+        // Settlement Statement
+        // -----------------------------------------------------------------------
+        statement: {
+            paymentCount: { type: Number, default: 0 },
+            grossAmount: { type: Number, default: 0 },
+            commission: { type: Number, default: 0 },
+            tax: { type: Number, default: 0 },
+            processingFees: { type: Number, default: 0 },
+            earnings: { type: Number, default: 0 },
+            refundDeductions: { type: Number, default: 0 },
+            clawbacks: { type: Number, default: 0 },
+            heldAmount: { type: Number, default: 0 }, // consultations not yet completed, carried forward
+            heldCount: { type: Number, default: 0 },
+            netAmount: { type: Number, default: 0 },
+        },
+        lines: [payoutLineSchema],
+
+        // -----------------------------------------------------------------------
+        // Status
+        // -----------------------------------------------------------------------
+        status: {
+            type: String,
+            enum: ['pending', 'processing', 'completed', 'failed'],
+            default: 'pending',
+        },
+        bankDetails: {
+            accountHolderName: { type: String, default: '' },
+            bankName: { type: String, default: '' },
+            accountLast4: { type: String, default: '' },
+            ifscCode: { type: String, default: '' },
+            upiId: { type: String, default: '' },
+        },
+        transactionId: {
+            type: String,
+            default: '',
+        },
+        bankReference: {
+            type: String,
+            default: '',
+        },
+        failureReason: {
+            type: String,
+            default: '',
+        },
+        // Earlier failed attempts for the same period (a re-run reuses the failed payout)
+        failureHistory: [
+            {
+                reason: { type: String, default: '' },
+                failedAt: { type: Date, default: null },
+                _id: false,
+            },
+        ],
+        processedAt: {
+            type: Date,
+            default: null,
+        },
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+        processedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One automatic run per doctor per period (a failed run is reset by the next one, see createPayoutRun)
+payoutSchema.index(
+    { doctor: 1, cycle: 1, periodStart: 1 },
+    { unique: true, partialFilterExpression: { cycle: { $in: ['weekly', 'monthly'] } } }
+);
+payoutSchema.index({ status: 1, createdAt: -1 });
+payoutSchema.index({ doctor: 1, createdAt: -1 });
+
+const Payout = mongoose.model('Payout', payoutSchema);
+
+module.exports = Payout;
@@ -43,6 +43,34 @@ const medicineSchema = new mongoose.Schema(
             default: '',
             maxlength: [500, 'Instructions cannot exceed 500 characters'],
         },
+        // Catalogue entry picked from autocomplete (null for free-text medicines)
+        drug: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Drug',
+            default: null,
+        },
+        // Structured dosing used for the patient's dose schedule and reminders;
+        // frequency / duration above stay as the text printed on the prescription
+        schedule: {
+            timesPerDay: { type: Number, min: 1, max: 12, default: null },
+            times: {
+                type: [String], // "HH:MM", one per dose
+                default: [],
+            },
+            startDate: { type: Date, default: null }, // defaults to the day the prescription is sent
+            durationDays: { type: Number, min: 1, default: null },
+            asNeeded: { type: Boolean, default: false }, // SOS: no fixed doses, no reminders
+            // Tapering: consecutive steps, each replacing the dose and times for its days
+            taper: [
+                {
+                    days: { type: Number, min: 1, required: true },
+                    dose: { type: String, default: '', trim: true },
+                    timesPerDay: { type: Number, min: 1, max: 12, default: null },
+                    times: { type: [String], default: [] },
+                    _id: false,
+                },
+            ],
+        },
     },
     { _id: true }
 );
@@ -93,6 +121,12 @@ const prescriptionSchema = new mongoose.Schema(
             ref: 'User',
             required: [true, 'Patient reference is required'],
         },
+        // Template the prescription was started from, if any
+        template: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PrescriptionTemplate',
+            default: null,
+        },
 
         // -----------------------------------------------------------------------
         // Prescription Number (auto-generated)
@@ -204,6 +238,25 @@ const prescriptionSchema = new mongoose.Schema(
             },
         },
 
+        // -----------------------------------------------------------------------
+        // Safety Warnings (interactions, duplicate therapy, allergies) at last save
+        // -----------------------------------------------------------------------
+        safetyWarnings: [
+            {
+                type: {
+                    type: String,
+                    enum: ['interaction', 'duplicate_therapy', 'allergy'],
+                },
+                severity: {
+                    type: String,
+                    enum: ['minor', 'moderate', 'major'],
+                },
+                medicines: [String],
+                message: String,
+                _id: false,
+            },
+        ],
+
         // -----------------------------------------------------------------------
         // PDF
         // -----------------------------------------------------------------------
@@ -238,6 +291,37 @@ const prescriptionSchema = new mongoose.Schema(
             default: null,
         },
 
+        // -----------------------------------------------------------------------
+        // Dispensing (recorded by pharmacies from the verification QR code)
+        // -----------------------------------------------------------------------
+        dispensing: {
+            status: {
+                type: String,
+                enum: ['none', 'partial', 'full'],
+                default: 'none',
+            },
+            dispensedMedicines: {
+                type: [mongoose.Schema.Types.ObjectId], // medicines[]._id already handed over
+                default: [],
+            },
+            records: [
+                {
+                    pharmacyName: { type: String, trim: true, maxlength: 200 },
+                    pharmacistName: { type: String, default: '', trim: true, maxlength: 200 },
+                    licenseNumber: { type: String, default: '', trim: true, maxlength: 100 },
+                    medicines: [mongoose.Schema.Types.ObjectId],
+                    notes: { type: String, default: '', maxlength: 500 },
+                    ipAddress: { type: String, default: '' },
+                    dispensedAt: { type: Date, default: Date.now },
+                    _id: false,
+                },
+            ],
+            lastDispensedAt: {
+                type: Date,
+                default: null,
+            },
+        },
+
         // -----------------------------------------------------------------------
         // Validity
         // -----------------------------------------------------------------------
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Prescription = require('./Prescription');
+
+// Same medicine and lab test shapes as a prescription, so a template drops straight in
+const medicineSchema = Prescription.schema.path('medicines').schema;
+const labTestSchema = Prescription.schema.path('labTests').schema;
+
+const prescriptionTemplateSchema = new mongoose.Schema(
+    {
+        doctor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Doctor',
+            required: [true, 'Doctor reference is required'],
+        },
+
+        // -----------------------------------------------------------------------
+        // Identity
+        // -----------------------------------------------------------------------
+        name: {
+            type: String,
+            required: [true, 'Template name is required'],
+            trim: true,
+            maxlength: [100, 'Template name cannot exceed 100 characters'],
+            // e.g., "Viral fever - adult", "Hypertension follow-up"
+        },
+        description: {
+            type: String,
+            default: '',
+            maxlength: [500, 'Description cannot exceed 500 characters'],
+        },
+        isFavorite: {
+            type: Boolean,
+            default: false,
+        },
+
+        // -----------------------------------------------------------------------
+        // Regimen (vitals and follow-up are per visit, so not templated)
+        // -----------------------------------------------------------------------
+        diagnosis: {
+            primary: {
+                type: String,
+                default: '',
+                trim: true,
+                maxlength: [500, 'Primary diagnosis cannot exceed 500 characters'],
+            },
+            secondary: {
+                type: [String],
+                default: [],
+            },
+            icdCodes: {
+                type: [String],
+                default: [],
+            },
+        },
+        medicines: {
+            type: [medicineSchema],
+            default: [],
+        },
+        labTests: {
+            type: [labTestSchema],
+            default: [],
+        },
+        advice: {
+            type: String,
+            default: '',
+            maxlength: [3000, 'Advice cannot exceed 3000 characters'],
+        },
+        dietaryInstructions: {
+            type: String,
+            default: '',
+            maxlength: [1000, 'Dietary instructions cannot exceed 1000 characters'],
+        },
+        lifestyleRecommendations: {
+            type: String,
+            default: '',
+            maxlength: [1000, 'Lifestyle recommendations cannot exceed 1000 characters'],
+        },
+
+        // -----------------------------------------------------------------------
+        // Usage
+        // -----------------------------------------------------------------------
+        usageCount: {
+            type: Number,
+            default: 0,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+prescriptionTemplateSchema.index({ doctor: 1, name: 1 }, { unique: true });
+prescriptionTemplateSchema.index({ doctor: 1, isFavorite: -1, usageCount: -1 });
+
+/**
+ * Fields to start a prescription from. Medicine start dates are per patient,
+ * so they are dropped and the course starts when the prescription is sent.
+ */
+prescriptionTemplateSchema.methods.toPrescriptionFields = function () {
+    const { diagnosis, medicines, labTests, advice, dietaryInstructions, lifestyleRecommendations } = this.toObject();
+
+    return {
+        ...(diagnosis?.primary ? { diagnosis } : {}),
+        medicines: medicines.map(({ _id, schedule = {}, ...medicine }) => ({
+            ...medicine,
+            schedule: { ...schedule, startDate: null },
+        })),
+        labTests: labTests.map(({ _id, ...test }) => test),
+        advice,
+        dietaryInstructions,
+        lifestyleRecommendations,
+    };
+};
+
+const PrescriptionTemplate = mongoose.model('PrescriptionTemplate', prescriptionTemplateSchema);
+
+module.exports = PrescriptionTemplate;
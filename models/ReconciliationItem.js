@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const reconciliationItemSchema = new mongoose.Schema(
+    {
+        run: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ReconciliationRun',
+            required: true,
+        },
+
+        // -----------------------------------------------------------------------
+        // Mismatch
+        // -----------------------------------------------------------------------
+        type: {
+            type: String,
+            enum: [
+                'unknown_settlement', // gateway settled money we have no payment for
+                'missing_capture', // gateway settled a payment we never marked completed
+                'amount_mismatch', // settled amount differs from what we charged the gateway
+                'refund_mismatch', // gateway refund does not match the recorded refund
+                'missing_in_settlement', // completed payment absent from the settlement file
+                'missing_invoice', // completed payment without a tax invoice
+                'missing_credit_note', // refund without a credit note
+                'payout_exceeds_earnings', // doctor paid out more than earned
+                'payout_statement_mismatch', // payout total differs from its lines
+            ],
+            required: true,
+        },
+        severity: {
+            type: String,
+            enum: ['critical', 'warning'],
+            default: 'warning',
+        },
+        message: {
+            type: String,
+            default: '',
+        },
+        expected: { type: Number, default: null },
+        actual: { type: Number, default: null },
+        difference: { type: Number, default: null },
+        // Stable key of what was flagged, so the same mismatch is tracked across runs
+        key: {
+            type: String,
+            required: true,
+        },
+
+        // -----------------------------------------------------------------------
+        // References
+        // -----------------------------------------------------------------------
+        payment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment',
+            default: null,
+        },
+        payout: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payout',
+            default: null,
+        },
+        doctor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Doctor',
+            default: null,
+        },
+        gatewayEntityId: {
+            type: String,
+            default: '',
+        },
+
+        // -----------------------------------------------------------------------
+        // Review
+        // -----------------------------------------------------------------------
+        status: {
+            type: String,
+            enum: ['open', 'resolved', 'ignored'],
+            default: 'open',
+        },
+        note: {
+            type: String,
+            default: '',
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+            default: null,
+        },
+        reviewedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+reconciliationItemSchema.index({ run: 1, type: 1 });
+reconciliationItemSchema.index({ key: 1, status: 1 });
+reconciliationItemSchema.index({ status: 1, severity: 1, createdAt: -1 });
+
+const ReconciliationItem = mongoose.model('ReconciliationItem', reconciliationItemSchema);
+
+module.exports = ReconciliationItem;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const reconciliationRunSchema = new mongoose.Schema(
+    {
+        // -----------------------------------------------------------------------
+        // Source
+        // -----------------------------------------------------------------------
+        source: {
+            type: String,
+            enum: ['settlement_import', 'scheduled', 'manual'],
+            required: true,
+        },
+        fileName: {
+            type: String,
+            default: '',
+        },
+        rowCount: {
+            type: Number,
+            default: 0,
+        },
+        skippedRows: [
+            {
+                row: Number,
+                reason: String,
+                _id: false,
+            },
+        ],
+        // Capture window covered by the settlement file
+        periodStart: {
+            type: Date,
+            default: null,
+        },
+        periodEnd: {
+            type: Date,
+            default: null,
+        },
+        triggeredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+            default: null,
+        },
+
+        // -----------------------------------------------------------------------
+        // Outcome
+        // -----------------------------------------------------------------------
+        status: {
+            type: String,
+            enum: ['queued', 'running', 'completed', 'failed'],
+            default: 'queued',
+        },
+        summary: {
+            paymentsChecked: { type: Number, default: 0 },
+            settlementEntriesChecked: { type: Number, default: 0 },
+            doctorsChecked: { type: Number, default: 0 },
+            issues: { type: Number, default: 0 },
+            byType: { type: mongoose.Schema.Types.Mixed, default: {} },
+            settledAmount: { type: Number, default: 0 },
+            gatewayFees: { type: Number, default: 0 },
+        },
+        error: {
+            type: String,
+            default: '',
+        },
+        startedAt: {
+            type: Date,
+            default: null,
+        },
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+reconciliationRunSchema.index({ createdAt: -1 });
+
+const ReconciliationRun = mongoose.model('ReconciliationRun', reconciliationRunSchema);
+
+module.exports = ReconciliationRun;
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema(
+    {
+        // -----------------------------------------------------------------------
+        // Job Definition
+        // -----------------------------------------------------------------------
+        type: {
+            type: String,
+            required: [true, 'Job type is required'],
+            trim: true,
+        },
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        runAt: {
+            type: Date,
+            required: [true, 'Run time is required'],
+        },
+
+        // -----------------------------------------------------------------------
+        // Reference (used to find / cancel jobs for an entity)
+        // -----------------------------------------------------------------------
+        reference: {
+            model: { type: String, default: '' },
+            id: { type: mongoose.Schema.Types.ObjectId, default: null },
+        },
+
+        // -----------------------------------------------------------------------
+        // Status & Execution
+        // -----------------------------------------------------------------------
+        status: {
+            type: String,
+            enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+            default: 'pending',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: 3,
+        },
+        lockedAt: {
+            type: Date,
+            default: null,
+        },
+        lockedBy: {
+            type: String,
+            default: '',
+        },
+        lastError: {
+            type: String,
+            default: '',
+        },
+        result: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null,
+        },
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+        cancelledAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ 'reference.id': 1, type: 1, status: 1 });
+scheduledJobSchema.index({ status: 1, lockedAt: 1 });
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+module.exports = ScheduledJob;
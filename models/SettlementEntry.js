@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One line of a gateway settlement report; re-importing an overlapping file updates lines in place
+const settlementEntrySchema = new mongoose.Schema(
+    {
+        gateway: {
+            type: String,
+            enum: ['razorpay'],
+            default: 'razorpay',
+        },
+        entityId: {
+            type: String,
+            required: true, // pay_..., rfnd_..., adj_...
+        },
+        type: {
+            type: String,
+            enum: ['payment', 'refund', 'adjustment', 'transfer', 'other'],
+            required: true,
+        },
+
+        // -----------------------------------------------------------------------
+        // Amounts (INR)
+        // -----------------------------------------------------------------------
+        amount: { type: Number, default: 0 },
+        fee: { type: Number, default: 0 },
+        tax: { type: Number, default: 0 },
+        credit: { type: Number, default: 0 },
+        debit: { type: Number, default: 0 },
+
+        // -----------------------------------------------------------------------
+        // Gateway References
+        // -----------------------------------------------------------------------
+        paymentId: { type: String, default: '' }, // for refunds: the refunded payment
+        orderId: { type: String, default: '' },
+        settlementId: { type: String, default: '' },
+        settlementUtr: { type: String, default: '' },
+        capturedAt: { type: Date, default: null },
+        settledAt: { type: Date, default: null },
+
+        run: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ReconciliationRun',
+            default: null, // import that last brought this line in
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+settlementEntrySchema.index({ gateway: 1, entityId: 1 }, { unique: true });
+settlementEntrySchema.index({ paymentId: 1 });
+settlementEntrySchema.index({ run: 1 });
+settlementEntrySchema.index({ capturedAt: 1 });
+
+const SettlementEntry = mongoose.model('SettlementEntry', settlementEntrySchema);
+
+module.exports = SettlementEntry;
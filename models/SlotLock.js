@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const slotLockSchema = new mongoose.Schema(
+    {
+        // -----------------------------------------------------------------------
+        // Slot identity (one document per occupied seat)
+        // -----------------------------------------------------------------------
+        doctor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Doctor',
+            required: true,
+        },
+        date: {
+            type: Date,
+            required: true, // normalized to midnight
+        },
+        start: {
+            type: String,
+            required: true, // "09:00"
+        },
+        end: {
+            type: String,
+            default: '',
+        },
+        seat: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+
+        // -----------------------------------------------------------------------
+        // Holder
+        // -----------------------------------------------------------------------
+        appointment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Appointment',
+            required: true,
+        },
+        patient: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+
+        // -----------------------------------------------------------------------
+        // Status
+        // -----------------------------------------------------------------------
+        status: {
+            type: String,
+            enum: ['held', 'booked'],
+            default: 'booked',
+        },
+        expiresAt: {
+            type: Date,
+            default: null, // only set while held for payment
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// A seat can only ever be taken once
+slotLockSchema.index({ doctor: 1, date: 1, start: 1, seat: 1 }, { unique: true });
+slotLockSchema.index({ appointment: 1 });
+slotLockSchema.index({ status: 1, expiresAt: 1 });
+// Backstop cleanup for holds the expiry sweep never processed
+slotLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const SlotLock = mongoose.model('SlotLock', slotLockSchema);
+
+module.exports = SlotLock;
@@ -76,6 +76,18 @@ const userSchema = new mongoose.Schema(
             },
         ],
 
+        // -----------------------------------------------------------------------
+        // Allergies (checked when doctors prescribe)
+        // -----------------------------------------------------------------------
+        allergies: [
+            {
+                substance: { type: String, required: true, trim: true, maxlength: 200 }, // drug, brand or class, e.g. "penicillin"
+                reaction: { type: String, default: '', trim: true, maxlength: 300 },
+                severity: { type: String, enum: ['mild', 'moderate', 'severe'], default: 'moderate' },
+                _id: { type: mongoose.Schema.Types.ObjectId, auto: true },
+            },
+        ],
+
         // -----------------------------------------------------------------------
         // Medical Records
         // -----------------------------------------------------------------------
@@ -194,6 +206,7 @@ const userSchema = new mongoose.Schema(
             smsNotifications: { type: Boolean, default: true },
             pushNotifications: { type: Boolean, default: true },
             reminderTimeBefore: { type: Number, default: 30 }, // minutes
+            medicationReminders: { type: Boolean, default: true }, // push a reminder for each dose
         },
 
         // -----------------------------------------------------------------------
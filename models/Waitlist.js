@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const waitlistSchema = new mongoose.Schema(
+    {
+        // -----------------------------------------------------------------------
+        // Who is waiting for what
+        // -----------------------------------------------------------------------
+        patient: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        doctor: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Doctor',
+            required: true,
+        },
+        date: {
+            type: Date,
+            required: true, // normalized to midnight
+        },
+        timeWindow: {
+            start: { type: String, default: '' }, // "" = any time that day
+            end: { type: String, default: '' },
+        },
+        consultationType: {
+            type: String,
+            enum: ['online', 'offline'],
+            required: true,
+        },
+        clinicId: {
+            type: mongoose.Schema.Types.ObjectId,
+            default: null,
+        },
+
+        // -----------------------------------------------------------------------
+        // Status
+        // -----------------------------------------------------------------------
+        status: {
+            type: String,
+            enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+            default: 'waiting',
+        },
+
+        // -----------------------------------------------------------------------
+        // Current offer (a freed seat held for this patient until expiresAt)
+        // -----------------------------------------------------------------------
+        offer: {
+            appointmentId: { type: mongoose.Schema.Types.ObjectId, default: null }, // id reserved for the claim
+            start: { type: String, default: '' },
+            end: { type: String, default: '' },
+            offeredAt: { type: Date, default: null },
+            expiresAt: { type: Date, default: null },
+        },
+        claimedAppointment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Appointment',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Queue order: first come, first offered
+waitlistSchema.index({ doctor: 1, date: 1, status: 1, createdAt: 1 });
+waitlistSchema.index({ patient: 1, status: 1 });
+waitlistSchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+const Waitlist = mongoose.model('Waitlist', waitlistSchema);
+
+module.exports = Waitlist;
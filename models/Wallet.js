@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const walletSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            unique: true,
+        },
+
+        // -----------------------------------------------------------------------
+        // Balance (cached sum of posted WalletTransactions)
+        // -----------------------------------------------------------------------
+        balance: {
+            type: Number,
+            default: 0,
+            min: [0, 'Wallet balance cannot be negative'],
+        },
+        currency: {
+            type: String,
+            default: 'INR',
+        },
+        lifetimeCredits: {
+            type: Number,
+            default: 0,
+        },
+        lifetimeDebits: {
+            type: Number,
+            default: 0,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const Wallet = mongoose.model('Wallet', walletSchema);
+
+module.exports = Wallet;
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+
+// One side of the double entry; every transaction's debits equal its credits
+const ledgerEntrySchema = new mongoose.Schema(
+    {
+        account: {
+            type: String,
+            required: true, // wallet:<userId> | refunds | promotions | bookings | adjustments
+        },
+        debit: { type: Number, default: 0 },
+        credit: { type: Number, default: 0 },
+    },
+    { _id: false }
+);
+
+const walletTransactionSchema = new mongoose.Schema(
+    {
+        wallet: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Wallet',
+            required: true,
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+
+        // -----------------------------------------------------------------------
+        // Movement (from the wallet holder's point of view)
+        // -----------------------------------------------------------------------
+        direction: {
+            type: String,
+            enum: ['credit', 'debit'],
+            required: true,
+        },
+        category: {
+            type: String,
+            enum: [
+                'refund', // cancelled appointment refunded to wallet
+                'promotional', // credit granted by an admin
+                'booking', // wallet share of a consultation payment
+                'hold_release', // booking share returned because checkout never completed
+                'adjustment',
+            ],
+            required: true,
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: [0.01, 'Amount must be positive'],
+        },
+        balanceAfter: {
+            type: Number,
+            default: null,
+        },
+        entries: {
+            type: [ledgerEntrySchema],
+            validate: {
+                validator: function (entries) {
+                    const debits = entries.reduce((sum, e) => sum + e.debit, 0);
+                    const credits = entries.reduce((sum, e) => sum + e.credit, 0);
+                    return entries.length >= 2 && Math.abs(debits - credits) < 0.005;
+                },
+                message: 'Ledger entries must balance',
+            },
+        },
+        description: {
+            type: String,
+            default: '',
+        },
+
+        // -----------------------------------------------------------------------
+        // Posting
+        // -----------------------------------------------------------------------
+        status: {
+            type: String,
+            enum: ['pending', 'posted', 'failed'],
+            default: 'pending',
+        },
+        failureReason: {
+            type: String,
+            default: '',
+        },
+        idempotencyKey: {
+            type: String,
+            required: true,
+            unique: true, // e.g. refund:<paymentId>, payment:<paymentId>:hold
+        },
+
+        // -----------------------------------------------------------------------
+        // References
+        // -----------------------------------------------------------------------
+        payment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Payment',
+            default: null,
+        },
+        appointment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Appointment',
+            default: null,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'createdByModel',
+            default: null,
+        },
+        createdByModel: {
+            type: String,
+            enum: ['Admin', 'User', 'Doctor'],
+            default: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+walletTransactionSchema.index({ user: 1, createdAt: -1 });
+walletTransactionSchema.index({ payment: 1 });
+walletTransactionSchema.index({ 'entries.account': 1, createdAt: -1 });
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+
+module.exports = WalletTransaction;
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema(
+    {
+        // -----------------------------------------------------------------------
+        // Event Identity (the gateway's event id; one document per event)
+        // -----------------------------------------------------------------------
+        eventId: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        gateway: {
+            type: String,
+            enum: ['razorpay', 'stripe', 'fake'],
+            default: 'razorpay',
+        },
+        event: {
+            type: String,
+            required: true, // as the gateway names it, e.g. payment.captured, charge.dispute.created
+        },
+        entityId: {
+            type: String,
+            default: '', // id of the payment / refund / order / dispute it concerns
+        },
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        signature: {
+            type: String,
+            default: '',
+        },
+
+        // -----------------------------------------------------------------------
+        // Processing
+        // -----------------------------------------------------------------------
+        status: {
+            type: String,
+            enum: ['received', 'processing', 'processed', 'ignored', 'failed'],
+            default: 'received',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        lastError: {
+            type: String,
+            default: '',
+        },
+        result: {
+            type: String,
+            default: '', // short note on what the handler did
+        },
+        processedAt: {
+            type: Date,
+            default: null,
+        },
+        lastReplayedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+webhookEventSchema.index({ event: 1, createdAt: -1 });
+webhookEventSchema.index({ entityId: 1 });
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -1,19 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const { protect, authorize, checkPermission } = require('../middleware/auth');
+const { uploadCsv } = require('../middleware/upload');
 
 // ─── Controllers ────────────────────────────────────────────────────────────
 const { getDashboardOverview, getDashboardTrends, getRecentActivity } = require('../controllers/adminDashboardController');
 
 const { getAllDoctors, getDoctorById, approveDoctor, rejectDoctor, toggleBlockDoctor, updateDoctorByAdmin, getDoctorDocuments, getSpecializations } = require('../controllers/adminDoctorController');
 
-const { getAllUsers, getUserById, toggleBlockUser, updateUserByAdmin, resetUserPassword, deleteUser, getUserStats } = require('../controllers/adminUserController');
+const { getAllUsers, getUserById, toggleBlockUser, updateUserByAdmin, resetUserPassword, deleteUser, getUserStats, getUserWallet, adjustUserWallet } = require('../controllers/adminUserController');
 
-const { getAllAppointments, getAppointmentById, getAppointmentStats, cancelAppointment, rescheduleAppointment, assignAlternateDoctor } = require('../controllers/adminAppointmentController');
+const { getAllAppointments, getAppointmentById, getAppointmentStats, cancelAppointment, rescheduleAppointment, assignAlternateDoctor, markCashPayment, sendPaymentLink } = require('../controllers/adminAppointmentController');
 
-const { getAllPayments, getRevenueDashboard, getPayouts, processRefund, processPayout } = require('../controllers/adminPaymentController');
+const { getAllPayments, getRevenueDashboard, getPayouts, processRefund, processPayout, runPayouts, getPayoutRuns, getPayoutRun, updatePayoutRun, getWebhookEvents, replayWebhook, getInvoices, downloadInvoice, issuePaymentInvoice, importSettlement, runReconciliationNow, getReconciliationRuns, getReconciliationReport, reviewReconciliationItem, getNoShowReviews, reviewNoShow } = require('../controllers/adminPaymentController');
 
-const { getCommissionSettings, updateGlobalCommission, setDoctorCommission, updateMinConsultationFee, updateOnlinePaymentFee, updateCoupons } = require('../controllers/adminCommissionController');
+const { getCommissionSettings, updateGlobalCommission, setDoctorCommission, updateMinConsultationFee, updateOnlinePaymentFee, updateGstPercentage, getCoupons, createCoupon, updateCoupon, deactivateCoupon } = require('../controllers/adminCommissionController');
 
 const { getAllReviews, getReviewStats, toggleFlag, toggleVisibility, deleteReview } = require('../controllers/adminReviewController');
 
@@ -25,6 +26,8 @@ const { appointmentsReport, revenueReport, doctorPerformanceReport, getKPIs } =
 
 const { getAllTickets, getTicketById, getTicketStats, updateTicketStatus, assignTicket, respondToTicket, resolveTicket } = require('../controllers/adminSupportController');
 
+const { importDrugs, getDrugs, updateDrug } = require('../controllers/adminDrugController');
+
 const { getAllSettings, getSetting, updateSetting, bulkUpdateSettings, deleteSetting, initializeDefaults } = require('../controllers/adminSettingsController');
 
 const { getAuditLogs, getLoginHistory, getSecurityOverview, createAuditLog, getComplianceReport } = require('../controllers/adminSecurityController');
@@ -61,6 +64,8 @@ router.get('/users/:id', checkPermission('users', 'view'), getUserById);
 router.put('/users/:id', checkPermission('users', 'edit'), updateUserByAdmin);
 router.put('/users/:id/block', checkPermission('users', 'block'), toggleBlockUser);
 router.put('/users/:id/reset-password', checkPermission('users', 'edit'), resetUserPassword);
+router.get('/users/:id/wallet', checkPermission('users', 'view'), getUserWallet);
+router.post('/users/:id/wallet/adjust', checkPermission('users', 'edit'), adjustUserWallet);
 router.delete('/users/:id', checkPermission('users', 'delete'), deleteUser);
 
 // ============================================================================
@@ -72,14 +77,32 @@ router.get('/appointments/:id', checkPermission('appointments', 'view'), getAppo
 router.put('/appointments/:id/cancel', checkPermission('appointments', 'edit'), cancelAppointment);
 router.put('/appointments/:id/reschedule', checkPermission('appointments', 'edit'), rescheduleAppointment);
 router.put('/appointments/:id/assign-doctor', checkPermission('appointments', 'edit'), assignAlternateDoctor);
+router.post('/appointments/:id/cash-payment', checkPermission('payments', 'edit'), markCashPayment);
+router.post('/appointments/:id/payment-link', checkPermission('payments', 'edit'), sendPaymentLink);
 
 // ============================================================================
 // PAYMENTS & FINANCIAL
 // ============================================================================
 router.get('/payments/revenue', checkPermission('payments', 'view'), getRevenueDashboard);
 router.get('/payments/payouts', checkPermission('payments', 'view'), getPayouts);
+router.get('/payments/payout-runs', checkPermission('payments', 'view'), getPayoutRuns);
+router.post('/payments/payout-runs', checkPermission('payments', 'edit'), runPayouts);
+router.get('/payments/payout-runs/:payoutId', checkPermission('payments', 'view'), getPayoutRun);
+router.put('/payments/payout-runs/:payoutId/:action', checkPermission('payments', 'edit'), updatePayoutRun);
+router.get('/payments/webhooks', checkPermission('payments', 'view'), getWebhookEvents);
+router.post('/payments/webhooks/:eventId/replay', checkPermission('payments', 'edit'), replayWebhook);
+router.get('/payments/invoices', checkPermission('payments', 'view'), getInvoices);
+router.get('/payments/invoices/:invoiceId/download', checkPermission('payments', 'view'), downloadInvoice);
+router.get('/payments/reconciliation', checkPermission('payments', 'view'), getReconciliationRuns);
+router.post('/payments/reconciliation/import', checkPermission('payments', 'edit'), uploadCsv, importSettlement);
+router.post('/payments/reconciliation/run', checkPermission('payments', 'edit'), runReconciliationNow);
+router.put('/payments/reconciliation/items/:itemId', checkPermission('payments', 'edit'), reviewReconciliationItem);
+router.get('/payments/reconciliation/:runId', checkPermission('payments', 'view'), getReconciliationReport);
+router.get('/payments/no-show-reviews', checkPermission('payments', 'view'), getNoShowReviews);
 router.get('/payments', checkPermission('payments', 'view'), getAllPayments);
+router.post('/payments/:id/invoice', checkPermission('payments', 'edit'), issuePaymentInvoice);
 router.put('/payments/:id/refund', checkPermission('payments', 'refund'), processRefund);
+router.put('/payments/:id/no-show-review', checkPermission('payments', 'refund'), reviewNoShow);
 router.put('/payments/:id/payout', checkPermission('payments', 'edit'), processPayout);
 
 // ============================================================================
@@ -90,7 +113,11 @@ router.put('/commission/global', checkPermission('payments', 'edit'), updateGlob
 router.put('/commission/doctor/:doctorId', checkPermission('payments', 'edit'), setDoctorCommission);
 router.put('/commission/min-fee', checkPermission('payments', 'edit'), updateMinConsultationFee);
 router.put('/commission/online-fee', checkPermission('payments', 'edit'), updateOnlinePaymentFee);
-router.put('/commission/coupons', checkPermission('payments', 'edit'), updateCoupons);
+router.put('/commission/gst', checkPermission('payments', 'edit'), updateGstPercentage);
+router.get('/commission/coupons', checkPermission('payments', 'view'), getCoupons);
+router.post('/commission/coupons', checkPermission('payments', 'edit'), createCoupon);
+router.put('/commission/coupons/:couponId', checkPermission('payments', 'edit'), updateCoupon);
+router.delete('/commission/coupons/:couponId', checkPermission('payments', 'edit'), deactivateCoupon);
 
 // ============================================================================
 // REVIEWS MODERATION
@@ -138,6 +165,13 @@ router.put('/support/:id/assign', checkPermission('support', 'edit'), assignTick
 router.post('/support/:id/respond', checkPermission('support', 'edit'), respondToTicket);
 router.put('/support/:id/resolve', checkPermission('support', 'edit'), resolveTicket);
 
+// ============================================================================
+// DRUG CATALOGUE
+// ============================================================================
+router.get('/drugs', checkPermission('settings', 'view'), getDrugs);
+router.post('/drugs/import', checkPermission('settings', 'edit'), uploadCsv, importDrugs);
+router.put('/drugs/:id', checkPermission('settings', 'edit'), updateDrug);
+
 // ============================================================================
 // SYSTEM SETTINGS
 // ============================================================================
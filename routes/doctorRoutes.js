@@ -13,6 +13,8 @@ const earningsController = require('../controllers/doctorEarningsController');
 const reviewController = require('../controllers/doctorReviewController');
 const notificationController = require('../controllers/doctorNotificationController');
 const settingsController = require('../controllers/doctorSettingsController');
+const drugController = require('../controllers/doctorDrugController');
+const templateController = require('../controllers/doctorPrescriptionTemplateController');
 
 // All routes require authentication as doctor
 router.use(protect, authorize('doctor'), requireEmailVerification);
@@ -32,6 +34,7 @@ router.put('/profile', profileController.updateProfile);
 router.put('/profile/fees', profileController.updateConsultationFees);
 router.put('/profile/privacy', profileController.updatePrivacyControls);
 router.put('/profile/consultation-settings', profileController.updateConsultationSettings);
+router.put('/profile/cancellation-policy', profileController.updateCancellationPolicy);
 router.put('/profile/bank-details', profileController.updateBankDetails);
 router.put('/profile/payout-cycle', profileController.updatePayoutCycle);
 
@@ -46,11 +49,16 @@ router.delete('/profile/clinics/:clinicId', profileController.deleteClinic);
 // ═══════════════════════════════════════════════════════════════════════════
 router.get('/availability', requireDoctorVerification, availabilityController.getAvailability);
 router.put('/availability/weekly-schedule', requireDoctorVerification, availabilityController.updateWeeklySchedule);
+router.put('/availability/online-schedule', requireDoctorVerification, availabilityController.updateOnlineSchedule);
+router.put('/availability/clinics/:clinicId/schedule', requireDoctorVerification, availabilityController.updateClinicSchedule);
 router.put('/availability/slot-config', requireDoctorVerification, availabilityController.updateSlotConfig);
 router.post('/availability/custom-date', requireDoctorVerification, availabilityController.addCustomDateOverride);
 router.delete('/availability/custom-date/:overrideId', requireDoctorVerification, availabilityController.removeCustomDateOverride);
 router.post('/availability/holidays', requireDoctorVerification, availabilityController.addHoliday);
 router.delete('/availability/holidays/:holidayId', requireDoctorVerification, availabilityController.removeHoliday);
+router.post('/availability/rules', requireDoctorVerification, availabilityController.addAvailabilityRule);
+router.delete('/availability/rules/:ruleId', requireDoctorVerification, availabilityController.removeAvailabilityRule);
+router.post('/availability/preview', requireDoctorVerification, availabilityController.previewScheduleChange);
 router.get('/availability/slots/:date', requireDoctorVerification, availabilityController.getAvailableSlots);
 router.put('/availability/block-slot', requireDoctorVerification, availabilityController.toggleSlotBlock);
 // 
@@ -66,6 +74,8 @@ router.put('/appointments/:appointmentId/reschedule', requireDoctorVerification,
 router.put('/appointments/:appointmentId/complete', requireDoctorVerification, appointmentController.completeAppointment);
 router.put('/appointments/:appointmentId/start-consultation', requireDoctorVerification, appointmentController.startConsultation);
 router.put('/appointments/:appointmentId/end-consultation', requireDoctorVerification, appointmentController.endConsultation);
+router.post('/appointments/:appointmentId/cash-payment', requireDoctorVerification, appointmentController.markCashPayment);
+router.post('/appointments/:appointmentId/payment-link', requireDoctorVerification, appointmentController.sendPaymentLink);
 
 // ═══════════════════════════════════════════════════════════════════════════
 // PRESCRIPTION MANAGEMENT
@@ -73,10 +83,20 @@ router.put('/appointments/:appointmentId/end-consultation', requireDoctorVerific
 router.get('/prescriptions', requireDoctorVerification, prescriptionController.getPrescriptions);
 router.post('/prescriptions', requireDoctorVerification, prescriptionController.createPrescription);
 router.get('/prescriptions/:prescriptionId', requireDoctorVerification, prescriptionController.getPrescription);
+router.get('/prescriptions/:prescriptionId/download', requireDoctorVerification, prescriptionController.downloadPrescription);
 router.put('/prescriptions/:prescriptionId', requireDoctorVerification, prescriptionController.updatePrescription);
 router.put('/prescriptions/:prescriptionId/send', requireDoctorVerification, prescriptionController.sendPrescription);
 router.delete('/prescriptions/:prescriptionId', requireDoctorVerification, prescriptionController.deletePrescription);
 router.get('/prescriptions/patient/:patientId', requireDoctorVerification, prescriptionController.getPatientPrescriptions);
+router.get('/drugs/search', requireDoctorVerification, drugController.searchDrugCatalogue);
+
+// Prescription templates (apply with templateId on POST /prescriptions)
+router.get('/prescription-templates', requireDoctorVerification, templateController.getTemplates);
+router.post('/prescription-templates', requireDoctorVerification, templateController.createTemplate);
+router.get('/prescription-templates/:templateId', requireDoctorVerification, templateController.getTemplate);
+router.put('/prescription-templates/:templateId', requireDoctorVerification, templateController.updateTemplate);
+router.put('/prescription-templates/:templateId/favorite', requireDoctorVerification, templateController.toggleFavorite);
+router.delete('/prescription-templates/:templateId', requireDoctorVerification, templateController.deleteTemplate);
 
 // ═══════════════════════════════════════════════════════════════════════════
 // PATIENT MANAGEMENT
@@ -93,6 +113,10 @@ router.delete('/patients/notes/:noteId', requireDoctorVerification, patientContr
 router.get('/earnings', requireDoctorVerification, earningsController.getEarningsDashboard);
 router.get('/earnings/transactions', requireDoctorVerification, earningsController.getTransactions);
 router.get('/earnings/payouts', requireDoctorVerification, earningsController.getPayoutHistory);
+router.get('/earnings/statements', requireDoctorVerification, earningsController.getPayoutStatements);
+router.get('/earnings/statements/:payoutId', requireDoctorVerification, earningsController.getPayoutStatement);
+router.get('/earnings/invoices', requireDoctorVerification, earningsController.getInvoices);
+router.get('/earnings/invoices/:invoiceId/download', requireDoctorVerification, earningsController.downloadInvoice);
 
 // ═══════════════════════════════════════════════════════════════════════════
 // RATINGS & REVIEWS
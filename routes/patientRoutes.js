@@ -9,6 +9,11 @@ const prescriptionController = require('../controllers/patientPrescriptionContro
 const reviewController = require('../controllers/patientReviewController');
 const notificationController = require('../controllers/patientNotificationController');
 const profileController = require('../controllers/patientProfileController');
+const waitlistController = require('../controllers/patientWaitlistController');
+const couponController = require('../controllers/patientCouponController');
+const invoiceController = require('../controllers/patientInvoiceController');
+const walletController = require('../controllers/patientWalletController');
+const medicationController = require('../controllers/patientMedicationController');
 
 // All routes require patient auth
 router.use(protect, authorize('patient'), requireEmailVerification);
@@ -20,18 +25,41 @@ router.get('/dashboard', dashboardController.getDashboardOverview);
 router.get('/doctors/search', doctorController.searchDoctors);
 router.get('/doctors/:doctorId', doctorController.getDoctorProfile);
 router.get('/doctors/:doctorId/slots/:date', doctorController.getDoctorSlots);
+router.get('/doctors/:doctorId/availability', doctorController.getDoctorAvailabilityCalendar);
 
 // Appointments
 router.post('/appointments', appointmentController.bookAppointment);
 router.get('/appointments', appointmentController.getAppointments);
 router.get('/appointments/:appointmentId', appointmentController.getAppointmentDetails);
+router.get('/appointments/:appointmentId/cancellation-preview', appointmentController.getCancellationPreview);
 router.put('/appointments/:appointmentId/cancel', appointmentController.cancelAppointment);
 router.put('/appointments/:appointmentId/reschedule', appointmentController.rescheduleAppointment);
 router.put('/appointments/:appointmentId/join', appointmentController.joinConsultation);
 
+// Waitlist (claim an offer by booking with waitlistId)
+router.post('/waitlist', waitlistController.joinWaitlist);
+router.get('/waitlist', waitlistController.getMyWaitlist);
+router.delete('/waitlist/:waitlistId', waitlistController.leaveWaitlist);
+
+// Coupons (applied at checkout via POST /api/payments/create-order)
+router.post('/coupons/validate', couponController.validateCoupon);
+
+// Wallet (spent via useWallet on POST /api/payments/create-order)
+router.get('/wallet', walletController.getWallet);
+router.get('/wallet/transactions', walletController.getWalletTransactions);
+
+// Invoices & credit notes
+router.get('/invoices', invoiceController.getInvoices);
+router.get('/invoices/:invoiceId/download', invoiceController.downloadInvoice);
+
 // Prescriptions
 router.get('/prescriptions', prescriptionController.getPrescriptions);
 router.get('/prescriptions/:prescriptionId', prescriptionController.getPrescription);
+router.get('/prescriptions/:prescriptionId/download', prescriptionController.downloadPrescription);
+
+// Medication schedule & dose logging (doses are created when a prescription is sent)
+router.get('/medications/schedule', medicationController.getMedicationSchedule);
+router.put('/medications/doses/:doseId', medicationController.logDose);
 
 // Reviews
 router.post('/reviews', reviewController.submitReview);
@@ -49,6 +77,8 @@ router.get('/profile', profileController.getProfile);
 router.put('/profile', profileController.updateProfile);
 router.post('/profile/family', profileController.addFamilyMember);
 router.delete('/profile/family/:memberId', profileController.removeFamilyMember);
+router.post('/profile/allergies', profileController.addAllergy);
+router.delete('/profile/allergies/:allergyId', profileController.removeAllergy);
 router.post('/profile/medical-records', profileController.uploadMedicalRecord);
 router.delete('/profile/medical-records/:recordId', profileController.deleteMedicalRecord);
 router.put('/profile/preferences', profileController.updatePreferences);
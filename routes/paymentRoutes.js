@@ -4,17 +4,21 @@ const { protect, authorize } = require('../middleware/auth');
 const {
     createPaymentOrder,
     verifyPaymentHandler,
-    razorpayWebhook,
+    paymentWebhook,
+    fakeCheckout,
     requestRefund,
     getPaymentDetails,
 } = require('../controllers/paymentController');
 
-// Webhook (no auth - called by Razorpay servers)
-router.post('/webhook', express.raw({ type: 'application/json' }), razorpayWebhook);
+// Webhooks (no auth - called by gateway servers; raw body kept by express.json in server.js)
+// The bare path stays Razorpay's so existing dashboard configuration keeps working
+router.post('/webhook', paymentWebhook);
+router.post('/webhook/:gateway', paymentWebhook);
 
 // Patient payment flow
 router.post('/create-order', protect, authorize('patient'), createPaymentOrder);
 router.post('/verify', protect, authorize('patient'), verifyPaymentHandler);
+router.post('/fake/checkout', protect, authorize('patient'), fakeCheckout);
 
 // Payment details
 router.get('/:paymentId', protect, getPaymentDetails);
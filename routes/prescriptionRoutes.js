@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { verifyPrescription, dispensePrescription } = require('../controllers/prescriptionVerificationController');
+
+// Public: opened from the QR code printed on prescription PDFs (the signed token stands in for auth)
+router.get('/verify/:prescriptionNumber', verifyPrescription);
+router.post('/verify/:prescriptionNumber/dispense', dispensePrescription);
+
+module.exports = router;
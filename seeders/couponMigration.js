@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+const SystemSettings = require('../models/SystemSettings');
+const Coupon = require('../models/Coupon');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Coupons used to live as a free-form array in the `active_coupons` setting
+// (PUT /api/admin/commission/coupons). Copy them into the Coupon collection
+// so checkout keeps honouring them. Safe to re-run: existing codes are skipped.
+
+const DISCOUNT_TYPES = {
+    percentage: 'percentage',
+    percent: 'percentage',
+    flat: 'flat',
+    fixed: 'flat',
+    amount: 'flat',
+};
+
+const firstDefined = (...values) => values.find((v) => v !== undefined && v !== null && v !== '');
+
+const toDate = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Map one legacy entry onto the Coupon fields, or explain why it cannot be
+const toCoupon = (legacy) => {
+    if (!legacy || typeof legacy !== 'object') {
+        return { skip: 'no discount details (code only)' };
+    }
+
+    const code = firstDefined(legacy.code, legacy.couponCode);
+    if (!code) return { skip: 'missing code' };
+
+    const discountType = DISCOUNT_TYPES[String(firstDefined(legacy.discountType, legacy.type) || '').toLowerCase()];
+    const discountValue = Number(firstDefined(legacy.discountValue, legacy.value, legacy.discount, legacy.amount));
+    if (!discountType || !(discountValue > 0)) {
+        return { skip: 'missing discount type or value' };
+    }
+
+    const usageLimit = Number(firstDefined(legacy.usageLimit, legacy.maxUses));
+    const perUserLimit = Number(firstDefined(legacy.perUserLimit, legacy.maxUsesPerUser));
+    const maxDiscount = Number(firstDefined(legacy.maxDiscount, legacy.maxDiscountAmount));
+
+    return {
+        coupon: {
+            code,
+            description: legacy.description || '',
+            discountType,
+            discountValue,
+            maxDiscount: maxDiscount > 0 ? maxDiscount : null,
+            validFrom: toDate(firstDefined(legacy.validFrom, legacy.startDate)),
+            validUntil: toDate(firstDefined(legacy.validUntil, legacy.expiresAt, legacy.expiryDate)),
+            usageLimit: usageLimit >= 1 ? usageLimit : null,
+            perUserLimit: perUserLimit >= 1 ? perUserLimit : 1,
+            usedCount: Number(firstDefined(legacy.usedCount, legacy.timesUsed)) || 0,
+            isActive: legacy.isActive !== false && legacy.active !== false,
+        },
+    };
+};
+
+const migrateCoupons = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const legacy = await SystemSettings.getSetting('active_coupons', []);
+        if (!Array.isArray(legacy) || legacy.length === 0) {
+            console.log('ℹ️  No legacy coupons in active_coupons, nothing to migrate');
+            await mongoose.connection.close();
+            process.exit(0);
+        }
+
+        let created = 0;
+        let existing = 0;
+        const skipped = [];
+
+        for (const entry of legacy) {
+            const { coupon, skip } = toCoupon(entry);
+            if (skip) {
+                skipped.push(`${typeof entry === 'string' ? entry : entry?.code || '(no code)'}: ${skip}`);
+                continue;
+            }
+
+            if (await Coupon.exists({ code: coupon.code.trim().toUpperCase() })) {
+                existing++;
+                continue;
+            }
+
+            try {
+                await Coupon.create(coupon);
+                created++;
+            } catch (error) {
+                skipped.push(`${coupon.code}: ${error.message}`);
+            }
+        }
+
+        console.log(`\n🎟️  Legacy coupons: ${created} migrated, ${existing} already present, ${skipped.length} skipped`);
+        skipped.forEach((line) => console.log(`   - ${line}`));
+        if (skipped.length) {
+            console.log('\n⚠️  Recreate skipped coupons from the admin panel (POST /api/admin/commission/coupons)\n');
+        }
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Migration Error:', error.message);
+        await mongoose.connection.close();
+        process.exit(1);
+    }
+};
+
+migrateCoupons();
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const SlotLock = require('../models/SlotLock');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+// Seats are claimed through SlotLock documents, but appointments booked before
+// slot locking existed have none, so their seats look free. Give every active
+// upcoming appointment its booked seat. Safe to re-run: appointments that
+// already hold a lock are skipped.
+
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'ongoing', 'rescheduled'];
+
+const startOfToday = () => {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+};
+
+// First free seat index, ignoring the cap: existing overbookings keep their seat
+const lockSeat = async (appointment) => {
+    const date = new Date(appointment.appointmentDate);
+    date.setHours(0, 0, 0, 0);
+
+    for (let seat = 0; ; seat++) {
+        try {
+            await SlotLock.create({
+                doctor: appointment.doctor,
+                date,
+                start: appointment.timeSlot.start,
+                end: appointment.timeSlot.end || '',
+                seat,
+                appointment: appointment._id,
+                patient: appointment.patient,
+                status: 'booked',
+            });
+            return seat;
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+};
+
+const migrateSlotLocks = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('✅ Connected to MongoDB');
+
+        await SlotLock.init(); // the unique seat index must exist before seats are claimed
+
+        const appointments = await Appointment.find({
+            status: { $in: ACTIVE_STATUSES },
+            appointmentDate: { $gte: startOfToday() },
+        })
+            .select('doctor patient appointmentDate timeSlot')
+            .lean();
+
+        const locked = new Set(
+            (await SlotLock.distinct('appointment', { appointment: { $in: appointments.map((a) => a._id) } }))
+                .map((id) => id.toString())
+        );
+
+        const caps = new Map();
+        let created = 0;
+        const overbooked = [];
+
+        for (const appointment of appointments) {
+            if (locked.has(appointment._id.toString())) continue;
+
+            const seat = await lockSeat(appointment);
+            created++;
+
+            const doctorId = appointment.doctor.toString();
+            if (!caps.has(doctorId)) {
+                const doctor = await Doctor.findById(doctorId).select('slotConfig').lean();
+                caps.set(doctorId, doctor?.slotConfig?.maxAppointmentsPerSlot || 1);
+            }
+            if (seat >= caps.get(doctorId)) {
+                overbooked.push(`${doctorId} ${appointment.appointmentDate.toISOString().slice(0, 10)} ${appointment.timeSlot.start}`);
+            }
+        }
+
+        console.log(`\n🔒 Slot locks: ${created} created, ${appointments.length - created} appointments already locked`);
+        if (overbooked.length) {
+            console.log('\n⚠️  These slots were already booked beyond capacity; no new bookings are taken until seats free up:');
+            [...new Set(overbooked)].forEach((line) => console.log(`   - ${line}`));
+        }
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Migration Error:', error.message);
+        await mongoose.connection.close();
+        process.exit(1);
+    }
+};
+
+migrateSlotLocks();
@@ -12,6 +12,9 @@ const connectDB = require('./config/db');
 // Load environment variables
 dotenv.config();
 
+// Fail fast on a payment gateway that cannot verify its webhooks
+require('./utils/gateways').assertGatewayConfigured();
+
 // Connect to MongoDB
 connectDB();
 
@@ -37,6 +40,24 @@ const io = new Server(server, {
 const { setupWebRTC } = require('./utils/webrtc');
 setupWebRTC(io);
 
+// ---------------------------------------------------------------------------
+// Background Jobs (appointment reminders, no-show sweep, slot hold and waitlist offer expiry)
+// ---------------------------------------------------------------------------
+const { startScheduler } = require('./utils/scheduler');
+require('./utils/reminders');
+require('./utils/noShow');
+require('./utils/slotReservation');
+require('./utils/waitlist');
+require('./utils/payouts');
+require('./utils/invoices');
+require('./utils/reconciliation');
+require('./utils/webhooks');
+require('./utils/medicationSchedule');
+
+if (process.env.ENABLE_SCHEDULER !== 'false') {
+    startScheduler({ intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS) || 30000 });
+}
+
 // ---------------------------------------------------------------------------
 // Security Middleware
 // ---------------------------------------------------------------------------
@@ -96,7 +117,13 @@ app.use('/api/admin/auth/', authLimiter);
 // ---------------------------------------------------------------------------
 // Body Parsing & Logging
 // ---------------------------------------------------------------------------
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Webhook signatures are computed over the raw bytes, not the re-serialized JSON
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhook')) req.rawBody = buf;
+    },
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 if (process.env.NODE_ENV === 'development') {
@@ -119,6 +146,7 @@ const adminAuthRoutes = require('./routes/adminAuthRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const patientRoutes = require('./routes/patientRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const prescriptionRoutes = require('./routes/prescriptionRoutes');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/doctor/auth', doctorAuthRoutes);
@@ -127,6 +155,7 @@ app.use('/api/admin/auth', adminAuthRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/patient', patientRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/prescriptions', prescriptionRoutes);
 
 // ---------------------------------------------------------------------------
 // Health Check
@@ -139,7 +168,8 @@ app.get('/api/health', (req, res) => {
         timestamp: new Date().toISOString(),
         features: {
             webrtc: true,
-            payments: !!process.env.RAZORPAY_KEY_ID,
+            payments: !!(process.env.RAZORPAY_KEY_ID || process.env.STRIPE_SECRET_KEY || process.env.PAYMENT_GATEWAY === 'fake'),
+            paymentGateway: process.env.PAYMENT_GATEWAY || 'razorpay',
             pushNotifications: !!process.env.FIREBASE_PROJECT_ID,
             sms: !!process.env.TWILIO_ACCOUNT_SID,
         },
@@ -177,6 +207,7 @@ app.use((err, req, res, next) => {
     res.status(statusCode).json({
         success: false,
         message,
+        ...(err.errorCode && { code: err.errorCode }),
         ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
     });
 });
@@ -0,0 +1,100 @@
+/**
+ * Displaced Appointment Cancellation
+ * Cancels appointments knocked out by a doctor's schedule change (blocked
+ * slots, leave), then releases their seats, refunds paid bookings in full
+ * and tells the patients
+ */
+
+const Appointment = require('../models/Appointment');
+const { sendNotification } = require('./notifications');
+const { refundCancelledAppointment } = require('./cancellationPolicy');
+const { cancelAppointmentReminders } = require('./reminders');
+const { releaseSlot } = require('./slotReservation');
+
+const CANCELLABLE_STATUSES = ['pending', 'confirmed'];
+
+const notifyPatient = async (appointment, reason, refundAmount) => {
+    const { patient, doctor } = appointment;
+    if (!patient) return;
+
+    const doctorName = doctor?.fullName || 'your doctor';
+    const date = appointment.appointmentDate.toLocaleDateString();
+    const refundNote = refundAmount ? ` A full refund of ₹${refundAmount} has been initiated.` : '';
+
+    await sendNotification({
+        recipientId: patient._id,
+        recipientModel: 'User',
+        type: 'appointment_cancelled',
+        title: 'Appointment Cancelled',
+        message: `Your appointment with Dr. ${doctorName} on ${date} at ${appointment.timeSlot.start} was cancelled: ${reason}.${refundNote}`,
+        data: { appointmentId: appointment._id, refunded: !!refundAmount },
+        channels: { push: true, email: true, sms: true },
+        emailTemplate: {
+            template: 'appointmentCancelled',
+            vars: { name: patient.fullName, doctorName, date, reason },
+        },
+        recipient: patient,
+    });
+};
+
+/**
+ * Cancel appointments displaced by a doctor's schedule change
+ * @param {Object} options
+ * @param {Array} options.appointmentIds - Appointments to cancel (non-cancellable ones are skipped)
+ * @param {string} options.reason - Stored as cancellationReason and shown to the patient
+ * @param {string} options.cancelledBy - 'doctor' | 'admin' | 'system'
+ * @returns {{ cancelled: number, refunded: number, refundFailed: Array }}
+ */
+const cancelDisplacedAppointments = async ({ appointmentIds, reason, cancelledBy = 'doctor' }) => {
+    const outcome = { cancelled: 0, refunded: 0, refundFailed: [] };
+    if (!appointmentIds || appointmentIds.length === 0) return outcome;
+
+    const cancelledAt = new Date();
+    const result = await Appointment.updateMany(
+        { _id: { $in: appointmentIds }, status: { $in: CANCELLABLE_STATUSES } },
+        {
+            $set: {
+                status: 'cancelled',
+                cancellationReason: reason,
+                cancelledBy,
+                cancelledAt,
+            },
+        }
+    );
+    outcome.cancelled = result.modifiedCount;
+
+    await cancelAppointmentReminders(appointmentIds);
+    await releaseSlot(appointmentIds);
+
+    // Only follow up on the appointments this call actually cancelled
+    const cancelled = await Appointment.find({
+        _id: { $in: appointmentIds },
+        status: 'cancelled',
+        cancelledAt,
+    })
+        .populate('patient', 'fullName email mobileNumber fcmToken preferences')
+        .populate('doctor', 'fullName');
+
+    for (const appointment of cancelled) {
+        try {
+            const refund = await refundCancelledAppointment({
+                appointment,
+                cancelledBy,
+                reason: `Appointment cancelled by ${cancelledBy}: ${reason}`,
+            });
+            if (refund.refunded) {
+                outcome.refunded++;
+            } else if (refund.error) {
+                outcome.refundFailed.push(appointment._id);
+            }
+
+            await notifyPatient(appointment, reason, refund.refunded ? refund.amount : 0);
+        } catch (error) {
+            console.error(`❌ Cancellation follow-up failed for ${appointment._id}:`, error.message);
+        }
+    }
+
+    return outcome;
+};
+
+module.exports = { cancelDisplacedAppointments };
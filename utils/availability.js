@@ -0,0 +1,679 @@
+/**
+ * Doctor Availability Service
+ * Generates bookable slots from a doctor's schedule (weekly schedule, custom
+ * date overrides, holidays, recurring rules, break times, blocked slots, slot config) and validates requested
+ * slots against them. Slots are resolved per consultation context: each clinic
+ * and online consultations can follow their own weekly schedule, while
+ * bookings count against the doctor's capacity across all of them.
+ */
+
+const Doctor = require('../models/Doctor');
+const Appointment = require('../models/Appointment');
+const SlotLock = require('../models/SlotLock');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// 'rescheduled' is only found on appointments admins moved before reschedules kept their status
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'ongoing', 'rescheduled'];
+const AVAILABILITY_FIELDS = 'weeklySchedule onlineSchedule clinics customDateOverrides holidays availabilityRules blockedSlots slotConfig maxDailyAppointments';
+
+// Rejection reasons returned to clients as `code`
+const AVAILABILITY_CODES = {
+    DOCTOR_NOT_FOUND: 'DOCTOR_NOT_FOUND',
+    CLINIC_NOT_FOUND: 'CLINIC_NOT_FOUND',
+    CLINIC_REQUIRED: 'CLINIC_REQUIRED',
+    INVALID_DATE: 'INVALID_DATE',
+    PAST_DATE: 'PAST_DATE',
+    HOLIDAY: 'HOLIDAY',
+    DATE_UNAVAILABLE: 'DATE_UNAVAILABLE',
+    DAY_UNAVAILABLE: 'DAY_UNAVAILABLE',
+    INVALID_SLOT: 'INVALID_SLOT',
+    SLOT_IN_PAST: 'SLOT_IN_PAST',
+    SLOT_BLOCKED: 'SLOT_BLOCKED',
+    SLOT_FULL: 'SLOT_FULL',
+    DAILY_LIMIT_REACHED: 'DAILY_LIMIT_REACHED',
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const toTimeString = (totalMinutes) =>
+    `${Math.floor(totalMinutes / 60).toString().padStart(2, '0')}:${(totalMinutes % 60).toString().padStart(2, '0')}`;
+
+const startOfDay = (date) => {
+    const result = new Date(date);
+    result.setHours(0, 0, 0, 0);
+    return result;
+};
+
+const isSameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+// Whether a date falls inside a single-day (end = null) or multi-day entry
+const coversDate = (start, end, date) => {
+    const day = startOfDay(date);
+    return day >= startOfDay(start) && day <= startOfDay(end || start);
+};
+
+const daySpan = (entry) => startOfDay(entry.endDate || entry.date) - startOfDay(entry.date);
+
+const isLastWeekdayOfMonth = (date) => {
+    const sameWeekdayNextWeek = new Date(date);
+    sameWeekdayNextWeek.setDate(sameWeekdayNextWeek.getDate() + 7);
+    return sameWeekdayNextWeek.getMonth() !== new Date(date).getMonth();
+};
+
+/**
+ * Whether a recurring availability rule applies on a date for a clinic (or online when clinicId is null)
+ */
+const ruleAppliesOn = (rule, date, clinicId = null) => {
+    const day = startOfDay(date);
+
+    if (rule.startDate && day < startOfDay(rule.startDate)) return false;
+    if (rule.endDate && day > startOfDay(rule.endDate)) return false;
+    if (rule.clinicId && (!clinicId || rule.clinicId.toString() !== clinicId.toString())) return false;
+    if (day.getDay() !== rule.dayOfWeek) return false;
+    if (!rule.weeksOfMonth || rule.weeksOfMonth.length === 0) return true;
+
+    const weekOfMonth = Math.ceil(day.getDate() / 7);
+    return rule.weeksOfMonth.some((week) => (week === -1 ? isLastWeekdayOfMonth(day) : week === weekOfMonth));
+};
+
+const timeRangesOverlap = (a, b) => toMinutes(a.start) < toMinutes(b.end) && toMinutes(a.end) > toMinutes(b.start);
+
+/**
+ * Whether a blocked slot range (one-off, daily or weekly) applies on a date
+ */
+const blockAppliesOn = (block, date) => {
+    const day = startOfDay(date);
+    const first = startOfDay(block.date);
+
+    if (day < first) return false;
+    if (block.until && day > startOfDay(block.until)) return false;
+    if ((block.skipDates || []).some((d) => isSameDay(d, day))) return false;
+
+    switch (block.recurrence) {
+        case 'daily': return true;
+        case 'weekly': return day.getDay() === first.getDay();
+        default: return isSameDay(first, day);
+    }
+};
+
+const hasConfiguredSchedule = (weeklySchedule) =>
+    !!weeklySchedule && DAY_NAMES.some((day) => weeklySchedule[day]?.isAvailable && weeklySchedule[day]?.slots?.length);
+
+const findActiveClinic = (doctor, clinicId) =>
+    (doctor.clinics || []).find((c) => c._id.toString() === clinicId.toString() && c.isActive !== false);
+
+/**
+ * Weekly day schedule for a consultation context.
+ * Clinic: its own schedule > its workingDays/workingHours > the global schedule.
+ * Online: the online schedule > the global schedule.
+ */
+const getWeeklyDaySchedule = (doctor, date, { consultationType, clinic } = {}) => {
+    const day = DAY_NAMES[new Date(date).getDay()];
+
+    if (clinic) {
+        if (hasConfiguredSchedule(clinic.weeklySchedule)) return clinic.weeklySchedule[day];
+
+        if (clinic.workingDays?.length) {
+            const worksToday = clinic.workingDays.some((d) => d.toLowerCase() === day);
+            return {
+                isAvailable: worksToday,
+                slots: worksToday
+                    ? [{ start: clinic.workingHours?.start || '09:00', end: clinic.workingHours?.end || '18:00' }]
+                    : [],
+                breakTimes: [],
+            };
+        }
+    } else if (consultationType === 'online' && hasConfiguredSchedule(doctor.onlineSchedule)) {
+        return doctor.onlineSchedule[day];
+    }
+
+    return doctor.weeklySchedule?.[day];
+};
+
+/**
+ * Resolve which schedule applies on a date (holiday > custom override > recurring rule > weekly)
+ * @param {Object} context - { consultationType: 'online' | 'offline', clinicId }
+ * @returns {{ isAvailable: boolean, code?: string, reason?: string, daySchedule?: Object }}
+ */
+const resolveDaySchedule = (doctor, date, { consultationType, clinicId } = {}) => {
+    let clinic = null;
+    if (clinicId && consultationType !== 'online') {
+        clinic = findActiveClinic(doctor, clinicId);
+        if (!clinic) {
+            return { isAvailable: false, code: AVAILABILITY_CODES.CLINIC_NOT_FOUND, reason: 'Clinic not found' };
+        }
+    }
+
+    if ((doctor.holidays || []).some((h) => coversDate(h.date, h.endDate, date))) {
+        return { isAvailable: false, code: AVAILABILITY_CODES.HOLIDAY, reason: 'Holiday' };
+    }
+
+    // The narrowest matching override wins, so a single day can refine a longer range
+    const customOverride = (doctor.customDateOverrides || [])
+        .filter((o) => coversDate(o.date, o.endDate, date))
+        .sort((a, b) => daySpan(a) - daySpan(b))[0];
+
+    let daySchedule;
+    if (customOverride) {
+        if (!customOverride.isAvailable) {
+            return {
+                isAvailable: false,
+                code: AVAILABILITY_CODES.DATE_UNAVAILABLE,
+                reason: customOverride.reason || 'Unavailable',
+            };
+        }
+        daySchedule = { isAvailable: true, slots: customOverride.slots, breakTimes: [] };
+    } else {
+        const weeklyDay = getWeeklyDaySchedule(doctor, date, { consultationType, clinic });
+        const rules = (doctor.availabilityRules || []).filter((r) => ruleAppliesOn(r, date, clinic?._id));
+
+        const closingRule = rules.find((r) => !r.isAvailable);
+        if (closingRule) {
+            return {
+                isAvailable: false,
+                code: AVAILABILITY_CODES.DATE_UNAVAILABLE,
+                reason: closingRule.reason || 'Unavailable',
+            };
+        }
+
+        const hoursRule = rules.find((r) => r.slots && r.slots.length > 0);
+        daySchedule = hoursRule
+            ? { isAvailable: true, slots: hoursRule.slots, breakTimes: weeklyDay?.breakTimes || [] }
+            : weeklyDay;
+    }
+
+    if (!daySchedule || !daySchedule.isAvailable || !daySchedule.slots || daySchedule.slots.length === 0) {
+        return {
+            isAvailable: false,
+            code: AVAILABILITY_CODES.DAY_UNAVAILABLE,
+            reason: clinic ? `Not at ${clinic.clinicName} on this day` : 'Not available on this day',
+        };
+    }
+
+    return { isAvailable: true, daySchedule };
+};
+
+/**
+ * Split a day schedule into individual slots, skipping break times
+ */
+const generateSlots = (daySchedule, slotConfig = {}) => {
+    const slotDuration = slotConfig.slotDuration || 15;
+    const bufferTime = slotConfig.bufferTime || 0;
+    const slots = [];
+
+    for (const timeRange of daySchedule.slots) {
+        let currentMinutes = toMinutes(timeRange.start);
+        const endMinutes = toMinutes(timeRange.end);
+
+        while (currentMinutes + slotDuration <= endMinutes) {
+            const slotEndMin = currentMinutes + slotDuration;
+
+            const isBreak = (daySchedule.breakTimes || []).some(
+                (brk) => currentMinutes < toMinutes(brk.end) && slotEndMin > toMinutes(brk.start)
+            );
+
+            if (!isBreak) {
+                slots.push({
+                    start: toTimeString(currentMinutes),
+                    end: toTimeString(slotEndMin),
+                    isAvailable: true,
+                });
+            }
+
+            currentMinutes = slotEndMin + bufferTime;
+        }
+    }
+
+    return slots;
+};
+
+/**
+ * Build a day's availability from already-fetched bookings (no DB access)
+ * @param {Object} doctor - Doctor with AVAILABILITY_FIELDS
+ * @param {Date} date - Requested date
+ * @param {Array} bookings - Active appointments on that date ({ timeSlot })
+ * @param {Date} now - Reference time for past-slot filtering
+ * @param {Object} context - { consultationType, clinicId } selecting the schedule
+ */
+const buildDayAvailability = (doctor, date, bookings = [], now = new Date(), context = {}) => {
+    const requestedDate = startOfDay(date);
+    const today = startOfDay(now);
+
+    if (requestedDate < today) {
+        return { date: requestedDate, isAvailable: false, code: AVAILABILITY_CODES.PAST_DATE, reason: 'Past date', slots: [] };
+    }
+
+    const resolved = resolveDaySchedule(doctor, requestedDate, context);
+    if (!resolved.isAvailable) {
+        return { date: requestedDate, isAvailable: false, code: resolved.code, reason: resolved.reason, slots: [] };
+    }
+
+    const slots = generateSlots(resolved.daySchedule, doctor.slotConfig);
+    const maxPerSlot = doctor.slotConfig?.maxAppointmentsPerSlot || 1;
+
+    for (const slot of slots) {
+        const bookedCount = bookings.filter(
+            (b) => b.timeSlot.start === slot.start && b.timeSlot.end === slot.end
+        ).length;
+        slot.bookedCount = bookedCount;
+        if (bookedCount >= maxPerSlot) {
+            slot.isAvailable = false;
+        } else {
+            slot.remainingSlots = maxPerSlot - bookedCount;
+        }
+    }
+
+    const blocks = (doctor.blockedSlots || []).filter((block) => blockAppliesOn(block, requestedDate));
+    for (const slot of slots) {
+        if (blocks.some((block) => timeRangesOverlap(slot, block))) {
+            slot.isAvailable = false;
+            slot.isBlocked = true;
+            delete slot.remainingSlots;
+        }
+    }
+
+    if (isSameDay(requestedDate, today)) {
+        const currentTimeMinutes = now.getHours() * 60 + now.getMinutes();
+        for (const slot of slots) {
+            if (toMinutes(slot.start) <= currentTimeMinutes) {
+                slot.isAvailable = false;
+                slot.isPast = true;
+            }
+        }
+    }
+
+    const totalBookedToday = bookings.length;
+
+    return {
+        date: requestedDate,
+        isAvailable: true,
+        slotConfig: doctor.slotConfig,
+        totalSlots: slots.length,
+        availableSlots: slots.filter((s) => s.isAvailable).length,
+        bookedSlots: slots.filter((s) => !s.isAvailable && !s.isPast && !s.isBlocked).length,
+        blockedSlots: slots.filter((s) => s.isBlocked).length,
+        dailyLimitReached: totalBookedToday >= doctor.maxDailyAppointments,
+        totalBookedToday,
+        maxDailyAppointments: doctor.maxDailyAppointments,
+        slots,
+    };
+};
+
+/**
+ * Seats held without an appointment yet (waitlist offers), shaped like bookings.
+ * Payment holds are skipped: their pending appointment is already a booking.
+ * @param {Array} bookings - Active bookings already counted
+ * @param {string} patientId - The holder sees their own offer as free, so they can claim it
+ */
+const getHeldSeats = async ({ doctorIds, from, to, bookings, patientId = null, excludeAppointmentId = null }) => {
+    const booked = bookings.map((b) => b._id);
+    if (excludeAppointmentId) booked.push(excludeAppointmentId);
+
+    const holds = await SlotLock.find({
+        doctor: { $in: doctorIds },
+        date: { $gte: from, $lt: to },
+        status: 'held',
+        expiresAt: { $gt: new Date() },
+        appointment: { $nin: booked },
+        ...(patientId && { patient: { $ne: patientId } }),
+    })
+        .select('doctor appointment date start end')
+        .lean();
+
+    return holds.map((hold) => ({
+        _id: hold.appointment,
+        doctor: hold.doctor,
+        appointmentDate: hold.date,
+        timeSlot: { start: hold.start, end: hold.end },
+    }));
+};
+
+/**
+ * Fetch active bookings (and other patients' unexpired seat holds) for a doctor between two dates
+ */
+const getActiveBookings = async (doctorId, from, to, excludeAppointmentId = null, patientId = null) => {
+    const query = {
+        doctor: doctorId,
+        appointmentDate: { $gte: from, $lt: to },
+        status: { $in: ACTIVE_STATUSES },
+    };
+    if (excludeAppointmentId) query._id = { $ne: excludeAppointmentId };
+
+    const bookings = await Appointment.find(query).select('appointmentDate timeSlot').lean();
+    const holds = await getHeldSeats({ doctorIds: [doctorId], from, to, bookings, patientId, excludeAppointmentId });
+    return [...bookings, ...holds];
+};
+
+/**
+ * Availability for one doctor on one date
+ * @param {Object|string} doctorOrId - Doctor document (with AVAILABILITY_FIELDS) or id
+ * @param {Object} options.excludeAppointmentId - Ignore this appointment's booking (reschedules)
+ * @param {string} options.consultationType - 'online' | 'offline' (selects the schedule)
+ * @param {string} options.clinicId - Clinic for offline consultations
+ * @param {string} options.patientId - Patient looking; their own held seats count as free
+ */
+const getAvailabilityForDate = async (doctorOrId, date, {
+    excludeAppointmentId = null, consultationType, clinicId, patientId = null,
+} = {}) => {
+    const doctor = typeof doctorOrId === 'object' && doctorOrId.weeklySchedule
+        ? doctorOrId
+        : await Doctor.findById(doctorOrId).select(AVAILABILITY_FIELDS).lean();
+
+    if (!doctor) {
+        return { isAvailable: false, code: AVAILABILITY_CODES.DOCTOR_NOT_FOUND, reason: 'Doctor not found', slots: [] };
+    }
+
+    const requestedDate = startOfDay(date);
+    if (Number.isNaN(requestedDate.getTime())) {
+        return { isAvailable: false, code: AVAILABILITY_CODES.INVALID_DATE, reason: 'Invalid date', slots: [] };
+    }
+
+    const nextDay = new Date(requestedDate);
+    nextDay.setDate(nextDay.getDate() + 1);
+
+    const bookings = await getActiveBookings(doctor._id, requestedDate, nextDay, excludeAppointmentId, patientId);
+    return buildDayAvailability(doctor, requestedDate, bookings, new Date(), { consultationType, clinicId });
+};
+
+/**
+ * Per-day availability summaries for a date range, using a single bookings query
+ * @param {Object} doctor - Doctor with AVAILABILITY_FIELDS
+ * @param {Date} from - First day of the range
+ * @param {number} days - Number of days (inclusive of `from`)
+ * @param {Object} context - { consultationType, clinicId } selecting the schedule, and the patientId looking
+ */
+const getAvailabilityForRange = async (doctor, from, days, context = {}) => {
+    const rangeStart = startOfDay(from);
+    const rangeEnd = new Date(rangeStart);
+    rangeEnd.setDate(rangeEnd.getDate() + days);
+
+    const bookings = await getActiveBookings(doctor._id, rangeStart, rangeEnd, null, context.patientId);
+
+    const bookingsByDay = {};
+    for (const booking of bookings) {
+        const key = startOfDay(booking.appointmentDate).toDateString();
+        (bookingsByDay[key] = bookingsByDay[key] || []).push(booking);
+    }
+
+    const now = new Date();
+    const summaries = [];
+
+    for (let i = 0; i < days; i++) {
+        const date = new Date(rangeStart);
+        date.setDate(date.getDate() + i);
+
+        const day = buildDayAvailability(doctor, date, bookingsByDay[date.toDateString()] || [], now, context);
+
+        if (!day.isAvailable) {
+            summaries.push({
+                date: day.date,
+                status: 'closed',
+                code: day.code,
+                reason: day.reason,
+                freeSlots: 0,
+                firstFreeSlot: null,
+            });
+            continue;
+        }
+
+        const freeSlots = day.dailyLimitReached ? [] : day.slots.filter((s) => s.isAvailable);
+        const summary = {
+            date: day.date,
+            status: freeSlots.length ? 'open' : 'full',
+            freeSlots: freeSlots.length,
+            totalSlots: day.totalSlots,
+            firstFreeSlot: freeSlots.length ? { start: freeSlots[0].start, end: freeSlots[0].end } : null,
+        };
+        if (!freeSlots.length) {
+            summary.code = day.dailyLimitReached ? AVAILABILITY_CODES.DAILY_LIMIT_REACHED : AVAILABILITY_CODES.SLOT_FULL;
+            summary.reason = day.dailyLimitReached ? 'Daily appointment limit reached' : 'Fully booked';
+        }
+        summaries.push(summary);
+    }
+
+    return summaries;
+};
+
+/**
+ * First bookable slot for each doctor within a horizon, split by online and
+ * per-clinic (offline) consultations. Uses one bookings query for all doctors.
+ * @param {Array} doctors - Doctors with AVAILABILITY_FIELDS, clinics and isOnlineConsultationEnabled
+ * @param {Object} options
+ * @param {number} options.days - How many days ahead to search
+ * @param {string} options.consultationType - 'online' | 'offline' | undefined (both)
+ * @param {string} options.city - Only consider clinics in this city
+ * @returns {Object} Map of doctorId -> { online, clinics, earliest }
+ */
+const findNextAvailableSlots = async (doctors, { days = 14, consultationType, city } = {}) => {
+    const rangeStart = startOfDay(new Date());
+    const rangeEnd = new Date(rangeStart);
+    rangeEnd.setDate(rangeEnd.getDate() + days);
+
+    const appointments = await Appointment.find({
+        doctor: { $in: doctors.map((d) => d._id) },
+        appointmentDate: { $gte: rangeStart, $lt: rangeEnd },
+        status: { $in: ACTIVE_STATUSES },
+    })
+        .select('doctor appointmentDate timeSlot')
+        .lean();
+    const holds = await getHeldSeats({
+        doctorIds: doctors.map((d) => d._id),
+        from: rangeStart,
+        to: rangeEnd,
+        bookings: appointments,
+    });
+    const bookings = [...appointments, ...holds];
+
+    const bookingsByDoctorDay = {};
+    for (const booking of bookings) {
+        const key = `${booking.doctor}|${startOfDay(booking.appointmentDate).toDateString()}`;
+        (bookingsByDoctorDay[key] = bookingsByDoctorDay[key] || []).push(booking);
+    }
+
+    const now = new Date();
+    const cityPattern = city ? new RegExp(city.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i') : null;
+
+    const findFirstSlot = (doctor, context) => {
+        for (let i = 0; i < days; i++) {
+            const date = new Date(rangeStart);
+            date.setDate(date.getDate() + i);
+
+            const day = buildDayAvailability(
+                doctor, date, bookingsByDoctorDay[`${doctor._id}|${date.toDateString()}`] || [], now, context
+            );
+            if (!day.isAvailable || day.dailyLimitReached) continue;
+
+            const slot = day.slots.find((s) => s.isAvailable);
+            if (slot) return { date: day.date, start: slot.start, end: slot.end };
+        }
+        return null;
+    };
+
+    const slotTime = (slot) => slot.date.getTime() + toMinutes(slot.start) * 60 * 1000;
+
+    const results = {};
+    for (const doctor of doctors) {
+        const entry = { online: null, clinics: [], earliest: null };
+
+        if (consultationType !== 'offline' && doctor.isOnlineConsultationEnabled !== false) {
+            entry.online = findFirstSlot(doctor, { consultationType: 'online' });
+        }
+
+        if (consultationType !== 'online') {
+            for (const clinic of doctor.clinics || []) {
+                if (clinic.isActive === false || (cityPattern && !cityPattern.test(clinic.address?.city || ''))) continue;
+
+                const next = findFirstSlot(doctor, { consultationType: 'offline', clinicId: clinic._id });
+                if (next) {
+                    entry.clinics.push({
+                        clinicId: clinic._id,
+                        clinicName: clinic.clinicName,
+                        city: clinic.address?.city || '',
+                        ...next,
+                    });
+                }
+            }
+        }
+
+        const candidates = [entry.online, ...entry.clinics].filter(Boolean);
+        if (candidates.length) {
+            const first = candidates.reduce((a, b) => (slotTime(b) < slotTime(a) ? b : a));
+            entry.earliest = {
+                date: first.date,
+                start: first.start,
+                end: first.end,
+                consultationType: first.clinicId ? 'offline' : 'online',
+                ...(first.clinicId && { clinicId: first.clinicId, clinicName: first.clinicName }),
+            };
+        }
+
+        results[doctor._id.toString()] = entry;
+    }
+
+    return results;
+};
+
+const appointmentContext = (appointment) => ({
+    consultationType: appointment.consultationType,
+    clinicId: appointment.clinic?.clinicId || null,
+});
+
+/**
+ * Whether an appointment still falls inside the doctor's working hours on its
+ * date (schedule, breaks and blocked slots), regardless of the slot grid
+ */
+const isWithinSchedule = (doctor, appointment) => {
+    const resolved = resolveDaySchedule(doctor, appointment.appointmentDate, appointmentContext(appointment));
+    if (!resolved.isAvailable) return false;
+
+    const { timeSlot } = appointment;
+    const inHours = resolved.daySchedule.slots.some(
+        (range) => toMinutes(range.start) <= toMinutes(timeSlot.start) && toMinutes(timeSlot.end) <= toMinutes(range.end)
+    );
+    const inBreak = (resolved.daySchedule.breakTimes || []).some((brk) => timeRangesOverlap(timeSlot, brk));
+    const blocked = (doctor.blockedSlots || []).some(
+        (block) => blockAppliesOn(block, appointment.appointmentDate) && timeRangesOverlap(timeSlot, block)
+    );
+
+    return inHours && !inBreak && !blocked;
+};
+
+/**
+ * Pending/confirmed appointments a proposed schedule change would displace:
+ * those that fit the current schedule but not the proposed one, plus any on a
+ * working day the change closes entirely
+ * @param {Object} currentDoctor - Doctor with AVAILABILITY_FIELDS, as saved
+ * @param {Object} proposedDoctor - Same doctor with the change applied
+ * @param {Object} range - { from, to } dates the change can affect (to = null for open-ended)
+ */
+const findScheduleConflicts = async (currentDoctor, proposedDoctor, { from = null, to = null } = {}) => {
+    const today = startOfDay(new Date());
+    const appointmentDate = { $gte: from && startOfDay(from) > today ? startOfDay(from) : today };
+    if (to) {
+        const dayAfter = startOfDay(to);
+        dayAfter.setDate(dayAfter.getDate() + 1);
+        appointmentDate.$lt = dayAfter;
+    }
+
+    const appointments = await Appointment.find({
+        doctor: currentDoctor._id,
+        appointmentDate,
+        status: { $in: ['pending', 'confirmed', 'rescheduled'] },
+    })
+        .select('patient appointmentDate timeSlot consultationType clinic status')
+        .populate('patient', 'fullName mobileNumber')
+        .sort({ appointmentDate: 1, 'timeSlot.start': 1 })
+        .lean();
+
+    return appointments.filter((appointment) => {
+        if (isWithinSchedule(proposedDoctor, appointment)) return false;
+        if (isWithinSchedule(currentDoctor, appointment)) return true;
+
+        const context = appointmentContext(appointment);
+        return resolveDaySchedule(currentDoctor, appointment.appointmentDate, context).isAvailable
+            && !resolveDaySchedule(proposedDoctor, appointment.appointmentDate, context).isAvailable;
+    });
+};
+
+const REJECTION_STATUS = {
+    [AVAILABILITY_CODES.DOCTOR_NOT_FOUND]: 404,
+    [AVAILABILITY_CODES.CLINIC_NOT_FOUND]: 404,
+    [AVAILABILITY_CODES.SLOT_FULL]: 409,
+    [AVAILABILITY_CODES.SLOT_BLOCKED]: 409,
+    [AVAILABILITY_CODES.DAILY_LIMIT_REACHED]: 409,
+};
+
+const REJECTION_MESSAGES = {
+    [AVAILABILITY_CODES.DOCTOR_NOT_FOUND]: 'Doctor not found.',
+    [AVAILABILITY_CODES.CLINIC_NOT_FOUND]: 'Clinic not found for this doctor.',
+    [AVAILABILITY_CODES.CLINIC_REQUIRED]: 'Please select a clinic for an in-clinic consultation.',
+    [AVAILABILITY_CODES.INVALID_DATE]: 'Invalid appointment date.',
+    [AVAILABILITY_CODES.PAST_DATE]: 'Cannot book a past date.',
+    [AVAILABILITY_CODES.HOLIDAY]: 'The doctor is on leave on this date.',
+    [AVAILABILITY_CODES.DATE_UNAVAILABLE]: 'The doctor is unavailable on this date.',
+    [AVAILABILITY_CODES.DAY_UNAVAILABLE]: 'The doctor does not consult on this day.',
+    [AVAILABILITY_CODES.INVALID_SLOT]: 'The selected time is not one of the doctor\'s slots.',
+    [AVAILABILITY_CODES.SLOT_IN_PAST]: 'The selected time slot has already passed.',
+    [AVAILABILITY_CODES.SLOT_FULL]: 'This slot is no longer available.',
+    [AVAILABILITY_CODES.SLOT_BLOCKED]: 'The doctor has blocked this time slot.',
+    [AVAILABILITY_CODES.DAILY_LIMIT_REACHED]: 'The doctor has reached the maximum appointments for this day.',
+};
+
+const reject = (code, reason) => ({
+    valid: false,
+    code,
+    statusCode: REJECTION_STATUS[code] || 400,
+    message: code === AVAILABILITY_CODES.DATE_UNAVAILABLE && reason
+        ? `The doctor is unavailable on this date: ${reason}`
+        : REJECTION_MESSAGES[code],
+});
+
+/**
+ * Check that a requested slot is one the doctor actually offers and has room
+ * @returns {{ valid: true, slot: Object, availability: Object } | { valid: false, code: string, statusCode: number, message: string }}
+ */
+const validateSlot = async ({
+    doctor, date, timeSlot, excludeAppointmentId = null, consultationType, clinicId, patientId = null,
+}) => {
+    if (!timeSlot || !timeSlot.start) return reject(AVAILABILITY_CODES.INVALID_SLOT);
+
+    const availability = await getAvailabilityForDate(doctor, date, {
+        excludeAppointmentId, consultationType, clinicId, patientId,
+    });
+    if (!availability.isAvailable) return reject(availability.code, availability.reason);
+
+    const slot = availability.slots.find(
+        (s) => s.start === timeSlot.start && (!timeSlot.end || s.end === timeSlot.end)
+    );
+    if (!slot) return reject(AVAILABILITY_CODES.INVALID_SLOT);
+    if (slot.isPast) return reject(AVAILABILITY_CODES.SLOT_IN_PAST);
+    if (slot.isBlocked) return reject(AVAILABILITY_CODES.SLOT_BLOCKED);
+    if (!slot.isAvailable) return reject(AVAILABILITY_CODES.SLOT_FULL);
+    if (availability.dailyLimitReached) return reject(AVAILABILITY_CODES.DAILY_LIMIT_REACHED);
+
+    return { valid: true, slot, availability };
+};
+
+module.exports = {
+    AVAILABILITY_CODES,
+    AVAILABILITY_FIELDS,
+    DAY_NAMES,
+    toMinutes,
+    toTimeString,
+    timeRangesOverlap,
+    blockAppliesOn,
+    ruleAppliesOn,
+    findActiveClinic,
+    resolveDaySchedule,
+    generateSlots,
+    buildDayAvailability,
+    getActiveBookings,
+    getAvailabilityForDate,
+    getAvailabilityForRange,
+    findNextAvailableSlots,
+    findScheduleConflicts,
+    validateSlot,
+};
@@ -0,0 +1,128 @@
+/**
+ * Cancellation Policy
+ * Decides how much of a paid appointment is refunded on cancellation:
+ * - patient cancels: full refund before fullRefundHours, a percentage down to
+ *   partialRefundHours, nothing after that
+ * - doctor, admin or system cancels: always a full refund
+ * Doctors can set their own thresholds; anything unset follows SystemSettings.
+ */
+
+const Doctor = require('../models/Doctor');
+const Payment = require('../models/Payment');
+const SystemSettings = require('../models/SystemSettings');
+const { processRefund } = require('./payment');
+const { releaseWalletHolds } = require('./wallet');
+const { releaseCouponReservations } = require('./coupons');
+const { getSlotDateTime } = require('./reminders');
+
+const DEFAULT_POLICY = {
+    fullRefundHours: 4,
+    partialRefundHours: 1,
+    partialRefundPercentage: 50,
+};
+
+/**
+ * Effective policy for a doctor (doctor overrides > platform settings)
+ * @param {Object|string} doctorOrId - Doctor (with cancellationPolicy) or id
+ */
+const getCancellationPolicy = async (doctorOrId) => {
+    const doctor = doctorOrId && typeof doctorOrId === 'object' && doctorOrId.cancellationPolicy !== undefined
+        ? doctorOrId
+        : await Doctor.findById(doctorOrId).select('cancellationPolicy').lean();
+
+    const policy = {
+        fullRefundHours: Number(await SystemSettings.getSetting('max_cancellation_window_hours', DEFAULT_POLICY.fullRefundHours)),
+        partialRefundHours: Number(await SystemSettings.getSetting('cancellation_partial_refund_hours', DEFAULT_POLICY.partialRefundHours)),
+        partialRefundPercentage: Number(await SystemSettings.getSetting('cancellation_partial_refund_percentage', DEFAULT_POLICY.partialRefundPercentage)),
+        source: 'platform',
+    };
+
+    const custom = doctor?.cancellationPolicy;
+    if (custom?.isCustom) {
+        ['fullRefundHours', 'partialRefundHours', 'partialRefundPercentage'].forEach((field) => {
+            if (custom[field] !== null && custom[field] !== undefined) policy[field] = custom[field];
+        });
+        policy.source = 'doctor';
+    }
+
+    return policy;
+};
+
+/**
+ * Work out the refund for a cancellation (no side effects)
+ * @param {Object} options
+ * @param {Object} options.appointment - Appointment with appointmentDate and timeSlot
+ * @param {Object} options.payment - The appointment's Payment, if any
+ * @param {string} options.cancelledBy - 'patient' | 'doctor' | 'admin' | 'system'
+ * @param {Object} options.policy - From getCancellationPolicy
+ * @returns {{ tier: string, percentage: number, amount: number, hoursBefore: number }}
+ */
+const computeRefund = ({ appointment, payment, cancelledBy, policy, now = new Date() }) => {
+    const startsAt = getSlotDateTime(appointment.appointmentDate, appointment.timeSlot.start);
+    const hoursBefore = Math.round(((startsAt - now) / (60 * 60 * 1000)) * 100) / 100;
+
+    if (!payment || payment.status !== 'completed') {
+        return { tier: 'unpaid', percentage: 0, amount: 0, hoursBefore };
+    }
+
+    let tier;
+    let percentage;
+    if (cancelledBy !== 'patient' || hoursBefore >= policy.fullRefundHours) {
+        tier = 'full';
+        percentage = 100;
+    } else if (hoursBefore >= policy.partialRefundHours) {
+        tier = 'partial';
+        percentage = policy.partialRefundPercentage;
+    } else {
+        tier = 'none';
+        percentage = 0;
+    }
+
+    return {
+        tier,
+        percentage,
+        amount: Math.round(payment.amount * (percentage / 100) * 100) / 100,
+        hoursBefore,
+    };
+};
+
+/**
+ * Apply the policy to a cancelled appointment and refund through the gateway (or to the wallet)
+ * @param {Object} options
+ * @param {Object} options.appointment - The cancelled appointment
+ * @param {string} options.cancelledBy - 'patient' | 'doctor' | 'admin' | 'system'
+ * @param {string} options.reason - Refund reason recorded on the payment
+ * @param {string} options.refundedBy - Admin id when an admin cancels
+ * @param {boolean} options.toWallet - Credit the patient's wallet instantly instead of the gateway
+ * @returns {{ tier, percentage, amount, hoursBefore, refunded: boolean, toWallet: boolean, error?: string }}
+ */
+const refundCancelledAppointment = async ({ appointment, cancelledBy, reason, refundedBy = null, toWallet = false }) => {
+    // Wallet shares and coupon uses of checkouts that never completed go straight back
+    await releaseWalletHolds(appointment._id, 'Appointment cancelled');
+    await releaseCouponReservations(appointment._id);
+
+    const paymentId = appointment.payment?._id || appointment.payment;
+    const payment = paymentId ? await Payment.findById(paymentId) : null;
+    const policy = await getCancellationPolicy(appointment.doctor?._id || appointment.doctor);
+
+    const refund = computeRefund({ appointment, payment, cancelledBy, policy });
+    if (refund.amount <= 0) return { ...refund, refunded: false };
+
+    const result = await processRefund({
+        paymentId: payment._id,
+        amount: refund.amount,
+        reason: reason || `Appointment cancelled by ${cancelledBy}`,
+        refundedBy,
+        toWallet,
+    });
+
+    return result.success
+        ? { ...refund, refunded: true, toWallet: result.payment.refund.destination === 'wallet' }
+        : { ...refund, refunded: false, error: result.error || result.message };
+};
+
+module.exports = {
+    getCancellationPolicy,
+    computeRefund,
+    refundCancelledAppointment,
+};
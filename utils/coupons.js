@@ -0,0 +1,230 @@
+/**
+ * Coupons
+ * Checks a coupon code against a consultation and works out the discount.
+ * A checkout reserves one use against the coupon's usageLimit and
+ * perUserLimit when its order is created; the use is given back if the
+ * checkout fails, is superseded or its appointment is cancelled unpaid.
+ */
+
+const Coupon = require('../models/Coupon');
+const CouponUsage = require('../models/CouponUsage');
+const Payment = require('../models/Payment');
+const Appointment = require('../models/Appointment');
+
+// Razorpay will not create an order below ₹1
+const MIN_CHARGE = 1;
+
+const COUPON_CODES = {
+    COUPON_NOT_FOUND: 'COUPON_NOT_FOUND',
+    COUPON_NOT_STARTED: 'COUPON_NOT_STARTED',
+    COUPON_EXPIRED: 'COUPON_EXPIRED',
+    COUPON_EXHAUSTED: 'COUPON_EXHAUSTED',
+    COUPON_USER_LIMIT: 'COUPON_USER_LIMIT',
+    COUPON_NOT_APPLICABLE: 'COUPON_NOT_APPLICABLE',
+    COUPON_FIRST_CONSULTATION: 'COUPON_FIRST_CONSULTATION',
+};
+
+const REJECTION_MESSAGES = {
+    [COUPON_CODES.COUPON_NOT_FOUND]: 'Invalid coupon code',
+    [COUPON_CODES.COUPON_NOT_STARTED]: 'This coupon is not active yet',
+    [COUPON_CODES.COUPON_EXPIRED]: 'This coupon has expired',
+    [COUPON_CODES.COUPON_EXHAUSTED]: 'This coupon has reached its usage limit',
+    [COUPON_CODES.COUPON_USER_LIMIT]: 'You have already used this coupon',
+    [COUPON_CODES.COUPON_NOT_APPLICABLE]: 'This coupon cannot be used for this doctor',
+    [COUPON_CODES.COUPON_FIRST_CONSULTATION]: 'This coupon is only valid on your first consultation',
+};
+
+const reject = (code) => ({
+    valid: false,
+    code,
+    statusCode: code === COUPON_CODES.COUPON_NOT_FOUND ? 404 : 400,
+    message: REJECTION_MESSAGES[code],
+});
+
+// Payments that count as a use of the coupon
+const REDEEMED_STATUSES = ['completed', 'refunded', 'partially_refunded'];
+
+const calculateDiscount = (coupon, amount) => {
+    let discount = coupon.discountType === 'percentage'
+        ? amount * (coupon.discountValue / 100)
+        : coupon.discountValue;
+
+    if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+
+    discount = Math.min(discount, Math.max(amount - MIN_CHARGE, 0));
+    return Math.round(discount * 100) / 100;
+};
+
+/**
+ * Check a coupon for a patient's consultation and price the discount
+ * @param {Object} options
+ * @param {string} options.code - Coupon code as entered
+ * @param {string} options.patientId
+ * @param {Object} options.doctor - Doctor with _id and specializations
+ * @param {number} options.amount - Consultation fee before discount
+ * @param {string} options.appointmentId - Appointment being paid for, if booked already
+ * @returns {{ valid: true, coupon: Object, discount: number, payable: number } | { valid: false, code: string, statusCode: number, message: string }}
+ */
+const evaluateCoupon = async ({ code, patientId, doctor, amount, appointmentId = null, now = new Date() }) => {
+    const coupon = await Coupon.findOne({ code: String(code || '').trim().toUpperCase(), isActive: true }).lean();
+    if (!coupon) return reject(COUPON_CODES.COUPON_NOT_FOUND);
+
+    if (coupon.validFrom && now < coupon.validFrom) return reject(COUPON_CODES.COUPON_NOT_STARTED);
+    if (coupon.validUntil && now > coupon.validUntil) return reject(COUPON_CODES.COUPON_EXPIRED);
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) return reject(COUPON_CODES.COUPON_EXHAUSTED);
+
+    const doctorId = (doctor._id || doctor).toString();
+    if (coupon.doctors.length && !coupon.doctors.some((id) => id.toString() === doctorId)) {
+        return reject(COUPON_CODES.COUPON_NOT_APPLICABLE);
+    }
+    if (coupon.specializations.length
+        && !(doctor.specializations || []).some((s) => coupon.specializations.includes(s))) {
+        return reject(COUPON_CODES.COUPON_NOT_APPLICABLE);
+    }
+
+    const timesUsed = await Payment.countDocuments({
+        patient: patientId,
+        'coupon.couponId': coupon._id,
+        status: { $in: REDEEMED_STATUSES },
+    });
+    if (timesUsed >= coupon.perUserLimit) return reject(COUPON_CODES.COUPON_USER_LIMIT);
+
+    if (coupon.firstConsultationOnly) {
+        const previous = await Appointment.exists({
+            patient: patientId,
+            status: { $in: ['confirmed', 'completed'] },
+            ...(appointmentId && { _id: { $ne: appointmentId } }),
+        });
+        if (previous) return reject(COUPON_CODES.COUPON_FIRST_CONSULTATION);
+    }
+
+    const discount = calculateDiscount(coupon, amount);
+    return {
+        valid: true,
+        coupon,
+        discount,
+        payable: Math.round((amount - discount) * 100) / 100,
+    };
+};
+
+// ---------------------------------------------------------------------------
+// Reservations
+// ---------------------------------------------------------------------------
+
+/**
+ * Take one of the patient's uses of a coupon, only while under perUserLimit.
+ * The unique coupon/patient index turns an upsert at the limit into E11000.
+ */
+const claimPatientUse = async (coupon, patientId) => {
+    const filter = { coupon: coupon._id, patient: patientId, count: { $lt: coupon.perUserLimit } };
+    try {
+        await CouponUsage.updateOne(filter, { $inc: { count: 1 } }, { upsert: true });
+        return true;
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        // At the limit, or a concurrent first use created the record: one plain try settles which
+        const retry = await CouponUsage.updateOne(filter, { $inc: { count: 1 } });
+        return retry.modifiedCount === 1;
+    }
+};
+
+/**
+ * Give back a use taken by reserveCouponUse
+ */
+const releaseCouponUse = async ({ couponId, patientId }) => {
+    await Coupon.updateOne({ _id: couponId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    await CouponUsage.updateOne({ coupon: couponId, patient: patientId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+};
+
+/**
+ * Reserve one use of a coupon for a checkout, atomically against both limits,
+ * so concurrent checkouts cannot overshoot either
+ * @param {Object} coupon - Coupon with _id, usageLimit and perUserLimit
+ * @returns {{ valid: true } | { valid: false, code, statusCode, message }}
+ */
+const reserveCouponUse = async ({ coupon, patientId }) => {
+    if (!(await claimPatientUse(coupon, patientId))) return reject(COUPON_CODES.COUPON_USER_LIMIT);
+
+    const claimed = await Coupon.updateOne(
+        {
+            _id: coupon._id,
+            isActive: true,
+            $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }],
+        },
+        { $inc: { usedCount: 1 } }
+    );
+    if (!claimed.modifiedCount) {
+        await CouponUsage.updateOne({ coupon: coupon._id, patient: patientId, count: { $gt: 0 } }, { $inc: { count: -1 } });
+        return reject(COUPON_CODES.COUPON_EXHAUSTED);
+    }
+    return { valid: true };
+};
+
+/**
+ * Give back a payment's reserved coupon use (failed, superseded or refunded unused checkout)
+ * @returns {boolean} false when it held none
+ */
+const releasePaymentCoupon = async (paymentId) => {
+    const payment = await Payment.findOneAndUpdate(
+        { _id: paymentId, 'coupon.reserved': true },
+        { $set: { 'coupon.reserved': false } }
+    );
+    if (!payment) return false;
+
+    await releaseCouponUse({ couponId: payment.coupon.couponId, patientId: payment.patient });
+    return true;
+};
+
+/**
+ * Give back the coupon uses held by unfinished checkouts of one or more appointments
+ */
+const releaseCouponReservations = async (appointmentIds) => {
+    const ids = Array.isArray(appointmentIds) ? appointmentIds : [appointmentIds];
+    const payments = await Payment.find({
+        appointment: { $in: ids },
+        status: { $in: ['pending', 'failed'] },
+        'coupon.reserved': true,
+    }).select('_id');
+
+    let released = 0;
+    for (const payment of payments) {
+        if (await releasePaymentCoupon(payment._id)) released++;
+    }
+    return released;
+};
+
+/**
+ * Make sure a completed payment's coupon use is counted. Normally it was
+ * reserved with the order; a checkout whose reservation was given back
+ * (superseded, failed) but that was still paid takes it again, over the limit
+ * if need be, since the discount has been granted.
+ */
+const recordRedemption = async (payment) => {
+    if (!payment.coupon?.couponId) return;
+
+    const claimed = await Payment.updateOne(
+        { _id: payment._id, 'coupon.reserved': { $ne: true } },
+        { $set: { 'coupon.reserved': true } }
+    );
+    if (!claimed.modifiedCount) return;
+
+    await Coupon.updateOne({ _id: payment.coupon.couponId }, { $inc: { usedCount: 1 } });
+    await CouponUsage.updateOne(
+        { coupon: payment.coupon.couponId, patient: payment.patient },
+        { $inc: { count: 1 } },
+        { upsert: true }
+    );
+};
+
+module.exports = {
+    COUPON_CODES,
+    calculateDiscount,
+    evaluateCoupon,
+    reserveCouponUse,
+    releaseCouponUse,
+    releasePaymentCoupon,
+    releaseCouponReservations,
+    recordRedemption,
+};
@@ -0,0 +1,72 @@
+/**
+ * CSV Parsing
+ * Small RFC 4180 reader for admin imports: quoted fields, escaped quotes,
+ * embedded commas / newlines, CRLF line endings and a UTF-8 BOM.
+ */
+
+/**
+ * Split CSV text into rows of raw field strings
+ */
+const parseRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines carry no data
+    return rows.filter((r) => r.some((value) => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by normalised header
+ * ("Settlement ID" -> settlement_id)
+ * @returns {{ headers: string[], records: Object[] }}
+ */
+const parseCsv = (text) => {
+    const [headerRow, ...dataRows] = parseRows(String(text || ''));
+    if (!headerRow) return { headers: [], records: [] };
+
+    const headers = headerRow.map((h) => h.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, ''));
+    const records = dataRows.map((values) => Object.fromEntries(
+        headers.map((header, index) => [header, (values[index] || '').trim()])
+    ));
+
+    return { headers, records };
+};
+
+module.exports = { parseCsv };
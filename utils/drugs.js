@@ -0,0 +1,232 @@
+/**
+ * Drug Catalogue & Prescription Safety Checks
+ * A local catalogue of generic / brand names imported from CSV, used for
+ * autocomplete and to warn doctors about drug-drug interactions, duplicate
+ * therapy and the patient's recorded allergies. Checks only warn: the doctor
+ * decides, and medicines that are not in the catalogue are simply not checked.
+ */
+
+const mongoose = require('mongoose');
+const Drug = require('../models/Drug');
+const User = require('../models/User');
+const ErrorResponse = require('./errorResponse');
+const { parseCsv } = require('./csv');
+
+const FORMS = ['tablet', 'capsule', 'syrup', 'suspension', 'injection', 'cream', 'ointment', 'gel', 'drops', 'inhaler', 'powder'];
+const SEVERITIES = ['minor', 'moderate', 'major'];
+const REQUIRED_HEADERS = ['generic_name'];
+
+const normalise = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+const splitList = (value) => String(value || '').split(/[;|]/).map((item) => item.trim()).filter(Boolean);
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// ---------------------------------------------------------------------------
+// Import
+// ---------------------------------------------------------------------------
+
+/**
+ * CSV columns: generic_name (required), brand_names, strength, form, drug_class,
+ * interactions. Lists are separated by ";" or "|"; an interaction is
+ * "generic name or class[:minor|moderate|major[:description]]".
+ * Re-importing a drug (same generic name, strength and form) replaces it.
+ * @returns {Promise<{ rowCount, created, updated, skippedRows }>}
+ */
+const importDrugCsv = async (buffer) => {
+    const { headers, records } = parseCsv(buffer.toString('utf8'));
+
+    const missing = REQUIRED_HEADERS.filter((header) => !headers.includes(header));
+    if (missing.length) throw new ErrorResponse(`Drug file is missing column(s): ${missing.join(', ')}`, 400);
+
+    const operations = [];
+    const skippedRows = [];
+
+    records.forEach((record, index) => {
+        const row = index + 2; // header is row 1
+        const genericName = (record.generic_name || '').trim();
+        if (!genericName) {
+            skippedRows.push({ row, reason: 'Missing generic_name' });
+            return;
+        }
+
+        const form = normalise(record.form);
+        if (form && !FORMS.includes(form) && form !== 'other') {
+            skippedRows.push({ row, reason: `Unknown form "${record.form}"` });
+            return;
+        }
+
+        const interactions = [];
+        for (const entry of splitList(record.interactions)) {
+            const [withName, severity = 'moderate', ...description] = entry.split(':').map((part) => part.trim());
+            if (!SEVERITIES.includes(severity.toLowerCase())) {
+                skippedRows.push({ row, reason: `Unknown interaction severity "${severity}"` });
+                return;
+            }
+            interactions.push({
+                with: normalise(withName),
+                severity: severity.toLowerCase(),
+                description: description.join(':'),
+            });
+        }
+
+        const brandNames = splitList(record.brand_names);
+        const strength = (record.strength || '').trim();
+        operations.push({
+            updateOne: {
+                filter: { genericName, strength, form: form || 'other' },
+                update: {
+                    $set: {
+                        brandNames,
+                        drugClass: normalise(record.drug_class),
+                        interactions,
+                        searchNames: [...new Set([genericName, ...brandNames].map(normalise))],
+                        isActive: true,
+                    },
+                },
+                upsert: true,
+            },
+        });
+    });
+
+    const result = operations.length ? await Drug.bulkWrite(operations, { ordered: false }) : null;
+
+    return {
+        rowCount: records.length,
+        created: result?.upsertedCount || 0,
+        updated: result?.matchedCount || 0,
+        skippedRows,
+    };
+};
+
+// ---------------------------------------------------------------------------
+// Lookup
+// ---------------------------------------------------------------------------
+
+/**
+ * Autocomplete on generic and brand names (prefix match)
+ */
+const searchDrugs = (query, limit = 10) => Drug.find({
+    isActive: true,
+    searchNames: { $regex: `^${escapeRegex(normalise(query))}` },
+})
+    .select('genericName brandNames strength form drugClass')
+    .sort({ genericName: 1, strength: 1 })
+    .limit(Math.min(parseInt(limit) || 10, 50))
+    .lean();
+
+/**
+ * Match prescribed medicines to catalogue entries: by the drug picked from
+ * autocomplete, else by name, then without strength, then by first word
+ * @returns {Promise<Array<Object|null>>} One entry per medicine
+ */
+const resolveMedicines = async (medicines) => {
+    const candidates = medicines.map((medicine) => {
+        const name = normalise(medicine.name);
+        const withoutStrength = name.split(' ').filter((word) => !/\d/.test(word)).join(' ');
+        // "Voveran SR 100" -> "voveran"
+        return [...new Set([name, withoutStrength, name.split(' ')[0]].filter(Boolean))];
+    });
+
+    const ids = medicines.map((medicine) => medicine.drug).filter((id) => id && mongoose.isValidObjectId(id));
+    const drugs = await Drug.find({
+        isActive: true,
+        $or: [{ _id: { $in: ids } }, { searchNames: { $in: candidates.flat() } }],
+    })
+        .select('genericName brandNames drugClass interactions searchNames')
+        .lean();
+
+    return medicines.map((medicine, index) => {
+        if (medicine.drug) {
+            const picked = drugs.find((drug) => drug._id.toString() === medicine.drug.toString());
+            if (picked) return picked;
+        }
+        return drugs.find((drug) => candidates[index].some((name) => drug.searchNames.includes(name))) || null;
+    });
+};
+
+// ---------------------------------------------------------------------------
+// Safety Checks
+// ---------------------------------------------------------------------------
+
+const interactionBetween = (a, b) => {
+    const targets = [normalise(b.genericName), b.drugClass].filter(Boolean);
+    return a.interactions.find((interaction) => targets.includes(interaction.with)) || null;
+};
+
+/**
+ * Warnings for a set of medicines prescribed to a patient
+ * @returns {Promise<Array<{ type, severity, medicines, message }>>}
+ */
+const checkPrescriptionSafety = async ({ medicines = [], patientId }) => {
+    const warnings = [];
+    if (!medicines.length) return warnings;
+
+    const [drugs, patient] = await Promise.all([
+        resolveMedicines(medicines),
+        patientId ? User.findById(patientId).select('allergies').lean() : null,
+    ]);
+
+    // Drug-drug interactions and duplicate therapy, once per pair
+    for (let i = 0; i < medicines.length; i++) {
+        for (let j = i + 1; j < medicines.length; j++) {
+            const a = drugs[i];
+            const b = drugs[j];
+            if (!a || !b) continue;
+            const names = [medicines[i].name, medicines[j].name];
+
+            if (a._id.toString() === b._id.toString() || normalise(a.genericName) === normalise(b.genericName)) {
+                warnings.push({
+                    type: 'duplicate_therapy',
+                    severity: 'major',
+                    medicines: names,
+                    message: `${names[0]} and ${names[1]} are both ${a.genericName}`,
+                });
+                continue;
+            }
+            if (a.drugClass && a.drugClass === b.drugClass) {
+                warnings.push({
+                    type: 'duplicate_therapy',
+                    severity: 'moderate',
+                    medicines: names,
+                    message: `${names[0]} and ${names[1]} are both ${a.drugClass} drugs`,
+                });
+            }
+
+            const interaction = interactionBetween(a, b) || interactionBetween(b, a);
+            if (interaction) {
+                warnings.push({
+                    type: 'interaction',
+                    severity: interaction.severity,
+                    medicines: names,
+                    message: interaction.description || `${a.genericName} interacts with ${b.genericName}`,
+                });
+            }
+        }
+    }
+
+    // Allergies: matched on generic name, brand name, class, or the prescribed name itself
+    for (const allergy of patient?.allergies || []) {
+        const substance = normalise(allergy.substance);
+        if (!substance) continue;
+
+        medicines.forEach((medicine, index) => {
+            const drug = drugs[index];
+            const names = [normalise(medicine.name), ...(drug ? [...drug.searchNames, drug.drugClass] : [])];
+            if (!names.some((name) => name && (name === substance || name.split(' ').includes(substance)))) return;
+
+            warnings.push({
+                type: 'allergy',
+                severity: allergy.severity === 'mild' ? 'moderate' : 'major',
+                medicines: [medicine.name],
+                message: `Patient is allergic to ${allergy.substance}${allergy.reaction ? ` (${allergy.reaction})` : ''}`,
+            });
+        });
+    }
+
+    return warnings;
+};
+
+module.exports = {
+    importDrugCsv,
+    searchDrugs,
+    checkPrescriptionSafety,
+};
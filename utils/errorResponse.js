@@ -1,13 +1,15 @@
 /**
  * Custom Error Response Class
- * Extends native Error with statusCode for consistent error handling
+ * Extends native Error with statusCode (and an optional machine-readable code)
+ * for consistent error handling
  */
 
 class ErrorResponse extends Error {
-    constructor(message, statusCode) {
+    constructor(message, statusCode, code) {
         super(message);
         this.statusCode = statusCode;
         this.name = 'ErrorResponse';
+        if (code) this.errorCode = code;
 
         // Capture stack trace
         Error.captureStackTrace(this, this.constructor);
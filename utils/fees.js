@@ -0,0 +1,111 @@
+/**
+ * Fee Calculation
+ * Single source for how a consultation fee is split between the doctor and
+ * the platform. The patient pays the consultation fee; out of it the platform
+ * keeps its commission (global or the doctor's override), GST on that
+ * commission and, for online payments, the gateway processing fee. The rest
+ * is the doctor's earning.
+ * A coupon discount absorbed by the platform leaves the doctor's earning
+ * untouched; one absorbed by the doctor lowers the fee commission is taken on.
+ */
+
+const Doctor = require('../models/Doctor');
+const SystemSettings = require('../models/SystemSettings');
+
+const DEFAULT_FEE_SETTINGS = {
+    commissionPercentage: 15,
+    onlinePaymentFeePercentage: 2,
+    taxPercentage: 18,
+    minConsultationFee: 100,
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Platform-wide fee settings from SystemSettings
+ */
+const getFeeSettings = async () => {
+    const [commission, onlineFee, tax, minFee] = await Promise.all([
+        SystemSettings.getSetting('global_commission_percentage', DEFAULT_FEE_SETTINGS.commissionPercentage),
+        SystemSettings.getSetting('online_payment_fee_percentage', DEFAULT_FEE_SETTINGS.onlinePaymentFeePercentage),
+        SystemSettings.getSetting('gst_percentage', DEFAULT_FEE_SETTINGS.taxPercentage),
+        SystemSettings.getSetting('min_consultation_fee', DEFAULT_FEE_SETTINGS.minConsultationFee),
+    ]);
+
+    return {
+        commissionPercentage: Number(commission),
+        onlinePaymentFeePercentage: Number(onlineFee),
+        taxPercentage: Number(tax),
+        minConsultationFee: Number(minFee),
+    };
+};
+
+/**
+ * Split a consultation fee into the Payment.breakdown shape
+ * @param {Object} options
+ * @param {number} options.amount - Consultation fee before any discount
+ * @param {Object|string} options.doctor - Doctor (with commissionOverride) or id
+ * @param {boolean} options.online - Paid through the gateway (adds the processing fee)
+ * @param {Object} options.settings - From getFeeSettings (looked up when omitted)
+ * @param {number} options.discount - Coupon discount off the consultation fee
+ * @param {string} options.discountAbsorbedBy - 'platform' | 'doctor'
+ */
+const calculateFees = async ({
+    amount, doctor, online = true, settings = null, discount = 0, discountAbsorbedBy = 'platform',
+}) => {
+    const feeSettings = settings || await getFeeSettings();
+
+    const doctorDoc = doctor && typeof doctor === 'object' && doctor.commissionOverride !== undefined
+        ? doctor
+        : await Doctor.findById(doctor).select('commissionOverride').lean();
+
+    const override = doctorDoc?.commissionOverride;
+    const commissionPercentage = override !== null && override !== undefined
+        ? override
+        : feeSettings.commissionPercentage;
+    const onlinePaymentFeePercentage = online ? feeSettings.onlinePaymentFeePercentage : 0;
+
+    const consultationFee = roundAmount(amount || 0);
+    const discountAmount = roundAmount(Math.min(discount || 0, consultationFee));
+    const amountPaid = roundAmount(consultationFee - discountAmount);
+    const doctorAbsorbs = discountAmount > 0 && discountAbsorbedBy === 'doctor';
+
+    // The doctor's share is worked out on the fee before any platform-funded discount
+    const earningBase = doctorAbsorbs ? amountPaid : consultationFee;
+    const platformCommission = roundAmount(earningBase * (commissionPercentage / 100));
+    const tax = roundAmount(platformCommission * (feeSettings.taxPercentage / 100));
+    const onlinePaymentFee = roundAmount(amountPaid * (onlinePaymentFeePercentage / 100));
+
+    return {
+        consultationFee,
+        platformCommission,
+        commissionPercentage,
+        onlinePaymentFee,
+        onlinePaymentFeePercentage,
+        tax,
+        taxPercentage: feeSettings.taxPercentage,
+        discount: discountAmount,
+        discountAbsorbedBy: discountAmount > 0 ? discountAbsorbedBy : '',
+        doctorEarning: Math.max(roundAmount(earningBase - platformCommission - tax - onlinePaymentFee), 0),
+    };
+};
+
+/**
+ * Check a clinic's own fee against the platform minimum. A fee of 0 (or none)
+ * means the clinic charges the doctor's offline fee, so it is always allowed.
+ * @returns {string|null} Error message, or null when the fee is allowed
+ */
+const getClinicFeeError = (fee, minConsultationFee) => {
+    if (fee === undefined || fee === null || fee === 0) return null;
+    if (typeof fee !== 'number' || fee < 0) return 'Clinic fee must be a non-negative number.';
+    if (fee < minConsultationFee) {
+        return `Clinic fee cannot be below the minimum consultation fee of ₹${minConsultationFee}.`;
+    }
+    return null;
+};
+
+module.exports = {
+    getFeeSettings,
+    calculateFees,
+    getClinicFeeError,
+};
@@ -0,0 +1,141 @@
+/**
+ * Fake in-memory adapter for local development and automated tests
+ * (PAYMENT_GATEWAY=fake). Nothing leaves the process: orders, payments and
+ * refunds live in memory and checkout is simulated with simulateCheckout().
+ * Webhooks use the gateway-neutral event shape directly, signed with
+ * FAKE_GATEWAY_SECRET (required, no default) in the x-fake-signature header.
+ */
+
+const crypto = require('crypto');
+const { signaturesMatch, toPaymentMethod } = require('./helpers');
+
+const orders = new Map();
+const payments = new Map();
+const refunds = new Map();
+
+const getSecret = () => {
+    const secret = process.env.FAKE_GATEWAY_SECRET;
+    if (!secret) throw new Error('FAKE_GATEWAY_SECRET is not set');
+    return secret;
+};
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('hex');
+
+/**
+ * Only usable when it is the configured gateway outside production; anywhere
+ * else its checkout and webhooks must not exist
+ */
+const isEnabled = () => process.env.NODE_ENV !== 'production' && process.env.PAYMENT_GATEWAY === 'fake';
+const newId = (prefix) => `${prefix}_fake_${crypto.randomBytes(7).toString('hex')}`;
+
+const createOrder = async ({ amount, currency, receipt, notes }) => {
+    const order = {
+        id: newId('order'),
+        amount: Math.round(amount * 100),
+        currency,
+        receipt,
+        notes,
+        status: 'created',
+    };
+    orders.set(order.id, order);
+    return { id: order.id, checkout: { ...order } };
+};
+
+/**
+ * Stand-in for the hosted checkout: pay (or fail) an order and get back what a
+ * real client would post to /api/payments/verify
+ */
+const simulateCheckout = (orderId, { succeed = true, method = 'card' } = {}) => {
+    const order = orders.get(orderId);
+    if (!order) throw new Error(`Unknown fake order ${orderId}`);
+
+    const payment = { id: newId('pay'), orderId, method, status: succeed ? 'captured' : 'failed' };
+    payments.set(payment.id, payment);
+    if (succeed) order.status = 'paid';
+
+    return { orderId, paymentId: payment.id, signature: sign(`${orderId}|${payment.id}`) };
+};
+
+const verifyPayment = async ({ orderId, paymentId, signature }) => {
+    if (!orderId || !paymentId || !signature) return { valid: false, message: 'Missing payment details' };
+
+    const payment = payments.get(paymentId);
+    const valid = signaturesMatch(sign(`${orderId}|${paymentId}`), signature)
+        && payment?.orderId === orderId
+        && payment.status === 'captured';
+    return { valid, orderId, paymentId, signature, method: toPaymentMethod(payment?.method) };
+};
+
+const refund = async ({ paymentId, amount, reason }) => {
+    if (!payments.has(paymentId)) throw new Error(`Unknown fake payment ${paymentId}`);
+
+    const result = { id: newId('rfnd'), paymentId, amount: Math.round(amount * 100), reason, status: 'processed' };
+    refunds.set(result.id, result);
+    return { id: result.id, status: result.status };
+};
+
+/**
+ * Sign a webhook body the way parseWebhook expects (for tests and local scripts)
+ */
+const signWebhook = (rawBody) => sign(rawBody);
+
+const parseWebhook = (rawBody, headers) => {
+    const signature = headers['x-fake-signature'] || '';
+    if (!isEnabled() || !process.env.FAKE_GATEWAY_SECRET) return { valid: false };
+    if (!rawBody || !signaturesMatch(sign(rawBody), signature)) return { valid: false };
+
+    const body = JSON.parse(rawBody.toString('utf8'));
+    return {
+        valid: true,
+        eventId: body.id || crypto.createHash('sha256').update(rawBody).digest('hex'),
+        event: body.event,
+        payload: body.payload || {},
+        signature,
+    };
+};
+
+const EVENT_TYPES = [
+    'payment.captured',
+    'payment.failed',
+    'payment_link.paid',
+    'payment_link.expired',
+    'payment_link.cancelled',
+    'refund.processed',
+    'refund.failed',
+    'dispute',
+];
+
+const normalizeEvent = (event, payload = {}) => {
+    if (!EVENT_TYPES.includes(event)) return null;
+    const normalized = { ...payload, type: event };
+    if (normalized.dispute?.openedAt) normalized.dispute.openedAt = new Date(normalized.dispute.openedAt);
+    return normalized;
+};
+
+const getEntityId = (event, payload = {}) => payload.refundId || payload.paymentId || payload.orderId || '';
+
+const getConfigError = () => {
+    if (process.env.NODE_ENV === 'production') return 'the fake gateway cannot be used in production';
+    return process.env.FAKE_GATEWAY_SECRET ? null : 'FAKE_GATEWAY_SECRET is not set';
+};
+
+const reset = () => {
+    orders.clear();
+    payments.clear();
+    refunds.clear();
+};
+
+module.exports = {
+    name: 'fake',
+    getPublicKey: () => 'fake_public_key',
+    createOrder,
+    verifyPayment,
+    refund,
+    parseWebhook,
+    normalizeEvent,
+    getEntityId,
+    getConfigError,
+    isEnabled,
+    simulateCheckout,
+    signWebhook,
+    reset,
+};
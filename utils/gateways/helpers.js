@@ -0,0 +1,25 @@
+/**
+ * Shared bits for the gateway adapters
+ */
+
+const crypto = require('crypto');
+
+const PAYMENT_METHODS = ['card', 'upi', 'netbanking', 'wallet'];
+
+/**
+ * Constant-time comparison of two hex signatures
+ */
+const signaturesMatch = (expected, signature) => {
+    if (!signature) return false;
+    const expectedBuffer = Buffer.from(String(expected));
+    const signatureBuffer = Buffer.from(String(signature));
+    return expectedBuffer.length === signatureBuffer.length
+        && crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+};
+
+/**
+ * Gateway method name -> Payment.paymentMethod (emi, paylater, ... become 'other')
+ */
+const toPaymentMethod = (method) => (PAYMENT_METHODS.includes(method) ? method : 'other');
+
+module.exports = { signaturesMatch, toPaymentMethod };
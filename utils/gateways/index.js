@@ -0,0 +1,54 @@
+/**
+ * Payment Gateways
+ * Every adapter exposes the same interface so the payment flow never talks to
+ * a provider SDK directly:
+ *
+ *   name                                         'razorpay' | 'stripe' | 'fake'
+ *   getPublicKey()                               key the client needs for checkout
+ *   createOrder({ amount, currency, receipt, notes })
+ *       -> { id, checkout }                      amount in rupees; id is stored as gatewayOrderId
+ *   verifyPayment(params)
+ *       -> { valid, orderId, paymentId, signature?, method?, message? }
+ *   refund({ paymentId, orderId, amount, reason })
+ *       -> { id, status: 'processed' | 'pending' }
+ *   parseWebhook(rawBody, headers)
+ *       -> { valid, eventId, event, payload, signature }
+ *   normalizeEvent(event, payload)
+ *       -> { type, orderId?, paymentId?, linkId?, refundId?, method?, error?, dispute? } | null
+ *   getEntityId(event, payload)                  for searching the webhook log
+ *   getConfigError()                             optional; why the adapter cannot be used, or null
+ *
+ * The active gateway for new orders comes from PAYMENT_GATEWAY (default razorpay).
+ * Existing payments keep the gateway they were created with.
+ */
+
+const ADAPTERS = {
+    razorpay: require('./razorpay'),
+    stripe: require('./stripe'),
+    fake: require('./fake'),
+};
+
+const GATEWAY_NAMES = Object.keys(ADAPTERS);
+
+/**
+ * Adapter by name, or the configured one when no name is given
+ */
+const getGateway = (name = process.env.PAYMENT_GATEWAY || 'razorpay') => {
+    const adapter = ADAPTERS[name];
+    if (!adapter) throw new Error(`Unknown payment gateway "${name}"`);
+    return adapter;
+};
+
+const isGateway = (name) => GATEWAY_NAMES.includes(name);
+
+/**
+ * Refuse to run with a configured gateway that cannot be used safely
+ * (e.g. Stripe without a webhook secret); called once at startup
+ */
+const assertGatewayConfigured = () => {
+    const adapter = getGateway();
+    const error = adapter.getConfigError ? adapter.getConfigError() : null;
+    if (error) throw new Error(`Payment gateway "${adapter.name}" is misconfigured: ${error}`);
+};
+
+module.exports = { getGateway, isGateway, assertGatewayConfigured, GATEWAY_NAMES };
@@ -0,0 +1,177 @@
+/**
+ * Razorpay adapter
+ * Orders + Checkout signature, payment links and Razorpay-shaped webhooks
+ */
+
+const crypto = require('crypto');
+const { signaturesMatch, toPaymentMethod } = require('./helpers');
+
+let razorpayInstance = null;
+
+const getClient = () => {
+    if (!razorpayInstance) {
+        const Razorpay = require('razorpay');
+        razorpayInstance = new Razorpay({
+            key_id: process.env.RAZORPAY_KEY_ID,
+            key_secret: process.env.RAZORPAY_KEY_SECRET,
+        });
+    }
+    return razorpayInstance;
+};
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+const createOrder = async ({ amount, currency, receipt, notes }) => {
+    const order = await getClient().orders.create({
+        amount: Math.round(amount * 100), // paise
+        currency,
+        receipt,
+        notes,
+    });
+    return { id: order.id, checkout: order };
+};
+
+/**
+ * Check the signature Razorpay Checkout hands back to the browser
+ */
+const verifyPayment = async ({ razorpay_order_id, razorpay_payment_id, razorpay_signature }) => {
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+        return { valid: false, message: 'Missing payment details' };
+    }
+
+    const expected = hmac(process.env.RAZORPAY_KEY_SECRET, `${razorpay_order_id}|${razorpay_payment_id}`);
+    return {
+        valid: signaturesMatch(expected, razorpay_signature),
+        orderId: razorpay_order_id,
+        paymentId: razorpay_payment_id,
+        signature: razorpay_signature,
+    };
+};
+
+const refund = async ({ paymentId, amount, reason }) => {
+    const result = await getClient().payments.refund(paymentId, {
+        amount: Math.round(amount * 100),
+        notes: { reason },
+    });
+    return { id: result.id, status: result.status === 'processed' ? 'processed' : 'pending' };
+};
+
+/**
+ * Verify a webhook delivery and pull out its id, event name and payload
+ */
+const parseWebhook = (rawBody, headers) => {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    const signature = headers['x-razorpay-signature'] || '';
+    if (secret && !(rawBody && signaturesMatch(hmac(secret, rawBody), signature))) {
+        return { valid: false };
+    }
+
+    const body = JSON.parse(rawBody.toString('utf8'));
+    return {
+        valid: true,
+        eventId: headers['x-razorpay-event-id'] || crypto.createHash('sha256').update(rawBody).digest('hex'),
+        event: body.event,
+        payload: body.payload || {},
+        signature,
+    };
+};
+
+const DISPUTE_EVENT_STATUS = {
+    'payment.dispute.created': 'open',
+    'payment.dispute.under_review': 'under_review',
+    'payment.dispute.action_required': 'action_required',
+    'payment.dispute.won': 'won',
+    'payment.dispute.lost': 'lost',
+    'payment.dispute.closed': 'closed',
+};
+
+/**
+ * Map a stored Razorpay event onto the gateway-neutral shape utils/webhooks handles
+ * @returns {Object|null} null for events we do not act on
+ */
+const normalizeEvent = (event, payload = {}) => {
+    const paymentEntity = payload.payment?.entity || {};
+
+    switch (event) {
+        case 'payment.captured':
+            return {
+                type: 'payment.captured',
+                orderId: paymentEntity.order_id,
+                paymentId: paymentEntity.id,
+                method: toPaymentMethod(paymentEntity.method),
+            };
+        case 'order.paid':
+            return {
+                type: 'payment.captured',
+                orderId: payload.order.entity.id,
+                paymentId: paymentEntity.id,
+                method: toPaymentMethod(paymentEntity.method),
+            };
+        case 'payment.failed':
+            return {
+                type: 'payment.failed',
+                orderId: paymentEntity.order_id,
+                error: paymentEntity.error_description,
+            };
+        case 'payment_link.paid':
+        case 'payment_link.expired':
+        case 'payment_link.cancelled': {
+            const linkEntity = payload.payment_link.entity;
+            return {
+                type: event,
+                linkId: linkEntity.id,
+                orderId: paymentEntity.order_id || linkEntity.order_id || '',
+                paymentId: paymentEntity.id || '',
+                method: paymentEntity.method ? toPaymentMethod(paymentEntity.method) : undefined,
+            };
+        }
+        case 'refund.processed':
+        case 'refund.failed': {
+            const refundEntity = payload.refund.entity;
+            return {
+                type: event,
+                paymentId: refundEntity.payment_id,
+                refundId: refundEntity.id,
+                error: refundEntity.error_description || refundEntity.status_details?.description,
+            };
+        }
+        default:
+            break;
+    }
+
+    if (DISPUTE_EVENT_STATUS[event]) {
+        const disputeEntity = payload.dispute.entity;
+        return {
+            type: 'dispute',
+            paymentId: disputeEntity.payment_id || paymentEntity.id,
+            dispute: {
+                id: disputeEntity.id,
+                status: DISPUTE_EVENT_STATUS[event],
+                amount: disputeEntity.amount ? disputeEntity.amount / 100 : null,
+                reason: disputeEntity.reason_description || disputeEntity.reason_code || '',
+                openedAt: disputeEntity.created_at ? new Date(disputeEntity.created_at * 1000) : null,
+            },
+        };
+    }
+    return null;
+};
+
+/**
+ * Id of the entity an event is about (for searching the event log)
+ */
+const getEntityId = (event, payload = {}) => {
+    const entityType = event.startsWith('payment.dispute') ? 'dispute' : event.split('.')[0];
+    return payload[entityType]?.entity?.id || payload.payment?.entity?.id || '';
+};
+
+module.exports = {
+    name: 'razorpay',
+    getPublicKey: () => process.env.RAZORPAY_KEY_ID,
+    createOrder,
+    verifyPayment,
+    refund,
+    parseWebhook,
+    normalizeEvent,
+    getEntityId,
+    getClient,
+};
@@ -0,0 +1,167 @@
+/**
+ * Stripe adapter
+ * One PaymentIntent per order: the client confirms it with Stripe.js using the
+ * client secret, then sends the PaymentIntent id back for verification.
+ */
+
+const { toPaymentMethod } = require('./helpers');
+
+let stripeInstance = null;
+
+const getClient = () => {
+    if (!stripeInstance) {
+        const Stripe = require('stripe');
+        stripeInstance = new Stripe(process.env.STRIPE_SECRET_KEY);
+    }
+    return stripeInstance;
+};
+
+// Amounts are in the smallest currency unit, same as Razorpay
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+const createOrder = async ({ amount, currency, receipt, notes }) => {
+    const intent = await getClient().paymentIntents.create({
+        amount: toMinorUnits(amount),
+        currency: currency.toLowerCase(),
+        description: receipt,
+        metadata: notes,
+        automatic_payment_methods: { enabled: true },
+    });
+    return {
+        id: intent.id,
+        checkout: {
+            id: intent.id,
+            clientSecret: intent.client_secret,
+            amount: intent.amount,
+            currency: intent.currency,
+        },
+    };
+};
+
+/**
+ * Ask Stripe whether the PaymentIntent actually succeeded; the client's word is not enough
+ */
+const verifyPayment = async ({ paymentIntentId, payment_intent }) => {
+    const intentId = paymentIntentId || payment_intent;
+    if (!intentId) return { valid: false, message: 'Missing payment details' };
+
+    const intent = await getClient().paymentIntents.retrieve(intentId);
+    return {
+        valid: intent.status === 'succeeded',
+        orderId: intent.id,
+        paymentId: intent.latest_charge || intent.id,
+        method: toPaymentMethod(intent.payment_method_types?.[0]),
+        message: intent.status === 'succeeded' ? undefined : `Payment ${intent.status.replace(/_/g, ' ')}`,
+    };
+};
+
+const refund = async ({ orderId, amount, reason }) => {
+    const result = await getClient().refunds.create({
+        payment_intent: orderId,
+        amount: toMinorUnits(amount),
+        metadata: { reason },
+    });
+    return { id: result.id, status: result.status === 'succeeded' ? 'processed' : 'pending' };
+};
+
+const parseWebhook = (rawBody, headers) => {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    const signature = headers['stripe-signature'] || '';
+
+    // Unsigned events would let anyone mark a PaymentIntent as paid
+    if (!secret) return { valid: false };
+
+    let body;
+    try {
+        // Static helper: verifying a webhook does not need the API key
+        body = require('stripe').webhooks.constructEvent(rawBody, signature, secret);
+    } catch (error) {
+        return { valid: false };
+    }
+
+    return {
+        valid: true,
+        eventId: body.id,
+        event: body.type,
+        payload: body.data || {},
+        signature,
+    };
+};
+
+const DISPUTE_STATUS = {
+    warning_needs_response: 'action_required',
+    needs_response: 'action_required',
+    warning_under_review: 'under_review',
+    under_review: 'under_review',
+    won: 'won',
+    lost: 'lost',
+    warning_closed: 'closed',
+};
+
+const normalizeEvent = (event, payload = {}) => {
+    const object = payload.object || {};
+
+    switch (event) {
+        case 'payment_intent.succeeded':
+            return {
+                type: 'payment.captured',
+                orderId: object.id,
+                paymentId: object.latest_charge || object.id,
+                method: toPaymentMethod(object.payment_method_types?.[0]),
+            };
+        case 'payment_intent.payment_failed':
+            return {
+                type: 'payment.failed',
+                orderId: object.id,
+                error: object.last_payment_error?.message,
+            };
+        case 'refund.updated':
+        case 'charge.refund.updated':
+            if (object.status === 'succeeded') {
+                return { type: 'refund.processed', orderId: object.payment_intent, refundId: object.id };
+            }
+            if (object.status === 'failed' || object.status === 'canceled') {
+                return {
+                    type: 'refund.failed',
+                    orderId: object.payment_intent,
+                    refundId: object.id,
+                    error: object.failure_reason,
+                };
+            }
+            return null;
+        case 'charge.dispute.created':
+        case 'charge.dispute.updated':
+        case 'charge.dispute.closed':
+            return {
+                type: 'dispute',
+                orderId: object.payment_intent,
+                paymentId: object.charge,
+                dispute: {
+                    id: object.id,
+                    status: event === 'charge.dispute.created' ? 'open' : DISPUTE_STATUS[object.status] || 'open',
+                    amount: object.amount ? object.amount / 100 : null,
+                    reason: object.reason || '',
+                    openedAt: object.created ? new Date(object.created * 1000) : null,
+                },
+            };
+        default:
+            return null;
+    }
+};
+
+const getEntityId = (event, payload = {}) => payload.object?.id || '';
+
+const getConfigError = () => (process.env.STRIPE_WEBHOOK_SECRET ? null : 'STRIPE_WEBHOOK_SECRET is not set');
+
+module.exports = {
+    name: 'stripe',
+    getPublicKey: () => process.env.STRIPE_PUBLISHABLE_KEY,
+    createOrder,
+    verifyPayment,
+    refund,
+    parseWebhook,
+    normalizeEvent,
+    getEntityId,
+    getConfigError,
+    getClient,
+};
@@ -0,0 +1,433 @@
+/**
+ * GST Invoices & Credit Notes
+ * Every completed payment gets a tax invoice and every refund a credit note.
+ * Numbers run per document type and Indian financial year (April to March)
+ * without gaps: a number is only taken by a successful insert, and documents
+ * are cancelled rather than deleted. Issuing runs as a background job so a
+ * payment never fails because its invoice could not be rendered.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const SystemSettings = require('../models/SystemSettings');
+const { registerHandler, scheduleJob } = require('./scheduler');
+
+const INVOICE_JOB = 'issue_invoice';
+const CREDIT_NOTE_JOB = 'issue_credit_note';
+const INVOICE_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+const STORAGE_DIR = path.join(__dirname, '..', 'storage', 'invoices');
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+/**
+ * Indian financial year a date falls in, e.g. 2026-27
+ */
+const getFinancialYear = (date = new Date()) => {
+    const d = new Date(date);
+    const startYear = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+const getInvoiceSettings = async () => {
+    const [legalName, gstin, address, state, invoicePrefix, creditNotePrefix] = await Promise.all([
+        SystemSettings.getSetting('platform_legal_name', 'Medi Slot'),
+        SystemSettings.getSetting('platform_gstin', ''),
+        SystemSettings.getSetting('platform_address', ''),
+        SystemSettings.getSetting('platform_state', ''),
+        SystemSettings.getSetting('invoice_prefix', 'MS'),
+        SystemSettings.getSetting('credit_note_prefix', 'MSCN'),
+    ]);
+    return { legalName, gstin, address, state, invoicePrefix, creditNotePrefix };
+};
+
+const formatAddress = (address = {}) => [address.street, address.city, address.state, address.zipCode]
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * Insert a document under the next free number of its series, retrying when
+ * another issuer took the same number first
+ */
+const createNumbered = async (type, prefix, fields) => {
+    const financialYear = getFinancialYear(fields.issuedAt);
+    const shortYear = financialYear.slice(2); // 26-27 keeps numbers within GST's 16 characters
+
+    for (let attempt = 0; attempt < MAX_NUMBERING_ATTEMPTS; attempt++) {
+        const last = await Invoice.findOne({ type, financialYear }).sort({ sequence: -1 }).select('sequence').lean();
+        const sequence = (last?.sequence || 0) + 1;
+
+        try {
+            return await Invoice.create({
+                ...fields,
+                type,
+                financialYear,
+                sequence,
+                number: `${prefix}/${shortYear}/${String(sequence).padStart(5, '0')}`,
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            // The payment already has its invoice (a concurrent job got there first)
+            if (type === 'invoice' && error.keyPattern?.payment) return Invoice.findOne({ type, payment: fields.payment });
+        }
+    }
+    throw new Error(`Could not allocate a ${type.replace('_', ' ')} number`);
+};
+
+/**
+ * GST split for a tax amount: CGST + SGST within the platform's state, IGST across states
+ */
+const splitTax = (tax, interState) => {
+    if (interState) return { cgst: 0, sgst: 0, igst: round2(tax) };
+    const cgst = round2(tax / 2);
+    return { cgst, sgst: round2(tax - cgst), igst: 0 };
+};
+
+// ---------------------------------------------------------------------------
+// Issuing
+// ---------------------------------------------------------------------------
+
+/**
+ * Issue the tax invoice for a completed payment (returns the existing one if already issued)
+ */
+const issueInvoice = async (paymentId) => {
+    const existing = await Invoice.findOne({ type: 'invoice', payment: paymentId });
+    if (existing) return existing;
+
+    const payment = await Payment.findById(paymentId)
+        .populate('patient', 'fullName email mobileNumber address')
+        .populate('doctor', 'fullName medicalRegistrationNumber gstin clinics')
+        .populate('appointment', 'appointmentDate consultationType clinic');
+    if (!payment) throw new Error(`Payment ${paymentId} not found`);
+    if (!INVOICE_STATUSES.includes(payment.status)) throw new Error(`Payment ${paymentId} is ${payment.status}`);
+
+    const settings = await getInvoiceSettings();
+    const { patient, doctor, appointment } = payment;
+    const breakdown = payment.breakdown || {};
+
+    // Place of supply: the clinic for in-person visits, otherwise where the patient lives
+    const clinic = appointment?.clinic?.clinicId
+        ? doctor?.clinics?.find((c) => c._id.toString() === appointment.clinic.clinicId.toString())
+        : null;
+    const placeOfSupply = clinic?.address?.state || patient?.address?.state || settings.state;
+    const interState = !!(placeOfSupply && settings.state)
+        && placeOfSupply.trim().toLowerCase() !== settings.state.trim().toLowerCase();
+
+    const tax = round2(breakdown.tax);
+    const invoice = await createNumbered('invoice', settings.invoicePrefix, {
+        issuedAt: payment.paidAt || new Date(),
+        payment: payment._id,
+        appointment: appointment?._id || null,
+        patient: patient?._id || payment.patient,
+        doctor: doctor?._id || payment.doctor,
+        seller: {
+            name: settings.legalName,
+            gstin: settings.gstin,
+            address: settings.address,
+            state: settings.state,
+        },
+        billedTo: {
+            name: patient?.fullName || '',
+            email: patient?.email || '',
+            phone: patient?.mobileNumber || '',
+            address: formatAddress(patient?.address),
+            state: patient?.address?.state || '',
+        },
+        practitioner: {
+            name: doctor?.fullName || '',
+            registrationNumber: doctor?.medicalRegistrationNumber || '',
+            gstin: doctor?.gstin || '',
+        },
+        clinic: {
+            name: appointment?.clinic?.clinicName || clinic?.clinicName || '',
+            address: appointment?.clinic?.address || formatAddress(clinic?.address),
+        },
+        consultationType: appointment?.consultationType || '',
+        appointmentDate: appointment?.appointmentDate || null,
+        placeOfSupply,
+        interState,
+        amounts: {
+            consultationFee: round2(breakdown.consultationFee || payment.amount),
+            discount: round2(breakdown.discount),
+            amountPaid: round2(payment.amount),
+            commission: round2(breakdown.platformCommission),
+            processingFee: round2(breakdown.onlinePaymentFee),
+            gstPercentage: breakdown.taxPercentage || 0,
+            ...splitTax(tax, interState),
+            totalTax: tax,
+        },
+    });
+
+    await savePdf(invoice);
+    await Payment.updateOne(
+        { _id: payment._id },
+        { $set: { invoiceNumber: invoice.number, invoiceUrl: `/api/patient/invoices/${invoice._id}/download` } }
+    );
+    return invoice;
+};
+
+/**
+ * Issue a credit note against a payment's invoice for a refund
+ * @param {Object} params - { paymentId, amount, reason, refundReference }
+ */
+const issueCreditNote = async ({ paymentId, amount, reason = '', refundReference = '' }) => {
+    if (refundReference) {
+        const existing = await Invoice.findOne({ type: 'credit_note', payment: paymentId, refundReference });
+        if (existing) return existing;
+    }
+
+    // A refund can land before the invoice job ran; the credit note needs its invoice
+    const invoice = await issueInvoice(paymentId);
+    const settings = await getInvoiceSettings();
+
+    // Credit the same share of every line as the refund is of the amount paid
+    const ratio = invoice.amounts.amountPaid ? Math.min(amount / invoice.amounts.amountPaid, 1) : 1;
+    const tax = round2(invoice.amounts.totalTax * ratio);
+    const base = invoice.toObject();
+
+    const creditNote = await createNumbered('credit_note', settings.creditNotePrefix, {
+        issuedAt: new Date(),
+        payment: base.payment,
+        appointment: base.appointment,
+        patient: base.patient,
+        doctor: base.doctor,
+        originalInvoice: invoice._id,
+        refundReference,
+        reason,
+        seller: base.seller,
+        billedTo: base.billedTo,
+        practitioner: base.practitioner,
+        clinic: base.clinic,
+        consultationType: base.consultationType,
+        appointmentDate: base.appointmentDate,
+        placeOfSupply: base.placeOfSupply,
+        interState: base.interState,
+        amounts: {
+            consultationFee: round2(base.amounts.consultationFee * ratio),
+            discount: round2(base.amounts.discount * ratio),
+            amountPaid: round2(amount),
+            commission: round2(base.amounts.commission * ratio),
+            processingFee: round2(base.amounts.processingFee * ratio),
+            gstPercentage: base.amounts.gstPercentage,
+            ...splitTax(tax, base.interState),
+            totalTax: tax,
+        },
+    });
+
+    await savePdf(creditNote);
+    return creditNote;
+};
+
+/**
+ * Cancel the credit notes of a refund that never went through (numbers stay used)
+ */
+const cancelCreditNotes = async (paymentId, reason = 'Refund failed') => {
+    const result = await Invoice.updateMany(
+        { type: 'credit_note', payment: paymentId, status: 'issued' },
+        { $set: { status: 'cancelled', reason, pdfPath: '' } } // re-rendered with the cancellation on next download
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Queue the invoice for a payment that just completed
+ */
+const queueInvoice = async (payment) => {
+    try {
+        return await scheduleJob({
+            type: INVOICE_JOB,
+            runAt: new Date(),
+            payload: { paymentId: payment._id.toString() },
+            reference: { model: 'Payment', id: payment._id },
+            maxAttempts: 5,
+        });
+    } catch (error) {
+        console.error('❌ Invoice job scheduling failed:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Queue the credit note for a refund recorded on a payment
+ */
+const queueCreditNote = async (payment) => {
+    try {
+        return await scheduleJob({
+            type: CREDIT_NOTE_JOB,
+            runAt: new Date(),
+            payload: {
+                paymentId: payment._id.toString(),
+                amount: payment.refund.amount,
+                reason: payment.refund.reason || '',
+                refundReference: payment.refund.transactionId || payment.refund.refundedAt?.toISOString() || '',
+            },
+            reference: { model: 'Payment', id: payment._id },
+            maxAttempts: 5,
+        });
+    } catch (error) {
+        console.error('❌ Credit note job scheduling failed:', error.message);
+        return null;
+    }
+};
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+const formatMoney = (value) => `Rs. ${round2(value).toFixed(2)}`;
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '');
+
+/**
+ * Render an invoice or credit note to a PDF buffer
+ */
+const renderPdf = (invoice, originalNumber = '') => new Promise((resolve, reject) => {
+    const PDFDocument = require('pdfkit');
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const isCreditNote = invoice.type === 'credit_note';
+    const { amounts } = invoice;
+    const left = 50;
+    const right = 545;
+
+    // Header
+    doc.fontSize(18).font('Helvetica-Bold').text(invoice.seller.name || 'Medi Slot', left, 50);
+    doc.fontSize(9).font('Helvetica');
+    if (invoice.seller.address) doc.text(invoice.seller.address);
+    if (invoice.seller.gstin) doc.text(`GSTIN: ${invoice.seller.gstin}`);
+    doc.fontSize(14).font('Helvetica-Bold')
+        .text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', left, 50, { align: 'right' });
+    doc.fontSize(9).font('Helvetica')
+        .text(`No: ${invoice.number}`, { align: 'right' })
+        .text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' });
+    if (isCreditNote && originalNumber) doc.text(`Against invoice: ${originalNumber}`, { align: 'right' });
+    if (invoice.status === 'cancelled') doc.font('Helvetica-Bold').text('CANCELLED', { align: 'right' }).font('Helvetica');
+
+    // Parties
+    const partiesTop = 140;
+    doc.moveTo(left, partiesTop - 10).lineTo(right, partiesTop - 10).stroke();
+    doc.font('Helvetica-Bold').text('Billed to', left, partiesTop);
+    doc.font('Helvetica').text(invoice.billedTo.name);
+    if (invoice.billedTo.address) doc.text(invoice.billedTo.address, { width: 230 });
+    if (invoice.billedTo.email) doc.text(invoice.billedTo.email);
+    if (invoice.billedTo.phone) doc.text(invoice.billedTo.phone);
+
+    doc.font('Helvetica-Bold').text('Consultation', 310, partiesTop);
+    doc.font('Helvetica').text(`Dr. ${invoice.practitioner.name}`, 310);
+    if (invoice.practitioner.registrationNumber) doc.text(`Reg. No: ${invoice.practitioner.registrationNumber}`, 310);
+    if (invoice.practitioner.gstin) doc.text(`GSTIN: ${invoice.practitioner.gstin}`, 310);
+    if (invoice.clinic.name) doc.text(invoice.clinic.name, 310);
+    if (invoice.clinic.address) doc.text(invoice.clinic.address, 310, undefined, { width: 235 });
+    doc.text(`${invoice.consultationType === 'online' ? 'Online' : 'In-clinic'} on ${formatDate(invoice.appointmentDate)}`, 310);
+    if (invoice.placeOfSupply) doc.text(`Place of supply: ${invoice.placeOfSupply}`, 310);
+
+    // Lines
+    let y = Math.max(doc.y, 250) + 20;
+    const row = (label, value, { bold = false } = {}) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10);
+        doc.text(label, left, y, { width: 380 });
+        doc.text(value, 430, y, { width: 115, align: 'right' });
+        y += 18;
+    };
+    const rule = () => {
+        doc.moveTo(left, y - 4).lineTo(right, y - 4).stroke();
+        y += 4;
+    };
+
+    rule();
+    row('Description', 'Amount', { bold: true });
+    rule();
+    row('Medical consultation (healthcare service, exempt from GST)', formatMoney(amounts.consultationFee));
+    if (amounts.discount) row('Less: discount', `- ${formatMoney(amounts.discount)}`);
+    rule();
+    row(isCreditNote ? 'Amount refunded' : 'Amount paid', formatMoney(amounts.amountPaid), { bold: true });
+
+    y += 16;
+    row('Platform service fee (included above, retained from the practitioner)', '', { bold: true });
+    rule();
+    row('Platform commission (taxable value, SAC 998599)', formatMoney(amounts.commission));
+    if (invoice.interState) {
+        row(`IGST @ ${amounts.gstPercentage}%`, formatMoney(amounts.igst));
+    } else {
+        row(`CGST @ ${amounts.gstPercentage / 2}%`, formatMoney(amounts.cgst));
+        row(`SGST @ ${amounts.gstPercentage / 2}%`, formatMoney(amounts.sgst));
+    }
+    if (amounts.processingFee) row('Payment processing fee', formatMoney(amounts.processingFee));
+    rule();
+    row('Total GST', formatMoney(amounts.totalTax), { bold: true });
+
+    if (isCreditNote && invoice.reason) {
+        y += 16;
+        doc.font('Helvetica').fontSize(9).text(`Reason: ${invoice.reason}`, left, y);
+    }
+
+    doc.fontSize(8).font('Helvetica')
+        .text('This is a computer-generated document and does not require a signature.', left, 770, { align: 'center' });
+    doc.end();
+});
+
+const getPdfPath = (invoice) => path.join(STORAGE_DIR, invoice.financialYear, `${invoice.number.replace(/\//g, '-')}.pdf`);
+
+const getOriginalNumber = async (invoice) => {
+    if (!invoice.originalInvoice) return '';
+    const original = await Invoice.findById(invoice.originalInvoice).select('number').lean();
+    return original?.number || '';
+};
+
+/**
+ * Render and store the PDF for an issued document
+ */
+const savePdf = async (invoice) => {
+    const buffer = await renderPdf(invoice, await getOriginalNumber(invoice));
+    const filePath = getPdfPath(invoice);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    invoice.pdfPath = path.relative(path.join(__dirname, '..'), filePath);
+    await invoice.save();
+    return buffer;
+};
+
+/**
+ * Send a document's PDF as a download, re-rendering it from the stored
+ * snapshot if the file is missing or out of date
+ */
+const sendInvoicePdf = async (res, invoice) => {
+    let buffer = null;
+    if (invoice.pdfPath) {
+        buffer = await fs.promises.readFile(getPdfPath(invoice)).catch(() => null);
+    }
+    if (!buffer) buffer = await savePdf(invoice);
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${invoice.number.replace(/\//g, '-')}.pdf"`,
+        'Content-Length': buffer.length,
+    });
+    res.send(buffer);
+};
+
+registerHandler(INVOICE_JOB, async ({ paymentId }) => {
+    const invoice = await issueInvoice(paymentId);
+    return { invoiceNumber: invoice.number };
+});
+
+registerHandler(CREDIT_NOTE_JOB, async (payload) => {
+    const creditNote = await issueCreditNote(payload);
+    return { creditNoteNumber: creditNote.number };
+});
+
+module.exports = {
+    getFinancialYear,
+    issueInvoice,
+    issueCreditNote,
+    cancelCreditNotes,
+    queueInvoice,
+    queueCreditNote,
+    sendInvoicePdf,
+};
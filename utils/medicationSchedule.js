@@ -0,0 +1,262 @@
+/**
+ * Medication Schedules & Dose Reminders
+ * Turns each prescribed medicine's dosing (the structured schedule, or the
+ * legacy "Twice daily" / "7 days" text when none was given) into individual
+ * MedicationDose entries when the prescription is sent. A sweep pushes a
+ * reminder when doses fall due, and patients log each dose as taken, missed
+ * or skipped.
+ */
+
+const MedicationDose = require('../models/MedicationDose');
+const User = require('../models/User');
+const { registerRecurringTask } = require('./scheduler');
+const { sendPushNotification } = require('./notifications');
+const { getSlotDateTime } = require('./reminders');
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+// Doses older than this when the sweep sees them are not reminded (e.g. after downtime)
+const REMINDER_WINDOW_MS = 30 * 60 * 1000;
+const BATCH_SIZE = 500;
+// Courses are scheduled up to the prescription's usual validity
+const MAX_SCHEDULE_DAYS = 90;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_TIMES = {
+    1: ['09:00'],
+    2: ['09:00', '21:00'],
+    3: ['08:00', '14:00', '20:00'],
+    4: ['08:00', '12:00', '16:00', '20:00'],
+};
+// Morning-noon-night notation ("1-0-1") and a fourth bedtime slot
+const SLOT_TIMES = ['08:00', '14:00', '20:00', '22:00'];
+
+// ---------------------------------------------------------------------------
+// Parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Read the legacy frequency text: "Twice daily", "BD", "1-0-1", "every 8 hours", "SOS"
+ * @returns {{ timesPerDay?: number, times?: string[], asNeeded?: boolean }|null} null when not a daily pattern
+ */
+const parseFrequency = (text = '') => {
+    const value = text.trim().toLowerCase();
+    if (!value) return null;
+
+    if (/\b(sos|prn|as needed|when required|if needed)\b/.test(value)) return { asNeeded: true };
+
+    const slots = value.match(/^(\d)\s*-\s*(\d)\s*-\s*(\d)(?:\s*-\s*(\d))?$/);
+    if (slots) {
+        const times = slots.slice(1).map((count, index) => (Number(count) > 0 ? SLOT_TIMES[index] : null)).filter(Boolean);
+        return times.length ? { timesPerDay: times.length, times } : null;
+    }
+
+    if (/\b(week|month|alternate)/.test(value)) return null;
+
+    const everyHours = value.match(/every\s*(\d+)\s*(?:h|hr|hrs|hours?)\b/);
+    if (everyHours && 24 % Number(everyHours[1]) === 0) return { timesPerDay: 24 / Number(everyHours[1]) };
+
+    const numeric = value.match(/(\d+)\s*(?:times|x)/);
+    if (numeric) return { timesPerDay: Number(numeric[1]) };
+
+    if (/\b(four times|qid|qds)\b/.test(value)) return { timesPerDay: 4 };
+    if (/\b(thrice|three times|tds|tid)\b/.test(value)) return { timesPerDay: 3 };
+    if (/\b(twice|two times|bd|bid)\b/.test(value)) return { timesPerDay: 2 };
+    if (/\b(once|daily|od|hs|at night|bedtime)\b/.test(value)) return { timesPerDay: 1 };
+
+    return null;
+};
+
+/**
+ * Read the legacy duration text: "7 days", "2 weeks", "1 month"
+ */
+const parseDurationDays = (text = '') => {
+    const match = text.trim().toLowerCase().match(/(\d+)\s*(day|d\b|week|wk|month)/);
+    if (!match) return null;
+    const count = Number(match[1]);
+    if (match[2].startsWith('week') || match[2] === 'wk') return count * 7;
+    if (match[2].startsWith('month')) return count * 30;
+    return count;
+};
+
+const defaultTimes = (timesPerDay, timing) => {
+    if (timesPerDay === 1 && timing === 'bedtime') return ['22:00'];
+    if (DEFAULT_TIMES[timesPerDay]) return DEFAULT_TIMES[timesPerDay];
+
+    // Spread evenly across the waking day from 08:00
+    const gap = Math.floor((14 * 60) / Math.max(timesPerDay - 1, 1));
+    return Array.from({ length: timesPerDay }, (_, i) => {
+        const minutes = 8 * 60 + i * gap;
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    });
+};
+
+/**
+ * Check a structured schedule from the request body
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateSchedule = (schedule) => {
+    if (!schedule) return null;
+    const checkTimes = (times = []) => times.every((time) => TIME_PATTERN.test(time));
+
+    if (schedule.times && (!Array.isArray(schedule.times) || !checkTimes(schedule.times))) {
+        return 'Schedule times must be HH:MM';
+    }
+    if (schedule.timesPerDay && schedule.times?.length && schedule.times.length !== Number(schedule.timesPerDay)) {
+        return 'Schedule times must have one entry per daily dose';
+    }
+    if (schedule.taper && !Array.isArray(schedule.taper)) return 'Taper must be a list of steps';
+    for (const step of schedule.taper || []) {
+        if (!(Number(step.days) >= 1)) return 'Each taper step needs a number of days';
+        if (step.times && (!Array.isArray(step.times) || !checkTimes(step.times))) return 'Taper step times must be HH:MM';
+    }
+    return null;
+};
+
+/**
+ * The dosing steps for a medicine: structured schedule first, legacy text as fallback
+ * @returns {Array<{ days: number, dose: string, times: string[] }>} empty when nothing can be scheduled
+ */
+const getDosingSteps = (medicine) => {
+    const schedule = medicine.schedule || {};
+    if (schedule.asNeeded) return [];
+
+    const parsed = parseFrequency(medicine.frequency) || {};
+    if (!schedule.timesPerDay && !schedule.times?.length && parsed.asNeeded) return [];
+
+    const timesPerDay = schedule.timesPerDay || schedule.times?.length || parsed.timesPerDay;
+    const baseTimes = schedule.times?.length
+        ? schedule.times
+        : (parsed.times || (timesPerDay ? defaultTimes(timesPerDay, medicine.timing) : []));
+
+    if (schedule.taper?.length) {
+        return schedule.taper.map((step) => ({
+            days: step.days,
+            dose: step.dose || medicine.dosage,
+            times: step.times?.length
+                ? step.times
+                : (step.timesPerDay ? defaultTimes(step.timesPerDay, medicine.timing) : baseTimes),
+        })).filter((step) => step.times.length);
+    }
+
+    const days = schedule.durationDays || parseDurationDays(medicine.duration);
+    if (!days || !baseTimes.length) return [];
+    return [{ days, dose: medicine.dosage, times: baseTimes }];
+};
+
+// ---------------------------------------------------------------------------
+// Dose Generation
+// ---------------------------------------------------------------------------
+
+/**
+ * Create the dose entries for a sent prescription. Doses already past when it
+ * is sent are left out; re-running is safe (existing doses are kept).
+ * @returns {Promise<number>} Doses created
+ */
+const createDoseSchedule = async (prescription) => {
+    const now = new Date();
+    const startDay = new Date(prescription.sentAt || now);
+    startDay.setHours(0, 0, 0, 0);
+
+    const doses = [];
+    for (const medicine of prescription.medicines) {
+        const firstDay = medicine.schedule?.startDate ? new Date(medicine.schedule.startDate) : new Date(startDay);
+        firstDay.setHours(0, 0, 0, 0);
+
+        let dayOffset = 0;
+        for (const step of getDosingSteps(medicine)) {
+            for (let day = 0; day < step.days && dayOffset < MAX_SCHEDULE_DAYS; day++, dayOffset++) {
+                const date = new Date(firstDay);
+                date.setDate(date.getDate() + dayOffset);
+
+                for (const time of step.times) {
+                    const scheduledAt = getSlotDateTime(date, time);
+                    if (scheduledAt < now) continue;
+                    doses.push({
+                        prescription: prescription._id,
+                        patient: prescription.patient?._id || prescription.patient,
+                        medicine: medicine._id,
+                        medicineName: medicine.name,
+                        dose: step.dose,
+                        instructions: medicine.instructions || '',
+                        scheduledAt,
+                    });
+                }
+            }
+        }
+    }
+
+    if (!doses.length) return 0;
+    try {
+        const inserted = await MedicationDose.insertMany(doses, { ordered: false });
+        return inserted.length;
+    } catch (error) {
+        if (error.code !== 11000 && !error.writeErrors) throw error;
+        return error.insertedDocs?.length || 0;
+    }
+};
+
+// ---------------------------------------------------------------------------
+// Reminders
+// ---------------------------------------------------------------------------
+
+/**
+ * Sweep: push one reminder per patient for the doses that just fell due
+ */
+const sendDoseReminders = async () => {
+    const now = new Date();
+    const due = await MedicationDose.find({
+        status: 'pending',
+        reminderSentAt: null,
+        scheduledAt: { $lte: now, $gte: new Date(now.getTime() - REMINDER_WINDOW_MS) },
+    })
+        .sort({ scheduledAt: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+    if (!due.length) return;
+
+    const byPatient = new Map();
+    due.forEach((dose) => {
+        const key = dose.patient.toString();
+        if (!byPatient.has(key)) byPatient.set(key, []);
+        byPatient.get(key).push(dose);
+    });
+
+    const patients = await User.find({ _id: { $in: [...byPatient.keys()] } })
+        .select('fcmToken preferences')
+        .lean();
+
+    for (const patient of patients) {
+        const doses = byPatient.get(patient._id.toString());
+        const prefs = patient.preferences || {};
+        const wantsReminder = prefs.notificationsEnabled !== false
+            && prefs.pushNotifications !== false
+            && prefs.medicationReminders !== false;
+
+        if (wantsReminder && patient.fcmToken) {
+            const names = doses.map((dose) => (dose.dose ? `${dose.medicineName} (${dose.dose})` : dose.medicineName));
+            await sendPushNotification({
+                fcmToken: patient.fcmToken,
+                title: 'Time for your medicine',
+                body: `Take ${names.join(', ')}. Tap to log your dose.`,
+                data: { type: 'medication_reminder', doseIds: doses.map((dose) => dose._id.toString()).join(',') },
+            });
+        }
+    }
+
+    // Marked even when not pushed so a patient who turns reminders back on is not flooded
+    await MedicationDose.updateMany(
+        { _id: { $in: due.map((dose) => dose._id) } },
+        { $set: { reminderSentAt: now } }
+    );
+};
+
+registerRecurringTask('medication_reminders', sendDoseReminders, SWEEP_INTERVAL_MS);
+
+module.exports = {
+    parseFrequency,
+    parseDurationDays,
+    validateSchedule,
+    getDosingSteps,
+    createDoseSchedule,
+    sendDoseReminders,
+};
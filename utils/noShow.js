@@ -0,0 +1,140 @@
+/**
+ * No-Show Detection
+ * Periodically marks confirmed appointments whose slot has ended (plus a grace
+ * period) without the consultation being started or completed
+ */
+
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const SystemSettings = require('../models/SystemSettings');
+const { registerRecurringTask } = require('./scheduler');
+const { sendNotification } = require('./notifications');
+const { getSlotDateTime, cancelAppointmentReminders } = require('./reminders');
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 200;
+
+/**
+ * Why a missed online consultation needs an admin to decide on the fee, from
+ * who joined the video room: '' when only the patient stayed away
+ */
+const getReviewReason = (appointment) => {
+    if (appointment.consultationType !== 'online') return '';
+    const { doctorJoinedAt, patientJoinedAt } = appointment.videoSession || {};
+    if (patientJoinedAt) return 'doctor_absent';
+    if (!doctorJoinedAt) return 'no_one_joined';
+    return '';
+};
+
+/**
+ * Fee and refundable share of a payment at a given fee percentage
+ */
+const getNoShowAmounts = (payment, feePercentage) => {
+    const feeAmount = Math.round(payment.amount * (feePercentage / 100) * 100) / 100;
+    return { feeAmount, refundableAmount: Math.round((payment.amount - feeAmount) * 100) / 100 };
+};
+
+/**
+ * Record the no-show fee policy against the appointment's payment. The fee is
+ * held back (not charged) while the payment waits for review.
+ */
+const applyNoShowFee = async (appointment, feePercentage) => {
+    if (!appointment.payment) return null;
+
+    const payment = await Payment.findById(appointment.payment);
+    if (!payment || payment.status !== 'completed') return null;
+
+    const reviewReason = getReviewReason(appointment);
+    payment.noShow = {
+        markedAt: new Date(),
+        feePercentage,
+        ...getNoShowAmounts(payment, reviewReason ? 0 : feePercentage),
+        reviewReason,
+    };
+    await payment.save();
+    return payment;
+};
+
+const notifyNoShow = async (appointment) => {
+    const { patient, doctor } = appointment;
+    const date = appointment.appointmentDate.toLocaleDateString();
+    const time = appointment.timeSlot.start;
+
+    if (patient) {
+        await sendNotification({
+            recipientId: patient._id,
+            recipientModel: 'User',
+            type: 'appointment_no_show',
+            title: 'Missed Appointment',
+            message: `Your appointment with Dr. ${doctor?.fullName || 'Doctor'} on ${date} at ${time} was marked as missed.`,
+            data: { appointmentId: appointment._id },
+            channels: { push: true, email: true, sms: false },
+            recipient: patient,
+        });
+    }
+
+    if (doctor) {
+        await sendNotification({
+            recipientId: doctor._id,
+            recipientModel: 'Doctor',
+            type: 'appointment_no_show',
+            title: 'Appointment Marked No-Show',
+            message: `The appointment with ${patient?.fullName || 'your patient'} on ${date} at ${time} was marked as a no-show.`,
+            data: { appointmentId: appointment._id },
+            channels: { push: true, email: false, sms: false },
+            recipient: doctor,
+        });
+    }
+};
+
+/**
+ * Sweep confirmed appointments and mark stale ones as no-show
+ * @returns {number} Number of appointments marked
+ */
+const markNoShows = async () => {
+    const graceMinutes = Number(await SystemSettings.getSetting('no_show_grace_period_minutes', 15));
+    const feePercentage = Number(await SystemSettings.getSetting('no_show_fee_percentage', 0));
+    const now = new Date();
+
+    const candidates = await Appointment.find({
+        status: 'confirmed',
+        appointmentDate: { $lte: now },
+    })
+        .select('appointmentDate timeSlot')
+        .sort({ appointmentDate: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+
+    let marked = 0;
+    for (const candidate of candidates) {
+        const slotEnd = getSlotDateTime(candidate.appointmentDate, candidate.timeSlot.end);
+        if (slotEnd.getTime() + graceMinutes * 60 * 1000 > now.getTime()) continue;
+
+        // Conditional update so a consultation started meanwhile is never overwritten
+        const appointment = await Appointment.findOneAndUpdate(
+            { _id: candidate._id, status: 'confirmed' },
+            { $set: { status: 'no_show', noShowAt: new Date() } },
+            { new: true }
+        )
+            .populate('patient', 'fullName email mobileNumber fcmToken preferences')
+            .populate('doctor', 'fullName email fcmToken');
+
+        if (!appointment) continue;
+        marked++;
+
+        try {
+            await cancelAppointmentReminders(appointment._id);
+            if (feePercentage > 0) await applyNoShowFee(appointment, feePercentage);
+            await notifyNoShow(appointment);
+        } catch (error) {
+            console.error(`❌ No-show follow-up failed for ${appointment._id}:`, error.message);
+        }
+    }
+
+    if (marked) console.log(`🚫 Marked ${marked} appointment(s) as no-show`);
+    return marked;
+};
+
+registerRecurringTask('no_show_sweep', markNoShows, SWEEP_INTERVAL_MS);
+
+module.exports = { markNoShows, getNoShowAmounts };
@@ -172,16 +172,18 @@ const EMAIL_TEMPLATES = {
         }),
     }),
 
-    prescriptionReady: ({ patientName, doctorName, diagnosis }) => ({
+    prescriptionReady: ({ patientName, doctorName, diagnosis, prescriptionNumber, verificationUrl }) => ({
         subject: '💊 New Prescription Available - Medi Slot',
         html: buildEmailTemplate({
             title: 'Prescription Available',
             gradientColors: ['#6C63FF', '#A78BFA'],
             body: `
                 <p>Hello <strong>${patientName}</strong>,</p>
-                <p>Dr. ${doctorName} has sent you a new prescription.</p>
+                <p>Dr. ${doctorName} has sent you a new prescription${prescriptionNumber ? ` (${prescriptionNumber})` : ''}.</p>
                 ${diagnosis ? `<p><strong>Diagnosis:</strong> ${diagnosis}</p>` : ''}
-                <p>Open the MediSlot app to view your prescription details.</p>
+                <p>Your prescription is attached as a PDF. Show it at any pharmacy; the QR code on it lets the pharmacist confirm it is genuine.</p>
+                ${verificationUrl ? `<p style="font-size: 12px;">Verification link: <a href="${verificationUrl}" style="color: #A78BFA;">${verificationUrl}</a></p>` : ''}
+                <p>You can also view it any time in the MediSlot app.</p>
             `,
         }),
     }),
@@ -236,11 +238,12 @@ function buildEmailTemplate({ title, gradientColors, body }) {
  * @param {Object} options.emailTemplate - { template: string, vars: object }
  * @param {string} options.smsMessage - SMS text
  * @param {Object} options.recipient - Recipient object with fcmToken, email, mobileNumber, preferences
+ * @param {Object[]} options.attachments - Email attachments ({ filename, content, contentType })
  */
 const sendNotification = async ({
     recipientId, recipientModel, type, title, message, data = {},
     channels = { push: true, email: true, sms: false },
-    emailTemplate, smsMessage, recipient,
+    emailTemplate, smsMessage, recipient, attachments,
 }) => {
     const results = { inApp: false, push: false, email: false, sms: false };
 
@@ -285,7 +288,7 @@ const sendNotification = async ({
                     }),
                 };
             }
-            const emailResult = await sendEmail({ to: recipient.email, ...emailContent });
+            const emailResult = await sendEmail({ to: recipient.email, ...emailContent, attachments });
             results.email = emailResult.success;
         }
 
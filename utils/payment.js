@@ -1,120 +1,300 @@
 /**
- * Payment Gateway Integration (Razorpay)
- * Handles order creation, verification, refunds, and payouts
+ * Payment Processing
+ * Gateway-neutral order creation, verification and refunds; provider calls go
+ * through the adapters in utils/gateways (doctor payouts: utils/payouts)
  */
 
-const crypto = require('crypto');
+const mongoose = require('mongoose');
 const Payment = require('../models/Payment');
+const { calculateFees } = require('./fees');
+const {
+    recordRedemption, reserveCouponUse, releaseCouponUse, releaseCouponReservations, releasePaymentCoupon,
+} = require('./coupons');
+const { refreshEarningsSummary } = require('./payouts');
+const { getGateway, isGateway } = require('./gateways');
+const { queueInvoice, queueCreditNote } = require('./invoices');
+const {
+    creditWallet, debitWallet, getWalletShare, holdForPayment, releaseWalletHolds,
+} = require('./wallet');
 
-let razorpayInstance = null;
-
-const getRazorpay = () => {
-    if (!razorpayInstance) {
-        const Razorpay = require('razorpay');
-        razorpayInstance = new Razorpay({
-            key_id: process.env.RAZORPAY_KEY_ID,
-            key_secret: process.env.RAZORPAY_KEY_SECRET,
-        });
-    }
-    return razorpayInstance;
-};
+// Payment links are a Razorpay feature
+const getRazorpay = () => getGateway('razorpay').getClient();
 
 /**
- * Create a Razorpay order for appointment payment
+ * Create a gateway order for appointment payment on the configured gateway.
+ * With useWallet the patient's wallet balance is applied first and only the
+ * rest goes to the gateway; a fully wallet-paid checkout completes at once.
+ * @param {number} amount - Consultation fee before discount
+ * @param {Object} coupon - Applied coupon { couponId, code, discount, absorbedBy, perUserLimit }
+ * @returns {{ success, paid?, payment?, gateway?, key?, order?, breakdown, walletAmount, gatewayAmount }}
+ *          or { success: false, error, statusCode?, code? } (statusCode/code when the coupon ran out)
  */
-const createOrder = async ({ amount, currency = 'INR', appointmentId, patientId, doctorId, notes = {} }) => {
+const createOrder = async ({
+    amount, currency = 'INR', appointmentId, patientId, doctorId, coupon = null, useWallet = false, notes = {},
+}) => {
     try {
-        const razorpay = getRazorpay();
-        const options = {
-            amount: Math.round(amount * 100), // paise
-            currency,
-            receipt: `apt_${appointmentId}`,
-            notes: {
-                appointmentId: appointmentId.toString(),
-                patientId: patientId.toString(),
-                doctorId: doctorId.toString(),
-                ...notes,
-            },
+        // Snapshot the commission, processing fee, GST and discount in force right now
+        const feeParams = {
+            amount,
+            doctor: doctorId,
+            online: true,
+            discount: coupon?.discount || 0,
+            discountAbsorbedBy: coupon?.absorbedBy,
         };
+        let breakdown = await calculateFees(feeParams);
+        const payable = Math.round((breakdown.consultationFee - breakdown.discount) * 100) / 100;
+
+        // Earlier unfinished checkouts for this appointment give their wallet share and coupon use back
+        await releaseWalletHolds(appointmentId, 'Superseded by a new checkout');
+        await releaseCouponReservations(appointmentId);
+
+        if (coupon) {
+            const reservation = await reserveCouponUse({
+                coupon: { _id: coupon.couponId, perUserLimit: coupon.perUserLimit || 1 },
+                patientId,
+            });
+            if (!reservation.valid) {
+                return { success: false, error: reservation.message, statusCode: reservation.statusCode, code: reservation.code };
+            }
+        }
+        // Until the payment record exists the reservation is only tracked here
+        const giveBackCoupon = () => (coupon ? releaseCouponUse({ couponId: coupon.couponId, patientId }) : null);
 
-        const order = await razorpay.orders.create(options);
+        const walletAmount = useWallet ? await getWalletShare(patientId, payable) : 0;
+        const gatewayAmount = Math.round((payable - walletAmount) * 100) / 100;
+        const paymentId = new mongoose.Types.ObjectId();
 
-        // Calculate commission breakdown
-        const onlinePaymentFee = Math.round(amount * 0.02 * 100) / 100;
-        const doctorEarning = amount - onlinePaymentFee;
+        let walletHold = null;
+        if (walletAmount > 0) {
+            walletHold = await holdForPayment({ userId: patientId, paymentId, appointmentId, amount: walletAmount });
+            if (!walletHold.success) {
+                await giveBackCoupon();
+                return { success: false, error: walletHold.message };
+            }
+        }
+
+        let gateway = null;
+        let order = null;
+        if (gatewayAmount > 0) {
+            gateway = getGateway();
+            try {
+                order = await gateway.createOrder({
+                    amount: gatewayAmount,
+                    currency,
+                    receipt: `apt_${appointmentId}`,
+                    notes: {
+                        appointmentId: appointmentId.toString(),
+                        patientId: patientId.toString(),
+                        doctorId: doctorId.toString(),
+                        ...(coupon && { couponCode: coupon.code }),
+                        ...notes,
+                    },
+                });
+            } catch (error) {
+                if (walletHold) {
+                    await creditWallet({
+                        userId: patientId,
+                        category: 'hold_release',
+                        amount: walletAmount,
+                        idempotencyKey: `payment:${paymentId}:release`,
+                        description: 'Checkout could not be started',
+                        payment: paymentId,
+                        appointment: appointmentId,
+                    });
+                }
+                await giveBackCoupon();
+                throw error;
+            }
+        } else {
+            // No gateway involved, so no processing fee
+            breakdown = await calculateFees({ ...feeParams, online: false });
+        }
 
-        await Payment.create({
+        const payment = await Payment.create({
+            _id: paymentId,
             appointment: appointmentId,
             patient: patientId,
             doctor: doctorId,
-            amount,
+            amount: payable,
             currency,
-            paymentGateway: 'razorpay',
+            paymentGateway: gateway ? gateway.name : 'wallet',
+            paymentMethod: gateway ? 'other' : 'wallet',
             status: 'pending',
-            gatewayOrderId: order.id,
-            breakdown: {
-                consultationFee: amount,
-                platformCommission: onlinePaymentFee,
-                commissionPercentage: 2,
-                onlinePaymentFee,
-                doctorEarning,
-            },
+            gatewayOrderId: order?.id || '',
+            breakdown,
+            coupon: coupon ? { couponId: coupon.couponId, code: coupon.code, reserved: true } : undefined,
+            wallet: walletHold ? { amount: walletAmount, transaction: walletHold.transaction._id } : undefined,
         });
 
-        return { success: true, order };
+        if (!gateway) {
+            await completePayment(payment, { transactionId: `WALLET-${walletHold.transaction._id}` });
+            return { success: true, paid: true, payment, breakdown, walletAmount, gatewayAmount: 0 };
+        }
+
+        return {
+            success: true,
+            gateway: gateway.name,
+            key: gateway.getPublicKey(),
+            order: order.checkout,
+            breakdown,
+            walletAmount,
+            gatewayAmount,
+        };
     } catch (error) {
-        console.error('❌ Razorpay order creation failed:', error);
+        console.error('❌ Payment order creation failed:', error);
         return { success: false, error: error.message };
     }
 };
 
 /**
- * Verify Razorpay payment signature
+ * Mark a payment as paid and apply the side effects every payment path shares:
+ * link it to the appointment, confirm the held slot, count the coupon,
+ * refresh the doctor's earnings and queue the invoice
+ * @param {Object} payment - Payment document
+ * @param {Object} fields - Gateway details to store (gatewayPaymentId, paymentMethod, ...)
  */
-const verifyPayment = ({ razorpay_order_id, razorpay_payment_id, razorpay_signature }) => {
-    try {
-        const body = razorpay_order_id + '|' + razorpay_payment_id;
-        const expectedSignature = crypto
-            .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-            .update(body)
-            .digest('hex');
-        return expectedSignature === razorpay_signature;
-    } catch (error) {
-        console.error('❌ Payment verification failed:', error);
-        return false;
+const completePayment = async (payment, fields = {}) => {
+    // The gateway share arrived after the wallet share was given back: take it again
+    if (payment.wallet?.amount > 0 && payment.wallet.released) {
+        const retaken = await debitWallet({
+            userId: payment.patient,
+            category: 'booking',
+            amount: payment.wallet.amount,
+            idempotencyKey: `payment:${payment._id}:rehold`,
+            description: 'Paid towards appointment',
+            payment: payment._id,
+            appointment: payment.appointment,
+        });
+        if (retaken.success) {
+            payment.wallet.released = false;
+        } else {
+            console.error(`❌ Payment ${payment._id} completed but its wallet share could not be taken again: ${retaken.message}`);
+        }
+    }
+
+    Object.assign(payment, fields);
+    payment.status = 'completed';
+    payment.paidAt = new Date();
+    if (!payment.transactionId) payment.transactionId = fields.gatewayPaymentId || `PAY-${Date.now()}`;
+
+    // A superseded checkout can still be captured after a newer one paid for the appointment
+    const alreadyPaid = await Payment.exists({
+        _id: { $ne: payment._id },
+        appointment: payment.appointment,
+        status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+    });
+    if (alreadyPaid) {
+        payment.lateCapture = { detectedAt: new Date(), reason: 'already_paid', outcome: '' };
+        return refundLateCapture(payment);
+    }
+
+    // The hold can expire (and the seat be sold again) while the patient is still in checkout
+    const Appointment = require('../models/Appointment');
+    const appointment = await Appointment.findById(payment.appointment);
+    if (appointment?.status === 'cancelled') {
+        const { reinstateExpiredBooking } = require('./slotReservation');
+        const rebooked = await reinstateExpiredBooking(appointment);
+        payment.lateCapture = { detectedAt: new Date(), reason: 'hold_expired', outcome: rebooked ? 'rebooked' : '' };
+        if (!rebooked) return refundLateCapture(payment);
+    }
+
+    await payment.save();
+
+    await recordRedemption(payment);
+    await refreshEarningsSummary(payment.doctor);
+    await queueInvoice(payment);
+
+    // Update appointment payment reference
+    await Appointment.findByIdAndUpdate(payment.appointment, {
+        payment: payment._id,
+    });
+
+    // Payment done: the slot hold becomes a permanent booking
+    const { confirmSlot } = require('./slotReservation');
+    await confirmSlot(payment.appointment);
+
+    return payment;
+};
+
+const LATE_CAPTURE_REASONS = {
+    hold_expired: 'the appointment was released before payment completed',
+    already_paid: 'the appointment had already been paid',
+};
+
+/**
+ * Money arrived for an appointment that cannot take it: record the payment,
+ * refund it in full and tell the patient. A failed refund leaves the payment
+ * flagged (lateCapture.outcome) for an admin to settle by hand.
+ */
+const refundLateCapture = async (payment) => {
+    const why = LATE_CAPTURE_REASONS[payment.lateCapture.reason];
+    await payment.save();
+    await releasePaymentCoupon(payment._id);
+    await queueInvoice(payment);
+
+    const result = await processRefund({
+        paymentId: payment._id,
+        reason: `Refunded because ${why}`,
+    });
+    if (!result.success) {
+        console.error(`❌ Late payment ${payment._id} could not be refunded: ${result.message || result.error}`);
+        await refreshEarningsSummary(payment.doctor);
     }
+    await Payment.updateOne(
+        { _id: payment._id },
+        { $set: { 'lateCapture.outcome': result.success ? 'refunded' : 'refund_failed' } }
+    );
+
+    const Notification = require('../models/Notification');
+    await Notification.create({
+        recipient: payment.patient,
+        recipientModel: 'User',
+        type: 'payment_failed',
+        title: 'Payment Refunded',
+        message: result.success
+            ? `Your payment of ₹${payment.amount} has been refunded because ${why}.`
+            : `Your payment of ₹${payment.amount} will be refunded by our team because ${why}.`,
+        data: { appointmentId: payment.appointment, paymentId: payment._id },
+    });
+
+    return Payment.findById(payment._id);
 };
 
 /**
- * Process successful payment after signature verification
+ * Process a payment the client reports as done, after the gateway confirms it
+ * @param {string} orderId - gatewayOrderId returned by createOrder
+ * @param {Object} params - Gateway-specific proof (Razorpay signature, Stripe PaymentIntent id, ...)
  */
-const processPaymentSuccess = async ({ razorpay_order_id, razorpay_payment_id, razorpay_signature }) => {
+const processPaymentSuccess = async (orderId, params = {}) => {
     try {
-        const payment = await Payment.findOne({ gatewayOrderId: razorpay_order_id });
+        const payment = await Payment.findOne({ gatewayOrderId: orderId });
         if (!payment) return { success: false, message: 'Payment record not found' };
+        if (payment.status === 'completed') return { success: true, payment };
 
-        const isValid = verifyPayment({ razorpay_order_id, razorpay_payment_id, razorpay_signature });
-        if (!isValid) {
+        const result = await getGateway(payment.paymentGateway).verifyPayment(params);
+        // Incomplete details are the client's mistake, not a failed payment
+        if (!result.orderId) return { success: false, message: result.message };
+
+        if (!result.valid || result.orderId !== orderId) {
             payment.status = 'failed';
-            payment.failureReason = 'Signature verification failed';
+            payment.failureReason = result.message || 'Signature verification failed';
             await payment.save();
+            await releasePaymentCoupon(payment._id);
             return { success: false, message: 'Payment verification failed' };
         }
 
-        payment.status = 'completed';
-        payment.gatewayPaymentId = razorpay_payment_id;
-        payment.gatewaySignature = razorpay_signature;
-        payment.paidAt = new Date();
-        payment.transactionId = razorpay_payment_id;
-        await payment.save();
-
-        // Update appointment payment reference
-        const Appointment = require('../models/Appointment');
-        await Appointment.findByIdAndUpdate(payment.appointment, {
-            payment: payment._id,
+        const completed = await completePayment(payment, {
+            gatewayPaymentId: result.paymentId,
+            ...(result.signature && { gatewaySignature: result.signature }),
+            ...(result.method && { paymentMethod: result.method }),
+            transactionId: result.paymentId,
         });
 
-        return { success: true, payment };
+        if (completed.lateCapture?.detectedAt && completed.lateCapture.outcome !== 'rebooked') {
+            return { success: false, message: `This payment is being refunded because ${LATE_CAPTURE_REASONS[completed.lateCapture.reason]}` };
+        }
+
+        return { success: true, payment: completed };
     } catch (error) {
         console.error('❌ Payment processing failed:', error);
         return { success: false, error: error.message };
@@ -122,33 +302,85 @@ const processPaymentSuccess = async ({ razorpay_order_id, razorpay_payment_id, r
 };
 
 /**
- * Process refund (full or partial)
+ * Process refund (full or partial).
+ * The wallet share of a payment always goes back to the wallet; the rest goes
+ * back through the gateway, or to the wallet too when toWallet is set (instant,
+ * and the only way to refund a cash payment through the system).
+ * @param {number} amount - Omit to refund everything refundable; otherwise more than 0
+ * @returns {{ success, refund?, payment?, statusCode?, message?, error? }} statusCode 400 for an invalid amount
  */
-const processRefund = async ({ paymentId, amount, reason, refundedBy }) => {
+const processRefund = async ({ paymentId, amount, reason, refundedBy, toWallet = false }) => {
     try {
         const payment = await Payment.findById(paymentId);
         if (!payment || payment.status !== 'completed') {
             return { success: false, message: 'Payment not found or not eligible for refund' };
         }
+        if (payment.noShow?.reviewReason && !payment.noShow.reviewedAt) {
+            return { success: false, message: 'Resolve the no-show review before refunding this payment' };
+        }
+
+        // A no-show keeps its fee: only the refundable share can go back
+        const maxRefund = payment.noShow?.markedAt ? payment.noShow.refundableAmount : payment.amount;
+        // Only a missing amount means "everything refundable"; an explicit 0 is rejected, not widened
+        const refundAmount = amount === undefined || amount === null ? maxRefund : Number(amount);
+        if (!(refundAmount > 0) || refundAmount > payment.amount) {
+            return { success: false, statusCode: 400, message: 'Refund amount must be more than 0 and no more than the amount paid' };
+        }
+        if (refundAmount > maxRefund) {
+            return { success: false, statusCode: 400, message: `At most ₹${maxRefund} of this payment can be refunded` };
+        }
+        const gatewayPaid = payment.amount - (payment.wallet?.amount || 0);
+        const walletRefund = toWallet
+            ? refundAmount
+            : Math.round(Math.max(0, refundAmount - gatewayPaid) * 100) / 100;
+        const gatewayRefundAmount = Math.round((refundAmount - walletRefund) * 100) / 100;
+        const refundReason = reason || 'Appointment cancellation';
 
-        const refundAmount = amount || payment.amount;
-        const razorpay = getRazorpay();
+        if (gatewayRefundAmount > 0 && !isGateway(payment.paymentGateway)) {
+            return { success: false, message: `A ${payment.paymentGateway} payment has to be refunded outside the gateway` };
+        }
 
-        const refund = await razorpay.payments.refund(payment.gatewayPaymentId, {
-            amount: Math.round(refundAmount * 100),
-            notes: { reason: reason || 'Appointment cancellation' },
-        });
+        let refund = null;
+        if (gatewayRefundAmount > 0) {
+            refund = await getGateway(payment.paymentGateway).refund({
+                paymentId: payment.gatewayPaymentId,
+                orderId: payment.gatewayOrderId,
+                amount: gatewayRefundAmount,
+                reason: refundReason,
+            });
+        }
+
+        let walletCredit = null;
+        if (walletRefund > 0) {
+            walletCredit = await creditWallet({
+                userId: payment.patient,
+                category: 'refund',
+                amount: walletRefund,
+                idempotencyKey: `refund:${payment._id}`,
+                description: refundReason,
+                payment: payment._id,
+                appointment: payment.appointment,
+                createdBy: refundedBy || null,
+                createdByModel: 'Admin',
+            });
+            if (!walletCredit.success) throw new Error(walletCredit.message || 'Wallet credit failed');
+        }
 
         payment.status = refundAmount >= payment.amount ? 'refunded' : 'partially_refunded';
         payment.refund = {
             amount: refundAmount,
-            reason: reason || 'Appointment cancellation',
+            reason: refundReason,
             refundedAt: new Date(),
             refundedBy: refundedBy || null,
-            transactionId: refund.id,
+            transactionId: refund ? refund.id : `WALLET-${walletCredit.transaction._id}`,
             type: refundAmount >= payment.amount ? 'full' : 'partial',
+            status: refund ? refund.status : 'processed',
+            destination: !refund ? 'wallet' : walletCredit ? 'split' : 'source',
+            walletAmount: walletRefund,
         };
         await payment.save();
+        await refreshEarningsSummary(payment.doctor);
+        await queueCreditNote(payment);
 
         return { success: true, refund, payment };
     } catch (error) {
@@ -157,39 +389,210 @@ const processRefund = async ({ paymentId, amount, reason, refundedBy }) => {
     }
 };
 
+// ---------------------------------------------------------------------------
+// Offline (in-clinic) payments
+// ---------------------------------------------------------------------------
+
+const OFFLINE_PAYABLE_STATUSES = ['pending', 'confirmed', 'ongoing', 'completed'];
+const DEFAULT_LINK_EXPIRY_MINUTES = 24 * 60;
+
+/**
+ * Why an appointment cannot take an offline payment, or null when it can
+ */
+const getOfflinePaymentError = async (appointment) => {
+    if (appointment.consultationType === 'online') {
+        return 'Online consultations are paid through checkout';
+    }
+    if (!OFFLINE_PAYABLE_STATUSES.includes(appointment.status)) {
+        return `Cannot take payment for a ${appointment.status} appointment`;
+    }
+    if (!appointment.consultationFee) {
+        return 'This appointment has no fee to collect';
+    }
+
+    const paid = await Payment.exists({
+        appointment: appointment._id,
+        status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+    });
+    return paid ? 'This appointment has already been paid' : null;
+};
+
 /**
- * Create payout record for doctor earnings
+ * Cancel live payment links for an appointment (e.g. the patient paid in cash instead)
  */
-const createPayout = async ({ doctorId, amount, bankDetails }) => {
+const cancelPaymentLinks = async (appointmentId, reason) => {
+    const pending = await Payment.find({
+        appointment: appointmentId,
+        status: 'pending',
+        'paymentLink.status': 'created',
+    });
+
+    for (const payment of pending) {
+        try {
+            await getRazorpay().paymentLink.cancel(payment.paymentLink.id);
+        } catch (error) {
+            console.error(`❌ Could not cancel payment link ${payment.paymentLink.id}:`, error.message);
+        }
+        payment.status = 'failed';
+        payment.failureReason = reason;
+        payment.paymentLink.status = 'cancelled';
+        await payment.save();
+    }
+};
+
+/**
+ * Record a cash payment collected at the clinic
+ * @param {Object} options
+ * @param {Object} options.appointment - Offline appointment (unpaid)
+ * @param {Object} options.recordedBy - { id, model: 'Doctor' | 'Admin', name, ipAddress }
+ * @param {string} options.receiptNumber - Clinic receipt reference
+ * @param {string} options.notes
+ * @returns {Object|null} The completed payment, or null when the appointment was paid meanwhile
+ */
+const recordCashPayment = async ({ appointment, recordedBy, receiptNumber = '', notes = '' }) => {
+    // Claim the appointment first so two staff members recording the same visit cannot both succeed
+    const Appointment = require('../models/Appointment');
+    const paymentId = new mongoose.Types.ObjectId();
+    const claimed = await Appointment.findOneAndUpdate(
+        { _id: appointment._id, payment: null },
+        { $set: { payment: paymentId } }
+    );
+    if (!claimed) return null;
+
     try {
-        // Find unpaid completed payments for this doctor
-        const payments = await Payment.find({
-            doctor: doctorId,
-            status: 'completed',
-            'payout.status': { $in: ['', 'pending'] },
+        return await completeCashPayment({ appointment, paymentId, recordedBy, receiptNumber, notes });
+    } catch (error) {
+        await Appointment.updateOne({ _id: appointment._id, payment: paymentId }, { $set: { payment: null } });
+        throw error;
+    }
+};
+
+/**
+ * Record the cash payment for an appointment recordCashPayment has claimed
+ */
+const completeCashPayment = async ({ appointment, paymentId, recordedBy, receiptNumber, notes }) => {
+    const breakdown = await calculateFees({
+        amount: appointment.consultationFee,
+        doctor: appointment.doctor._id || appointment.doctor,
+        online: false,
+    });
+
+    await cancelPaymentLinks(appointment._id, 'Paid in cash at the clinic');
+    await releaseWalletHolds(appointment._id, 'Paid in cash at the clinic');
+    await releaseCouponReservations(appointment._id);
+
+    const payment = new Payment({
+        _id: paymentId,
+        appointment: appointment._id,
+        patient: appointment.patient._id || appointment.patient,
+        doctor: appointment.doctor._id || appointment.doctor,
+        amount: appointment.consultationFee,
+        paymentMethod: 'cash',
+        paymentGateway: 'cash',
+        status: 'pending',
+        breakdown,
+        offline: {
+            recordedBy: recordedBy.id,
+            recordedByModel: recordedBy.model,
+            recordedByName: recordedBy.name || '',
+            receiptNumber,
+            notes,
+            ipAddress: recordedBy.ipAddress || '',
+            recordedAt: new Date(),
+        },
+    });
+
+    return completePayment(payment, { transactionId: receiptNumber ? `CASH-${receiptNumber}` : `CASH-${Date.now()}` });
+};
+
+/**
+ * Create a Razorpay payment link (optionally UPI-only) for an offline appointment.
+ * Reconciled by the payment_link.paid webhook.
+ * @param {Object} options
+ * @param {Object} options.appointment - Offline appointment with patient populated
+ * @param {boolean} options.upi - Send a UPI collect link instead of the standard checkout link
+ * @param {number} options.expiresInMinutes
+ * @param {Object} options.createdBy - { id, model, name }
+ */
+const createPaymentLink = async ({ appointment, upi = false, expiresInMinutes = DEFAULT_LINK_EXPIRY_MINUTES, createdBy }) => {
+    try {
+        const live = await Payment.findOne({
+            appointment: appointment._id,
+            status: 'pending',
+            'paymentLink.status': 'created',
+            'paymentLink.upi': !!upi,
+            'paymentLink.expiresAt': { $gt: new Date() },
         });
+        if (live) return { success: true, payment: live, reused: true };
 
-        if (!payments.length) {
-            return { success: false, message: 'No pending payouts found' };
-        }
+        const doctorId = appointment.doctor._id || appointment.doctor;
+        const patient = appointment.patient;
+        const amount = appointment.consultationFee;
+        const breakdown = await calculateFees({ amount, doctor: doctorId, online: true });
 
-        // Mark payments as processing
-        const paymentIds = payments.map(p => p._id);
-        await Payment.updateMany(
-            { _id: { $in: paymentIds } },
-            {
-                'payout.status': 'processing',
-                'payout.amount': amount,
-                'payout.processedAt': new Date(),
-                'payout.bankReference': bankDetails?.accountNumber?.slice(-4) || '',
-            }
-        );
+        // Razorpay requires links to stay open for at least 15 minutes
+        const expiresAt = new Date(Date.now() + Math.max(expiresInMinutes, 16) * 60 * 1000);
+
+        const link = await getRazorpay().paymentLink.create({
+            amount: Math.round(amount * 100), // paise
+            currency: 'INR',
+            accept_partial: false,
+            description: `Consultation on ${new Date(appointment.appointmentDate).toLocaleDateString()} at ${appointment.timeSlot.start}`,
+            customer: {
+                name: patient?.fullName || '',
+                email: patient?.email || '',
+                contact: patient?.mobileNumber || '',
+            },
+            notify: { sms: !!patient?.mobileNumber, email: !!patient?.email },
+            reminder_enable: true,
+            reference_id: `apt_${appointment._id}_${Date.now()}`,
+            expire_by: Math.floor(expiresAt.getTime() / 1000),
+            ...(upi && { upi_link: true }),
+            notes: {
+                appointmentId: appointment._id.toString(),
+                patientId: (patient?._id || patient).toString(),
+                doctorId: doctorId.toString(),
+            },
+        });
 
-        return { success: true, paymentIds, totalAmount: amount };
+        const payment = await Payment.create({
+            appointment: appointment._id,
+            patient: patient?._id || patient,
+            doctor: doctorId,
+            amount,
+            paymentMethod: upi ? 'upi' : 'other',
+            paymentGateway: 'razorpay',
+            status: 'pending',
+            breakdown,
+            paymentLink: {
+                id: link.id,
+                shortUrl: link.short_url,
+                upi: !!upi,
+                status: 'created',
+                expiresAt,
+            },
+            offline: {
+                recordedBy: createdBy.id,
+                recordedByModel: createdBy.model,
+                recordedByName: createdBy.name || '',
+                ipAddress: createdBy.ipAddress || '',
+                recordedAt: new Date(),
+            },
+        });
+
+        return { success: true, payment, reused: false };
     } catch (error) {
-        console.error('❌ Payout creation failed:', error);
-        return { success: false, error: error.message };
+        console.error('❌ Payment link creation failed:', error);
+        return { success: false, error: error.message || error.error?.description };
     }
 };
 
-module.exports = { createOrder, verifyPayment, processPaymentSuccess, processRefund, createPayout, getRazorpay };
+module.exports = {
+    createOrder,
+    completePayment,
+    processPaymentSuccess,
+    processRefund,
+    getOfflinePaymentError,
+    recordCashPayment,
+    createPaymentLink,
+};
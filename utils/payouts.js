@@ -0,0 +1,505 @@
+/**
+ * Doctor Payouts
+ * Settles doctors' earnings in batches on their payoutCycle. A run collects
+ * the completed payments of the closed period, deducts the doctor's share of
+ * refunds (including refunds issued after an earlier payout), carries forward
+ * consultations that have not happened yet, and records the statement on a
+ * Payout that moves pending -> processing -> completed | failed.
+ */
+
+const mongoose = require('mongoose');
+const Payout = require('../models/Payout');
+const Payment = require('../models/Payment');
+const Doctor = require('../models/Doctor');
+const { registerRecurringTask } = require('./scheduler');
+const { sendNotification } = require('./notifications');
+
+const RUN_INTERVAL_MS = 60 * 60 * 1000;
+
+// Consultations in these states have been delivered and can be settled
+const SETTLEABLE_APPOINTMENT_STATUSES = ['completed', 'no_show'];
+const EARNING_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Chargebacks still being contested; the payment is held until they resolve
+const OPEN_DISPUTE_STATUSES = ['open', 'under_review', 'action_required'];
+
+/**
+ * The doctor's share of whatever has been refunded (or lost to a chargeback) on a payment
+ */
+const doctorRefundShare = (payment) => {
+    const earning = payment.breakdown?.doctorEarning || 0;
+    if (payment.status === 'refunded' || payment.dispute?.status === 'lost') return earning;
+    if (!payment.refund?.amount || !payment.amount || payment.refund.status === 'failed') return 0;
+    return roundAmount(earning * Math.min(payment.refund.amount / payment.amount, 1));
+};
+
+/**
+ * The most recently closed period of a payout cycle (weeks start on Monday)
+ * @returns {{ periodStart: Date, periodEnd: Date }} periodEnd is exclusive
+ */
+const getCyclePeriod = (cycle, now = new Date()) => {
+    const periodEnd = new Date(now);
+    periodEnd.setHours(0, 0, 0, 0);
+
+    if (cycle === 'monthly') {
+        periodEnd.setDate(1);
+        const periodStart = new Date(periodEnd);
+        periodStart.setMonth(periodStart.getMonth() - 1);
+        return { periodStart, periodEnd };
+    }
+
+    periodEnd.setDate(periodEnd.getDate() - ((periodEnd.getDay() + 6) % 7));
+    const periodStart = new Date(periodEnd);
+    periodStart.setDate(periodStart.getDate() - 7);
+    return { periodStart, periodEnd };
+};
+
+/**
+ * Work out what a doctor is owed for payments made before periodEnd (no side effects)
+ * @returns {{ lines: Array, statement: Object }}
+ */
+const buildStatement = async (doctorId, periodEnd) => {
+    const [eligible, paidOutRefunded] = await Promise.all([
+        Payment.find({
+            doctor: doctorId,
+            status: { $in: EARNING_PAYMENT_STATUSES },
+            paidAt: { $lt: periodEnd },
+            'payout.payoutId': null,
+            'payout.status': { $in: ['', 'pending'] },
+        })
+            .populate('appointment', 'status')
+            .lean(),
+        Payment.find({
+            doctor: doctorId,
+            $or: [{ status: { $in: ['refunded', 'partially_refunded'] } }, { 'dispute.status': 'lost' }],
+            'payout.status': 'completed',
+        }).lean(),
+    ]);
+
+    const statement = {
+        paymentCount: 0,
+        grossAmount: 0,
+        commission: 0,
+        tax: 0,
+        processingFees: 0,
+        earnings: 0,
+        refundDeductions: 0,
+        clawbacks: 0,
+        heldAmount: 0,
+        heldCount: 0,
+        netAmount: 0,
+    };
+    const lines = [];
+
+    for (const payment of eligible) {
+        const earning = payment.breakdown?.doctorEarning || 0;
+        const refundDeduction = doctorRefundShare(payment);
+
+        // Not settled until the consultation has taken place, any chargeback is resolved
+        // and an admin has decided who missed a disputed no-show
+        if (!SETTLEABLE_APPOINTMENT_STATUSES.includes(payment.appointment?.status)
+            || OPEN_DISPUTE_STATUSES.includes(payment.dispute?.status)
+            || (payment.noShow?.reviewReason && !payment.noShow?.reviewedAt)) {
+            statement.heldAmount += earning - refundDeduction;
+            statement.heldCount++;
+            continue;
+        }
+
+        lines.push({
+            payment: payment._id,
+            appointment: payment.appointment?._id || null,
+            type: 'earning',
+            paidAt: payment.paidAt,
+            amount: payment.amount,
+            earning,
+            refundDeduction,
+            net: roundAmount(earning - refundDeduction),
+        });
+
+        statement.paymentCount++;
+        statement.grossAmount += payment.amount;
+        statement.commission += payment.breakdown?.platformCommission || 0;
+        statement.tax += payment.breakdown?.tax || 0;
+        statement.processingFees += payment.breakdown?.onlinePaymentFee || 0;
+        statement.earnings += earning;
+        statement.refundDeductions += refundDeduction;
+    }
+
+    for (const payment of paidOutRefunded) {
+        const outstanding = roundAmount(doctorRefundShare(payment) - (payment.payout.refundClawedBack || 0));
+        if (outstanding <= 0) continue;
+
+        lines.push({
+            payment: payment._id,
+            appointment: payment.appointment,
+            type: 'clawback',
+            paidAt: payment.paidAt,
+            amount: payment.amount,
+            earning: 0,
+            refundDeduction: outstanding,
+            net: -outstanding,
+            clawedBackBefore: payment.payout.refundClawedBack || 0, // claim guard only, not stored on the Payout
+        });
+        statement.clawbacks += outstanding;
+    }
+
+    Object.keys(statement).forEach((key) => { statement[key] = roundAmount(statement[key]); });
+    statement.netAmount = roundAmount(statement.earnings - statement.refundDeductions - statement.clawbacks);
+
+    return { lines, statement };
+};
+
+/**
+ * Turn a failed automatic payout back into a pending one with a fresh statement,
+ * keeping the failure on record. Only one concurrent run can win the reset.
+ */
+const resetFailedPayout = async ({ doctorId, cycle, periodStart, periodEnd, statement, lines }) => {
+    const failed = await Payout.findOne({ doctor: doctorId, cycle, periodStart, status: 'failed' });
+    if (!failed) return null;
+
+    return Payout.findOneAndUpdate(
+        { _id: failed._id, status: 'failed' },
+        {
+            $set: {
+                status: 'pending',
+                periodEnd,
+                statement,
+                lines,
+                failureReason: '',
+                transactionId: '',
+                bankReference: '',
+                processedAt: null,
+                completedAt: null,
+                processedBy: null,
+            },
+            $push: { failureHistory: { reason: failed.failureReason, failedAt: failed.updatedAt } },
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Create a payout for one doctor and claim its payments
+ * @param {Object} options
+ * @param {string} options.cycle - 'weekly' | 'monthly' | 'manual'
+ * @param {Date} options.periodStart - Defaults to the oldest settled payment
+ * @param {Date} options.periodEnd - Payments made before this are settled
+ * @returns {Object|null} The Payout, or null when nothing is payable (or another run got there first)
+ */
+const createPayoutRun = async ({ doctorId, cycle, periodStart, periodEnd }) => {
+    const { lines, statement } = await buildStatement(doctorId, periodEnd);
+
+    // Nothing settled, or refunds outweigh earnings: carry everything to the next run
+    if (statement.paymentCount === 0 || statement.netAmount <= 0) return null;
+
+    const start = periodStart || new Date(Math.min(...lines.filter((l) => l.paidAt).map((l) => l.paidAt.getTime())));
+
+    let payout;
+    let reused = false;
+    try {
+        payout = await Payout.create({ doctor: doctorId, cycle, periodStart: start, periodEnd, statement, lines });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        // The period's earlier run failed (its payments were released): retry it in the same document
+        payout = await resetFailedPayout({ doctorId, cycle, periodStart: start, periodEnd, statement, lines });
+        if (!payout) return null;
+        reused = true;
+    }
+
+    const earningLines = lines.filter((line) => line.type === 'earning');
+    const clawbackLines = lines.filter((line) => line.type === 'clawback');
+
+    // The refund share already netted off an earning line is recorded so a later run does not claw it back again
+    const claimed = await Payment.bulkWrite(earningLines.map((line) => ({
+        updateOne: {
+            filter: { _id: line.payment, 'payout.payoutId': null },
+            update: {
+                $set: {
+                    'payout.status': 'pending',
+                    'payout.payoutId': payout._id,
+                    'payout.amount': line.net,
+                    'payout.refundClawedBack': line.refundDeduction,
+                },
+            },
+        },
+    })));
+
+    // Clawbacks are claimed against the amount this statement saw, so two runs cannot both apply one
+    const clawedBack = [];
+    if (claimed.modifiedCount === earningLines.length) {
+        for (const line of clawbackLines) {
+            const result = await Payment.updateOne(
+                {
+                    _id: line.payment,
+                    'payout.refundClawedBack': line.clawedBackBefore || { $in: [0, null] }, // older payments lack the field
+                },
+                { $inc: { 'payout.refundClawedBack': line.refundDeduction } }
+            );
+            if (!result.modifiedCount) break;
+            clawedBack.push(line);
+        }
+    }
+
+    if (claimed.modifiedCount !== earningLines.length || clawedBack.length !== clawbackLines.length) {
+        // A concurrent run or manual payout took some of these payments
+        await Payment.updateMany(
+            { 'payout.payoutId': payout._id },
+            { $set: { 'payout.status': '', 'payout.payoutId': null, 'payout.amount': 0, 'payout.refundClawedBack': 0 } }
+        );
+        if (clawedBack.length) {
+            await Payment.bulkWrite(clawedBack.map((line) => ({
+                updateOne: {
+                    filter: { _id: line.payment },
+                    update: { $inc: { 'payout.refundClawedBack': -line.refundDeduction } },
+                },
+            })));
+        }
+        if (reused) {
+            await Payout.updateOne(
+                { _id: payout._id },
+                { $set: { status: 'failed', failureReason: 'Payments were taken by a concurrent payout' } }
+            );
+        } else {
+            await Payout.deleteOne({ _id: payout._id });
+        }
+        return null;
+    }
+
+    return payout;
+};
+
+/**
+ * What a doctor has earned (net of their share of refunds) and been paid out so far
+ * @returns {{ totalEarnings: number, totalPaidOut: number }}
+ */
+const getEarningsTotals = async (doctorId) => {
+    const doctorObjectId = new mongoose.Types.ObjectId(doctorId.toString());
+
+    const [earnings, batchPaid, singlePaid] = await Promise.all([
+        Payment.find({
+            doctor: doctorObjectId,
+            status: { $in: ['completed', 'partially_refunded', 'refunded'] },
+        })
+            .select('status amount breakdown.doctorEarning refund.amount refund.status dispute.status')
+            .lean(),
+        Payout.aggregate([
+            { $match: { doctor: doctorObjectId, status: 'completed' } },
+            { $group: { _id: null, total: { $sum: '$statement.netAmount' } } },
+        ]),
+        // Payments settled one at a time before batch runs existed
+        Payment.aggregate([
+            { $match: { doctor: doctorObjectId, 'payout.status': 'completed', 'payout.payoutId': null } },
+            { $group: { _id: null, total: { $sum: '$payout.amount' } } },
+        ]),
+    ]);
+
+    return {
+        totalEarnings: roundAmount(earnings.reduce(
+            (sum, payment) => sum + (payment.breakdown?.doctorEarning || 0) - doctorRefundShare(payment),
+            0
+        )),
+        totalPaidOut: roundAmount((batchPaid[0]?.total || 0) + (singlePaid[0]?.total || 0)),
+    };
+};
+
+/**
+ * Recompute Doctor.earningsSummary from payments and payouts so it never drifts
+ */
+const refreshEarningsSummary = async (doctorId) => {
+    const { totalEarnings, totalPaidOut } = await getEarningsTotals(doctorId);
+
+    await Doctor.updateOne(
+        { _id: doctorId },
+        {
+            $set: {
+                'earningsSummary.totalEarnings': totalEarnings,
+                'earningsSummary.totalPaidOut': totalPaidOut,
+                'earningsSummary.pendingPayout': roundAmount(totalEarnings - totalPaidOut),
+            },
+        }
+    );
+};
+
+/**
+ * Sweep: create payouts for every doctor whose cycle period has closed
+ * @returns {{ created: number }}
+ */
+const runPayoutCycle = async (now = new Date()) => {
+    const doctorIds = await Payment.distinct('doctor', {
+        status: { $in: EARNING_PAYMENT_STATUSES },
+        'payout.payoutId': null,
+        'payout.status': { $in: ['', 'pending'] },
+    });
+
+    const doctors = await Doctor.find({ _id: { $in: doctorIds } }).select('payoutCycle').lean();
+    let created = 0;
+
+    for (const doctor of doctors) {
+        try {
+            const { periodStart, periodEnd } = getCyclePeriod(doctor.payoutCycle, now);
+            const payout = await createPayoutRun({
+                doctorId: doctor._id,
+                cycle: doctor.payoutCycle || 'weekly',
+                periodStart,
+                periodEnd,
+            });
+            if (payout) created++;
+        } catch (error) {
+            console.error(`❌ Payout run failed for doctor ${doctor._id}:`, error.message);
+        }
+    }
+
+    if (created) console.log(`💸 Created ${created} doctor payout(s)`);
+    return { created };
+};
+
+/**
+ * Start paying out a pending payout (fails it when the doctor has no bank details)
+ */
+const startPayout = async (payoutId, adminId = null) => {
+    const payout = await Payout.findOne({ _id: payoutId, status: 'pending' });
+    if (!payout) return null;
+
+    const doctor = await Doctor.findById(payout.doctor).select('bankDetails').lean();
+    const bank = doctor?.bankDetails || {};
+    if (!(bank.accountNumber && bank.ifscCode) && !bank.upiId) {
+        return failPayout(payoutId, 'Doctor has no bank account or UPI ID on file', adminId);
+    }
+
+    const started = await Payout.findOneAndUpdate(
+        { _id: payoutId, status: 'pending' },
+        {
+            $set: {
+                status: 'processing',
+                processedAt: new Date(),
+                processedBy: adminId,
+                bankDetails: {
+                    accountHolderName: bank.accountHolderName || '',
+                    bankName: bank.bankName || '',
+                    accountLast4: bank.accountNumber ? bank.accountNumber.slice(-4) : '',
+                    ifscCode: bank.ifscCode || '',
+                    upiId: bank.upiId || '',
+                },
+            },
+        },
+        { new: true }
+    );
+    if (!started) return null;
+
+    await Payment.updateMany(
+        { 'payout.payoutId': started._id },
+        { $set: { 'payout.status': 'processing', 'payout.processedAt': started.processedAt } }
+    );
+
+    return started;
+};
+
+/**
+ * Mark a processing payout as paid
+ */
+const completePayout = async (payoutId, { transactionId = '', bankReference = '', adminId = null } = {}) => {
+    const payout = await Payout.findOneAndUpdate(
+        { _id: payoutId, status: 'processing' },
+        {
+            $set: {
+                status: 'completed',
+                completedAt: new Date(),
+                transactionId: transactionId || `PO-${Date.now()}`,
+                bankReference,
+                ...(adminId && { processedBy: adminId }),
+            },
+        },
+        { new: true }
+    );
+    if (!payout) return null;
+
+    await Payment.updateMany(
+        { 'payout.payoutId': payout._id },
+        {
+            $set: {
+                'payout.status': 'completed',
+                'payout.transactionId': payout.transactionId,
+                'payout.bankReference': bankReference,
+            },
+        }
+    );
+    await refreshEarningsSummary(payout.doctor);
+
+    try {
+        const doctor = await Doctor.findById(payout.doctor).select('fullName email fcmToken preferences').lean();
+        await sendNotification({
+            recipientId: payout.doctor,
+            recipientModel: 'Doctor',
+            type: 'payout_completed',
+            title: 'Payout Sent',
+            message: `₹${payout.statement.netAmount} for ${payout.statement.paymentCount} consultation(s) has been paid out.`,
+            data: { payoutId: payout._id, amount: payout.statement.netAmount },
+            channels: { push: true, email: true, sms: false },
+            recipient: doctor,
+        });
+    } catch (error) {
+        console.error('Payout notification error:', error.message);
+    }
+
+    return payout;
+};
+
+/**
+ * Fail a pending or processing payout; its payments go back into the next run
+ */
+const failPayout = async (payoutId, reason, adminId = null) => {
+    const payout = await Payout.findOneAndUpdate(
+        { _id: payoutId, status: { $in: ['pending', 'processing'] } },
+        {
+            $set: {
+                status: 'failed',
+                failureReason: reason || 'Payout failed',
+                ...(adminId && { processedBy: adminId }),
+            },
+        },
+        { new: true }
+    );
+    if (!payout) return null;
+
+    await Payment.updateMany(
+        { 'payout.payoutId': payout._id },
+        {
+            $set: {
+                'payout.status': '',
+                'payout.payoutId': null,
+                'payout.amount': 0,
+                'payout.processedAt': null,
+                'payout.refundClawedBack': 0,
+            },
+        }
+    );
+
+    const clawbackLines = payout.lines.filter((line) => line.type === 'clawback');
+    if (clawbackLines.length) {
+        await Payment.bulkWrite(clawbackLines.map((line) => ({
+            updateOne: {
+                filter: { _id: line.payment },
+                update: { $inc: { 'payout.refundClawedBack': -line.refundDeduction } },
+            },
+        })));
+    }
+
+    return payout;
+};
+
+registerRecurringTask('doctor_payout_run', runPayoutCycle, RUN_INTERVAL_MS);
+
+module.exports = {
+    doctorRefundShare,
+    getCyclePeriod,
+    buildStatement,
+    createPayoutRun,
+    runPayoutCycle,
+    startPayout,
+    completePayout,
+    failPayout,
+    getEarningsTotals,
+    refreshEarningsSummary,
+};
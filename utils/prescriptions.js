@@ -0,0 +1,309 @@
+/**
+ * Prescription Documents
+ * Renders a sent prescription to a letterhead PDF and signs it for public
+ * verification: the QR code on the PDF carries the prescription number and
+ * an HMAC token, so anyone holding the paper can check it against our
+ * records without logging in. Sent prescriptions cannot be edited, so the
+ * stored PDF is only re-rendered when the file is missing.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Prescription = require('../models/Prescription');
+
+const STORAGE_DIR = path.join(__dirname, '..', 'storage', 'prescriptions');
+
+const TIMING_LABELS = {
+    before_meal: 'Before food',
+    after_meal: 'After food',
+    with_meal: 'With food',
+    empty_stomach: 'Empty stomach',
+    bedtime: 'At bedtime',
+    as_needed: 'As needed',
+    other: '',
+};
+
+// ---------------------------------------------------------------------------
+// Verification
+// ---------------------------------------------------------------------------
+
+// An empty HMAC key would let anyone mint tokens for the public verify / dispense endpoints
+const getSigningSecret = () => {
+    const secret = process.env.PRESCRIPTION_SIGNING_SECRET || process.env.JWT_SECRET;
+    if (!secret) throw new Error('PRESCRIPTION_SIGNING_SECRET (or JWT_SECRET) must be set to sign prescriptions');
+    return secret;
+};
+
+/**
+ * Token printed in the QR code; binds the prescription number to its record
+ */
+const getVerificationToken = (prescription) => crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${prescription._id}:${prescription.prescriptionNumber}`)
+    .digest('base64url')
+    .slice(0, 32);
+
+const isValidVerificationToken = (prescription, token) => {
+    if (!token || typeof token !== 'string') return false;
+    const expected = Buffer.from(getVerificationToken(prescription));
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Public URL the QR code points at
+ */
+const getVerificationUrl = (prescription) => {
+    const backendUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return `${backendUrl}/api/prescriptions/verify/${encodeURIComponent(prescription.prescriptionNumber)}`
+        + `?token=${getVerificationToken(prescription)}`;
+};
+
+// ---------------------------------------------------------------------------
+// PDF
+// ---------------------------------------------------------------------------
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' }) : '');
+
+const formatAddress = (address = {}) => [address.street, address.city, address.state, address.zipCode]
+    .filter(Boolean)
+    .join(', ');
+
+const formatVitals = (vitals = {}) => {
+    const parts = [];
+    if (vitals.bloodPressure?.systolic && vitals.bloodPressure?.diastolic) {
+        parts.push(`BP ${vitals.bloodPressure.systolic}/${vitals.bloodPressure.diastolic} mmHg`);
+    }
+    if (vitals.heartRate) parts.push(`Pulse ${vitals.heartRate} bpm`);
+    if (vitals.temperature) parts.push(`Temp ${vitals.temperature} °F`);
+    if (vitals.oxygenSaturation) parts.push(`SpO2 ${vitals.oxygenSaturation}%`);
+    if (vitals.respiratoryRate) parts.push(`RR ${vitals.respiratoryRate}/min`);
+    if (vitals.bloodSugar) parts.push(`Sugar ${vitals.bloodSugar} mg/dL`);
+    if (vitals.weight) parts.push(`Wt ${vitals.weight} kg`);
+    if (vitals.height) parts.push(`Ht ${vitals.height} cm`);
+    return parts.join('   ');
+};
+
+/**
+ * The clinic the consultation was booked at (none for online consultations)
+ */
+const getClinic = (prescription) => {
+    const clinicId = prescription.appointment?.clinic?.clinicId;
+    if (!clinicId || !prescription.doctor?.clinics) return null;
+    return prescription.doctor.clinics.find((c) => c._id.toString() === clinicId.toString()) || null;
+};
+
+/**
+ * Render a prescription (doctor, patient and appointment populated) to a PDF buffer
+ */
+const renderPdf = async (prescription) => {
+    const PDFDocument = require('pdfkit');
+    const QRCode = require('qrcode');
+
+    const qrImage = await QRCode.toBuffer(getVerificationUrl(prescription), { type: 'png', margin: 1, width: 240 });
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', margin: 50 });
+        const chunks = [];
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const { doctor = {}, patient = {}, appointment = {} } = prescription;
+        const clinic = getClinic(prescription);
+        const left = 50;
+        const right = 545;
+        const bottom = 700; // room for the verification footer
+
+        // Letterhead
+        doc.fontSize(18).font('Helvetica-Bold').text(`${doctor.title || 'Dr.'} ${doctor.fullName || ''}`, left, 50, { width: 330 });
+        doc.fontSize(9).font('Helvetica');
+        if (doctor.qualifications?.length) doc.text(doctor.qualifications.join(', '), { width: 330 });
+        if (doctor.specializations?.length) doc.text(doctor.specializations.join(', '), { width: 330 });
+        if (doctor.medicalRegistrationNumber) doc.text(`Reg. No: ${doctor.medicalRegistrationNumber}`);
+        if (clinic) {
+            doc.font('Helvetica-Bold').text(clinic.clinicName, { width: 330 }).font('Helvetica');
+            const address = formatAddress(clinic.address);
+            if (address) doc.text(address, { width: 330 });
+            if (clinic.contactNumber) doc.text(`Ph: ${clinic.contactNumber}`);
+        } else {
+            doc.text('Online consultation via Medi Slot');
+        }
+        const letterheadBottom = doc.y;
+
+        doc.fontSize(14).font('Helvetica-Bold').text('PRESCRIPTION', 380, 50, { width: 165, align: 'right' });
+        doc.fontSize(9).font('Helvetica')
+            .text(`Rx No: ${prescription.prescriptionNumber}`, 380, undefined, { width: 165, align: 'right' })
+            .text(`Date: ${formatDate(prescription.sentAt || prescription.createdAt)}`, 380, undefined, { width: 165, align: 'right' })
+            .text(`Valid until: ${formatDate(prescription.validUntil)}`, 380, undefined, { width: 165, align: 'right' });
+
+        let y = Math.max(letterheadBottom, doc.y) + 12;
+        doc.moveTo(left, y).lineTo(right, y).stroke();
+        y += 10;
+
+        const ensureSpace = (height) => {
+            if (y + height > bottom) {
+                doc.addPage();
+                y = 50;
+            }
+        };
+        const heading = (text) => {
+            ensureSpace(40);
+            doc.fontSize(11).font('Helvetica-Bold').text(text, left, y);
+            y = doc.y + 4;
+        };
+        const paragraph = (text) => {
+            ensureSpace(20);
+            doc.fontSize(10).font('Helvetica').text(text, left, y, { width: right - left });
+            y = doc.y + 10;
+        };
+
+        // Patient
+        const ageGender = [patient.age != null ? `${patient.age} yrs` : '', patient.gender || ''].filter(Boolean).join(' / ');
+        doc.fontSize(10).font('Helvetica-Bold').text('Patient: ', left, y, { continued: true })
+            .font('Helvetica').text(`${patient.fullName || ''}${ageGender ? `  (${ageGender})` : ''}`);
+        if (appointment.appointmentDate) {
+            doc.text(`Consultation: ${appointment.consultationType === 'online' ? 'Online' : 'In-clinic'} on ${formatDate(appointment.appointmentDate)}`, left);
+        }
+        y = doc.y + 10;
+
+        const vitals = formatVitals(prescription.vitals);
+        if (vitals) {
+            heading('Vitals');
+            paragraph(vitals);
+        }
+
+        heading('Diagnosis');
+        paragraph([prescription.diagnosis.primary, ...(prescription.diagnosis.secondary || [])].join('; '));
+
+        // Medicines
+        heading('Rx');
+        const columns = [
+            { label: '#', x: left, width: 20 },
+            { label: 'Medicine', x: left + 20, width: 150 },
+            { label: 'Dosage', x: left + 175, width: 75 },
+            { label: 'Frequency', x: left + 255, width: 90 },
+            { label: 'Duration', x: left + 350, width: 60 },
+            { label: 'When / Notes', x: left + 415, width: 80 },
+        ];
+        const tableRow = (values, { bold = false } = {}) => {
+            doc.fontSize(9).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+            const height = Math.max(...values.map((value, i) => doc.heightOfString(value, { width: columns[i].width })));
+            ensureSpace(height + 6);
+            values.forEach((value, i) => doc.text(value, columns[i].x, y, { width: columns[i].width }));
+            y += height + 6;
+        };
+
+        tableRow(columns.map((c) => c.label), { bold: true });
+        doc.moveTo(left, y - 3).lineTo(right, y - 3).stroke();
+        prescription.medicines.forEach((medicine, index) => {
+            const notes = [TIMING_LABELS[medicine.timing], medicine.route !== 'oral' ? medicine.route : '', medicine.instructions]
+                .filter(Boolean)
+                .join('. ');
+            tableRow([String(index + 1), medicine.name, medicine.dosage, medicine.frequency, medicine.duration, notes]);
+        });
+        y += 6;
+
+        if (prescription.labTests?.length) {
+            heading('Investigations');
+            prescription.labTests.forEach((test) => {
+                const details = [
+                    test.urgency !== 'routine' ? test.urgency.toUpperCase() : '',
+                    test.fasting ? 'Fasting' : '',
+                    test.instructions,
+                ].filter(Boolean).join(', ');
+                paragraph(`• ${test.testName}${details ? ` (${details})` : ''}`);
+            });
+        }
+
+        if (prescription.advice) {
+            heading('Advice');
+            paragraph(prescription.advice);
+        }
+        if (prescription.dietaryInstructions) {
+            heading('Diet');
+            paragraph(prescription.dietaryInstructions);
+        }
+        if (prescription.lifestyleRecommendations) {
+            heading('Lifestyle');
+            paragraph(prescription.lifestyleRecommendations);
+        }
+
+        if (prescription.followUp?.required) {
+            heading('Follow-up');
+            paragraph([
+                prescription.followUp.date ? `On ${formatDate(prescription.followUp.date)}` : 'As advised',
+                prescription.followUp.notes,
+            ].filter(Boolean).join('. '));
+        }
+
+        // Verification footer on the last page
+        if (y > bottom) doc.addPage();
+        const footerTop = 710;
+        doc.moveTo(left, footerTop - 6).lineTo(right, footerTop - 6).stroke();
+        doc.image(qrImage, left, footerTop, { width: 80 });
+        doc.fontSize(9).font('Helvetica-Bold').text('Scan to verify this prescription', left + 95, footerTop + 8);
+        doc.fontSize(8).font('Helvetica')
+            .text(`Pharmacists can confirm it was issued by ${doctor.title || 'Dr.'} ${doctor.fullName || ''} and is still valid.`, left + 95, undefined, { width: 400 })
+            .text('This is a digitally generated prescription and does not require a physical signature.', left + 95, undefined, { width: 400 });
+        doc.end();
+    });
+};
+
+const getPdfPath = (prescription) => path.join(
+    STORAGE_DIR,
+    String(new Date(prescription.createdAt || Date.now()).getFullYear()),
+    `${prescription.prescriptionNumber}.pdf`
+);
+
+const loadForPdf = (prescriptionId) => Prescription.findById(prescriptionId)
+    .populate('doctor', 'title fullName qualifications specializations medicalRegistrationNumber clinics')
+    .populate('patient', 'fullName gender dateOfBirth')
+    .populate('appointment', 'appointmentDate consultationType clinic');
+
+/**
+ * Render and store a prescription's PDF, recording where patients can download it
+ * @returns {Promise<Buffer>}
+ */
+const generatePrescriptionPdf = async (prescriptionId) => {
+    const prescription = await loadForPdf(prescriptionId);
+    if (!prescription) throw new Error(`Prescription ${prescriptionId} not found`);
+
+    const buffer = await renderPdf(prescription);
+    const filePath = getPdfPath(prescription);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    await Prescription.updateOne(
+        { _id: prescription._id },
+        { $set: { pdfUrl: `/api/patient/prescriptions/${prescription._id}/download`, pdfGeneratedAt: new Date() } }
+    );
+    return buffer;
+};
+
+/**
+ * Send a prescription's PDF as a download, rendering it if it has not been stored yet
+ */
+const sendPrescriptionPdf = async (res, prescription) => {
+    let buffer = null;
+    if (prescription.pdfGeneratedAt) {
+        buffer = await fs.promises.readFile(getPdfPath(prescription)).catch(() => null);
+    }
+    if (!buffer) buffer = await generatePrescriptionPdf(prescription._id);
+
+    res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${prescription.prescriptionNumber}.pdf"`,
+        'Content-Length': buffer.length,
+    });
+    res.send(buffer);
+};
+
+module.exports = {
+    getVerificationToken,
+    isValidVerificationToken,
+    getVerificationUrl,
+    generatePrescriptionPdf,
+    sendPrescriptionPdf,
+};
@@ -0,0 +1,573 @@
+/**
+ * Financial Reconciliation
+ * Compares what the gateway says it settled (an imported Razorpay settlement
+ * report) with our Payment records, and checks our own books for gaps:
+ * payments without invoices, refunds without credit notes, and payouts that
+ * do not add up. Each mismatch becomes a ReconciliationItem keyed by what
+ * was flagged, so the same problem stays one item across runs until it is
+ * resolved, ignored, or stops showing up.
+ */
+
+const Payment = require('../models/Payment');
+const Payout = require('../models/Payout');
+const Invoice = require('../models/Invoice');
+const SettlementEntry = require('../models/SettlementEntry');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const ReconciliationItem = require('../models/ReconciliationItem');
+const ErrorResponse = require('./errorResponse');
+const { parseCsv } = require('./csv');
+const { getEarningsTotals } = require('./payouts');
+const { registerHandler, registerRecurringTask, scheduleJob } = require('./scheduler');
+
+const JOB_TYPE = 'financial_reconciliation';
+const DAILY_INTERVAL_MS = 24 * 60 * 60 * 1000;
+// Invoices and credit notes are issued by background jobs; give them time before flagging
+const DOCUMENT_GRACE_MS = 60 * 60 * 1000;
+const TOLERANCE = 0.01;
+
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+const SETTLEMENT_TYPES = ['payment', 'refund', 'adjustment', 'transfer'];
+const SETTLEMENT_ITEM_TYPES = [
+    'unknown_settlement',
+    'missing_capture',
+    'amount_mismatch',
+    'refund_mismatch',
+    'missing_in_settlement',
+];
+const INTERNAL_ITEM_TYPES = [
+    'missing_invoice',
+    'missing_credit_note',
+    'payout_exceeds_earnings',
+    'payout_statement_mismatch',
+];
+const REQUIRED_HEADERS = ['entity_id', 'type', 'amount'];
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+// What the gateway was asked to collect; the wallet share never reaches it
+const gatewayShare = (payment) => round2(payment.amount - (payment.wallet?.amount || 0));
+const gatewayRefundShare = (payment) => round2((payment.refund?.amount || 0) - (payment.refund?.walletAmount || 0));
+
+// ---------------------------------------------------------------------------
+// Settlement Import
+// ---------------------------------------------------------------------------
+
+/**
+ * Settlement reports carry dates as unix seconds, ISO strings or dd/mm/yyyy hh:mm:ss
+ */
+const parseReportDate = (value) => {
+    if (!value) return null;
+    if (/^\d+$/.test(value)) {
+        const n = Number(value);
+        return new Date(n < 1e12 ? n * 1000 : n);
+    }
+
+    const indian = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (indian) {
+        const [, day, month, year, hours = 0, minutes = 0, seconds = 0] = indian;
+        return new Date(year, month - 1, day, hours, minutes, seconds);
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Turn one CSV record into a SettlementEntry, or explain why it was skipped
+ * @returns {{ entry?: Object, reason?: string }}
+ */
+const toSettlementEntry = (record, amountsInPaise) => {
+    if (!record.entity_id) return { reason: 'Missing entity_id' };
+
+    const toAmount = (value) => {
+        const n = Number(String(value || '0').replace(/,/g, ''));
+        if (Number.isNaN(n)) return NaN;
+        return round2(amountsInPaise ? n / 100 : n);
+    };
+
+    const amount = toAmount(record.amount);
+    if (Number.isNaN(amount)) return { reason: `Invalid amount "${record.amount}"` };
+
+    const type = (record.type || '').toLowerCase();
+    return {
+        entry: {
+            gateway: 'razorpay',
+            entityId: record.entity_id,
+            type: SETTLEMENT_TYPES.includes(type) ? type : 'other',
+            amount,
+            fee: toAmount(record.fee) || 0,
+            tax: toAmount(record.tax) || 0,
+            credit: toAmount(record.credit) || 0,
+            debit: toAmount(record.debit) || 0,
+            paymentId: record.payment_id || (type === 'payment' ? record.entity_id : ''),
+            orderId: record.order_id || '',
+            settlementId: record.settlement_id || '',
+            settlementUtr: record.settlement_utr || record.utr || '',
+            capturedAt: parseReportDate(record.created_at),
+            settledAt: parseReportDate(record.settled_at),
+        },
+    };
+};
+
+/**
+ * Store a Razorpay settlement report and queue a reconciliation run for it
+ * @param {Object} params - { buffer, fileName, adminId, amountsInPaise }
+ * @returns {Promise<Object>} The queued ReconciliationRun
+ */
+const importSettlementFile = async ({ buffer, fileName = '', adminId = null, amountsInPaise = false }) => {
+    const { headers, records } = parseCsv(buffer.toString('utf8'));
+
+    const missing = REQUIRED_HEADERS.filter((header) => !headers.includes(header));
+    if (missing.length) {
+        throw new ErrorResponse(`Settlement file is missing column(s): ${missing.join(', ')}`, 400);
+    }
+
+    const entries = [];
+    const skippedRows = [];
+    records.forEach((record, index) => {
+        const { entry, reason } = toSettlementEntry(record, amountsInPaise);
+        // Row numbers as seen in a spreadsheet: the header is row 1
+        if (reason) skippedRows.push({ row: index + 2, reason });
+        else entries.push(entry);
+    });
+
+    if (!entries.length) {
+        throw new ErrorResponse('Settlement file has no usable rows', 400);
+    }
+
+    const captureDates = entries
+        .filter((entry) => entry.type === 'payment' && entry.capturedAt)
+        .map((entry) => entry.capturedAt.getTime());
+
+    const run = await ReconciliationRun.create({
+        source: 'settlement_import',
+        fileName,
+        rowCount: records.length,
+        skippedRows,
+        periodStart: captureDates.length ? new Date(Math.min(...captureDates)) : null,
+        periodEnd: captureDates.length ? new Date(Math.max(...captureDates)) : null,
+        triggeredBy: adminId,
+    });
+
+    await SettlementEntry.bulkWrite(entries.map((entry) => ({
+        updateOne: {
+            filter: { gateway: entry.gateway, entityId: entry.entityId },
+            update: { $set: { ...entry, run: run._id } },
+            upsert: true,
+        },
+    })));
+
+    await scheduleJob({
+        type: JOB_TYPE,
+        runAt: new Date(),
+        payload: { runId: run._id },
+        reference: { model: 'ReconciliationRun', id: run._id },
+        maxAttempts: 1,
+    });
+
+    return run;
+};
+
+/**
+ * Queue a run of the internal checks (no settlement file)
+ */
+const queueReconciliation = async ({ source = 'manual', adminId = null } = {}) => {
+    const run = await ReconciliationRun.create({ source, triggeredBy: adminId });
+    await scheduleJob({
+        type: JOB_TYPE,
+        runAt: new Date(),
+        payload: { runId: run._id },
+        reference: { model: 'ReconciliationRun', id: run._id },
+        maxAttempts: 1,
+    });
+    return run;
+};
+
+// ---------------------------------------------------------------------------
+// Checks (each returns findings; nothing is written here)
+// ---------------------------------------------------------------------------
+
+/**
+ * Compare the run's settlement lines with our payments and refunds
+ * @returns {{ findings: Object[], checkedEntityIds: Set<string>, stats: Object }}
+ */
+const checkSettlement = async (run) => {
+    const findings = [];
+    const checkedEntityIds = new Set();
+
+    const entries = await SettlementEntry.find({ run: run._id }).lean();
+    const paymentEntries = entries.filter((entry) => entry.type === 'payment');
+    const refundEntries = entries.filter((entry) => entry.type === 'refund');
+    entries.forEach((entry) => checkedEntityIds.add(entry.entityId));
+
+    // --- Captured payments ---
+    const payments = await Payment.find({
+        paymentGateway: 'razorpay',
+        $or: [
+            { gatewayPaymentId: { $in: paymentEntries.map((entry) => entry.entityId) } },
+            { gatewayOrderId: { $in: paymentEntries.map((entry) => entry.orderId).filter(Boolean) } },
+        ],
+    })
+        .select('amount status wallet gatewayPaymentId gatewayOrderId doctor')
+        .lean();
+
+    const byPaymentId = new Map(payments.filter((p) => p.gatewayPaymentId).map((p) => [p.gatewayPaymentId, p]));
+    const byOrderId = new Map(payments.filter((p) => p.gatewayOrderId).map((p) => [p.gatewayOrderId, p]));
+
+    for (const entry of paymentEntries) {
+        const payment = byPaymentId.get(entry.entityId) || (entry.orderId && byOrderId.get(entry.orderId));
+
+        if (!payment) {
+            findings.push({
+                type: 'unknown_settlement',
+                severity: 'critical',
+                key: `unknown_settlement:${entry.entityId}`,
+                message: `Gateway settled ₹${entry.amount} for ${entry.entityId} but no payment matches it`,
+                actual: entry.amount,
+                gatewayEntityId: entry.entityId,
+            });
+            continue;
+        }
+
+        if (!PAID_STATUSES.includes(payment.status)) {
+            findings.push({
+                type: 'missing_capture',
+                severity: 'critical',
+                key: `missing_capture:${entry.entityId}`,
+                message: `Gateway captured ${entry.entityId} but the payment is still ${payment.status}`,
+                expected: entry.amount,
+                gatewayEntityId: entry.entityId,
+                payment: payment._id,
+                doctor: payment.doctor,
+            });
+        }
+
+        const expected = gatewayShare(payment);
+        if (Math.abs(entry.amount - expected) > TOLERANCE) {
+            findings.push({
+                type: 'amount_mismatch',
+                severity: 'critical',
+                key: `amount_mismatch:${entry.entityId}`,
+                message: `Gateway settled ₹${entry.amount} for ${entry.entityId}; we charged ₹${expected}`,
+                expected,
+                actual: entry.amount,
+                difference: round2(entry.amount - expected),
+                gatewayEntityId: entry.entityId,
+                payment: payment._id,
+                doctor: payment.doctor,
+            });
+        }
+    }
+
+    // --- Refunds (a payment can be refunded in parts across several reports) ---
+    const refundedPaymentIds = [...new Set(refundEntries.map((entry) => entry.paymentId).filter(Boolean))];
+    refundedPaymentIds.forEach((id) => checkedEntityIds.add(id));
+
+    const [refundTotals, refundedPayments] = await Promise.all([
+        SettlementEntry.aggregate([
+            { $match: { gateway: 'razorpay', type: 'refund', paymentId: { $in: refundedPaymentIds } } },
+            { $group: { _id: '$paymentId', total: { $sum: { $abs: '$amount' } } } },
+        ]),
+        Payment.find({ gatewayPaymentId: { $in: refundedPaymentIds } })
+            .select('amount status refund gatewayPaymentId doctor')
+            .lean(),
+    ]);
+    const refundedByGateway = new Map(refundTotals.map((row) => [row._id, round2(row.total)]));
+    const refundedPaymentMap = new Map(refundedPayments.map((p) => [p.gatewayPaymentId, p]));
+
+    for (const gatewayPaymentId of refundedPaymentIds) {
+        const payment = refundedPaymentMap.get(gatewayPaymentId);
+        const actual = refundedByGateway.get(gatewayPaymentId) || 0;
+        const expected = payment && payment.refund?.status !== 'failed' ? gatewayRefundShare(payment) : 0;
+
+        if (Math.abs(actual - expected) > TOLERANCE) {
+            findings.push({
+                type: 'refund_mismatch',
+                severity: 'critical',
+                key: `refund_mismatch:${gatewayPaymentId}`,
+                message: payment
+                    ? `Gateway refunded ₹${actual} on ${gatewayPaymentId}; we recorded ₹${expected} to the original method`
+                    : `Gateway refunded ₹${actual} on ${gatewayPaymentId} but no payment matches it`,
+                expected,
+                actual,
+                difference: round2(actual - expected),
+                gatewayEntityId: gatewayPaymentId,
+                payment: payment?._id || null,
+                doctor: payment?.doctor || null,
+            });
+        }
+    }
+
+    // --- Payments we took in the report's window that the gateway never settled ---
+    let missingChecked = 0;
+    if (run.periodStart && run.periodEnd) {
+        const settledIds = new Set(await SettlementEntry.distinct('entityId', {
+            gateway: 'razorpay',
+            type: 'payment',
+            capturedAt: { $gte: run.periodStart, $lte: run.periodEnd },
+        }));
+
+        const paid = await Payment.find({
+            paymentGateway: 'razorpay',
+            status: { $in: PAID_STATUSES },
+            paidAt: { $gte: run.periodStart, $lte: run.periodEnd },
+            gatewayPaymentId: { $ne: '' },
+        })
+            .select('amount wallet gatewayPaymentId doctor')
+            .lean();
+        missingChecked = paid.length;
+
+        for (const payment of paid) {
+            checkedEntityIds.add(payment.gatewayPaymentId);
+            if (settledIds.has(payment.gatewayPaymentId) || gatewayShare(payment) <= 0) continue;
+
+            findings.push({
+                type: 'missing_in_settlement',
+                severity: 'warning',
+                key: `missing_in_settlement:${payment.gatewayPaymentId}`,
+                message: `Payment ${payment.gatewayPaymentId} was captured in the report period but is not in any settlement`,
+                expected: gatewayShare(payment),
+                gatewayEntityId: payment.gatewayPaymentId,
+                payment: payment._id,
+                doctor: payment.doctor,
+            });
+        }
+    }
+
+    return {
+        findings,
+        checkedEntityIds,
+        stats: {
+            paymentsChecked: payments.length + refundedPayments.length + missingChecked,
+            settlementEntriesChecked: entries.length,
+            settledAmount: round2(entries.reduce((sum, entry) => sum + (entry.credit || 0) - (entry.debit || 0), 0)),
+            gatewayFees: round2(entries.reduce((sum, entry) => sum + (entry.fee || 0), 0)),
+        },
+    };
+};
+
+/**
+ * Completed payments without a tax invoice and refunds not covered by credit notes
+ */
+const checkTaxDocuments = async () => {
+    const findings = [];
+
+    // Payments from before invoicing went live never had invoices
+    const firstInvoice = await Invoice.findOne({ type: 'invoice' }).sort({ issuedAt: 1 }).select('issuedAt').lean();
+    if (!firstInvoice) return { findings, paymentsChecked: 0 };
+
+    const cutoff = new Date(Date.now() - DOCUMENT_GRACE_MS);
+    const payments = await Payment.find({
+        status: { $in: PAID_STATUSES },
+        paidAt: { $gte: firstInvoice.issuedAt, $lte: cutoff },
+    })
+        .select('amount status refund doctor')
+        .lean();
+    const paymentIds = payments.map((payment) => payment._id);
+
+    const [invoiced, credited] = await Promise.all([
+        Invoice.distinct('payment', { type: 'invoice', payment: { $in: paymentIds } }),
+        Invoice.aggregate([
+            { $match: { type: 'credit_note', status: 'issued', payment: { $in: paymentIds } } },
+            { $group: { _id: '$payment', total: { $sum: '$amounts.amountPaid' } } },
+        ]),
+    ]);
+    const invoicedIds = new Set(invoiced.map((id) => id.toString()));
+    const creditedTotals = new Map(credited.map((row) => [row._id.toString(), round2(row.total)]));
+
+    for (const payment of payments) {
+        const id = payment._id.toString();
+
+        if (!invoicedIds.has(id)) {
+            findings.push({
+                type: 'missing_invoice',
+                severity: 'warning',
+                key: `missing_invoice:${id}`,
+                message: `Payment of ₹${payment.amount} has no tax invoice`,
+                expected: payment.amount,
+                payment: payment._id,
+                doctor: payment.doctor,
+            });
+        }
+
+        const refunded = payment.refund?.status === 'failed' ? 0 : round2(payment.refund?.amount);
+        const refundedAt = payment.refund?.refundedAt;
+        if (!refunded || !refundedAt || refundedAt > cutoff) continue;
+
+        const creditedAmount = creditedTotals.get(id) || 0;
+        if (creditedAmount + TOLERANCE < refunded) {
+            findings.push({
+                type: 'missing_credit_note',
+                severity: 'warning',
+                key: `missing_credit_note:${id}`,
+                message: `Refunded ₹${refunded} but credit notes cover ₹${creditedAmount}`,
+                expected: refunded,
+                actual: creditedAmount,
+                difference: round2(creditedAmount - refunded),
+                payment: payment._id,
+                doctor: payment.doctor,
+            });
+        }
+    }
+
+    return { findings, paymentsChecked: payments.length };
+};
+
+/**
+ * Doctors paid out more than they earned, and payouts whose statement disagrees with its lines
+ */
+const checkPayouts = async () => {
+    const findings = [];
+
+    const payouts = await Payout.find({ status: 'completed' })
+        .select('doctor statement.netAmount lines.net')
+        .lean();
+
+    for (const payout of payouts) {
+        const linesTotal = round2((payout.lines || []).reduce((sum, line) => sum + (line.net || 0), 0));
+        const netAmount = round2(payout.statement?.netAmount);
+        if (Math.abs(linesTotal - netAmount) > TOLERANCE) {
+            findings.push({
+                type: 'payout_statement_mismatch',
+                severity: 'warning',
+                key: `payout_statement_mismatch:${payout._id}`,
+                message: `Payout of ₹${netAmount} does not match its lines (₹${linesTotal})`,
+                expected: linesTotal,
+                actual: netAmount,
+                difference: round2(netAmount - linesTotal),
+                payout: payout._id,
+                doctor: payout.doctor,
+            });
+        }
+    }
+
+    const doctorIds = [...new Set(payouts.map((payout) => payout.doctor.toString()))];
+    for (const doctorId of doctorIds) {
+        const { totalEarnings, totalPaidOut } = await getEarningsTotals(doctorId);
+        if (totalPaidOut > totalEarnings + TOLERANCE) {
+            findings.push({
+                type: 'payout_exceeds_earnings',
+                // Usually a refund after payout that the next run will claw back
+                severity: 'warning',
+                key: `payout_exceeds_earnings:${doctorId}`,
+                message: `Paid out ₹${totalPaidOut} against earnings of ₹${totalEarnings}`,
+                expected: totalEarnings,
+                actual: totalPaidOut,
+                difference: round2(totalPaidOut - totalEarnings),
+                doctor: doctorId,
+            });
+        }
+    }
+
+    return { findings, doctorsChecked: doctorIds.length };
+};
+
+// ---------------------------------------------------------------------------
+// Run
+// ---------------------------------------------------------------------------
+
+/**
+ * Record findings against the run: reopen-or-update by key, skip ignored ones,
+ * and resolve open items in scope that no longer show up
+ * @param {Object[]} scopes - [{ types, entityIds? }] the checks that actually ran
+ */
+const saveFindings = async (run, findings, scopes) => {
+    const seenKeys = new Set();
+    const byType = {};
+
+    for (const finding of findings) {
+        if (seenKeys.has(finding.key)) continue;
+        seenKeys.add(finding.key);
+
+        const existing = await ReconciliationItem.findOne({ key: finding.key, status: { $in: ['open', 'ignored'] } });
+        if (existing?.status === 'ignored') continue;
+
+        byType[finding.type] = (byType[finding.type] || 0) + 1;
+        if (existing) {
+            Object.assign(existing, finding, { run: run._id });
+            await existing.save();
+        } else {
+            await ReconciliationItem.create({ ...finding, run: run._id });
+        }
+    }
+
+    for (const scope of scopes) {
+        const filter = { status: 'open', type: { $in: scope.types }, key: { $nin: [...seenKeys] } };
+        if (scope.entityIds) filter.gatewayEntityId = { $in: [...scope.entityIds] };
+
+        await ReconciliationItem.updateMany(filter, {
+            $set: { status: 'resolved', note: 'No longer detected', reviewedAt: new Date() },
+        });
+    }
+
+    return byType;
+};
+
+/**
+ * Run the checks for a queued run (settlement checks only when it came from an import)
+ */
+const runReconciliation = async (runId) => {
+    const run = await ReconciliationRun.findOneAndUpdate(
+        { _id: runId, status: 'queued' },
+        { $set: { status: 'running', startedAt: new Date() } },
+        { new: true }
+    );
+    if (!run) return null;
+
+    try {
+        const findings = [];
+        const scopes = [{ types: INTERNAL_ITEM_TYPES }];
+        const summary = { paymentsChecked: 0, settlementEntriesChecked: 0, doctorsChecked: 0, settledAmount: 0, gatewayFees: 0 };
+
+        if (run.source === 'settlement_import') {
+            const settlement = await checkSettlement(run);
+            findings.push(...settlement.findings);
+            scopes.push({ types: SETTLEMENT_ITEM_TYPES, entityIds: settlement.checkedEntityIds });
+            Object.assign(summary, settlement.stats);
+        }
+
+        const documents = await checkTaxDocuments();
+        findings.push(...documents.findings);
+        summary.paymentsChecked += documents.paymentsChecked;
+
+        const payouts = await checkPayouts();
+        findings.push(...payouts.findings);
+        summary.doctorsChecked = payouts.doctorsChecked;
+
+        const byType = await saveFindings(run, findings, scopes);
+
+        run.summary = {
+            ...summary,
+            issues: Object.values(byType).reduce((sum, count) => sum + count, 0),
+            byType,
+        };
+        run.status = 'completed';
+        run.completedAt = new Date();
+        await run.save();
+        return run;
+    } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        run.completedAt = new Date();
+        await run.save();
+        throw error;
+    }
+};
+
+registerHandler(JOB_TYPE, async ({ runId }) => {
+    const run = await runReconciliation(runId);
+    return run ? { issues: run.summary.issues } : { skipped: true };
+});
+
+registerRecurringTask(JOB_TYPE, async () => {
+    // The loop restarts with the process; skip if a scheduled run already happened today
+    const since = new Date(Date.now() - DAILY_INTERVAL_MS);
+    const recent = await ReconciliationRun.exists({ source: 'scheduled', createdAt: { $gte: since } });
+    if (!recent) await queueReconciliation({ source: 'scheduled' });
+}, DAILY_INTERVAL_MS);
+
+module.exports = {
+    importSettlementFile,
+    queueReconciliation,
+    runReconciliation,
+};
@@ -0,0 +1,137 @@
+/**
+ * Appointment Reminder Jobs
+ * Plans reminder jobs for confirmed appointments based on patient preferences
+ */
+
+const Appointment = require('../models/Appointment');
+const { registerHandler, scheduleJob, cancelJobs } = require('./scheduler');
+const { sendNotification } = require('./notifications');
+
+const JOB_TYPE = 'appointment_reminder';
+const DEFAULT_REMINDER_MINUTES = 30;
+// 'rescheduled' marks confirmed bookings an admin moved before reschedules kept their status
+const REMINDABLE_STATUSES = ['confirmed', 'rescheduled'];
+
+/**
+ * Combine an appointment date with an "HH:MM" time into a Date
+ */
+const getSlotDateTime = (date, time) => {
+    const result = new Date(date);
+    const [hours, minutes] = time.split(':').map(Number);
+    result.setHours(hours, minutes, 0, 0);
+    return result;
+};
+
+/**
+ * Cancel pending reminders for one or more appointments
+ */
+const cancelAppointmentReminders = async (appointmentIds) => {
+    try {
+        return await cancelJobs({ type: JOB_TYPE, referenceId: appointmentIds });
+    } catch (error) {
+        console.error('❌ Reminder cancellation failed:', error.message);
+        return 0;
+    }
+};
+
+/**
+ * (Re)plan reminders for an appointment.
+ * Any pending reminder is cancelled first; a new one is only enqueued while the
+ * appointment is confirmed and the reminder time is still in the future.
+ */
+
+const scheduleAppointmentReminders = async (appointment) => {
+    try {
+        await cancelAppointmentReminders(appointment._id);
+
+        if (!REMINDABLE_STATUSES.includes(appointment.status)) return null;
+
+        const User = require('../models/User');
+        const patientId = appointment.patient?._id || appointment.patient;
+        const patient = await User.findById(patientId).select('preferences').lean();
+
+        const minutesBefore = patient?.preferences?.reminderTimeBefore ?? DEFAULT_REMINDER_MINUTES;
+        const startsAt = getSlotDateTime(appointment.appointmentDate, appointment.timeSlot.start);
+        const runAt = new Date(startsAt.getTime() - minutesBefore * 60 * 1000);
+
+        if (startsAt <= new Date()) return null;
+
+        return await scheduleJob({
+            type: JOB_TYPE,
+            runAt: runAt > new Date() ? runAt : new Date(),
+            payload: {
+                appointmentId: appointment._id.toString(),
+                appointmentDate: appointment.appointmentDate,
+                slotStart: appointment.timeSlot.start,
+            },
+            reference: { model: 'Appointment', id: appointment._id },
+        });
+    } catch (error) {
+        console.error('❌ Reminder scheduling failed:', error.message);
+        return null;
+    }
+};
+
+/**
+ * Job handler: deliver the reminder on the patient's chosen channels
+ */
+const sendAppointmentReminder = async ({ appointmentId, appointmentDate, slotStart }) => {
+    const appointment = await Appointment.findById(appointmentId)
+        .populate('patient', 'fullName email mobileNumber fcmToken preferences')
+        .populate('doctor', 'fullName');
+
+    if (!appointment || !REMINDABLE_STATUSES.includes(appointment.status)) {
+        return { skipped: true, reason: 'Appointment no longer confirmed' };
+    }
+
+    // Guard against a stale job surviving a reschedule
+    if (
+        new Date(appointment.appointmentDate).getTime() !== new Date(appointmentDate).getTime() ||
+        appointment.timeSlot.start !== slotStart
+    ) {
+        return { skipped: true, reason: 'Appointment was rescheduled' };
+    }
+
+    const patient = appointment.patient;
+    if (!patient) return { skipped: true, reason: 'Patient not found' };
+
+    const prefs = patient.preferences || {};
+    const enabled = prefs.notificationsEnabled !== false;
+    const channels = {
+        push: enabled && prefs.pushNotifications !== false,
+        email: enabled && prefs.emailNotifications !== false,
+        sms: enabled && prefs.smsNotifications !== false,
+    };
+
+    const doctorName = appointment.doctor?.fullName || 'Doctor';
+    const date = appointment.appointmentDate.toLocaleDateString();
+    const time = appointment.timeSlot.start;
+    const type = appointment.consultationType === 'online' ? 'Online Video' : 'In-Clinic';
+
+    const result = await sendNotification({
+        recipientId: patient._id,
+        recipientModel: 'User',
+        type: 'appointment_reminder',
+        title: 'Appointment Reminder',
+        message: `Your appointment with Dr. ${doctorName} is on ${date} at ${time}.`,
+        data: { appointmentId: appointment._id },
+        channels,
+        emailTemplate: {
+            template: 'appointmentReminder',
+            vars: { name: patient.fullName, doctorName, date, time, type },
+        },
+        smsMessage: `MediSlot: Reminder - your ${type.toLowerCase()} appointment with Dr. ${doctorName} is on ${date} at ${time}.`,
+        recipient: patient,
+    });
+
+    if (!result.success) throw new Error(result.error || 'Reminder dispatch failed');
+    return result.results;
+};
+
+registerHandler(JOB_TYPE, sendAppointmentReminder);
+
+module.exports = {
+    getSlotDateTime,
+    scheduleAppointmentReminders,
+    cancelAppointmentReminders,
+};
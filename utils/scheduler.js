@@ -0,0 +1,173 @@
+/**
+ * Background Job Scheduler
+ * Persists jobs in MongoDB so they survive restarts, and polls for due jobs
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const ScheduledJob = require('../models/ScheduledJob');
+
+const handlers = {};
+const recurringTasks = [];
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+const STALE_LOCK_MS = 10 * 60 * 1000; // Jobs stuck in processing longer than this are retried
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+let timer = null;
+let isRunning = false;
+
+/**
+ * Register a handler for a job type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => result
+ */
+const registerHandler = (type, handler) => {
+    handlers[type] = handler;
+};
+
+/**
+ * Register a task that runs periodically on the scheduler loop (e.g. sweeps)
+ * @param {string} name - Task name (for logging)
+ * @param {Function} task - async () => void
+ * @param {number} intervalMs - Minimum time between runs
+ */
+const registerRecurringTask = (name, task, intervalMs) => {
+    recurringTasks.push({ name, task, intervalMs, lastRunAt: 0 });
+};
+
+/**
+ * Persist a job to run at a given time
+ */
+const scheduleJob = async ({ type, runAt, payload = {}, reference = {}, maxAttempts = 3 }) => {
+    return ScheduledJob.create({
+        type,
+        runAt,
+        payload,
+        reference: { model: reference.model || '', id: reference.id || null },
+        maxAttempts,
+    });
+};
+
+/**
+ * Cancel pending jobs matching a type and reference
+ */
+const cancelJobs = async ({ type, referenceId }) => {
+    const filter = { status: 'pending' };
+    if (type) filter.type = type;
+    if (referenceId) {
+        filter['reference.id'] = Array.isArray(referenceId) ? { $in: referenceId } : referenceId;
+    }
+
+    const result = await ScheduledJob.updateMany(filter, {
+        $set: { status: 'cancelled', cancelledAt: new Date() },
+    });
+    return result.modifiedCount;
+};
+
+/**
+ * Atomically claim the next due job so multiple instances never run the same job
+ */
+const claimNextJob = async () => {
+    return ScheduledJob.findOneAndUpdate(
+        {
+            status: 'pending',
+            runAt: { $lte: new Date() },
+            type: { $in: Object.keys(handlers) },
+        },
+        {
+            $set: { status: 'processing', lockedAt: new Date(), lockedBy: WORKER_ID },
+            $inc: { attempts: 1 },
+        },
+        { sort: { runAt: 1 }, new: true }
+    );
+};
+
+/**
+ * Release jobs whose worker died mid-execution
+ */
+const releaseStaleJobs = async () => {
+    await ScheduledJob.updateMany(
+        { status: 'processing', lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+        { $set: { status: 'pending', lockedAt: null, lockedBy: '' } }
+    );
+};
+
+const runJob = async (job) => {
+    try {
+        const result = await handlers[job.type](job.payload, job);
+        job.status = 'completed';
+        job.result = result === undefined ? null : result;
+        job.completedAt = new Date();
+        job.lastError = '';
+    } catch (error) {
+        console.error(`❌ Job ${job.type} (${job._id}) failed:`, error.message);
+        job.lastError = error.message;
+        if (job.attempts >= job.maxAttempts) {
+            job.status = 'failed';
+        } else {
+            job.status = 'pending';
+            job.runAt = new Date(Date.now() + RETRY_DELAY_MS * job.attempts);
+        }
+    }
+    job.lockedAt = null;
+    job.lockedBy = '';
+    await job.save();
+};
+
+const tick = async () => {
+    if (isRunning || mongoose.connection.readyState !== 1) return;
+    isRunning = true;
+
+    try {
+        await releaseStaleJobs();
+
+        for (let i = 0; i < BATCH_SIZE; i++) {
+            const job = await claimNextJob();
+            if (!job) break;
+            await runJob(job);
+        }
+
+        const now = Date.now();
+        for (const recurring of recurringTasks) {
+            if (now - recurring.lastRunAt < recurring.intervalMs) continue;
+            recurring.lastRunAt = now;
+            try {
+                await recurring.task();
+            } catch (error) {
+                console.error(`❌ Recurring task ${recurring.name} failed:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Scheduler tick error:', error.message);
+    } finally {
+        isRunning = false;
+    }
+};
+
+/**
+ * Start polling for due jobs
+ */
+const startScheduler = ({ intervalMs = 30000 } = {}) => {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    console.log(`⏱️  Job scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+};
+
+const stopScheduler = () => {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+};
+
+module.exports = {
+    registerHandler,
+    registerRecurringTask,
+    scheduleJob,
+    cancelJobs,
+    startScheduler,
+    stopScheduler,
+    runPendingJobs: tick,
+};
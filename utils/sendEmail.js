@@ -25,8 +25,9 @@ const createTransporter = () => {
  * @param {string} options.subject - Email subject
  * @param {string} options.html - Email HTML body
  * @param {string} [options.text] - Plain text fallback
+ * @param {Object[]} [options.attachments] - Nodemailer attachments ({ filename, content, contentType })
  */
-const sendEmail = async ({ to, subject, html, text }) => {
+const sendEmail = async ({ to, subject, html, text, attachments }) => {
     try {
         const transporter = createTransporter();
 
@@ -37,6 +38,7 @@ const sendEmail = async ({ to, subject, html, text }) => {
             html,
             text: text || '',
         };
+        if (attachments?.length) mailOptions.attachments = attachments;
 
         const info = await transporter.sendMail(mailOptions);
         console.log(`📧 Email sent to ${to}: ${info.messageId}`);
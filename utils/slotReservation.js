@@ -0,0 +1,250 @@
+/**
+ * Slot Reservation
+ * Claims appointment seats atomically through a unique index on
+ * doctor/date/start/seat, so concurrent bookings can never exceed capacity
+ */
+
+const SlotLock = require('../models/SlotLock');
+const Appointment = require('../models/Appointment');
+const Doctor = require('../models/Doctor');
+const Notification = require('../models/Notification');
+const SystemSettings = require('../models/SystemSettings');
+const { registerRecurringTask } = require('./scheduler');
+const { cancelAppointmentReminders, getSlotDateTime } = require('./reminders');
+const { releaseWalletHolds } = require('./wallet');
+const { releaseCouponReservations } = require('./coupons');
+
+const DEFAULT_HOLD_MINUTES = 15;
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const normalizeDate = (date) => {
+    const result = new Date(date);
+    result.setHours(0, 0, 0, 0);
+    return result;
+};
+
+const getHoldMinutes = async () => {
+    return Number(await SystemSettings.getSetting('slot_hold_minutes', DEFAULT_HOLD_MINUTES));
+};
+
+/**
+ * Seats of a slot that are booked or still validly held
+ */
+const countTakenSeats = (slot) => SlotLock.countDocuments({
+    ...slot,
+    $or: [{ status: 'booked' }, { expiresAt: { $gt: new Date() } }],
+});
+
+/**
+ * Offer freed seats to waitlisted patients
+ */
+const offerReleasedSeats = async (locks) => {
+    // Lazy require: the waitlist reserves its offers through this module
+    const { offerFreedSlot } = require('./waitlist');
+
+    for (const lock of locks) {
+        try {
+            await offerFreedSlot({
+                doctorId: lock.doctor,
+                date: lock.date,
+                timeSlot: { start: lock.start, end: lock.end },
+                // The appointment that held the seat is leaving it, even if not yet saved as such
+                excludeAppointmentId: lock.appointment,
+            });
+        } catch (error) {
+            console.error(`❌ Waitlist offer failed for ${lock.doctor} ${lock.start}:`, error.message);
+        }
+    }
+};
+
+/**
+ * Reserve one seat of a slot for an appointment
+ * @param {Object} options
+ * @param {boolean} options.hold - Reserve as a temporary hold (payment, waitlist claim) instead of a booking
+ * @param {number} options.holdMinutes - Hold length, defaults to the slot_hold_minutes setting
+ * @returns {Object|null} The lock, or null when every seat is taken
+ */
+const reserveSlot = async ({
+    doctorId, date, timeSlot, maxPerSlot = 1, appointmentId, patientId, hold = false, holdMinutes,
+}) => {
+    const expiresAt = hold ? new Date(Date.now() + (holdMinutes || await getHoldMinutes()) * 60 * 1000) : null;
+    const slot = { doctor: doctorId, date: normalizeDate(date), start: timeSlot.start };
+
+    // Seats above the cap (it was lowered, or migrated overbookings) still count against it
+    if (await countTakenSeats(slot) >= maxPerSlot) return null;
+
+    for (let seat = 0; seat < maxPerSlot; seat++) {
+        let lock;
+        try {
+            lock = await SlotLock.create({
+                ...slot,
+                end: timeSlot.end || '',
+                seat,
+                appointment: appointmentId,
+                patient: patientId || null,
+                status: hold ? 'held' : 'booked',
+                expiresAt,
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            // Seat already taken, try the next one
+            continue;
+        }
+
+        // A concurrent booking may have taken a seat while we counted: back out rather than overfill
+        if (await countTakenSeats(slot) > maxPerSlot) {
+            await SlotLock.deleteOne({ _id: lock._id });
+            return null;
+        }
+        return lock;
+    }
+    return null;
+};
+
+/**
+ * Release every seat held by an appointment (cancellation) and offer it to the waitlist
+ */
+const releaseSlot = async (appointmentIds) => {
+    const ids = Array.isArray(appointmentIds) ? appointmentIds : [appointmentIds];
+    const locks = await SlotLock.find({ appointment: { $in: ids } }).lean();
+    if (!locks.length) return 0;
+
+    const result = await SlotLock.deleteMany({ _id: { $in: locks.map((l) => l._id) } });
+    await offerReleasedSeats(locks);
+    return result.deletedCount;
+};
+
+/**
+ * Turn a payment hold into a permanent booking
+ */
+const confirmSlot = async (appointmentId) => {
+    return SlotLock.updateMany(
+        { appointment: appointmentId, status: 'held' },
+        { $set: { status: 'booked', expiresAt: null } }
+    );
+};
+
+/**
+ * Restart the hold window (e.g. when the patient opens checkout)
+ * @returns {boolean} false when the appointment has no seat to hold
+ */
+const refreshHold = async (appointmentId) => {
+    const lock = await SlotLock.findOne({ appointment: appointmentId });
+    if (!lock) return false;
+    if (lock.status === 'held') {
+        lock.expiresAt = new Date(Date.now() + (await getHoldMinutes()) * 60 * 1000);
+        await lock.save();
+    }
+    return true;
+};
+
+/**
+ * Move an appointment's reservation to a new slot.
+ * The new seat is claimed before the old one is released, so a failed move
+ * leaves the original booking intact.
+ * @returns {Object|null} The new lock, or null when the new slot is full
+ */
+const moveReservation = async ({ appointment, newDate, newTimeSlot, maxPerSlot = 1 }) => {
+    const existing = await SlotLock.findOne({ appointment: appointment._id });
+
+    const lock = await reserveSlot({
+        doctorId: appointment.doctor?._id || appointment.doctor,
+        date: newDate,
+        timeSlot: newTimeSlot,
+        maxPerSlot,
+        appointmentId: appointment._id,
+        patientId: appointment.patient?._id || appointment.patient,
+        hold: existing?.status === 'held',
+    });
+    if (!lock) return null;
+
+    const previous = await SlotLock.find({ appointment: appointment._id, _id: { $ne: lock._id } }).lean();
+    await SlotLock.deleteMany({ _id: { $in: previous.map((l) => l._id) } });
+    await offerReleasedSeats(previous);
+    return lock;
+};
+
+/**
+ * Sweep: free expired payment holds and cancel the unpaid appointments behind them
+ */
+const releaseExpiredHolds = async () => {
+    const expired = await SlotLock.find({ status: 'held', expiresAt: { $lte: new Date() } }).limit(200);
+
+    for (const lock of expired) {
+        const removed = await SlotLock.findOneAndDelete({ _id: lock._id, status: 'held' });
+        if (!removed) continue;
+
+        const appointment = await Appointment.findOneAndUpdate(
+            { _id: lock.appointment, status: 'pending', payment: null },
+            {
+                $set: {
+                    status: 'cancelled',
+                    cancelledBy: 'system',
+                    cancellationReason: 'Payment not completed in time',
+                    cancelledAt: new Date(),
+                },
+            },
+            { new: true }
+        );
+
+        if (appointment) {
+            await cancelAppointmentReminders(appointment._id);
+            await releaseWalletHolds(appointment._id, 'Payment not completed in time');
+            await releaseCouponReservations(appointment._id);
+            await Notification.create({
+                recipient: appointment.patient,
+                recipientModel: 'User',
+                type: 'appointment_cancelled',
+                title: 'Booking Expired',
+                message: 'Your appointment request was released because payment was not completed in time.',
+                data: { appointmentId: appointment._id },
+            });
+        }
+
+        await offerReleasedSeats([removed]);
+    }
+};
+
+/**
+ * Payment arrived after the hold expired: book the appointment again if its
+ * slot is still ahead and a seat is free. Only system expiries are undone;
+ * an appointment someone cancelled stays cancelled.
+ * @returns {boolean} true when the appointment is active again
+ */
+const reinstateExpiredBooking = async (appointment) => {
+    if (appointment.status !== 'cancelled' || appointment.cancelledBy !== 'system') return false;
+    if (getSlotDateTime(appointment.appointmentDate, appointment.timeSlot.start) <= new Date()) return false;
+
+    const doctor = await Doctor.findById(appointment.doctor).select('slotConfig').lean();
+    const lock = await reserveSlot({
+        doctorId: appointment.doctor,
+        date: appointment.appointmentDate,
+        timeSlot: appointment.timeSlot,
+        maxPerSlot: doctor?.slotConfig?.maxAppointmentsPerSlot || 1,
+        appointmentId: appointment._id,
+        patientId: appointment.patient,
+    });
+    if (!lock) return false;
+
+    const reinstated = await Appointment.findOneAndUpdate(
+        { _id: appointment._id, status: 'cancelled', cancelledBy: 'system' },
+        { $set: { status: 'pending', cancelledBy: '', cancellationReason: '', cancelledAt: null } },
+        { new: true }
+    );
+    if (!reinstated) {
+        await SlotLock.deleteOne({ _id: lock._id });
+        return false;
+    }
+    return true;
+};
+
+registerRecurringTask('slot_hold_expiry', releaseExpiredHolds, EXPIRY_SWEEP_INTERVAL_MS);
+
+module.exports = {
+    reserveSlot,
+    releaseSlot,
+    confirmSlot,
+    refreshHold,
+    moveReservation,
+    reinstateExpiredBooking,
+};
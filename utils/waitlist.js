@@ -0,0 +1,211 @@
+/**
+ * Waitlist
+ * Offers seats freed by cancellations to waitlisted patients in join order.
+ * Each offer holds the seat for a limited claim window; unclaimed offers
+ * expire and the seat moves on to the next patient in line.
+ */
+
+const mongoose = require('mongoose');
+const Waitlist = require('../models/Waitlist');
+const Doctor = require('../models/Doctor');
+const SystemSettings = require('../models/SystemSettings');
+const { registerRecurringTask } = require('./scheduler');
+const { sendNotification } = require('./notifications');
+const { validateSlot, toMinutes, AVAILABILITY_FIELDS } = require('./availability');
+const {
+    reserveSlot, releaseSlot, refreshHold, confirmSlot,
+} = require('./slotReservation');
+
+const DEFAULT_CLAIM_MINUTES = 30;
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const startOfDay = (date) => {
+    const result = new Date(date);
+    result.setHours(0, 0, 0, 0);
+    return result;
+};
+
+const fitsTimeWindow = (entry, timeSlot) => {
+    if (!entry.timeWindow?.start || !entry.timeWindow?.end) return true;
+    return toMinutes(entry.timeWindow.start) <= toMinutes(timeSlot.start)
+        && toMinutes(timeSlot.end) <= toMinutes(entry.timeWindow.end);
+};
+
+const notifyOffer = async (entry, doctor, expiresAt, claimMinutes) => {
+    const date = entry.date.toLocaleDateString();
+    const message = `A slot with Dr. ${doctor.fullName} on ${date} at ${entry.offer.start} just opened up. Claim it within ${claimMinutes} minutes before it goes to the next patient.`;
+
+    await sendNotification({
+        recipientId: entry.patient._id,
+        recipientModel: 'User',
+        type: 'waitlist_offer',
+        title: 'Slot Available',
+        message,
+        data: {
+            waitlistId: entry._id,
+            doctorId: doctor._id,
+            date: entry.date,
+            start: entry.offer.start,
+            end: entry.offer.end,
+            expiresAt,
+        },
+        channels: { push: true, email: false, sms: true },
+        smsMessage: `MediSlot: ${message}`,
+        recipient: entry.patient,
+    });
+};
+
+/**
+ * Offer a freed seat to the first waitlisted patient it suits
+ * @param {Object} options
+ * @param {string} options.doctorId
+ * @param {Date} options.date
+ * @param {Object} options.timeSlot - { start, end }
+ * @param {string} options.excludeAppointmentId - Appointment that just gave up the seat
+ * @returns {Object|null} The waitlist entry that received the offer
+ */
+const offerFreedSlot = async ({ doctorId, date, timeSlot, excludeAppointmentId = null }) => {
+    const day = startOfDay(date);
+    if (day < startOfDay(new Date())) return null;
+
+    const entries = await Waitlist.find({ doctor: doctorId, date: day, status: 'waiting' })
+        .sort({ createdAt: 1 })
+        .populate('patient', 'fullName email mobileNumber fcmToken preferences');
+    if (!entries.length) return null;
+
+    const doctor = await Doctor.findById(doctorId).select(`fullName ${AVAILABILITY_FIELDS}`).lean();
+    if (!doctor) return null;
+
+    const claimMinutes = Number(await SystemSettings.getSetting('waitlist_claim_minutes', DEFAULT_CLAIM_MINUTES));
+
+    for (const entry of entries) {
+        if (!entry.patient || !fitsTimeWindow(entry, timeSlot)) continue;
+
+        // The seat must still be bookable for this patient's consultation type and clinic
+        const check = await validateSlot({
+            doctor,
+            date: day,
+            timeSlot,
+            excludeAppointmentId,
+            consultationType: entry.consultationType,
+            clinicId: entry.clinicId,
+            patientId: entry.patient._id,
+        });
+        if (!check.valid) continue;
+
+        const appointmentId = new mongoose.Types.ObjectId();
+        const lock = await reserveSlot({
+            doctorId,
+            date: day,
+            timeSlot: { start: check.slot.start, end: check.slot.end },
+            maxPerSlot: doctor.slotConfig?.maxAppointmentsPerSlot || 1,
+            appointmentId,
+            patientId: entry.patient._id,
+            hold: true,
+            holdMinutes: claimMinutes,
+        });
+        // Someone else already took the seat
+        if (!lock) return null;
+
+        const offered = await Waitlist.findOneAndUpdate(
+            { _id: entry._id, status: 'waiting' },
+            {
+                $set: {
+                    status: 'offered',
+                    offer: {
+                        appointmentId,
+                        start: lock.start,
+                        end: lock.end,
+                        offeredAt: new Date(),
+                        expiresAt: lock.expiresAt,
+                    },
+                },
+            },
+            { new: true }
+        ).populate('patient', 'fullName email mobileNumber fcmToken preferences');
+
+        if (!offered) {
+            // The patient left the waitlist meanwhile; free the seat for the next one
+            await releaseSlot(appointmentId);
+            return null;
+        }
+
+        await notifyOffer(offered, doctor, lock.expiresAt, claimMinutes);
+        return offered;
+    }
+
+    return null;
+};
+
+/**
+ * Atomically claim an open offer for a booking of the offered seat. The seat
+ * stays reserved under entry.offer.appointmentId: still held when the booking
+ * awaits payment, otherwise turned into a booking.
+ * @param {boolean} options.hold - The booking still needs payment
+ * @returns {Object|null} The claimed entry, or null when no matching live offer exists
+ */
+const claimOffer = async ({ waitlistId, patientId, doctorId, date, timeSlot, hold = false }) => {
+    const entry = await Waitlist.findOneAndUpdate(
+        {
+            _id: waitlistId,
+            patient: patientId,
+            doctor: doctorId,
+            date: startOfDay(date),
+            status: 'offered',
+            'offer.start': timeSlot?.start,
+            'offer.expiresAt': { $gt: new Date() },
+        },
+        { $set: { status: 'claimed' } },
+        { new: true }
+    );
+    if (!entry) return null;
+
+    const seatKept = hold
+        ? await refreshHold(entry.offer.appointmentId)
+        : (await confirmSlot(entry.offer.appointmentId)).modifiedCount > 0;
+    if (!seatKept) {
+        // The held seat was already swept
+        await Waitlist.updateOne({ _id: entry._id }, { $set: { status: 'expired' } });
+        return null;
+    }
+
+    return entry;
+};
+
+/**
+ * Link a claimed entry to the appointment created from it
+ */
+const completeClaim = async (waitlistId, appointmentId) => {
+    return Waitlist.updateOne({ _id: waitlistId }, { $set: { claimedAppointment: appointmentId } });
+};
+
+/**
+ * Sweep: expire unclaimed offers (handing the seat to the next patient) and
+ * waiting entries for dates that have passed
+ */
+const expireWaitlistOffers = async () => {
+    const expired = await Waitlist.find({ status: 'offered', 'offer.expiresAt': { $lte: new Date() } }).limit(200);
+
+    for (const entry of expired) {
+        const updated = await Waitlist.findOneAndUpdate(
+            { _id: entry._id, status: 'offered' },
+            { $set: { status: 'expired' } }
+        );
+        // Releasing the held seat re-offers it to the next patient in line
+        if (updated) await releaseSlot(entry.offer.appointmentId);
+    }
+
+    await Waitlist.updateMany(
+        { status: 'waiting', date: { $lt: startOfDay(new Date()) } },
+        { $set: { status: 'expired' } }
+    );
+};
+
+registerRecurringTask('waitlist_offer_expiry', expireWaitlistOffers, EXPIRY_SWEEP_INTERVAL_MS);
+
+module.exports = {
+    fitsTimeWindow,
+    offerFreedSlot,
+    claimOffer,
+    completeClaim,
+};
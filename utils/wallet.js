@@ -0,0 +1,206 @@
+/**
+ * Patient Wallet
+ * Stored credit as a double-entry ledger: every WalletTransaction moves money
+ * between the patient's wallet account and a platform account (refunds,
+ * promotions, bookings, adjustments), and Wallet.balance caches the sum.
+ * Postings are idempotent by key, and debits are guarded so a balance can
+ * never go negative however many checkouts run at once.
+ */
+
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const Payment = require('../models/Payment');
+
+// Platform side of each kind of movement
+const COUNTER_ACCOUNTS = {
+    refund: 'refunds',
+    promotional: 'promotions',
+    booking: 'bookings',
+    hold_release: 'bookings',
+    adjustment: 'adjustments',
+};
+
+const round2 = (value) => Math.round((value || 0) * 100) / 100;
+
+const walletAccount = (userId) => `wallet:${userId}`;
+
+/**
+ * The user's wallet, created empty on first use
+ */
+const getOrCreateWallet = (userId) => Wallet.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+);
+
+const getBalance = async (userId) => {
+    const wallet = await Wallet.findOne({ user: userId }).select('balance isActive').lean();
+    return wallet?.isActive === false ? 0 : wallet?.balance || 0;
+};
+
+/**
+ * Post one movement to the ledger and apply it to the balance
+ * @param {Object} params - { userId, direction, category, amount, idempotencyKey, description,
+ *                            payment, appointment, createdBy, createdByModel }
+ * @returns {{ success: boolean, transaction?: Object, balance?: number, message?: string, duplicate?: boolean }}
+ */
+const postTransaction = async ({
+    userId, direction, category, amount, idempotencyKey, description = '',
+    payment = null, appointment = null, createdBy = null, createdByModel = 'User',
+}) => {
+    amount = round2(amount);
+    if (!(amount > 0)) return { success: false, message: 'Amount must be positive' };
+
+    const wallet = await getOrCreateWallet(userId);
+    if (!wallet.isActive && direction === 'debit') return { success: false, message: 'Wallet is disabled' };
+
+    const account = walletAccount(userId);
+    const counterAccount = COUNTER_ACCOUNTS[category];
+    let transaction;
+    try {
+        transaction = await WalletTransaction.create({
+            wallet: wallet._id,
+            user: userId,
+            direction,
+            category,
+            amount,
+            // A credit to the patient is a debit on the platform account, and vice versa
+            entries: direction === 'credit'
+                ? [{ account: counterAccount, debit: amount }, { account, credit: amount }]
+                : [{ account, debit: amount }, { account: counterAccount, credit: amount }],
+            description,
+            idempotencyKey,
+            payment,
+            appointment,
+            createdBy,
+            createdByModel,
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        const existing = await WalletTransaction.findOne({ idempotencyKey });
+        return {
+            success: existing.status === 'posted',
+            transaction: existing,
+            duplicate: true,
+            message: existing.failureReason || undefined,
+        };
+    }
+
+    const updated = direction === 'credit'
+        ? await Wallet.findOneAndUpdate(
+            { _id: wallet._id },
+            { $inc: { balance: amount, lifetimeCredits: amount } },
+            { new: true }
+        )
+        : await Wallet.findOneAndUpdate(
+            { _id: wallet._id, balance: { $gte: amount } },
+            { $inc: { balance: -amount, lifetimeDebits: amount } },
+            { new: true }
+        );
+
+    if (!updated) {
+        transaction.status = 'failed';
+        transaction.failureReason = 'Insufficient wallet balance';
+        await transaction.save();
+        return { success: false, transaction, message: transaction.failureReason };
+    }
+
+    transaction.status = 'posted';
+    transaction.balanceAfter = round2(updated.balance);
+    await transaction.save();
+    return { success: true, transaction, balance: transaction.balanceAfter };
+};
+
+const creditWallet = (params) => postTransaction({ ...params, direction: 'credit' });
+const debitWallet = (params) => postTransaction({ ...params, direction: 'debit' });
+
+// ---------------------------------------------------------------------------
+// Booking holds: the wallet share of a checkout is taken when the order is
+// created and given back if that checkout never completes
+// ---------------------------------------------------------------------------
+
+/**
+ * Amount of the wallet to put towards a payable amount. A gateway charge
+ * below ₹1 is not possible, so a small remainder is left on the gateway.
+ */
+const getWalletShare = async (userId, payable) => {
+    const balance = await getBalance(userId);
+    let share = Math.min(balance, payable);
+    if (share < payable && payable - share < 1) share = payable - 1;
+    return Math.max(round2(share), 0);
+};
+
+const holdForPayment = ({ userId, paymentId, appointmentId, amount }) => debitWallet({
+    userId,
+    category: 'booking',
+    amount,
+    idempotencyKey: `payment:${paymentId}:hold`,
+    description: 'Paid towards appointment',
+    payment: paymentId,
+    appointment: appointmentId,
+});
+
+/**
+ * Give back the wallet share of a payment that will not complete
+ */
+const releasePaymentHold = async (paymentId, reason = 'Checkout not completed') => {
+    // Claim first so two sweeps never credit the same hold twice
+    const payment = await Payment.findOneAndUpdate(
+        { _id: paymentId, 'wallet.amount': { $gt: 0 }, 'wallet.released': false },
+        { $set: { 'wallet.released': true } },
+        { new: true }
+    );
+    if (!payment) return null;
+
+    return creditWallet({
+        userId: payment.patient,
+        category: 'hold_release',
+        amount: payment.wallet.amount,
+        idempotencyKey: `payment:${payment._id}:release`,
+        description: reason,
+        payment: payment._id,
+        appointment: payment.appointment,
+    });
+};
+
+/**
+ * Release the wallet holds of every unfinished checkout for an appointment
+ * (a new checkout started, the booking expired or was cancelled, or it was paid in cash)
+ */
+const releaseWalletHolds = async (appointmentIds, reason) => {
+    const ids = Array.isArray(appointmentIds) ? appointmentIds : [appointmentIds];
+    const payments = await Payment.find({
+        appointment: { $in: ids },
+        status: { $in: ['pending', 'failed'] },
+        'wallet.amount': { $gt: 0 },
+        'wallet.released': false,
+    }).select('_id status');
+
+    let released = 0;
+    for (const payment of payments) {
+        try {
+            const result = await releasePaymentHold(payment._id, reason);
+            if (result?.success) released++;
+            if (payment.status === 'pending') {
+                await Payment.updateOne(
+                    { _id: payment._id, status: 'pending' },
+                    { $set: { status: 'failed', failureReason: reason } }
+                );
+            }
+        } catch (error) {
+            console.error(`❌ Wallet hold release failed for payment ${payment._id}:`, error.message);
+        }
+    }
+    return released;
+};
+
+module.exports = {
+    getOrCreateWallet,
+    getBalance,
+    creditWallet,
+    debitWallet,
+    getWalletShare,
+    holdForPayment,
+    releasePaymentHold,
+    releaseWalletHolds,
+};
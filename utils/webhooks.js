@@ -0,0 +1,279 @@
+/**
+ * Payment Webhooks
+ * Every delivery is stored as a WebhookEvent keyed by the gateway's event id, so
+ * retried deliveries are recognised and never applied twice. The raw payload is
+ * stored and mapped onto a gateway-neutral event (utils/gateways) when it is
+ * processed, so a replay runs exactly the same code. Handlers only move a
+ * payment forward from the state they expect, which keeps late or
+ * out-of-order events (a payment.failed after payment.captured) harmless.
+ * Failed events can be replayed by an admin; events left in processing by a
+ * crash are picked up again once their claim goes stale.
+ */
+
+const WebhookEvent = require('../models/WebhookEvent');
+const Payment = require('../models/Payment');
+const { completePayment } = require('./payment');
+const { refreshEarningsSummary } = require('./payouts');
+const { getGateway } = require('./gateways');
+const { cancelCreditNotes } = require('./invoices');
+const { releasePaymentCoupon } = require('./coupons');
+const { registerRecurringTask } = require('./scheduler');
+
+const OPEN_DISPUTE_STATUSES = ['open', 'under_review', 'action_required'];
+// A handler still "processing" after this long crashed (or its process died) mid-way
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+const STALE_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Events that may be claimed: never finished, failed, or stuck in processing
+ */
+const claimableFilter = () => ({
+    $or: [
+        { status: { $in: ['received', 'failed'] } },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+    ],
+});
+
+/**
+ * Payment a normalized event refers to, by gateway order id or payment id
+ */
+const findPayment = (gateway, { orderId, paymentId }) => {
+    if (orderId) return Payment.findOne({ paymentGateway: gateway, gatewayOrderId: orderId });
+    if (paymentId) return Payment.findOne({ paymentGateway: gateway, gatewayPaymentId: paymentId });
+    return null;
+};
+
+/**
+ * Result note for a completed payment, calling out captures that came after the hold expired
+ */
+const describeCompletion = (payment, note) => {
+    const outcome = payment.lateCapture?.detectedAt && payment.lateCapture.outcome;
+    if (!outcome) return note;
+    if (outcome === 'rebooked') return `${note} (late capture, appointment rebooked)`;
+    const reason = payment.lateCapture.reason === 'already_paid' ? 'appointment already paid' : 'appointment already cancelled';
+    return `late capture, ${reason}: ${outcome.replace('_', ' ')}`;
+};
+
+// ---------------------------------------------------------------------------
+// Handlers: async (normalized event, gateway) => short result note
+// ---------------------------------------------------------------------------
+
+const onPaymentCaptured = async (data, gateway) => {
+    const payment = await findPayment(gateway, { orderId: data.orderId });
+    if (!payment) return 'no matching payment';
+    // A failed payment (superseded checkout, earlier failed attempt) was still charged:
+    // completePayment takes back its wallet share, or refunds it if the appointment was paid since
+    if (payment.status !== 'pending' && payment.status !== 'failed') return `payment already ${payment.status}`;
+    payment.failureReason = '';
+
+    const completed = await completePayment(payment, {
+        gatewayPaymentId: data.paymentId,
+        paymentMethod: data.method || 'other',
+        transactionId: data.paymentId,
+    });
+    return describeCompletion(completed, 'payment completed');
+};
+
+const onPaymentFailed = async (data, gateway) => {
+    const payment = await findPayment(gateway, { orderId: data.orderId });
+    if (!payment) return 'no matching payment';
+    // A retry on the same order may already have succeeded
+    if (payment.status !== 'pending') return `payment already ${payment.status}`;
+
+    payment.status = 'failed';
+    payment.failureReason = data.error || 'Payment failed';
+    await payment.save();
+    await releasePaymentCoupon(payment._id);
+    return 'payment failed';
+};
+
+const onPaymentLinkPaid = async (data) => {
+    const payment = await Payment.findOne({ 'paymentLink.id': data.linkId });
+    if (!payment) return 'no matching payment link';
+    if (payment.status !== 'pending') return `payment already ${payment.status}`;
+
+    payment.paymentLink.status = 'paid';
+    const completed = await completePayment(payment, {
+        gatewayOrderId: data.orderId || '',
+        gatewayPaymentId: data.paymentId || '',
+        paymentMethod: data.method || payment.paymentMethod,
+        transactionId: data.paymentId || data.linkId,
+    });
+    return describeCompletion(completed, 'payment link paid');
+};
+
+const onPaymentLinkClosed = async (data) => {
+    const payment = await Payment.findOne({ 'paymentLink.id': data.linkId });
+    if (!payment) return 'no matching payment link';
+    if (payment.status !== 'pending') return `payment already ${payment.status}`;
+
+    const linkStatus = data.type === 'payment_link.expired' ? 'expired' : 'cancelled';
+    payment.status = 'failed';
+    payment.failureReason = `Payment link ${linkStatus}`;
+    payment.paymentLink.status = linkStatus;
+    await payment.save();
+    return `payment link ${linkStatus}`;
+};
+
+const onRefundProcessed = async (data, gateway) => {
+    const payment = await findPayment(gateway, data);
+    if (!payment) return 'no matching payment';
+    if (payment.refund.status === 'processed' && payment.refund.transactionId === data.refundId) {
+        return 'refund already processed';
+    }
+
+    payment.refund.transactionId = data.refundId;
+    payment.refund.status = 'processed';
+    payment.refund.refundedAt = new Date();
+    await payment.save();
+    return 'refund processed';
+};
+
+const onRefundFailed = async (data, gateway) => {
+    const payment = await findPayment(gateway, data);
+    if (!payment) return 'no matching payment';
+    if (payment.refund.transactionId && payment.refund.transactionId !== data.refundId) {
+        return 'refund superseded';
+    }
+    if (payment.refund.status === 'failed') return 'refund already failed';
+
+    // The money never left: the payment stands as paid and the doctor keeps the earning
+    payment.refund.status = 'failed';
+    payment.refund.failureReason = data.error || 'Refund failed';
+    if (['refunded', 'partially_refunded'].includes(payment.status)) payment.status = 'completed';
+    await payment.save();
+    await refreshEarningsSummary(payment.doctor);
+    await cancelCreditNotes(payment._id, payment.refund.failureReason);
+    return 'refund failed';
+};
+
+const onPaymentDispute = async (data, gateway) => {
+    const payment = await findPayment(gateway, data);
+    if (!payment) return 'no matching payment';
+
+    const { status } = data.dispute;
+    const current = payment.dispute?.status;
+    // A late "created" / "under review" must not reopen a resolved dispute
+    if (current && !OPEN_DISPUTE_STATUSES.includes(current) && OPEN_DISPUTE_STATUSES.includes(status)) {
+        return `dispute already ${current}`;
+    }
+
+    payment.dispute = {
+        id: data.dispute.id,
+        status,
+        amount: data.dispute.amount || payment.amount,
+        reason: data.dispute.reason || payment.dispute?.reason || '',
+        openedAt: payment.dispute?.openedAt || data.dispute.openedAt || new Date(),
+        resolvedAt: OPEN_DISPUTE_STATUSES.includes(status) ? null : new Date(),
+    };
+    await payment.save();
+    await refreshEarningsSummary(payment.doctor);
+    return `dispute ${status}`;
+};
+
+const HANDLERS = {
+    'payment.captured': onPaymentCaptured,
+    'payment.failed': onPaymentFailed,
+    'payment_link.paid': onPaymentLinkPaid,
+    'payment_link.expired': onPaymentLinkClosed,
+    'payment_link.cancelled': onPaymentLinkClosed,
+    'refund.processed': onRefundProcessed,
+    'refund.failed': onRefundFailed,
+    dispute: onPaymentDispute,
+};
+
+/**
+ * Run a stored event's handler, claiming it first so concurrent deliveries
+ * and replays never apply it twice
+ * @returns {Object} The WebhookEvent after processing (null if someone else holds it)
+ */
+const processWebhookEvent = async (eventId) => {
+    const webhookEvent = await WebhookEvent.findOneAndUpdate(
+        { _id: eventId, ...claimableFilter() },
+        { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!webhookEvent) return null;
+
+    try {
+        const data = getGateway(webhookEvent.gateway).normalizeEvent(webhookEvent.event, webhookEvent.payload || {});
+        const handler = data && HANDLERS[data.type];
+        const result = handler
+            ? await handler(data, webhookEvent.gateway)
+            : 'unhandled event';
+
+        webhookEvent.status = handler ? 'processed' : 'ignored';
+        webhookEvent.result = result || '';
+        webhookEvent.lastError = '';
+        webhookEvent.processedAt = new Date();
+    } catch (error) {
+        console.error(`❌ Webhook ${webhookEvent.event} (${webhookEvent.eventId}) failed:`, error.message);
+        webhookEvent.status = 'failed';
+        webhookEvent.lastError = error.message;
+    }
+
+    await webhookEvent.save();
+    return webhookEvent;
+};
+
+/**
+ * Store a verified delivery and process it unless it was seen before
+ * @returns {{ webhookEvent: Object, duplicate: boolean }}
+ */
+const receiveWebhookEvent = async ({ gateway, eventId, event, payload, signature }) => {
+    let webhookEvent;
+    try {
+        webhookEvent = await WebhookEvent.create({
+            eventId,
+            gateway,
+            event,
+            entityId: getGateway(gateway).getEntityId(event, payload),
+            payload,
+            signature: signature || '',
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // Redelivery: only pick it up again if the earlier attempt did not finish
+        const existing = await WebhookEvent.findOne({ eventId });
+        const claimable = await WebhookEvent.exists({ _id: existing._id, ...claimableFilter() });
+        if (!claimable) return { webhookEvent: existing, duplicate: true };
+        webhookEvent = existing;
+    }
+
+    const processed = await processWebhookEvent(webhookEvent._id);
+    return { webhookEvent: processed || webhookEvent, duplicate: !processed };
+};
+
+/**
+ * Re-run a failed (or never processed) event on an admin's request
+ */
+const replayWebhookEvent = async (id, adminId = null) => {
+    await WebhookEvent.updateOne({ _id: id }, { $set: { lastReplayedBy: adminId } });
+    return processWebhookEvent(id);
+};
+
+/**
+ * Sweep: re-run events whose handler crashed mid-way, in case the gateway has stopped retrying
+ */
+const retryStaleEvents = async () => {
+    const stale = await WebhookEvent.find({
+        status: 'processing',
+        updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) },
+    })
+        .select('_id')
+        .limit(50)
+        .lean();
+
+    for (const { _id } of stale) {
+        await processWebhookEvent(_id);
+    }
+};
+
+registerRecurringTask('webhook_stale_claims', retryStaleEvents, STALE_SWEEP_INTERVAL_MS);
+
+module.exports = {
+    receiveWebhookEvent,
+    processWebhookEvent,
+    replayWebhookEvent,
+};
@@ -3,8 +3,26 @@
  * Uses Socket.IO for real-time signaling between doctor and patient
  */
 
+const Appointment = require('../models/Appointment');
+
 const activeSessions = new Map(); // sessionId -> { doctor, patient, startTime, status }
 
+/**
+ * Record the first time the doctor or patient joins an appointment's room.
+ * Rooms are named after the appointment ("<id>" or "ms_<id>_<timestamp>").
+ */
+const recordRoomJoin = async (sessionId, userId, role) => {
+    if (!['doctor', 'patient'].includes(role)) return;
+    const match = /^(?:ms_)?([a-f\d]{24})(?:_\d+)?$/i.exec(String(sessionId || ''));
+    if (!match || !/^[a-f\d]{24}$/i.test(String(userId || ''))) return;
+
+    const field = `videoSession.${role}JoinedAt`;
+    await Appointment.updateOne(
+        { _id: match[1], [role]: userId, [field]: null },
+        { $set: { [field]: new Date() } }
+    );
+};
+
 const setupWebRTC = (io) => {
     const videoNamespace = io.of('/video');
 
@@ -44,6 +62,10 @@ const setupWebRTC = (io) => {
                 });
             }
 
+            recordRoomJoin(sessionId, userId, role).catch((error) => {
+                console.error(`❌ Could not record ${role} join for ${sessionId}:`, error.message);
+            });
+
             console.log(`👤 ${role} joined room ${sessionId}`);
         });
 